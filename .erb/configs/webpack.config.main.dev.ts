@@ -26,6 +26,11 @@ const configuration: webpack.Configuration = {
   entry: {
     main: path.join(webpackPaths.srcMainPath, 'main.ts'),
     preload: path.join(webpackPaths.srcMainPath, 'preload.ts'),
+    indexWorker: path.join(
+      webpackPaths.srcMainPath,
+      'workers',
+      'indexWorker.js',
+    ),
   },
 
   output: {
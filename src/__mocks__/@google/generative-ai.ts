@@ -1,3 +1,8 @@
+export enum TaskType {
+  RETRIEVAL_QUERY = 'RETRIEVAL_QUERY',
+  RETRIEVAL_DOCUMENT = 'RETRIEVAL_DOCUMENT',
+}
+
 export class GoogleGenerativeAI {
   apiKey: string;
 
@@ -14,6 +19,13 @@ export class GoogleGenerativeAI {
         }
         return { stream: gen() } as any;
       },
+      async batchEmbedContents(request: { requests: any[] }) {
+        return {
+          embeddings: request.requests.map((_req: any, i: number) => ({
+            values: [i + 1, 0, 1],
+          })),
+        } as any;
+      },
       async generateContent(_prompt: string) {
         return {
           response: {
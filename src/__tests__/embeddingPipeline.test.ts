@@ -0,0 +1,84 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const pileVectorStore = require('../main/utils/pileVectorStore');
+const {
+  getThreadChunks,
+  embedChunks,
+  EMBEDDING_BATCH_SIZE,
+} = require('../main/utils/embeddingPipeline');
+
+const writeEntry = (pilePath: string, name: string, body: string) => {
+  const content = `---\ncreatedAt: 2025-01-01T10:00:00.000Z\n---\n${body}`;
+  fs.writeFileSync(path.join(pilePath, name), content);
+};
+
+const fakeEmbed = (calls: string[][]) => async (texts: string[]) => {
+  calls.push(texts);
+  return texts.map((text) => [text.length, 1]);
+};
+
+describe('embeddingPipeline', () => {
+  let pilePath: string;
+
+  beforeEach(() => {
+    pilePath = fs.mkdtempSync(path.join(os.tmpdir(), 'pile-pipeline-'));
+    pileVectorStore.load(pilePath);
+    pileVectorStore.reset('text-embedding-004');
+  });
+
+  afterEach(() => {
+    fs.rmSync(pilePath, { recursive: true, force: true });
+  });
+
+  it('only embeds passages that changed since they were stored', async () => {
+    writeEntry(pilePath, 'a.md', '<p>First entry</p>');
+    writeEntry(pilePath, 'b.md', '<p>A reply</p>');
+    const entries = ['a.md', 'b.md'];
+
+    const calls: string[][] = [];
+    let chunks = getThreadChunks(pilePath, 'a.md', entries);
+    expect(
+      await embedChunks(pileVectorStore, chunks, entries, fakeEmbed(calls)),
+    ).toBe(2);
+    expect(pileVectorStore.getInfo('b.md#0').thread).toBe('a.md');
+
+    writeEntry(pilePath, 'b.md', '<p>An edited reply</p>');
+    chunks = getThreadChunks(pilePath, 'a.md', entries);
+    expect(
+      await embedChunks(pileVectorStore, chunks, entries, fakeEmbed(calls)),
+    ).toBe(1);
+    expect(calls[1]).toHaveLength(1);
+    expect(calls[1][0]).toContain('An edited reply');
+  });
+
+  it('stops between batches when cancelled and resumes later', async () => {
+    const entries: string[] = [];
+    for (let i = 0; i < EMBEDDING_BATCH_SIZE + 5; i++) {
+      writeEntry(pilePath, `${i}.md`, `<p>Entry number ${i}</p>`);
+      entries.push(`${i}.md`);
+    }
+    const chunks = getThreadChunks(pilePath, '0.md', entries);
+
+    let cancelled = false;
+    const calls: string[][] = [];
+    await embedChunks(pileVectorStore, chunks, entries, fakeEmbed(calls), {
+      onBatch: () => {
+        cancelled = true;
+      },
+      isCancelled: () => cancelled,
+    });
+    expect(calls).toHaveLength(1);
+    expect(pileVectorStore.size).toBe(EMBEDDING_BATCH_SIZE);
+
+    const embedded = await embedChunks(
+      pileVectorStore,
+      chunks,
+      entries,
+      fakeEmbed(calls),
+    );
+    expect(embedded).toBe(5);
+    expect(pileVectorStore.size).toBe(EMBEDDING_BATCH_SIZE + 5);
+  });
+});
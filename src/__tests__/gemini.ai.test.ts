@@ -1,5 +1,5 @@
 import '@testing-library/jest-dom';
-import { json, stream } from '../main/ai/gemini';
+import { embed, isRateLimitError, json, stream } from '../main/ai/gemini';
 
 jest.mock('@google/generative-ai');
 
@@ -31,4 +31,20 @@ describe('Gemini AI helpers', () => {
     }
     expect(chunks.join('')).toBe('Hello World');
   });
+
+  it('embed() returns one vector per input text', async () => {
+    const vectors = await embed(['first entry', 'second entry']);
+    expect(vectors).toEqual([
+      [1, 0, 1],
+      [2, 0, 1],
+    ]);
+  });
+
+  it('isRateLimitError() detects quota errors', () => {
+    expect(isRateLimitError({ status: 429 })).toBe(true);
+    expect(isRateLimitError(new Error('[429 Too Many Requests] quota'))).toBe(
+      true,
+    );
+    expect(isRateLimitError(new Error('invalid argument'))).toBe(false);
+  });
 });
@@ -0,0 +1,115 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import matter from 'gray-matter';
+
+const pileBackup = require('../main/utils/pileBackup');
+const pileTrash = require('../main/utils/pileTrash');
+
+describe('pileBackup', () => {
+  const postPath = '2025/Jan/250101-100000000.md';
+  const replyPath = '2025/Jan/250101-110000000.md';
+  const mediaPath = '2025/Jan/media/250101-100000000-photo.png';
+  let root: string;
+  let pilePath: string;
+  let backupDir: string;
+
+  const write = (relativePath: string, content: string) => {
+    fs.mkdirSync(path.dirname(path.join(pilePath, relativePath)), {
+      recursive: true,
+    });
+    fs.writeFileSync(path.join(pilePath, relativePath), content);
+  };
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'pile-backup-'));
+    pilePath = path.join(root, 'Journal');
+    backupDir = path.join(root, 'backups');
+    write(
+      postPath,
+      matter.stringify('<p>Hello</p>', {
+        title: 'First',
+        replies: [replyPath],
+        attachments: [mediaPath],
+      }),
+    );
+    write(replyPath, matter.stringify('<p>Reply</p>', { isReply: true }));
+    write(mediaPath, 'png');
+    write('tags.json', '[]');
+    write('.pile/sync.json', '{}');
+    write('.pile/queue.json', '[]');
+    write('.pile/history/config.json', '{}');
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('restores posts with their replies, or the whole pile', async () => {
+    const backup = await pileBackup.backup(pilePath, backupDir);
+    // The history is kept, the sync state and queue aren't
+    expect(backup).toMatchObject({ files: 5, posts: 2 });
+    expect(await pileBackup.verify(pilePath, backupDir, backup.file)).toEqual({
+      ok: true,
+      errors: [],
+    });
+
+    fs.rmSync(path.join(pilePath, '2025'), { recursive: true });
+    const newPost = '2025/Feb/250201-100000000.md';
+    write(newPost, matter.stringify('<p>Later</p>', {}));
+
+    const posts = await pileBackup.listPosts(pilePath, backupDir, backup.file);
+    expect(posts).toEqual([
+      expect.objectContaining({ path: postPath, replies: 1, exists: false }),
+    ]);
+    const picked = await pileBackup.restore(pilePath, backupDir, backup.file, {
+      posts: [postPath],
+    });
+    expect(picked.restored).toEqual([postPath, replyPath]);
+    expect(fs.existsSync(path.join(pilePath, mediaPath))).toBe(true);
+    expect(fs.existsSync(path.join(pilePath, newPost))).toBe(true);
+
+    const whole = await pileBackup.restore(pilePath, backupDir, backup.file);
+    expect(whole.removed).toEqual([newPost]);
+    expect(fs.existsSync(path.join(pilePath, newPost))).toBe(false);
+    const [trashed] = await pileTrash.list(pilePath);
+    expect(trashed).toMatchObject({ postPath: newPost, reason: 'restore' });
+    // The pile as it was before the restore was backed up first
+    const backups = await pileBackup.list(pilePath, backupDir);
+    expect(backups.map((b: any) => b.reason)).toEqual([
+      'pre-restore',
+      'manual',
+    ]);
+  });
+
+  it('refuses altered archives and prunes by retention', async () => {
+    const backup = await pileBackup.backup(pilePath, backupDir);
+    const archivePath = pileBackup.archivePath(
+      pilePath,
+      backupDir,
+      backup.file,
+    );
+    fs.appendFileSync(archivePath, 'x');
+    const verified = await pileBackup.verify(pilePath, backupDir, backup.file);
+    expect(verified.ok).toBe(false);
+    await expect(
+      pileBackup.restore(pilePath, backupDir, backup.file),
+    ).rejects.toThrow('checksum');
+
+    const folder = pileBackup.pileFolder(backupDir, pilePath);
+    const catalog = [0, 1, 2, 40].map((daysAgo) => ({
+      file: `old-${daysAgo}.zip`,
+      createdAt: new Date(Date.now() - daysAgo * 86400000).toISOString(),
+    }));
+    catalog.forEach((entry) =>
+      fs.writeFileSync(path.join(folder, entry.file), ''),
+    );
+    await pileBackup.writeCatalog(folder, catalog);
+    const removed = await pileBackup.prune(pilePath, backupDir, {
+      keepDaily: 2,
+      keepWeekly: 1,
+      keepMonthly: 1,
+    });
+    expect(removed).toEqual(['old-2.zip', 'old-40.zip']);
+  });
+});
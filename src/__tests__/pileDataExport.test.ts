@@ -0,0 +1,124 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import matter from 'gray-matter';
+
+const pileDataExport = require('../main/utils/pileDataExport');
+
+describe('pileDataExport', () => {
+  const postPath = '2025/Jan/250101-100000000.md';
+  const replyPath = '2025/Jan/250102-100000000.md';
+  const laterPath = '2025/Mar/250301-100000000.md';
+  let root: string;
+  let pilePath: string;
+  let outputDir: string;
+
+  const write = (relativePath: string, content: string, data: any) => {
+    fs.mkdirSync(path.dirname(path.join(pilePath, relativePath)), {
+      recursive: true,
+    });
+    fs.writeFileSync(
+      path.join(pilePath, relativePath),
+      matter.stringify(content, data),
+    );
+  };
+
+  const lines = () =>
+    fs
+      .readFileSync(path.join(outputDir, 'posts.jsonl'), 'utf8')
+      .trim()
+      .split('\n')
+      .map((line) => JSON.parse(line));
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'pile-data-'));
+    pilePath = path.join(root, 'pile');
+    outputDir = path.join(root, 'out');
+    write(postPath, '<p>Hello, "world"</p><p>Again</p>', {
+      title: 'First',
+      createdAt: '2025-01-01T10:00:00.000Z',
+      tags: ['a', 'b'],
+      highlight: 'Idea',
+      replies: [replyPath],
+      attachments: [],
+      summary: { title: 'Greeting', summary: 'Said hello', mood: 'calm' },
+    });
+    write(replyPath, '<p>Reply</p>', {
+      createdAt: '2025-01-02T10:00:00.000Z',
+      isReply: true,
+    });
+    write(laterPath, '<p>Later</p>', { createdAt: '2025-03-01T10:00:00.000Z' });
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('flattens posts into JSON Lines and CSV within the dates', async () => {
+    const result = await pileDataExport.export(pilePath, outputDir, {
+      from: '2025-01-01',
+      to: '2025-01-31',
+    });
+    expect(result).toMatchObject({ written: 2, total: 2, incremental: false });
+
+    const [post, reply] = lines();
+    expect(post).toMatchObject({
+      path: postPath,
+      tags: ['a', 'b'],
+      highlight: 'Idea',
+      replyCount: 1,
+      summary: 'Said hello',
+      text: 'Hello, "world"\nAgain',
+      wordCount: 3,
+    });
+    expect(reply).toMatchObject({ isReply: true, threadPath: postPath });
+
+    const csv = fs.readFileSync(path.join(outputDir, 'posts.csv'), 'utf8');
+    expect(csv.split('\r\n')[0]).toMatch(/^path,threadPath,isReply,/);
+    expect(csv).toContain('"Hello, ""world""\nAgain"');
+    expect(csv).toContain(',a; b,');
+  });
+
+  it('keeps formulas from running in the CSV', async () => {
+    write(laterPath, '<p>=HYPERLINK("x")</p>', {
+      title: '@cmd',
+      createdAt: '2025-03-01T10:00:00.000Z',
+    });
+    await pileDataExport.export(pilePath, outputDir);
+
+    const csv = fs.readFileSync(path.join(outputDir, 'posts.csv'), 'utf8');
+    expect(csv).toContain(`,'@cmd,`);
+    expect(csv).toContain(`"'=HYPERLINK(""x"")"`);
+    expect(lines()[2]).toMatchObject({ title: '@cmd' });
+  });
+
+  it('appends only changed and deleted posts when incremental', async () => {
+    await pileDataExport.export(pilePath, outputDir, { incremental: true });
+    write(laterPath, '<p>Later, edited</p>', {
+      createdAt: '2025-03-01T10:00:00.000Z',
+    });
+    fs.rmSync(path.join(pilePath, replyPath));
+
+    const result = await pileDataExport.export(pilePath, outputDir, {
+      incremental: true,
+    });
+    expect(result).toMatchObject({ written: 1, deleted: 1, incremental: true });
+    const appended = lines().slice(3);
+    expect(appended).toEqual([
+      expect.objectContaining({ path: laterPath, text: 'Later, edited' }),
+      expect.objectContaining({ path: replyPath, deleted: true }),
+    ]);
+  });
+
+  it('writes an export of another pile in full', async () => {
+    await pileDataExport.export(pilePath, outputDir, { incremental: true });
+    const otherPile = path.join(root, 'other');
+    fs.cpSync(pilePath, otherPile, { recursive: true });
+
+    const result = await pileDataExport.export(otherPile, outputDir, {
+      incremental: true,
+    });
+    expect(result).toMatchObject({ written: 3, incremental: false });
+    expect(lines()).toHaveLength(3);
+  });
+});
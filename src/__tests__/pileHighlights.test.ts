@@ -0,0 +1,97 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import matter from 'gray-matter';
+
+jest.mock('../main/utils/pileEmbeddings', () => ({
+  addDocument: jest.fn(),
+  removeDocument: jest.fn(),
+}));
+jest.mock('../main/utils/pileJobs', () => ({}));
+
+const pileIndex = require('../main/utils/pileIndex');
+const pileHighlights = require('../main/utils/pileHighlights');
+const pileSearchIndex = require('../main/utils/pileSearchIndex');
+
+const DIR = path.join('2025', 'Jan');
+
+describe('pileHighlights', () => {
+  let pilePath: string;
+
+  const entryPath = (name: string) => path.join(DIR, name);
+
+  const writeEntry = (name: string, highlight: string | null) => {
+    const content = matter.stringify('<p>Entry</p>', {
+      createdAt: '2025-01-01T10:00:00.000Z',
+      tags: [],
+      replies: [],
+      isReply: false,
+      highlight,
+    });
+    fs.writeFileSync(path.join(pilePath, entryPath(name)), content);
+  };
+
+  const readHighlight = (name: string) =>
+    matter(fs.readFileSync(path.join(pilePath, entryPath(name)), 'utf8')).data
+      .highlight;
+
+  beforeEach(() => {
+    pilePath = fs.mkdtempSync(path.join(os.tmpdir(), 'pile-highlights-'));
+    fs.mkdirSync(path.join(pilePath, DIR), { recursive: true });
+
+    writeEntry('one.md', 'Do later');
+    writeEntry('two.md', 'New idea');
+
+    pileIndex.pilePath = pilePath;
+    pileIndex.index = new Map(
+      ['one.md', 'two.md'].map((name) => [
+        entryPath(name),
+        { highlight: readHighlight(name), tags: [], replies: [] },
+      ]),
+    );
+    pileSearchIndex.initialize(pilePath, pileIndex.index);
+    pileHighlights.load(pilePath);
+  });
+
+  afterEach(() => {
+    pileSearchIndex.flush();
+    fs.rmSync(pilePath, { recursive: true, force: true });
+  });
+
+  it('renames a highlight in place and in its entries', () => {
+    expect(pileHighlights.rename('Do later', 'Someday')).toEqual([
+      entryPath('one.md'),
+    ]);
+    expect(readHighlight('one.md')).toBe('Someday');
+    expect(Array.from(pileHighlights.get().keys())).toEqual([
+      'Highlight',
+      'Someday',
+      'New idea',
+    ]);
+    expect(() => pileHighlights.rename('Someday', 'New idea')).toThrow();
+  });
+
+  it('keeps the order it is given across loads', () => {
+    pileHighlights.create('Quote', { color: '#000000' });
+    pileHighlights.reorder(['Quote', 'New idea']);
+
+    expect(Array.from(pileHighlights.load(pilePath).keys())).toEqual([
+      'Quote',
+      'New idea',
+      'Highlight',
+      'Do later',
+    ]);
+  });
+
+  it('reassigns the entries of a deleted highlight', () => {
+    pileHighlights.delete('Do later', 'New idea');
+
+    expect(readHighlight('one.md')).toBe('New idea');
+    expect(pileIndex.get().get(entryPath('one.md')).highlight).toBe('New idea');
+    expect(pileHighlights.get().has('Do later')).toBe(false);
+
+    pileHighlights.delete('New idea');
+    expect(readHighlight('one.md')).toBeNull();
+    expect(readHighlight('two.md')).toBeNull();
+  });
+});
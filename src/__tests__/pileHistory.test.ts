@@ -0,0 +1,129 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const pileHistory = require('../main/utils/pileHistory');
+
+describe('pileHistory', () => {
+  const postPath = path.join('2025', 'Jan', '250101-100000000.md');
+  let pilePath: string;
+
+  const save = async (content: string) => {
+    fs.writeFileSync(path.join(pilePath, postPath), content);
+    return pileHistory.snapshot(pilePath, postPath);
+  };
+
+  beforeEach(() => {
+    pilePath = fs.mkdtempSync(path.join(os.tmpdir(), 'pile-history-'));
+    fs.mkdirSync(path.join(pilePath, '2025', 'Jan'), { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(pilePath, { recursive: true, force: true });
+  });
+
+  it('keeps each distinct version once and restores them', async () => {
+    const first = await save('first');
+    expect(await save('first')).toBeNull();
+    await save('second');
+    await pileHistory.snapshot(
+      pilePath,
+      path.join(pilePath, postPath),
+      'first',
+      'sync',
+    );
+
+    const versions = await pileHistory.list(pilePath, postPath);
+    expect(versions.map((v: any) => v.reason)).toEqual([
+      'sync',
+      'save',
+      'save',
+    ]);
+    const objects = path.join(pilePath, '.pile', 'history', 'objects');
+    expect(fs.readdirSync(objects)).toHaveLength(2);
+
+    await pileHistory.restore(pilePath, postPath, first.id);
+    expect(fs.readFileSync(path.join(pilePath, postPath), 'utf8')).toBe(
+      'first',
+    );
+  });
+
+  it('reads the post from disk when no content is given', async () => {
+    fs.writeFileSync(path.join(pilePath, postPath), 'on disk');
+    await pileHistory.snapshot(pilePath, postPath, undefined);
+    fs.writeFileSync(path.join(pilePath, postPath), 'on disk again');
+    await pileHistory.snapshot(pilePath, postPath, null);
+
+    const versions = await pileHistory.list(pilePath, postPath);
+    expect(
+      await Promise.all(
+        versions.map((v: any) => pileHistory.read(pilePath, postPath, v.id)),
+      ),
+    ).toEqual(['on disk again', 'on disk']);
+  });
+
+  it('follows a post with an id when it is moved', async () => {
+    await save('no id yet');
+    await save('---\nid: post-1\n---\nfirst');
+    await save('---\nid: post-1\n---\nsecond');
+
+    const movedPath = path.join('Archive', 'post.md');
+    fs.mkdirSync(path.join(pilePath, 'Archive'));
+    fs.renameSync(
+      path.join(pilePath, postPath),
+      path.join(pilePath, movedPath),
+    );
+
+    const versions = await pileHistory.list(pilePath, movedPath);
+    expect(versions).toHaveLength(3);
+    expect(await pileHistory.read(pilePath, movedPath, versions[2].id)).toBe(
+      'no id yet',
+    );
+  });
+
+  it('keeps every version of concurrent snapshots', async () => {
+    const contents = ['a', 'b', 'c', 'd', 'e'];
+    await Promise.all(
+      contents.map((content) =>
+        pileHistory.snapshot(pilePath, postPath, content, 'sync'),
+      ),
+    );
+    expect(await pileHistory.list(pilePath, postPath)).toHaveLength(5);
+  });
+
+  it('drops versions past the retention', async () => {
+    for (const content of ['one', 'two', 'three', 'four']) await save(content);
+
+    await pileHistory.setRetention(pilePath, { maxVersions: 2 });
+
+    const versions = await pileHistory.list(pilePath, postPath);
+    expect(versions).toHaveLength(2);
+    expect(await pileHistory.read(pilePath, postPath, versions[1].id)).toBe(
+      'three',
+    );
+    const objects = path.join(pilePath, '.pile', 'history', 'objects');
+    expect(fs.readdirSync(objects)).toHaveLength(2);
+  });
+
+  it('removes pruned contents later, once', async () => {
+    jest.useFakeTimers();
+    try {
+      await pileHistory.setRetention(pilePath, { maxVersions: 2 });
+      for (const content of ['one', 'two', 'three']) await save(content);
+
+      const objects = path.join(pilePath, '.pile', 'history', 'objects');
+      expect(fs.readdirSync(objects)).toHaveLength(3);
+      expect(await pileHistory.list(pilePath, postPath)).toHaveLength(2);
+
+      const collect = jest.spyOn(pileHistory, 'collectObjects');
+      await save('four');
+      jest.advanceTimersByTime(60 * 1000);
+      await collect.mock.results[0].value;
+      expect(collect).toHaveBeenCalledTimes(1);
+      expect(fs.readdirSync(objects)).toHaveLength(2);
+      collect.mockRestore();
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
@@ -0,0 +1,71 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import matter from 'gray-matter';
+
+const pileImport = require('../main/utils/pileImport');
+
+describe('pileImport', () => {
+  let root: string;
+  let pilePath: string;
+  let vaultPath: string;
+
+  const write = (filePath: string, content: string) => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  };
+
+  const posts = () =>
+    fs
+      .readdirSync(path.join(pilePath, '2024', 'Mar'))
+      .filter((name) => name.endsWith('.md'))
+      .map((name) =>
+        matter(fs.readFileSync(path.join(pilePath, '2024', 'Mar', name))),
+      );
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'pile-import-'));
+    pilePath = path.join(root, 'pile');
+    vaultPath = path.join(root, 'vault');
+    fs.mkdirSync(pilePath);
+    write(
+      path.join(vaultPath, 'daily', '2024-03-05.md'),
+      '---\ntags: [travel]\n---\nWent to **Lisbon** with [[Ana|my sister]] #family\n\n![[tram.png]]\n',
+    );
+    write(path.join(vaultPath, 'assets', 'tram.png'), 'png');
+    write(path.join(vaultPath, '.obsidian', 'app.json'), '{}');
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('imports an Obsidian vault with its tags and images', async () => {
+    const result = await pileImport.import(pilePath, 'obsidian', vaultPath);
+    expect(result.created).toHaveLength(1);
+
+    const [post] = posts();
+    expect(post.data.title).toBe('2024-03-05');
+    expect(post.data.tags).toEqual(['travel', 'family']);
+    expect(post.content).toContain('<strong>Lisbon</strong> with my sister');
+    expect(post.data.attachments).toHaveLength(1);
+    expect(fs.existsSync(path.join(pilePath, post.data.attachments[0]))).toBe(
+      true,
+    );
+  });
+
+  it('only brings in changed entries when importing again', async () => {
+    await pileImport.import(pilePath, 'obsidian', vaultPath);
+    const again = await pileImport.import(pilePath, 'obsidian', vaultPath);
+    expect(again).toMatchObject({ created: [], updated: [], skipped: 1 });
+
+    write(
+      path.join(vaultPath, 'daily', '2024-03-05.md'),
+      'Went to Porto instead\n',
+    );
+    const changed = await pileImport.import(pilePath, 'obsidian', vaultPath);
+    expect(changed.updated).toHaveLength(1);
+    expect(posts()).toHaveLength(1);
+    expect(posts()[0].content).toContain('Porto');
+  });
+});
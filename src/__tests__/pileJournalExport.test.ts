@@ -0,0 +1,91 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import matter from 'gray-matter';
+
+const pileJournalExport = require('../main/utils/pileJournalExport');
+
+describe('pileJournalExport', () => {
+  let pilePath: string;
+
+  const write = (relativePath: string, content: string | Buffer) => {
+    fs.mkdirSync(path.dirname(path.join(pilePath, relativePath)), {
+      recursive: true,
+    });
+    fs.writeFileSync(path.join(pilePath, relativePath), content);
+  };
+
+  const post = (relativePath: string, body: string, data: object) =>
+    write(relativePath, matter.stringify(body, { isReply: false, ...data }));
+
+  beforeEach(() => {
+    pilePath = fs.mkdtempSync(path.join(os.tmpdir(), 'pile-journal-'));
+    post('2024/Dec/241231-200000000.md', '<p>Last year</p>', {
+      createdAt: new Date(2024, 11, 31, 20).toISOString(),
+    });
+    post('2025/Jan/250102-100000000.md', '<p>Trip&nbsp;day<br></p>', {
+      createdAt: new Date(2025, 0, 2, 10).toISOString(),
+      tags: ['travel'],
+      replies: ['2025/Jan/250102-110000000.md'],
+      attachments: ['2025/Jan/media/photo.png'],
+    });
+    post('2025/Jan/250102-110000000.md', '<p>What a day</p>', {
+      createdAt: new Date(2025, 0, 2, 11).toISOString(),
+      isReply: true,
+      isAI: true,
+    });
+    post('2025/Feb/250203-100000000.md', '<p>Work</p>', {
+      createdAt: new Date(2025, 1, 3, 10).toISOString(),
+      highlight: 'Do later',
+    });
+    write('2025/Jan/media/photo.png', Buffer.from('png'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(pilePath, { recursive: true, force: true });
+  });
+
+  it('filters threads by dates, tags and highlights', async () => {
+    const range = await pileJournalExport.collect(pilePath, {
+      from: '2025-01-01',
+      to: '2025-02-03',
+    });
+    expect(range.months.map((m: any) => m.key)).toEqual(['2025-01', '2025-02']);
+
+    const tagged = await pileJournalExport.collect(pilePath, {
+      tags: ['travel'],
+    });
+    expect(tagged.threads).toHaveLength(1);
+    expect(tagged.threads[0].replies).toHaveLength(1);
+
+    const highlighted = await pileJournalExport.collect(pilePath, {
+      highlights: ['Do later'],
+    });
+    expect(highlighted.threads.map((t: any) => t.path)).toEqual([
+      '2025/Feb/250203-100000000.md',
+    ]);
+
+    const { html } = await pileJournalExport.renderHtml(pilePath, {
+      tags: ['travel'],
+    });
+    expect(html).toContain('href="#m-2025-01"');
+    expect(html).toContain('class="reply ai"');
+    expect(html).toContain('src="data:image/png;base64,');
+  });
+
+  it('writes an epub with a month per chapter', async () => {
+    const outputPath = path.join(pilePath, 'out', 'journal.epub');
+    const summary = await pileJournalExport.exportEpub(pilePath, outputPath, {
+      from: '2025-01-01',
+    });
+    expect(summary).toEqual({ threads: 2, months: 2 });
+
+    const epub = fs.readFileSync(outputPath);
+    expect(epub.subarray(30, 38).toString()).toBe('mimetype');
+
+    // Entry names are stored as they are, the contents deflated
+    expect(epub.includes('OEBPS/month-2025-01.xhtml')).toBe(true);
+    expect(epub.includes('OEBPS/images/1.png')).toBe(true);
+    expect(epub.includes('OEBPS/month-2024-12.xhtml')).toBe(false);
+  });
+});
@@ -0,0 +1,112 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import matter from 'gray-matter';
+
+// embeddings and background jobs need electron, the checks don't
+jest.mock('../main/utils/pileEmbeddings', () => ({
+  addDocument: jest.fn(),
+  removeDocument: jest.fn(),
+}));
+jest.mock('../main/utils/pileJobs', () => ({}));
+
+const pileIndex = require('../main/utils/pileIndex');
+const pileTags = require('../main/utils/pileTags');
+const pileHighlights = require('../main/utils/pileHighlights');
+const pileSearchIndex = require('../main/utils/pileSearchIndex');
+const pileRepair = require('../main/utils/pileRepair');
+
+const DIR = path.join('2025', 'Jan');
+
+describe('pileRepair', () => {
+  let pilePath: string;
+
+  const entryPath = (name: string) => path.join(DIR, name);
+
+  const writeEntry = (name: string, data: Record<string, any>) => {
+    const content = matter.stringify('<p>Entry</p>', {
+      createdAt: '2025-01-01T10:00:00.000Z',
+      tags: [],
+      replies: [],
+      isReply: false,
+      highlight: null,
+      ...data,
+    });
+    fs.writeFileSync(path.join(pilePath, entryPath(name)), content);
+  };
+
+  const readData = (name: string) =>
+    matter(fs.readFileSync(path.join(pilePath, entryPath(name)), 'utf8')).data;
+
+  beforeEach(() => {
+    pilePath = fs.mkdtempSync(path.join(os.tmpdir(), 'pile-repair-'));
+    fs.mkdirSync(path.join(pilePath, DIR), { recursive: true });
+
+    writeEntry('parent.md', {
+      replies: [entryPath('reply.md'), entryPath('gone.md')],
+      tags: ['work'],
+    });
+    writeEntry('reply.md', {
+      createdAt: '2025-01-01T11:00:00.000Z',
+      isReply: true,
+    });
+    writeEntry('orphan.md', { isReply: true, highlight: 'Someday' });
+
+    // the index lost the orphan and still knows about a deleted entry
+    pileIndex.pilePath = pilePath;
+    pileIndex.index = new Map([
+      [entryPath('parent.md'), { ...readData('parent.md') }],
+      [entryPath('reply.md'), { ...readData('reply.md') }],
+      [entryPath('deleted.md'), { createdAt: '2025-01-01', replies: [] }],
+    ]);
+    pileSearchIndex.initialize(pilePath, pileIndex.index);
+
+    pileTags.load(pilePath);
+    pileTags.tags = new Map([
+      ['work', { color: null, icon: null, posts: [entryPath('gone.md')] }],
+    ]);
+    pileHighlights.load(pilePath);
+  });
+
+  afterEach(() => {
+    pileSearchIndex.flush();
+    fs.rmSync(pilePath, { recursive: true, force: true });
+  });
+
+  it('reports problems without changing anything', async () => {
+    const before = fs.readFileSync(
+      path.join(pilePath, entryPath('parent.md')),
+      'utf8',
+    );
+    const report = await pileRepair.verify();
+
+    expect(report.summary).toEqual({
+      'missing-file': 1,
+      'unindexed-file': 1,
+      'dangling-reply': 1,
+      'orphaned-reply': 1,
+      'dangling-tag': 1,
+      'untracked-tag': 1,
+      'dangling-highlight': 1,
+    });
+    expect(
+      fs.readFileSync(path.join(pilePath, entryPath('parent.md')), 'utf8'),
+    ).toBe(before);
+    expect(pileIndex.get().has(entryPath('deleted.md'))).toBe(true);
+  });
+
+  it('repairs everything it reports', async () => {
+    const { repaired, report } = await pileRepair.repair();
+
+    expect(repaired).toBe(7);
+    expect(report.issues).toEqual([]);
+    expect(readData('parent.md').replies).toEqual([entryPath('reply.md')]);
+    expect(readData('orphan.md').isReply).toBe(false);
+    expect(pileIndex.get().has(entryPath('deleted.md'))).toBe(false);
+    expect(pileIndex.get().get(entryPath('orphan.md')).isReply).toBe(false);
+    expect(pileTags.get().get('work').posts).toEqual([
+      path.join(pilePath, entryPath('parent.md')),
+    ]);
+    expect(pileHighlights.get().has('Someday')).toBe(true);
+  });
+});
@@ -0,0 +1,124 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import matter from 'gray-matter';
+
+const pileSearchIndex = require('../main/utils/pileSearchIndex');
+
+const writePost = (pilePath: string, relPath: string, content: string, data: any) => {
+  const fullPath = path.join(pilePath, relPath);
+  fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+  fs.writeFileSync(fullPath, matter.stringify(content, data));
+};
+
+describe('pileSearchIndex incremental updates', () => {
+  let pilePath: string;
+  let index: Map<string, any>;
+
+  const parent = {
+    title: '',
+    createdAt: '2024-11-01T10:00:00.000Z',
+    updatedAt: '2024-11-01T10:00:00.000Z',
+    replies: ['2024/Nov/reply.md'],
+    attachments: [],
+    isReply: false,
+  };
+  const reply = {
+    title: '',
+    createdAt: '2024-11-01T11:00:00.000Z',
+    updatedAt: '2024-11-01T11:00:00.000Z',
+    replies: [],
+    attachments: [],
+    isReply: true,
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    pilePath = fs.mkdtempSync(path.join(os.tmpdir(), 'pile-search-'));
+    writePost(pilePath, '2024/Nov/parent.md', '<p>walking the dog</p>', parent);
+    writePost(pilePath, '2024/Nov/reply.md', '<p>rainy afternoon</p>', reply);
+    index = new Map([
+      ['2024/Nov/parent.md', parent],
+      ['2024/Nov/reply.md', reply],
+    ]);
+  });
+
+  afterEach(() => {
+    pileSearchIndex.flush();
+    jest.useRealTimers();
+    fs.rmSync(pilePath, { recursive: true, force: true });
+  });
+
+  it('indexes replies as part of their parent thread', () => {
+    pileSearchIndex.initialize(pilePath, index);
+    const results = pileSearchIndex.search('rainy');
+    expect(results.map((r: any) => r.ref)).toEqual(['2024/Nov/parent.md']);
+  });
+
+  it('re-reads only the affected thread when a reply changes', () => {
+    pileSearchIndex.initialize(pilePath, index);
+    const readSpy = jest.spyOn(fs, 'readFileSync');
+
+    const updatedReply = { ...reply, updatedAt: '2024-11-02T09:00:00.000Z' };
+    writePost(pilePath, '2024/Nov/reply.md', '<p>sunny morning</p>', updatedReply);
+    index.set('2024/Nov/reply.md', updatedReply);
+    pileSearchIndex.updateThread('2024/Nov/reply.md', index);
+
+    const readPaths = readSpy.mock.calls.map((call) => String(call[0]));
+    readSpy.mockRestore();
+
+    expect(readPaths.sort()).toEqual(
+      [
+        path.join(pilePath, '2024/Nov/parent.md'),
+        path.join(pilePath, '2024/Nov/reply.md'),
+      ].sort(),
+    );
+    expect(pileSearchIndex.search('sunny')).toHaveLength(1);
+    expect(pileSearchIndex.search('rainy')).toHaveLength(0);
+  });
+
+  it('saves an edit without rebuilding the main index', () => {
+    pileSearchIndex.initialize(pilePath, index);
+
+    const updatedReply = { ...reply, updatedAt: '2024-11-02T09:00:00.000Z' };
+    writePost(pilePath, '2024/Nov/reply.md', '<p>sunny morning</p>', updatedReply);
+    index.set('2024/Nov/reply.md', updatedReply);
+    pileSearchIndex.updateThread('2024/Nov/reply.md', index);
+    pileSearchIndex.flush();
+
+    const saved = JSON.parse(
+      fs.readFileSync(path.join(pilePath, 'search_index.json'), 'utf8'),
+    );
+    expect(saved.changed).toEqual(['2024/Nov/parent.md']);
+    expect(JSON.stringify(saved.index)).not.toContain('sunni');
+
+    pileSearchIndex.initialize(pilePath, index);
+    expect(pileSearchIndex.search('sunny')).toHaveLength(1);
+    expect(pileSearchIndex.search('rainy')).toHaveLength(0);
+    expect(pileSearchIndex.search('walking')).toHaveLength(1);
+  });
+
+  it('reloads the persisted index without re-reading unchanged posts', () => {
+    pileSearchIndex.initialize(pilePath, index);
+    pileSearchIndex.flush();
+
+    const readSpy = jest.spyOn(fs, 'readFileSync');
+    pileSearchIndex.initialize(pilePath, index);
+    const readPaths = readSpy.mock.calls.map((call) => String(call[0]));
+    readSpy.mockRestore();
+
+    expect(readPaths).toEqual([path.join(pilePath, 'search_index.json')]);
+    expect(pileSearchIndex.search('walking')).toHaveLength(1);
+  });
+
+  it('returns a snippet with the matched words marked', () => {
+    pileSearchIndex.initialize(pilePath, index);
+    const snippet = pileSearchIndex.getSnippet('2024/Nov/parent.md', 'walked');
+    const marked = snippet.matches.map(([start, end]: number[]) =>
+      snippet.text.slice(start, end),
+    );
+
+    expect(snippet.text).toBe('walking the dog rainy afternoon');
+    expect(marked).toEqual(['walking']);
+  });
+});
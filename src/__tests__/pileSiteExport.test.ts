@@ -0,0 +1,93 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import matter from 'gray-matter';
+
+const pileSiteExport = require('../main/utils/pileSiteExport');
+
+describe('pileSiteExport', () => {
+  let pilePath: string;
+  let outputDir: string;
+
+  const write = (relativePath: string, content: string) => {
+    fs.mkdirSync(path.dirname(path.join(pilePath, relativePath)), {
+      recursive: true,
+    });
+    fs.writeFileSync(path.join(pilePath, relativePath), content);
+  };
+
+  beforeEach(() => {
+    pilePath = fs.mkdtempSync(path.join(os.tmpdir(), 'pile-site-'));
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pile-site-out-'));
+    write(
+      '2025/Jan/250101-100000000.md',
+      matter.stringify('<p>New year <script>alert(1)</script></p>', {
+        createdAt: '2025-01-01T10:00:00.000Z',
+        tags: ['Goals & plans'],
+        highlight: 'Highlight',
+        replies: ['2025/Jan/250101-110000000.md'],
+        attachments: ['2025/Jan/media/250101-photo.png'],
+        isReply: false,
+      }),
+    );
+    write(
+      '2025/Jan/250101-110000000.md',
+      matter.stringify('<p>Sounds like a plan</p>', {
+        createdAt: '2025-01-01T11:00:00.000Z',
+        isReply: true,
+        isAI: true,
+      }),
+    );
+    write(
+      '2025/Feb/250201-090000000.md',
+      matter.stringify('<p>February</p>', {
+        createdAt: '2025-02-01T09:00:00.000Z',
+        isReply: false,
+      }),
+    );
+    write('2025/Jan/media/250101-photo.png', 'png');
+    write(
+      'highlights.json',
+      JSON.stringify([['Highlight', { color: '#FF703A', posts: [] }]]),
+    );
+  });
+
+  afterEach(() => {
+    fs.rmSync(pilePath, { recursive: true, force: true });
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  it('renders threads, tags, media and a search index', async () => {
+    const summary = await pileSiteExport.export(pilePath, outputDir, {
+      title: 'Journal',
+    });
+    expect(summary).toMatchObject({ threads: 2, tags: 1, attachments: 1 });
+
+    const read = (file: string) =>
+      fs.readFileSync(path.join(outputDir, file), 'utf8');
+
+    const index = read('index.html');
+    expect(index.indexOf('February 2025')).toBeLessThan(
+      index.indexOf('January 2025'),
+    );
+    expect(index).toContain('href="threads/250101-100000000.html"');
+
+    const thread = read('threads/250101-100000000.html');
+    expect(thread).toContain('Sounds like a plan');
+    expect(thread).toContain('class="entry reply ai"');
+    expect(thread).toContain('#FF703A');
+    expect(thread).toContain('src="../media/2025/Jan/media/250101-photo.png"');
+    expect(thread).toContain('href="../tags/goals-plans.html"');
+    expect(thread).not.toContain('<script>alert');
+    expect(
+      fs.existsSync(
+        path.join(outputDir, 'media/2025/Jan/media/250101-photo.png'),
+      ),
+    ).toBe(true);
+
+    expect(read('tags/goals-plans.html')).toContain(
+      'href="../threads/250101-100000000.html"',
+    );
+    expect(read('search-index.js')).toContain('Sounds like a plan');
+  });
+});
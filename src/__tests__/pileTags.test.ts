@@ -0,0 +1,108 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import matter from 'gray-matter';
+
+jest.mock('../main/utils/pileEmbeddings', () => ({
+  addDocument: jest.fn(),
+  removeDocument: jest.fn(),
+}));
+jest.mock('../main/utils/pileJobs', () => ({}));
+
+const pileIndex = require('../main/utils/pileIndex');
+const pileTags = require('../main/utils/pileTags');
+const pileSearchIndex = require('../main/utils/pileSearchIndex');
+
+const DIR = path.join('2025', 'Jan');
+
+describe('pileTags', () => {
+  let pilePath: string;
+
+  const entryPath = (name: string) => path.join(DIR, name);
+
+  const writeEntry = (name: string, tags: string[]) => {
+    const content = matter.stringify('<p>Entry</p>', {
+      createdAt: '2025-01-01T10:00:00.000Z',
+      tags,
+      replies: [],
+      isReply: false,
+      highlight: null,
+    });
+    fs.writeFileSync(path.join(pilePath, entryPath(name)), content);
+  };
+
+  const readTags = (name: string) =>
+    matter(fs.readFileSync(path.join(pilePath, entryPath(name)), 'utf8')).data
+      .tags;
+
+  beforeEach(() => {
+    pilePath = fs.mkdtempSync(path.join(os.tmpdir(), 'pile-tags-'));
+    fs.mkdirSync(path.join(pilePath, DIR), { recursive: true });
+
+    writeEntry('one.md', ['work', 'ideas']);
+    writeEntry('two.md', ['Work']);
+    writeEntry('three.md', ['home']);
+
+    pileIndex.pilePath = pilePath;
+    pileIndex.index = new Map(
+      ['one.md', 'two.md', 'three.md'].map((name) => [
+        entryPath(name),
+        { tags: readTags(name), replies: [] },
+      ]),
+    );
+    pileSearchIndex.initialize(pilePath, pileIndex.index);
+
+    pileTags.load(pilePath);
+    const absolute = (name: string) => path.join(pilePath, entryPath(name));
+    pileTags.tags = new Map([
+      ['work', { color: null, icon: null, posts: [absolute('one.md')] }],
+      ['ideas', { color: null, icon: '💡', posts: [absolute('one.md')] }],
+      ['Work', { color: 'red', icon: null, posts: [absolute('two.md')] }],
+      ['home', { color: null, icon: null, posts: [absolute('three.md')] }],
+    ]);
+  });
+
+  afterEach(() => {
+    pileSearchIndex.flush();
+    fs.rmSync(pilePath, { recursive: true, force: true });
+  });
+
+  it('renames a tag in every post using it', () => {
+    const changed = pileTags.rename('home', 'family');
+
+    expect(changed).toEqual([entryPath('three.md')]);
+    expect(readTags('three.md')).toEqual(['family']);
+    expect(pileIndex.get().get(entryPath('three.md')).tags).toEqual(['family']);
+    expect(pileTags.get().has('home')).toBe(false);
+    expect(pileTags.get().get('family').posts).toEqual([
+      path.join(pilePath, entryPath('three.md')),
+    ]);
+  });
+
+  it('merges tags and keeps the first style it finds', () => {
+    writeEntry('one.md', ['work', 'ideas', 'Work']);
+    pileIndex.index.get(entryPath('one.md')).tags = ['work', 'ideas', 'Work'];
+
+    const changed = pileTags.merge(['Work', 'ideas'], 'work');
+
+    expect(changed.sort()).toEqual([entryPath('one.md'), entryPath('two.md')]);
+    expect(readTags('one.md')).toEqual(['work']);
+    expect(readTags('two.md')).toEqual(['work']);
+    expect(pileTags.get().get('work')).toEqual({
+      color: 'red',
+      icon: null,
+      posts: [
+        path.join(pilePath, entryPath('one.md')),
+        path.join(pilePath, entryPath('two.md')),
+      ],
+    });
+    expect(pileTags.get().has('Work')).toBe(false);
+  });
+
+  it('deletes a tag from every post', () => {
+    expect(pileTags.delete('work')).toEqual([entryPath('one.md')]);
+    expect(readTags('one.md')).toEqual(['ideas']);
+    expect(readTags('two.md')).toEqual(['Work']);
+    expect(pileTags.get().has('work')).toBe(false);
+  });
+});
@@ -0,0 +1,85 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import matter from 'gray-matter';
+
+const pileTrash = require('../main/utils/pileTrash');
+
+describe('pileTrash', () => {
+  const postPath = '2025/Jan/250101-100000000.md';
+  const replyPath = '2025/Jan/250101-110000000.md';
+  const mediaPath = '2025/Jan/media/250101-100000000-photo.png';
+  let pilePath: string;
+
+  const write = (relativePath: string, content: string) => {
+    fs.mkdirSync(path.dirname(path.join(pilePath, relativePath)), {
+      recursive: true,
+    });
+    fs.writeFileSync(path.join(pilePath, relativePath), content);
+  };
+
+  beforeEach(() => {
+    pilePath = fs.mkdtempSync(path.join(os.tmpdir(), 'pile-trash-'));
+    write(
+      postPath,
+      matter.stringify('<p>Hello</p>', {
+        id: 'post-1',
+        replies: [replyPath],
+        attachments: [mediaPath],
+      }),
+    );
+    write(replyPath, matter.stringify('<p>Reply</p>', { isReply: true }));
+    write(mediaPath, 'png');
+    write('attachments/post-1/abc-photo.png', 'png');
+  });
+
+  afterEach(() => {
+    fs.rmSync(pilePath, { recursive: true, force: true });
+  });
+
+  it('moves a thread to the trash and restores it', async () => {
+    const entry = await pileTrash.trash(pilePath, postPath);
+
+    expect(entry.posts).toEqual([postPath, replyPath]);
+    expect(entry.attachments).toEqual([mediaPath, 'attachments/post-1']);
+    expect(entry.preview).toBe('Hello');
+    for (const file of [postPath, replyPath, mediaPath, 'attachments/post-1']) {
+      expect(fs.existsSync(path.join(pilePath, file))).toBe(false);
+    }
+    expect(await pileTrash.list(pilePath)).toMatchObject([{ id: entry.id }]);
+
+    write(postPath, 'written again');
+    await expect(pileTrash.restore(pilePath, entry.id)).rejects.toThrow(
+      postPath,
+    );
+    fs.unlinkSync(path.join(pilePath, postPath));
+
+    await pileTrash.restore(pilePath, entry.id);
+    for (const file of [postPath, replyPath, mediaPath]) {
+      expect(fs.existsSync(path.join(pilePath, file))).toBe(true);
+    }
+    expect(
+      fs.existsSync(path.join(pilePath, 'attachments/post-1/abc-photo.png')),
+    ).toBe(true);
+    expect(await pileTrash.list(pilePath)).toEqual([]);
+  });
+
+  it('removes expired entries and empties the trash', async () => {
+    const expired = await pileTrash.trash(pilePath, replyPath);
+    const manifestPath = path.join(
+      pileTrash.entryDir(pilePath, expired.id),
+      'entry.json',
+    );
+    fs.writeFileSync(
+      manifestPath,
+      JSON.stringify({ ...expired, expiresAt: new Date(0).toISOString() }),
+    );
+    const kept = await pileTrash.trash(pilePath, postPath);
+
+    expect(await pileTrash.list(pilePath)).toMatchObject([{ id: kept.id }]);
+    expect(fs.existsSync(path.dirname(manifestPath))).toBe(false);
+
+    await pileTrash.empty(pilePath);
+    expect(await pileTrash.list(pilePath)).toEqual([]);
+  });
+});
@@ -0,0 +1,99 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const pileVectorStore = require('../main/utils/pileVectorStore');
+
+const randomVector = (dimension: number) =>
+  Array.from({ length: dimension }, () => Math.random() * 2 - 1);
+
+describe('pileVectorStore', () => {
+  let pilePath: string;
+
+  beforeEach(() => {
+    pilePath = fs.mkdtempSync(path.join(os.tmpdir(), 'pile-vectors-'));
+    pileVectorStore.load(pilePath);
+    pileVectorStore.reset('text-embedding-004');
+  });
+
+  afterEach(() => {
+    fs.rmSync(pilePath, { recursive: true, force: true });
+  });
+
+  it('ranks entries by cosine similarity', () => {
+    pileVectorStore.upsert('a.md', [1, 0, 0]);
+    pileVectorStore.upsert('b.md', [0, 1, 0]);
+    pileVectorStore.upsert('c.md', [1, 1, 0]);
+
+    const results = pileVectorStore.search([1, 0.1, 0], 2);
+    expect(results.map((r: any) => r.id)).toEqual(['a.md', 'c.md']);
+    expect(results[0].score).toBeCloseTo(0.995, 3);
+  });
+
+  it('keeps per-vector details through removal and reload', () => {
+    pileVectorStore.upsert('a.md#0', [1, 0], { thread: 'a.md', start: 0 });
+    pileVectorStore.upsert('a.md#1', [0, 1], { thread: 'a.md', start: 90 });
+    pileVectorStore.upsert('b.md#0', [1, 1], { thread: 'b.md', start: 0 });
+    pileVectorStore.remove('a.md#0');
+    pileVectorStore.save();
+    pileVectorStore.load(pilePath);
+
+    expect(pileVectorStore.getInfo('a.md#1')).toEqual({
+      thread: 'a.md',
+      start: 90,
+    });
+    expect(pileVectorStore.getInfo('a.md#0')).toBeNull();
+    expect(
+      pileVectorStore.findIds((info: any) => info.thread === 'b.md'),
+    ).toEqual(['b.md#0']);
+  });
+
+  it('round trips vectors, model and dimension through the binary file', () => {
+    pileVectorStore.upsert('a.md', [0.5, 0.25, 1]);
+    pileVectorStore.upsert('b.md', [0, 1, 0]);
+    pileVectorStore.remove('a.md');
+    pileVectorStore.save();
+
+    expect(pileVectorStore.load(pilePath)).toBe(true);
+    expect(pileVectorStore.matchesModel('text-embedding-004')).toBe(true);
+    expect(pileVectorStore.matchesModel('gemini-embedding-001')).toBe(false);
+    expect(pileVectorStore.dimension).toBe(3);
+    expect(pileVectorStore.ids).toEqual(['b.md']);
+    expect(Array.from(pileVectorStore.getVectorById('b.md'))).toEqual([
+      0, 1, 0,
+    ]);
+  });
+
+  it('round trips an empty store', () => {
+    pileVectorStore.save();
+
+    expect(pileVectorStore.load(pilePath)).toBe(true);
+    expect(pileVectorStore.matchesModel('text-embedding-004')).toBe(true);
+    expect(pileVectorStore.dimension).toBeNull();
+    pileVectorStore.upsert('a.md', [1, 0]);
+    expect(pileVectorStore.dimension).toBe(2);
+  });
+
+  it('rejects vectors with a different dimension', () => {
+    pileVectorStore.upsert('a.md', [1, 0, 0]);
+    expect(() => pileVectorStore.upsert('b.md', [1, 0])).toThrow();
+  });
+
+  it('finds exact nearest neighbours through the ANN index', () => {
+    const dimension = 16;
+    for (let i = 0; i < 2500; i++) {
+      pileVectorStore.upsert(`${i}.md`, randomVector(dimension));
+    }
+    const target = Array.from(pileVectorStore.getVectorById('42.md'));
+
+    // Searching scans every vector until the worker trained the index
+    expect(pileVectorStore.search(target, 5)[0].id).toBe('42.md');
+    expect(pileVectorStore.ivf).toBeNull();
+    expect(pileVectorStore.needsIVF()).toBe(true);
+
+    pileVectorStore.trainIVF();
+    expect(pileVectorStore.needsIVF()).toBe(false);
+    const results = pileVectorStore.search(target, 5);
+    expect(results[0].id).toBe('42.md');
+  });
+});
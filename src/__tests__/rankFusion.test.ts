@@ -0,0 +1,29 @@
+const { reciprocalRankFusion, RRF_K } = require('../main/utils/rankFusion');
+
+describe('reciprocalRankFusion', () => {
+  it('ranks ids found by both searches above single-source hits', () => {
+    const fused = reciprocalRankFusion({
+      keyword: ['a', 'b', 'c'],
+      semantic: ['d', 'c', 'a'],
+    });
+
+    expect(fused.map((hit: any) => hit.id)).toEqual(['a', 'c', 'd', 'b']);
+    expect(fused[0].ranks).toEqual({ keyword: 1, semantic: 3 });
+  });
+
+  it('scales scores so a unanimous first place scores 1', () => {
+    const [top, second] = reciprocalRankFusion({
+      keyword: ['a', 'b'],
+      semantic: ['a'],
+    });
+
+    expect(top.score).toBeCloseTo(1);
+    expect(second.score).toBeCloseTo((RRF_K + 1) / (RRF_K + 2) / 2);
+  });
+
+  it('handles an empty ranking', () => {
+    const fused = reciprocalRankFusion({ keyword: ['a'], semantic: [] });
+    expect(fused).toHaveLength(1);
+    expect(fused[0].ranks).toEqual({ keyword: 1 });
+  });
+});
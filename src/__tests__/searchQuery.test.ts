@@ -0,0 +1,76 @@
+const { parseQuery, matchesQuery } = require('../main/utils/searchQuery');
+
+describe('parseQuery', () => {
+  it('separates operators from free text and phrases', () => {
+    const parsed = parseQuery(
+      'walk tag:Work highlight:"Do later" "rainy day" is:ai has:attachment',
+    );
+
+    expect(parsed.terms).toEqual(['walk']);
+    expect(parsed.phrases).toEqual(['rainy day']);
+    expect(parsed.text).toBe('walk rainy day');
+    expect(parsed.keywords).toBe('walk rainy day');
+    expect(parsed.filters.tags).toEqual(['work']);
+    expect(parsed.filters.highlights).toEqual(['do later']);
+    expect(parsed.filters.isAI).toBe(true);
+    expect(parsed.filters.hasAttachment).toBe(true);
+  });
+
+  it('parses dates and keeps unknown operators as words', () => {
+    const parsed = parseQuery(
+      'before:2025-01-01 after:2024-12 foo:bar is:weird',
+    );
+
+    expect(parsed.filters.before).toEqual(new Date(2025, 0, 1));
+    expect(parsed.filters.after).toEqual(new Date(2024, 11, 1));
+    expect(parsed.terms).toEqual(['foo', 'bar', 'is', 'weird']);
+  });
+
+  it('returns an empty query for blank input', () => {
+    const parsed = parseQuery('');
+    expect(parsed.keywords).toBe('');
+    expect(parsed.hasFilters).toBe(false);
+  });
+});
+
+describe('matchesQuery', () => {
+  const index = new Map<string, any>([
+    [
+      'parent.md',
+      {
+        createdAt: '2024-12-15T10:00:00.000Z',
+        tags: ['work', 'todo'],
+        highlight: 'Do later',
+        replies: ['reply.md'],
+        attachments: [],
+      },
+    ],
+    [
+      'reply.md',
+      { isAI: true, isReply: true, tags: [], attachments: ['a.png'] },
+    ],
+  ]);
+  const getText = () => 'Walking on a rainy   day';
+  const matches = (query: string) =>
+    matchesQuery('parent.md', parseQuery(query), index, getText);
+
+  it('checks tags, highlights and todo state', () => {
+    expect(matches('tag:work is:todo highlight:"do later"')).toBe(true);
+    expect(matches('tag:home')).toBe(false);
+    expect(matches('is:done')).toBe(false);
+  });
+
+  it('looks at replies for AI and attachments', () => {
+    expect(matches('is:ai has:attachment')).toBe(true);
+  });
+
+  it('filters by creation date', () => {
+    expect(matches('after:2024-12-01 before:2025-01-01')).toBe(true);
+    expect(matches('before:2024-12-01')).toBe(false);
+  });
+
+  it('requires quoted phrases to appear verbatim', () => {
+    expect(matches('"rainy day"')).toBe(true);
+    expect(matches('"day rainy"')).toBe(false);
+  });
+});
@@ -0,0 +1,100 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ObjectStoreBackend } from '../main/sync/backends/objectStore';
+import { FolderStore } from '../main/sync/backends/folder';
+import { RemotePost } from '../main/sync/backends/remote';
+
+describe('folder backend', () => {
+  let root: string;
+  let backend: ObjectStoreBackend;
+
+  const post = (id: string, updatedAt: string, etag = 'e1'): RemotePost => ({
+    id,
+    pile_id: 'pile-1',
+    title: '',
+    content_md: `<p>${id}</p>`,
+    etag,
+    created_at: '2025-01-01T10:00:00.000Z',
+    updated_at: updatedAt,
+  });
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'pile-backend-'));
+    backend = new ObjectStoreBackend(new FolderStore(root));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('reuses a pile by name', async () => {
+    expect(await backend.checkReady()).toBeNull();
+    const id = await backend.findOrCreatePile('Journal');
+    expect(await backend.findOrCreatePile('Journal')).toBe(id);
+    expect(await backend.findOrCreatePile('Work')).not.toBe(id);
+  });
+
+  it('lists changes after a cursor in pull order', async () => {
+    await backend.insertPost(post('a', '2025-01-01T10:00:00.000Z'));
+    await backend.insertPost(post('b', '2025-01-01T11:00:00.000Z'));
+    // Updating moves a post to the end
+    await backend.updatePost(post('a', '2025-01-01T12:00:00.000Z', 'e2'));
+
+    const all = await backend.listPostsSince('pile-1', null, 10);
+    expect(all.map((p) => [p.id, p.etag])).toEqual([
+      ['b', 'e1'],
+      ['a', 'e2'],
+    ]);
+
+    const rest = await backend.listPostsSince(
+      'pile-1',
+      { updatedAt: all[0].updated_at, id: all[0].id },
+      10,
+    );
+    expect(rest.map((p) => p.id)).toEqual(['a']);
+  });
+
+  it('keeps edits from elsewhere behind the guard', async () => {
+    await backend.insertPost(post('a', '2025-01-01T10:00:00.000Z', 'e2'));
+
+    expect(
+      await backend.updatePost(post('a', '2025-01-01T11:00:00.000Z', 'e3'), {
+        etag: 'e1',
+      }),
+    ).toBe(false);
+    expect(await backend.getPostVersion('pile-1', 'a')).toEqual({
+      updated_at: '2025-01-01T10:00:00.000Z',
+      etag: 'e2',
+    });
+
+    await backend.tombstonePost('pile-1', 'a');
+    const [deleted] = await backend.listPostsSince('pile-1', null, 10);
+    expect(deleted.deleted_at).toBeTruthy();
+  });
+
+  it('stores attachments per post', async () => {
+    const attachment = await backend.putAttachment(
+      {
+        id: 'att-1',
+        post_id: 'a',
+        pile_id: 'pile-1',
+        filename: 'photo.png',
+        content_hash: 'abc',
+        size: 4,
+        mime_type: 'image/png',
+      },
+      Buffer.from('data'),
+    );
+
+    expect(
+      await backend.findAttachment('pile-1', { postId: 'a', hash: 'abc' }),
+    ).toEqual(attachment);
+    expect(
+      (await backend.readAttachment(attachment.storage_path)).toString(),
+    ).toBe('data');
+
+    await backend.deleteAttachment(attachment);
+    expect(await backend.listAttachments('pile-1', ['a'])).toEqual([]);
+  });
+});
@@ -0,0 +1,172 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  pileEncryption,
+  TAMPERED_ERROR,
+  UNSEALED_ERROR,
+} from '../main/sync/encryption';
+import { syncStateManager } from '../main/sync/state';
+import { RemotePost } from '../main/sync/backends/remote';
+
+jest.mock('../main/sync/secrets', () => {
+  const secrets = new Map<string, string>();
+  return {
+    pileSecretName: (group: string, pilePath: string) => `${group}.${pilePath}`,
+    loadSecret: async (name: string) => secrets.get(name),
+    saveSecret: async (name: string, secret?: string) => {
+      if (secret) secrets.set(name, secret);
+      else secrets.delete(name);
+    },
+  };
+});
+
+describe('pile encryption', () => {
+  const dirs: string[] = [];
+
+  // A pile linked to the same remote pile, like another device
+  const linkedPile = async (): Promise<string> => {
+    const pilePath = fs.mkdtempSync(path.join(os.tmpdir(), 'pile-e2e-'));
+    dirs.push(pilePath);
+    await syncStateManager.linkPile(pilePath, 'remote-1');
+    return pilePath;
+  };
+
+  const post: RemotePost = {
+    id: 'post-1',
+    pile_id: 'remote-1',
+    title: 'Dear diary',
+    content_md: 'Something private',
+    etag: 'abc',
+    created_at: '2025-01-01T10:00:00.000Z',
+    updated_at: '2025-01-01T11:00:00.000Z',
+    meta: { isSummarized: true },
+  };
+
+  afterAll(() => {
+    dirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true }));
+  });
+
+  it('only hands ids and timestamps to the server', async () => {
+    const pilePath = await linkedPile();
+    expect(await pileEncryption.sealPost(pilePath, post)).toBe(post);
+
+    await pileEncryption.enable(pilePath, 'correct horse');
+    const sealed = await pileEncryption.sealPost(pilePath, post);
+
+    expect(JSON.stringify(sealed)).not.toMatch(/diary|private|isSummarized/);
+    expect(sealed.etag).not.toBe(post.etag);
+    expect(sealed.updated_at).toBe(post.updated_at);
+    expect(await pileEncryption.openPost(pilePath, sealed)).toMatchObject({
+      title: 'Dear diary',
+      content_md: 'Something private',
+      meta: { isSummarized: true },
+    });
+  });
+
+  it('unlocks another device with the passphrase or a recovery key', async () => {
+    const first = await linkedPile();
+    await pileEncryption.enable(first, 'correct horse');
+    const sealed = await pileEncryption.sealPost(first, post);
+
+    const second = await linkedPile();
+    expect(await pileEncryption.openPost(second, sealed)).toBeNull();
+    expect(await pileEncryption.getStatus(second)).toMatchObject({
+      enabled: true,
+      locked: true,
+    });
+    await expect(pileEncryption.unlock(second, 'wrong')).rejects.toThrow(
+      'Wrong passphrase',
+    );
+    await pileEncryption.unlock(second, 'correct horse');
+    expect((await pileEncryption.openPost(second, sealed))?.title).toBe(
+      'Dear diary',
+    );
+
+    const third = await linkedPile();
+    await pileEncryption.importRecoveryKey(
+      third,
+      await pileEncryption.exportRecoveryKey(first),
+    );
+    expect(await pileEncryption.isLocked(third)).toBe(false);
+    expect((await pileEncryption.openPost(third, sealed))?.title).toBe(
+      'Dear diary',
+    );
+  });
+
+  it("doesn't let pulled posts change the pile's key", async () => {
+    const pilePath = await linkedPile();
+    const info = await pileEncryption.enable(pilePath, 'correct horse');
+    const sealed = await pileEncryption.sealPost(pilePath, post);
+
+    await expect(pileEncryption.openPost(pilePath, post)).rejects.toThrow(
+      UNSEALED_ERROR,
+    );
+    await expect(
+      pileEncryption.openPost(pilePath, {
+        ...sealed,
+        content_md: sealed.content_md!.replace(':1:1:', ':1:x:'),
+      }),
+    ).rejects.toThrow('malformed');
+    // Sealed for another post
+    await expect(
+      pileEncryption.openPost(pilePath, { ...sealed, id: 'post-2' }),
+    ).rejects.toThrow(TAMPERED_ERROR);
+
+    const forged = {
+      ...sealed,
+      content_md: sealed.content_md!.replace(
+        `:1:${info.keyId}:`,
+        ':7:ffffffffffffffff:',
+      ),
+    };
+    expect(await pileEncryption.openPost(pilePath, forged)).toBeNull();
+    const { checkpoint } = await syncStateManager.loadState(pilePath);
+    expect(checkpoint.encryption).toEqual(info);
+    await expect(
+      pileEncryption.unlock(pilePath, 'correct horse'),
+    ).rejects.toThrow('Wrong passphrase');
+    expect(
+      (await pileEncryption.sealPost(pilePath, post)).content_md,
+    ).toContain(`:1:${info.keyId}:`);
+  });
+
+  it('keeps reading attachments sealed before a rotation', async () => {
+    const pilePath = await linkedPile();
+    await pileEncryption.enable(pilePath, 'correct horse');
+
+    const header = { filename: 'photo.png', hash: 'h1', mimeType: 'image/png' };
+    const blob = await pileEncryption.sealAttachment(
+      pilePath,
+      'post-1',
+      header,
+      Buffer.from('pixels'),
+    );
+    const oldNames = await pileEncryption.attachmentNames(
+      pilePath,
+      'post-1',
+      'h1',
+      'photo.png',
+    );
+    expect(oldNames.filename).not.toMatch(/photo/);
+
+    await pileEncryption.rotateKey(pilePath, 'battery staple');
+    expect((await pileEncryption.getStatus(pilePath)).version).toBe(2);
+
+    const opened = await pileEncryption.openAttachment(
+      pilePath,
+      'post-1',
+      blob!,
+    );
+    expect(opened?.header).toEqual(header);
+    expect(opened?.data.toString()).toBe('pixels');
+    expect(
+      await pileEncryption.supersededAttachmentNames(
+        pilePath,
+        'post-1',
+        'h1',
+        'photo.png',
+      ),
+    ).toEqual([{ hash: 'h1', filename: 'photo.png' }, oldNames]);
+  });
+});
@@ -0,0 +1,82 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import matter from 'gray-matter';
+import { postIdentity } from '../main/sync/identity';
+
+const ID = '0b6a8f4e-8c1d-4a57-9b2e-5f3c7d9e1a20';
+
+describe('postIdentity', () => {
+  let pilePath: string;
+
+  const writePost = (relativePath: string, data: Record<string, any>) => {
+    const filePath = path.join(pilePath, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, matter.stringify('<p>Post</p>', data));
+    return filePath;
+  };
+
+  beforeEach(() => {
+    pilePath = fs.mkdtempSync(path.join(os.tmpdir(), 'pile-identity-'));
+    writePost(path.join('2025', 'Jan', '250101-100000000.md'), { id: ID });
+    writePost(path.join('2025', 'Jan', '250102-100000000.md'), {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(pilePath, { recursive: true, force: true });
+  });
+
+  it('finds a post after it moved', async () => {
+    const original = path.join(pilePath, '2025', 'Jan', '250101-100000000.md');
+    expect(await postIdentity.getPath(pilePath, ID)).toBe(original);
+
+    const moved = path.join(pilePath, 'Archive', 'post.md');
+    fs.mkdirSync(path.dirname(moved), { recursive: true });
+    fs.renameSync(original, moved);
+
+    expect(await postIdentity.getPath(pilePath, ID)).toBe(moved);
+    // The map follows the post to its new path
+    expect(await postIdentity.getId(pilePath, original)).toBeNull();
+    expect(await postIdentity.getId(pilePath, moved)).toBe(ID);
+  });
+
+  it('scans for missing posts once per run', async () => {
+    await postIdentity.rebuild(pilePath);
+    const listPosts = jest.spyOn(postIdentity, 'listPosts');
+    // listPosts recurses into every folder
+    const scans = () =>
+      listPosts.mock.calls.filter(([dir]) => dir === pilePath).length;
+    const missing = '4f1d2c3b-5a6e-4b7c-8d9e-0f1a2b3c4d5e';
+
+    await postIdentity.withinRun(pilePath, async () => {
+      expect(await postIdentity.getPath(pilePath, missing)).toBeNull();
+      expect(await postIdentity.getPath(pilePath, missing)).toBeNull();
+      expect(await postIdentity.getPath(pilePath, ID)).toBeTruthy();
+    });
+    expect(scans()).toBe(1);
+
+    // Outside of a run every miss looks again
+    await postIdentity.getPath(pilePath, missing);
+    expect(scans()).toBe(2);
+    listPosts.mockRestore();
+  });
+
+  it('maps filename ids to the post UUID', async () => {
+    await postIdentity.rebuild(pilePath);
+    expect(await postIdentity.canonicalId(pilePath, '250101-100000000')).toBe(
+      ID,
+    );
+    expect(await postIdentity.canonicalId(pilePath, '250102-100000000')).toBe(
+      '250102-100000000',
+    );
+  });
+
+  it('places new posts in the app layout', async () => {
+    const createdAt = new Date(2025, 0, 1, 10, 0, 0, 0).toISOString();
+    const otherId = '4f1d2c3b-5a6e-4b7c-8d9e-0f1a2b3c4d5e';
+
+    expect(await postIdentity.resolvePath(pilePath, otherId, createdAt)).toBe(
+      path.join(pilePath, '2025', 'Jan', '250101-100000001.md'),
+    );
+  });
+});
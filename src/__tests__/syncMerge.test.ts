@@ -0,0 +1,108 @@
+import matter from 'gray-matter';
+import { threeWayMerge, applyResolutions } from '../main/sync/merge';
+
+const file = (data: Record<string, any>, lines: string[]) =>
+  matter.stringify(lines.join('\n'), data);
+
+const BODY = ['<p>One</p>', '<p>Two</p>', '<p>Three</p>', '<p>Four</p>'];
+
+describe('threeWayMerge', () => {
+  const base = file({ title: 'Post', tags: ['a'], etag: 'e1' }, BODY);
+
+  it('merges edits to different lines and fields', () => {
+    const local = file({ title: 'Post', tags: ['a', 'b'], etag: 'e1' }, [
+      '<p>One!</p>',
+      ...BODY.slice(1),
+    ]);
+    const remote = file({ title: 'Renamed', tags: ['a', 'c'], etag: 'e2' }, [
+      ...BODY.slice(0, 3),
+      '<p>Four!</p>',
+    ]);
+
+    const result = threeWayMerge(base, local, remote);
+    const { data, content } = matter(result.merged!);
+
+    expect(result.clean).toBe(true);
+    expect(data).toEqual({
+      title: 'Renamed',
+      tags: ['a', 'b', 'c'],
+      etag: 'e2',
+    });
+    expect(content.trim().split('\n')).toEqual([
+      '<p>One!</p>',
+      '<p>Two</p>',
+      '<p>Three</p>',
+      '<p>Four!</p>',
+    ]);
+  });
+
+  it('keeps fields the remote does not carry', () => {
+    const local = file({ title: 'Post', tags: ['a'], replies: ['r.md'] }, BODY);
+    const remote = file({ title: 'Post', etag: 'e2' }, BODY);
+
+    const { data } = matter(threeWayMerge(base, local, remote).merged!);
+    expect(data).toEqual({
+      title: 'Post',
+      tags: ['a'],
+      replies: ['r.md'],
+      etag: 'e2',
+    });
+  });
+
+  it('keeps a field removed on one side removed', () => {
+    const local = file({ tags: ['a'], etag: 'e1' }, BODY);
+    const remote = file({ title: 'Post', tags: ['a'], etag: 'e2' }, BODY);
+
+    const result = threeWayMerge(base, local, remote);
+    expect(result.clean).toBe(true);
+    expect(matter(result.merged!).data).toEqual({ tags: ['a'], etag: 'e2' });
+  });
+
+  it('only turns overlapping edits into hunks', () => {
+    const local = file({ title: 'Mine', tags: ['a'], etag: 'e1' }, [
+      '<p>Uno</p>',
+      ...BODY.slice(1, 3),
+      '<p>Four, local</p>',
+    ]);
+    const remote = file({ title: 'Theirs', tags: ['a'], etag: 'e2' }, [
+      ...BODY.slice(0, 3),
+      '<p>Four, remote</p>',
+    ]);
+
+    const result = threeWayMerge(base, local, remote);
+
+    expect(result.clean).toBe(false);
+    expect(result.hunks).toEqual([
+      {
+        id: 0,
+        kind: 'field',
+        field: 'title',
+        base: '"Post"',
+        local: '"Mine"',
+        remote: '"Theirs"',
+      },
+      {
+        id: 1,
+        kind: 'body',
+        base: '<p>Four</p>',
+        local: '<p>Four, local</p>',
+        remote: '<p>Four, remote</p>',
+      },
+    ]);
+
+    const resolved = matter(
+      applyResolutions(result, [
+        { choice: 'remote' },
+        { choice: 'edit', content: '<p>Four, both</p>' },
+      ]),
+    );
+    expect(resolved.data.title).toBe('Theirs');
+    expect(resolved.content.trim().split('\n')).toEqual([
+      '<p>Uno</p>',
+      '<p>Two</p>',
+      '<p>Three</p>',
+      '<p>Four, both</p>',
+    ]);
+    expect(() => applyResolutions(result, [{ choice: 'local' }])).toThrow();
+  });
+});
@@ -0,0 +1,110 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ObjectStoreBackend } from '../main/sync/backends/objectStore';
+import { FolderStore } from '../main/sync/backends/folder';
+import { syncStateManager } from '../main/sync/state';
+import { pullPile } from '../main/sync/pull';
+import { planSync, awaitsApproval } from '../main/sync/plan';
+
+let backend: ObjectStoreBackend;
+
+jest.mock('../main/sync/backends', () => ({
+  ...jest.requireActual('../main/sync/backends/remote'),
+  getBackend: async () => backend,
+}));
+jest.mock('../main/sync/progress', () => ({
+  emitSyncProgress: () => {},
+}));
+jest.mock('../main/sync/secrets', () => ({
+  pileSecretName: (...parts: string[]) => parts.join('.'),
+  loadSecret: async () => undefined,
+  saveSecret: async () => {},
+}));
+
+const postId = (i: number) =>
+  `00000000-0000-4000-8000-${String(i).padStart(12, '0')}`;
+
+describe('sync plan', () => {
+  let remoteDir: string;
+  let pilePath: string;
+
+  beforeEach(async () => {
+    remoteDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pile-remote-'));
+    pilePath = fs.mkdtempSync(path.join(os.tmpdir(), 'pile-plan-'));
+    backend = new ObjectStoreBackend(new FolderStore(remoteDir));
+
+    for (let i = 0; i < 12; i++) {
+      const time = new Date(Date.UTC(2025, 0, 1, 0, i)).toISOString();
+      await backend.insertPost({
+        id: postId(i),
+        pile_id: 'remote-1',
+        title: `Post ${i}`,
+        content_md: `<p>Post ${i}</p>`,
+        created_at: time,
+        updated_at: time,
+      });
+    }
+    await syncStateManager.linkPile(pilePath, 'remote-1');
+  });
+
+  afterEach(() => {
+    syncStateManager.clearCache(pilePath);
+    fs.rmSync(remoteDir, { recursive: true, force: true });
+    fs.rmSync(pilePath, { recursive: true, force: true });
+  });
+
+  it('asks before the first sync without touching the pile', async () => {
+    const localPost = path.join(pilePath, '2025', 'Feb', '250201-100000000.md');
+    fs.mkdirSync(path.dirname(localPost), { recursive: true });
+    fs.writeFileSync(localPost, '---\ntitle: "Mine"\n---\n\nOnly here');
+
+    const plan = await planSync(pilePath);
+
+    expect(plan).toMatchObject({
+      firstSync: true,
+      needsApproval: true,
+      destructiveCount: 0,
+    });
+    expect(plan.downloads).toHaveLength(12);
+    expect(plan.downloads.every((post) => post.change === 'create')).toBe(true);
+    expect(plan.uploads).toEqual([
+      {
+        postId: '250201-100000000',
+        path: path.join('2025', 'Feb', '250201-100000000.md'),
+      },
+    ]);
+    expect(fs.readdirSync(path.join(pilePath, '2025'))).toEqual(['Feb']);
+    expect(fs.existsSync(path.join(pilePath, '.pile', 'identity.json'))).toBe(
+      false,
+    );
+  });
+
+  it('asks when a sync deletes more posts than the threshold', async () => {
+    await syncStateManager.updateCheckpoint(pilePath, {
+      planApprovedAt: new Date().toISOString(),
+    });
+    expect(await pullPile(pilePath)).toMatchObject({
+      success: true,
+      pulledCount: 12,
+    });
+    expect(
+      awaitsApproval((await syncStateManager.loadState(pilePath)).checkpoint),
+    ).toBe(false);
+
+    await backend.tombstonePost('remote-1', postId(0));
+    let plan = await planSync(pilePath);
+    expect(plan).toMatchObject({
+      firstSync: false,
+      needsApproval: false,
+      uploads: [],
+    });
+    expect(plan.deletions.local).toHaveLength(1);
+
+    for (let i = 1; i < 12; i++)
+      await backend.tombstonePost('remote-1', postId(i));
+    plan = await planSync(pilePath);
+    expect(plan.deletions.local).toHaveLength(12);
+    expect(plan.needsApproval).toBe(true);
+  });
+});
@@ -0,0 +1,167 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ObjectStoreBackend } from '../main/sync/backends/objectStore';
+import { FolderStore } from '../main/sync/backends/folder';
+import { syncStateManager } from '../main/sync/state';
+import { pullPile } from '../main/sync/pull';
+import { pileEncryption, TAMPERED_ERROR } from '../main/sync/encryption';
+import { SyncProgress } from '../main/sync/progress';
+
+let backend: ObjectStoreBackend;
+const events: SyncProgress[] = [];
+
+jest.mock('../main/sync/backends', () => ({
+  ...jest.requireActual('../main/sync/backends/remote'),
+  getBackend: async () => backend,
+}));
+jest.mock('../main/sync/progress', () => ({
+  emitSyncProgress: (progress: SyncProgress) => events.push(progress),
+}));
+jest.mock('../main/sync/secrets', () => ({
+  pileSecretName: (...parts: string[]) => parts.join('.'),
+  loadSecret: async () => undefined,
+  saveSecret: async () => {},
+}));
+
+describe('pull', () => {
+  let remoteDir: string;
+  let pilePath: string;
+
+  beforeEach(async () => {
+    remoteDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pile-remote-'));
+    pilePath = fs.mkdtempSync(path.join(os.tmpdir(), 'pile-pull-'));
+    backend = new ObjectStoreBackend(new FolderStore(remoteDir));
+    events.length = 0;
+
+    for (let i = 0; i < 150; i++) {
+      const time = new Date(Date.UTC(2025, 0, 1, 0, i)).toISOString();
+      await backend.insertPost({
+        id: `00000000-0000-4000-8000-${String(i).padStart(12, '0')}`,
+        pile_id: 'remote-1',
+        title: '',
+        content_md: `<p>Post ${i}</p>`,
+        created_at: time,
+        updated_at: time,
+      });
+    }
+    await syncStateManager.linkPile(pilePath, 'remote-1');
+  });
+
+  afterEach(() => {
+    syncStateManager.clearCache(pilePath);
+    fs.rmSync(remoteDir, { recursive: true, force: true });
+    fs.rmSync(pilePath, { recursive: true, force: true });
+  });
+
+  it('pulls every page and reports progress', async () => {
+    const result = await pullPile(pilePath);
+
+    expect(result).toMatchObject({ success: true, pulledCount: 150 });
+    expect(events[events.length - 1]).toMatchObject({
+      phase: 'done',
+      pages: 2,
+      pulledCount: 150,
+    });
+    const { checkpoint } = await syncStateManager.loadState(pilePath);
+    expect(checkpoint.lastPulledId).toBe(
+      '00000000-0000-4000-8000-000000000149',
+    );
+  });
+
+  it('resumes after the last committed page', async () => {
+    const listPostsSince = backend.listPostsSince.bind(backend);
+    jest
+      .spyOn(backend, 'listPostsSince')
+      .mockImplementationOnce(listPostsSince)
+      .mockRejectedValueOnce(new Error('offline'));
+
+    expect(await pullPile(pilePath)).toMatchObject({
+      success: false,
+      pulledCount: 100,
+    });
+    const { checkpoint } = await syncStateManager.loadState(pilePath);
+    expect(checkpoint.lastPulledId).toBe(
+      '00000000-0000-4000-8000-000000000099',
+    );
+
+    expect(await pullPile(pilePath)).toMatchObject({
+      success: true,
+      pulledCount: 50,
+    });
+  });
+
+  it('pulls a change that arrives behind the checkpoint', async () => {
+    await pullPile(pilePath);
+
+    // Written earlier by a device with a slow clock, delivered late
+    const time = new Date(Date.UTC(2025, 0, 1, 2, 0, 30)).toISOString();
+    await backend.insertPost({
+      id: '00000000-0000-4000-8000-100000000000',
+      pile_id: 'remote-1',
+      title: '',
+      content_md: '<p>Late</p>',
+      created_at: time,
+      updated_at: time,
+    });
+
+    expect(await pullPile(pilePath)).toMatchObject({
+      success: true,
+      pulledCount: 1,
+    });
+    const { checkpoint } = await syncStateManager.loadState(pilePath);
+    expect(checkpoint.lastPulledId).toBe(
+      '00000000-0000-4000-8000-000000000149',
+    );
+  });
+
+  it('stops at a post that fails and pulls it next time', async () => {
+    const openPost = pileEncryption.openPost.bind(pileEncryption);
+    const open = jest
+      .spyOn(pileEncryption, 'openPost')
+      .mockImplementation(async (...args) => {
+        if (args[1].id === '00000000-0000-4000-8000-000000000050') {
+          throw new Error('disk full');
+        }
+        return openPost(...args);
+      });
+
+    expect(await pullPile(pilePath)).toMatchObject({
+      success: false,
+      pulledCount: 50,
+    });
+    const { checkpoint } = await syncStateManager.loadState(pilePath);
+    expect(checkpoint.lastPulledId).toBe(
+      '00000000-0000-4000-8000-000000000049',
+    );
+
+    open.mockRestore();
+    expect(await pullPile(pilePath)).toMatchObject({
+      success: true,
+      pulledCount: 100,
+    });
+  });
+
+  it('reports a post that fails its integrity check', async () => {
+    const tamperedId = '00000000-0000-4000-8000-000000000120';
+    const openPost = pileEncryption.openPost.bind(pileEncryption);
+    const open = jest
+      .spyOn(pileEncryption, 'openPost')
+      .mockImplementation(async (...args) => {
+        if (args[1].id === tamperedId) throw new Error(TAMPERED_ERROR);
+        return openPost(...args);
+      });
+
+    expect(await pullPile(pilePath)).toMatchObject({
+      success: false,
+      error: TAMPERED_ERROR,
+    });
+    let { checkpoint } = await syncStateManager.loadState(pilePath);
+    expect(checkpoint.tamperedPostId).toBe(tamperedId);
+
+    open.mockRestore();
+    expect(await pullPile(pilePath)).toMatchObject({ success: true });
+    ({ checkpoint } = await syncStateManager.loadState(pilePath));
+    expect(checkpoint.tamperedPostId).toBeUndefined();
+  });
+});
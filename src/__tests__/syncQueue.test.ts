@@ -0,0 +1,90 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { syncQueue } from '../main/sync/queue';
+
+describe('sync queue', () => {
+  let pilePath: string;
+
+  beforeEach(() => {
+    pilePath = fs.mkdtempSync(path.join(os.tmpdir(), 'pile-queue-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(pilePath, { recursive: true, force: true });
+  });
+
+  it('keeps only the latest operation of a post or attachment', async () => {
+    for (let i = 0; i < 50; i++) {
+      await syncQueue.enqueue({
+        type: 'upsertPost',
+        pilePath,
+        postId: 'post-1',
+      });
+    }
+    const attachment = { hash: 'h1', filename: 'photo.png' };
+    await syncQueue.enqueue({
+      type: 'upsertAttachment',
+      pilePath,
+      postId: 'post-1',
+      data: attachment,
+    });
+    await syncQueue.enqueue({
+      type: 'deleteAttachment',
+      pilePath,
+      postId: 'post-1',
+      data: attachment,
+    });
+    await syncQueue.enqueue({
+      type: 'tombstonePost',
+      pilePath,
+      postId: 'post-2',
+    });
+
+    const operations = await syncQueue.take(100, pilePath);
+    expect(operations.map((op) => `${op.type}:${op.postId}`)).toEqual([
+      'upsertPost:post-1',
+      'deleteAttachment:post-1',
+      'tombstonePost:post-2',
+    ]);
+
+    const saved = JSON.parse(
+      fs.readFileSync(path.join(pilePath, '.pile', 'queue.json'), 'utf8'),
+    );
+    expect(saved).toHaveLength(3);
+    expect(fs.existsSync(path.join(pilePath, '.pile', 'queue.json.tmp'))).toBe(
+      false,
+    );
+  });
+
+  it('retries and drops single operations', async () => {
+    await syncQueue.enqueue({ type: 'upsertPost', pilePath, postId: 'post-1' });
+    await syncQueue.enqueue({ type: 'upsertPost', pilePath, postId: 'post-2' });
+    const [first, second] = await syncQueue.take(100, pilePath);
+
+    for (let i = 0; i < 5; i++)
+      await syncQueue.nack(first.id, 'Server said no');
+    expect(await syncQueue.listForPile(pilePath)).toMatchObject([
+      { id: first.id, status: 'failed', lastError: 'Server said no' },
+      { id: second.id, status: 'pending' },
+    ]);
+    expect(await syncQueue.getPendingCountForPile(pilePath)).toBe(1);
+
+    expect(await syncQueue.retry(pilePath, first.id)).toBe(true);
+    expect((await syncQueue.take(100, pilePath)).map((op) => op.id)).toContain(
+      first.id,
+    );
+
+    expect(await syncQueue.drop(pilePath, second.id)).toBe(true);
+    expect(await syncQueue.getQueueLengthForPile(pilePath)).toBe(1);
+  });
+
+  it('keeps restoring a post edited after it left the trash', async () => {
+    await syncQueue.enqueue({ type: 'tombstonePost', pilePath, postId: 'post-1' });
+    await syncQueue.enqueue({ type: 'restorePost', pilePath, postId: 'post-1' });
+    await syncQueue.enqueue({ type: 'upsertPost', pilePath, postId: 'post-1' });
+
+    const operations = await syncQueue.take(100, pilePath);
+    expect(operations.map((op) => op.type)).toEqual(['restorePost']);
+  });
+});
@@ -0,0 +1,184 @@
+let online = true;
+let autoSync = true;
+const states = new Map<string, any>();
+
+jest.mock('electron', () => ({ net: { isOnline: () => online } }), {
+  virtual: true,
+});
+jest.mock(
+  'electron-settings',
+  () => ({ get: async () => autoSync, getSync: () => autoSync }),
+  { virtual: true },
+);
+jest.mock('../main/sync/state', () => ({
+  syncStateManager: {
+    loadState: async (pilePath: string) => states.get(pilePath),
+    getLinkedPiles: async () =>
+      Array.from(states.values()).filter((state) => state.linked),
+    updateCheckpoint: async (pilePath: string, checkpoint: any) => {
+      const state = states.get(pilePath);
+      state.checkpoint = { ...state.checkpoint, ...checkpoint };
+    },
+  },
+}));
+jest.mock('../main/sync/fileWatcher', () => ({
+  fileWatcher: {
+    startWatching: jest.fn(async () => {}),
+    getWatchedPiles: () => [],
+  },
+}));
+jest.mock('../main/sync/pull', () => ({ pullPile: jest.fn() }));
+jest.mock('../main/sync/push', () => ({
+  pushPile: jest.fn(async () => ({ success: true, failedCount: 0 })),
+  primeQueueForPile: jest.fn(async () => {}),
+}));
+jest.mock('../main/sync/plan', () => ({
+  PLAN_APPROVAL_THRESHOLD: 10,
+  awaitsApproval: (checkpoint: any) =>
+    (!checkpoint.lastPulledAt && !checkpoint.lastPushedAt) ||
+    Boolean(checkpoint.planHeldAt),
+  planSync: jest.fn(async () => ({ destructiveCount: 0 })),
+}));
+jest.mock('../main/sync/queue', () => ({
+  syncQueue: { getPendingCountForPile: jest.fn(async () => 1) },
+}));
+
+import { syncScheduler } from '../main/sync/scheduler';
+import { pullPile } from '../main/sync/pull';
+import { pushPile } from '../main/sync/push';
+import { syncQueue } from '../main/sync/queue';
+import { planSync } from '../main/sync/plan';
+
+const pull = pullPile as jest.Mock;
+const push = pushPile as jest.Mock;
+const plan = planSync as jest.Mock;
+
+// Lets the promise chains of a run settle
+const settle = async () => {
+  for (let i = 0; i < 20; i++) await Promise.resolve();
+};
+
+const linked = (pilePath: string, checkpoint: any = {}) =>
+  states.set(pilePath, {
+    pilePath,
+    linked: true,
+    remotePileId: 'remote-1',
+    checkpoint: { lastPulledAt: '2025-01-01T00:00:00.000Z', ...checkpoint },
+  });
+
+describe('syncScheduler', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    online = true;
+    autoSync = true;
+    states.clear();
+    pull.mockReset().mockResolvedValue({ success: true });
+    push.mockClear();
+    plan.mockClear();
+    (syncQueue.getPendingCountForPile as jest.Mock).mockResolvedValue(1);
+  });
+
+  afterEach(() => {
+    syncScheduler.stop();
+    jest.useRealTimers();
+  });
+
+  it('runs a pile once at a time and once more for requests meanwhile', async () => {
+    linked('/pile');
+    let finish: (value: any) => void = () => {};
+    pull.mockImplementationOnce(
+      () => new Promise((resolve) => (finish = resolve)),
+    );
+
+    syncScheduler.requestSync('/pile', 'manual');
+    await settle();
+    syncScheduler.requestSync('/pile', 'change');
+    syncScheduler.requestSync('/pile', 'interval');
+    expect(pull).toHaveBeenCalledTimes(1);
+
+    finish({ success: true });
+    await settle();
+    expect(pull).toHaveBeenCalledTimes(2);
+  });
+
+  it('backs off after a failure and retries on the timer', async () => {
+    linked('/pile');
+    pull.mockResolvedValueOnce({ success: false, error: 'offline' });
+
+    syncScheduler.requestSync('/pile', 'manual');
+    await settle();
+    expect(syncScheduler.getRetry('/pile')).toMatchObject({ failures: 1 });
+
+    syncScheduler.requestSync('/pile', 'interval');
+    await settle();
+    expect(pull).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(30 * 1000);
+    await settle();
+    expect(pull).toHaveBeenCalledTimes(2);
+    expect(syncScheduler.getRetry('/pile')).toBeNull();
+  });
+
+  it('skips unlinked piles and piles waiting for their first plan', async () => {
+    states.set('/unlinked', { pilePath: '/unlinked', linked: false });
+    linked('/first', { lastPulledAt: null });
+
+    syncScheduler.requestSync('/unlinked', 'manual');
+    syncScheduler.requestSync('/first', 'manual');
+    await settle();
+    expect(pull).not.toHaveBeenCalled();
+  });
+
+  it('only pushes piles with queued operations', async () => {
+    linked('/pile');
+    (syncQueue.getPendingCountForPile as jest.Mock).mockResolvedValue(0);
+
+    syncScheduler.requestSync('/pile', 'interval');
+    await settle();
+    expect(pull).toHaveBeenCalledTimes(1);
+    expect(push).not.toHaveBeenCalled();
+  });
+
+  it('only plans pushes big enough to need approval', async () => {
+    linked('/pile');
+
+    syncScheduler.requestSync('/pile', 'interval');
+    await settle();
+    expect(plan).not.toHaveBeenCalled();
+    expect(push).toHaveBeenCalledTimes(1);
+  });
+
+  it('holds a background sync that would delete too much until approved', async () => {
+    linked('/pile');
+    (syncQueue.getPendingCountForPile as jest.Mock).mockResolvedValue(11);
+    plan.mockResolvedValueOnce({ destructiveCount: 11 });
+
+    syncScheduler.requestSync('/pile', 'interval');
+    await settle();
+    expect(pull).not.toHaveBeenCalled();
+    expect(states.get('/pile').checkpoint.planHeldAt).toBeTruthy();
+
+    syncScheduler.requestSync('/pile', 'interval');
+    await settle();
+    expect(plan).toHaveBeenCalledTimes(1);
+
+    states.get('/pile').checkpoint.planHeldAt = undefined;
+    syncScheduler.requestSync('/pile', 'approved');
+    await settle();
+    expect(plan).toHaveBeenCalledTimes(1);
+    expect(pull).toHaveBeenCalledTimes(1);
+  });
+
+  it('syncs when the network comes back', async () => {
+    online = false;
+    await syncScheduler.start();
+    await settle();
+    linked('/pile');
+    pull.mockClear();
+
+    online = true;
+    jest.advanceTimersByTime(30 * 1000);
+    await settle();
+    expect(pull).toHaveBeenCalledWith('/pile');
+  });
+});
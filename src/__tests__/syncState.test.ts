@@ -0,0 +1,41 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { syncStateManager } from '../main/sync/state';
+
+describe('linked piles', () => {
+  let root: string;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'pile-state-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('finds the linked piles listed in piles.json', async () => {
+    const linked = path.join(root, 'Journal');
+    const local = path.join(root, 'Work');
+    fs.mkdirSync(linked);
+    fs.mkdirSync(local);
+    await syncStateManager.linkPile(linked, 'remote-1');
+
+    const config = path.join(root, 'piles.json');
+    fs.writeFileSync(
+      config,
+      JSON.stringify([
+        { name: 'Journal', path: linked },
+        { name: 'Work', path: local },
+      ]),
+    );
+
+    const piles = await syncStateManager.getLinkedPiles(config);
+    expect(piles.map((pile) => [pile.pilePath, pile.remotePileId])).toEqual([
+      [linked, 'remote-1'],
+    ]);
+    expect(
+      await syncStateManager.getLinkedPiles(path.join(root, 'missing.json')),
+    ).toEqual([]);
+  });
+});
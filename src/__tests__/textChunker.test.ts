@@ -0,0 +1,30 @@
+const { entryPlainText, chunkText } = require('../main/utils/textChunker');
+
+describe('textChunker', () => {
+  it('turns entry html into plain text with paragraph breaks', () => {
+    expect(entryPlainText('<p>First <em>one</em></p><p>Second</p>')).toBe(
+      'First one\nSecond',
+    );
+  });
+
+  it('keeps short text in a single passage', () => {
+    expect(chunkText('A short entry.')).toEqual([{ start: 0, end: 14 }]);
+  });
+
+  it('splits long text into overlapping passages on sentence ends', () => {
+    const sentence = 'The quick brown fox jumps over the lazy dog. ';
+    const text = sentence.repeat(60).trim();
+    const chunks = chunkText(text, { size: 300, overlap: 60 });
+
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(chunks[0].start).toBe(0);
+    expect(chunks[chunks.length - 1].end).toBe(text.length);
+    chunks.forEach((chunk: any, i: number) => {
+      expect(chunk.end - chunk.start).toBeLessThanOrEqual(300);
+      if (chunk.end < text.length) {
+        expect(text.slice(chunk.start, chunk.end)).toMatch(/\.\s$/);
+      }
+      if (i > 0) expect(chunk.start).toBeLessThan(chunks[i - 1].end);
+    });
+  });
+});
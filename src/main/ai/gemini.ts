@@ -1,8 +1,9 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import { GoogleGenerativeAI, TaskType } from '@google/generative-ai';
 import fs from 'fs';
 import path from 'path';
 import { safeParseJson } from '../utils/jsonParser';
 import { getKey } from '../utils/store';
+import { embedWithGemini, isRateLimitError } from '../utils/embeddingClient';
 
 // Initialize the Gemini client - will be re-initialized with proper key when needed
 let genAI: GoogleGenerativeAI | null = null;
@@ -247,6 +248,30 @@ Return only valid JSON that strictly matches the schema above. No additional tex
   }
 }
 
+export const DEFAULT_EMBEDDING_MODEL = 'text-embedding-004';
+
+/**
+ * Generate embeddings for a batch of texts using the Gemini embedding API
+ * @param texts - The texts to embed, one vector is returned per text
+ * @param embeddingModel - The Gemini embedding model to use (optional)
+ * @param taskType - RETRIEVAL_DOCUMENT for stored entries, RETRIEVAL_QUERY for search queries
+ * @returns Promise that resolves to an array of vectors in the same order as texts
+ */
+export async function embed(
+  texts: string[],
+  embeddingModel: string = DEFAULT_EMBEDDING_MODEL,
+  taskType: TaskType = TaskType.RETRIEVAL_DOCUMENT,
+): Promise<number[][]> {
+  if (texts.length === 0) return [];
+  const apiKey = (await getKey()) || process.env.GEMINI_API_KEY;
+  return embedWithGemini(texts, apiKey, embeddingModel, taskType);
+}
+
+/**
+ * Whether an error returned by the Gemini API is a rate limit / quota error
+ */
+export { isRateLimitError };
+
 /**
  * Test if the Gemini API key is valid by making a minimal API call
  * @param apiKey - The API key to test (optional, will use stored key if not provided)
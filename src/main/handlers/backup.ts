@@ -0,0 +1,105 @@
+import { ipcMain, dialog } from 'electron';
+import fs from 'fs';
+import path from 'path';
+import pileBackup from '../utils/pileBackup';
+import pileIndex from '../utils/pileIndex';
+import pileTags from '../utils/pileTags';
+import pileHighlights from '../utils/pileHighlights';
+import { backupScheduler } from '../utils/backupScheduler';
+import { fileWatcher } from '../sync/fileWatcher';
+
+ipcMain.handle('backup-get-settings', async () => {
+  const config = await backupScheduler.getSettings();
+  return config;
+});
+
+ipcMain.handle('backup-set-settings', async (event, changes) => {
+  const config = await backupScheduler.setSettings(changes);
+  return config;
+});
+
+ipcMain.handle('backup-choose-directory', async () => {
+  const selected = await dialog.showOpenDialog({
+    title: 'Choose where to keep backups',
+    properties: ['openDirectory', 'createDirectory'],
+  });
+  if (selected.canceled || !selected.filePaths[0]) return null;
+  return backupScheduler.setSettings({ directory: selected.filePaths[0] });
+});
+
+ipcMain.handle('backup-run', async (event, pilePath) => {
+  try {
+    const entry = await backupScheduler.backupPile(pilePath);
+    return { ok: true, entry };
+  } catch (error) {
+    return { ok: false, error: (error as Error).message };
+  }
+});
+
+ipcMain.handle('backup-list', async (event, pilePath) => {
+  const { directory } = await backupScheduler.getSettings();
+  if (!directory) return [];
+  return pileBackup.list(pilePath, directory);
+});
+
+ipcMain.handle('backup-verify', async (event, pilePath, file) => {
+  const { directory } = await backupScheduler.getSettings();
+  return pileBackup.verify(pilePath, directory, file);
+});
+
+ipcMain.handle('backup-posts', async (event, pilePath, file) => {
+  try {
+    const { directory } = await backupScheduler.getSettings();
+    const posts = await pileBackup.listPosts(pilePath, directory, file);
+    return { ok: true, posts };
+  } catch (error) {
+    return { ok: false, error: (error as Error).message };
+  }
+});
+
+// Restores the picked posts, or the whole pile without `posts`, and
+// re-indexes what came back. Restored posts are synced as restores so ones
+// deleted on other devices come back there too, the posts a whole restore
+// moved to the trash are deleted there.
+ipcMain.handle('backup-restore', async (event, pilePath, file, posts) => {
+  try {
+    const { directory } = await backupScheduler.getSettings();
+    const result = await pileBackup.restore(pilePath, directory, file, {
+      posts: posts?.length ? posts : null,
+    });
+
+    if (posts?.length) {
+      if (pileIndex.pilePath !== pilePath) await pileIndex.load(pilePath);
+      pileIndex.addMany(result.restored);
+      if (pileTags.pilePath !== pilePath) pileTags.load(pilePath);
+      pileTags.syncMany(
+        result.restored.map((postPath: string) =>
+          path.join(pilePath, postPath),
+        ),
+      );
+    } else {
+      // The index is rebuilt from the restored posts, the tags and
+      // highlights came back with them
+      await fs.promises.rm(path.join(pilePath, pileIndex.fileName), {
+        force: true,
+      });
+      await pileIndex.load(pilePath);
+      pileTags.load(pilePath);
+      pileHighlights.load(pilePath);
+    }
+
+    await fileWatcher.enqueuePostChanges(
+      pilePath,
+      result.restored,
+      'restorePost',
+    );
+    await fileWatcher.enqueuePostRemovals(pilePath, result.removed);
+    return {
+      ok: true,
+      restored: result.restored.length,
+      removed: result.removed.length,
+    };
+  } catch (error) {
+    return { ok: false, error: (error as Error).message };
+  }
+});
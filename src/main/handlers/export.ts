@@ -0,0 +1,127 @@
+import { ipcMain, dialog, app, BrowserWindow } from 'electron';
+import fs from 'fs';
+import path from 'path';
+import pileSiteExport from '../utils/pileSiteExport';
+import pileJournalExport from '../utils/pileJournalExport';
+import pileDataExport from '../utils/pileDataExport';
+
+// The site goes into a folder of its own in the picked directory. A folder
+// from an earlier export (it has a site.json) is replaced, anything else
+// is left alone.
+ipcMain.handle('export-site', async (event, pilePath) => {
+  const selected = await dialog.showOpenDialog({
+    title: 'Export as website',
+    properties: ['openDirectory', 'createDirectory'],
+  });
+  if (selected.canceled || !selected.filePaths[0]) return { ok: false };
+
+  const outputDir = path.join(
+    selected.filePaths[0],
+    `${path.basename(pilePath)} website`,
+  );
+  try {
+    if (fs.existsSync(outputDir)) {
+      if (!fs.existsSync(path.join(outputDir, 'site.json'))) {
+        throw new Error(`${outputDir} already exists`);
+      }
+      await fs.promises.rm(outputDir, { recursive: true, force: true });
+    }
+    const summary = await pileSiteExport.export(pilePath, outputDir);
+    return { ok: true, outputDir, ...summary };
+  } catch (error) {
+    return { ok: false, error: (error as Error).message };
+  }
+});
+
+// Print the journal from a hidden window, with page numbers at the bottom
+async function printToPdf(html: string): Promise<Buffer> {
+  const htmlPath = path.join(
+    app.getPath('temp'),
+    `pile-journal-${Date.now()}.html`,
+  );
+  await fs.promises.writeFile(htmlPath, html);
+  const window = new BrowserWindow({
+    show: false,
+    webPreferences: { javascript: false },
+  });
+  try {
+    await window.loadFile(htmlPath);
+    return await window.webContents.printToPDF({
+      pageSize: 'A5',
+      printBackground: true,
+      displayHeaderFooter: true,
+      headerTemplate: '<span></span>',
+      footerTemplate:
+        '<div style="width:100%;font-size:8px;text-align:center;color:#666"><span class="pageNumber"></span></div>',
+    });
+  } finally {
+    window.destroy();
+    await fs.promises.rm(htmlPath, { force: true });
+  }
+}
+
+// `options` has the format (pdf or epub), the from and to days and the
+// tags and highlights to keep
+ipcMain.handle('export-journal', async (event, pilePath, options) => {
+  const format = options?.format === 'epub' ? 'epub' : 'pdf';
+  const selected = await dialog.showSaveDialog({
+    title: 'Export journal',
+    defaultPath: `${path.basename(pilePath)}.${format}`,
+    filters: [{ name: format.toUpperCase(), extensions: [format] }],
+  });
+  if (selected.canceled || !selected.filePath) return { ok: false };
+
+  try {
+    const { threads } = await pileJournalExport.collect(pilePath, options);
+    if (threads.length === 0) {
+      throw new Error('No posts match the dates and filters');
+    }
+
+    let summary;
+    if (format === 'epub') {
+      summary = await pileJournalExport.exportEpub(
+        pilePath,
+        selected.filePath,
+        options,
+      );
+    } else {
+      const { html, ...rendered } = await pileJournalExport.renderHtml(
+        pilePath,
+        options,
+      );
+      await fs.promises.writeFile(selected.filePath, await printToPdf(html));
+      summary = rendered;
+    }
+    return { ok: true, filePath: selected.filePath, ...summary };
+  } catch (error) {
+    return { ok: false, error: (error as Error).message };
+  }
+});
+
+// JSON Lines and CSV go into a folder of their own like the site. Exporting
+// into a folder with an earlier export rewrites it, or appends the changes
+// with `options.incremental`.
+ipcMain.handle('export-data', async (event, pilePath, options) => {
+  const selected = await dialog.showOpenDialog({
+    title: 'Export data',
+    properties: ['openDirectory', 'createDirectory'],
+  });
+  if (selected.canceled || !selected.filePaths[0]) return { ok: false };
+
+  const outputDir = path.join(
+    selected.filePaths[0],
+    `${path.basename(pilePath)} data`,
+  );
+  try {
+    if (
+      fs.existsSync(outputDir) &&
+      !fs.existsSync(path.join(outputDir, 'export.json'))
+    ) {
+      throw new Error(`${outputDir} already exists`);
+    }
+    const summary = await pileDataExport.export(pilePath, outputDir, options);
+    return { ok: true, outputDir, ...summary };
+  } catch (error) {
+    return { ok: false, error: (error as Error).message };
+  }
+});
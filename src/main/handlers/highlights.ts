@@ -1,5 +1,6 @@
 import { ipcMain } from 'electron';
 import pileHighlights from '../utils/pileHighlights';
+import { fileWatcher } from '../sync/fileWatcher';
 
 ipcMain.handle('highlights-load', (event, pilePath) => {
   const highlights = pileHighlights.load(pilePath);
@@ -11,10 +12,35 @@ ipcMain.handle('highlights-get', (event) => {
   return highlights;
 });
 
-ipcMain.handle('highlights-create', (event, highlight) => {
-  pileHighlights.create(highlight);
+ipcMain.handle('highlights-create', (event, highlight, options) => {
+  pileHighlights.create(highlight, options);
+  return pileHighlights.get();
 });
 
-ipcMain.handle('highlights-delete', (event, highlight) => {
-  pileHighlights.delete(highlight);
+// Renaming and deleting rewrite the posts using the highlight, those are
+// queued for sync straight away
+const syncRewrittenPosts = async (changed: string[]) => {
+  await fileWatcher.enqueuePostChanges(pileHighlights.pilePath, changed);
+};
+
+ipcMain.handle('highlights-rename', async (event, { highlight, newName }) => {
+  const changed = pileHighlights.rename(highlight, newName);
+  await syncRewrittenPosts(changed);
+  return pileHighlights.get();
+});
+
+ipcMain.handle('highlights-recolor', (event, { highlight, color }) => {
+  pileHighlights.recolor(highlight, color);
+  return pileHighlights.get();
+});
+
+ipcMain.handle('highlights-reorder', (event, names) => {
+  pileHighlights.reorder(names);
+  return pileHighlights.get();
+});
+
+ipcMain.handle('highlights-delete', async (event, highlight, reassignTo) => {
+  const changed = pileHighlights.delete(highlight, reassignTo);
+  await syncRewrittenPosts(changed);
+  return pileHighlights.get();
 });
@@ -0,0 +1,45 @@
+import { ipcMain } from 'electron';
+import pileHistory from '../utils/pileHistory';
+import pileIndex from '../utils/pileIndex';
+import { fileWatcher } from '../sync/fileWatcher';
+
+// Saves come from the loaded pile, the file is snapshotted before and
+// after it is written
+ipcMain.handle('history-snapshot', async (event, filePath) => {
+  const version = await pileHistory.snapshot(pileIndex.pilePath, filePath);
+  return version;
+});
+
+ipcMain.handle('history-list', async (event, pilePath, postPath) => {
+  const versions = await pileHistory.list(pilePath, postPath);
+  return versions;
+});
+
+ipcMain.handle('history-read', async (event, pilePath, postPath, versionId) => {
+  const content = await pileHistory.read(pilePath, postPath, versionId);
+  return content;
+});
+
+// A restored version is a change like any other, it gets synced
+ipcMain.handle(
+  'history-restore',
+  async (event, pilePath, postPath, versionId) => {
+    try {
+      await pileHistory.restore(pilePath, postPath, versionId);
+      await fileWatcher.enqueuePostChanges(pilePath, [postPath]);
+      return { ok: true };
+    } catch (error) {
+      return { ok: false, error: (error as Error).message };
+    }
+  },
+);
+
+ipcMain.handle('history-get-retention', async (event, pilePath) => {
+  const retention = await pileHistory.getRetention(pilePath);
+  return retention;
+});
+
+ipcMain.handle('history-set-retention', async (event, pilePath, retention) => {
+  const updated = await pileHistory.setRetention(pilePath, retention);
+  return updated;
+});
@@ -0,0 +1,66 @@
+import { ipcMain, dialog, BrowserWindow } from 'electron';
+import path from 'path';
+import pileImport from '../utils/pileImport';
+import pileIndex from '../utils/pileIndex';
+import pileTags from '../utils/pileTags';
+
+// Day One exports are a JSON file, the other sources a folder
+ipcMain.handle('import-choose-source', async (event, kind) => {
+  const selected = await dialog.showOpenDialog(
+    kind === 'dayone'
+      ? {
+          title: 'Choose the Day One JSON export',
+          properties: ['openFile'],
+          filters: [{ name: 'Day One export', extensions: ['json'] }],
+        }
+      : {
+          title:
+            kind === 'obsidian'
+              ? 'Choose the Obsidian vault'
+              : 'Choose the markdown folder',
+          properties: ['openDirectory'],
+        },
+  );
+  if (selected.canceled || !selected.filePaths[0]) return null;
+  return selected.filePaths[0];
+});
+
+ipcMain.handle('import-scan', async (event, pilePath, kind, source) => {
+  try {
+    const scan = await pileImport.scan(pilePath, kind, source);
+    return { ok: true, ...scan };
+  } catch (error) {
+    return { ok: false, error: (error as Error).message };
+  }
+});
+
+// Progress goes to every window, the index and tags are updated once all
+// entries are written
+ipcMain.handle('import-run', async (event, pilePath, kind, source) => {
+  try {
+    const result = await pileImport.import(pilePath, kind, source, {
+      onProgress: (progress: any) =>
+        BrowserWindow.getAllWindows().forEach((window) =>
+          window.webContents.send('import-progress', progress),
+        ),
+    });
+    const changed = [...result.created, ...result.updated];
+    if (changed.length > 0) {
+      if (pileIndex.pilePath !== pilePath) await pileIndex.load(pilePath);
+      pileIndex.addMany(changed);
+      if (pileTags.pilePath !== pilePath) pileTags.load(pilePath);
+      pileTags.syncMany(
+        changed.map((postPath: string) => path.join(pilePath, postPath)),
+      );
+    }
+    return {
+      ok: true,
+      created: result.created.length,
+      updated: result.updated.length,
+      skipped: result.skipped,
+      total: result.total,
+    };
+  } catch (error) {
+    return { ok: false, error: (error as Error).message };
+  }
+});
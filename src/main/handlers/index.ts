@@ -1,5 +1,7 @@
 import { ipcMain } from 'electron';
 import pileIndex from '../utils/pileIndex';
+import pileJobs from '../utils/pileJobs';
+import pileRepair from '../utils/pileRepair';
 
 ipcMain.handle('index-load', async (event, pilePath) => {
   const index = await pileIndex.load(pilePath);
@@ -16,6 +18,26 @@ ipcMain.handle('index-regenerate-embeddings', (event) => {
   return index;
 });
 
+ipcMain.handle('index-jobs-list', (event) => {
+  const jobs = pileJobs.list();
+  return jobs;
+});
+
+ipcMain.handle('index-job-cancel', (event, jobId) => {
+  const cancelled = pileJobs.cancel(jobId);
+  return cancelled;
+});
+
+ipcMain.handle('index-verify', async (event) => {
+  const report = await pileRepair.verify();
+  return report;
+});
+
+ipcMain.handle('index-repair', async (event) => {
+  const result = await pileRepair.repair();
+  return result;
+});
+
 ipcMain.handle('index-add', (event, filePath) => {
   const index = pileIndex.add(filePath);
   return index;
@@ -32,7 +54,17 @@ ipcMain.handle('index-search', (event, query) => {
 });
 
 ipcMain.handle('index-vector-search', (event, query, topN = 50) => {
-  const results = pileIndex.vectorSearch(query);
+  const results = pileIndex.vectorSearch(query, topN);
+  return results;
+});
+
+ipcMain.handle('index-hybrid-search', (event, query, topN = 50) => {
+  const results = pileIndex.hybridSearch(query, topN);
+  return results;
+});
+
+ipcMain.handle('index-search-passages', (event, query, topN = 10) => {
+  const results = pileIndex.searchPassages(query, topN);
   return results;
 });
 
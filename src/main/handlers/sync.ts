@@ -3,8 +3,19 @@ import { syncStateManager, PileSyncState } from '../sync/state';
 import { syncQueue } from '../sync/queue';
 import { fileWatcher } from '../sync/fileWatcher';
 import { pullPile } from '../sync/pull';
-import { pushPile } from '../sync/push';
+import { pushPile, primeQueueForPile, primeAttachmentsForPile } from '../sync/push';
 import { listConflicts, resolveConflict } from '../sync/conflict';
+import { postIdentity } from '../sync/identity';
+import { syncScheduler } from '../sync/scheduler';
+import {
+  getBackend,
+  getBackendConfig,
+  setBackendConfig,
+  SyncBackendConfig,
+} from '../sync/backends';
+import { pileEncryption, PileEncryptionStatus } from '../sync/encryption';
+import { planSync, awaitsApproval, SyncPlan } from '../sync/plan';
+import type { MergeHunk, HunkResolution } from '../sync/merge';
 
 export interface SyncStatus {
   piles: Array<{
@@ -16,6 +27,11 @@ export interface SyncStatus {
     conflictsCount: number;
     lastError?: string;
     remotePileId?: string;
+    backend?: SyncBackendConfig['type'];
+    // Set while the scheduler backs off after failed syncs
+    retryAt?: string;
+    // The first sync, and a held one, wait until their plan is approved
+    awaitingApproval?: boolean;
   }>;
 }
 
@@ -33,6 +49,15 @@ export interface UnlinkPileResult {
 export interface RunSyncResult {
   started: boolean;
   error?: string;
+  // What the sync would do, returned instead of syncing on a dry run
+  plan?: SyncPlan;
+}
+
+export interface RunSyncOptions {
+  // Only compute the plan
+  dryRun?: boolean;
+  // The user approved the plan, lets a first or held sync of a pile run
+  approved?: boolean;
 }
 
 export interface ConflictListResult {
@@ -84,67 +109,37 @@ export interface SignedUrlResult {
 }
 
 /**
- * Link a local pile to a remote Supabase pile for syncing
+ * Link a local pile to a remote pile for syncing, on the given backend
+ * or the one the pile used before (Supabase by default)
  */
 async function handleLinkPile(
   event: IpcMainInvokeEvent,
   pilePath: string,
-  remotePileId?: string
+  remotePileId?: string,
+  backendConfig?: SyncBackendConfig
 ): Promise<LinkPileResult> {
   try {
     console.log(`Linking pile: ${pilePath} to remote: ${remotePileId || '(auto-create)'}`);
 
+    if (backendConfig) {
+      await setBackendConfig(pilePath, backendConfig);
+    }
+    const backend = await getBackend(pilePath);
+    const notReady = await backend.checkReady();
+    if (notReady) {
+      return { linked: false, error: notReady };
+    }
+
     let actualRemotePileId = remotePileId;
 
     // Create or reuse a remote pile if not provided
     if (!actualRemotePileId) {
       const path = await import('path');
-      const { supabase } = await import('../lib/supabase');
-      // Ensure authenticated
-      const { data: session } = await supabase.auth.getSession();
-      if (!session.session) {
-        return { linked: false, error: 'Not authenticated with Supabase' };
-      }
-      const name = path.basename(pilePath);
-
-      // Try to reuse an existing pile with the same name for this user
       try {
-        const { data: existing, error: findErr } = await supabase
-          .from('piles')
-          .select('id')
-          .eq('user_id', session.session.user.id)
-          .eq('name', name)
-          .order('created_at', { ascending: true })
-          .limit(1)
-          .maybeSingle();
-
-        if (!findErr && existing?.id) {
-          actualRemotePileId = existing.id;
-          console.log(`[SYNC] Reusing existing remote pile ${actualRemotePileId} for ${name}`);
-        }
-      } catch (e) {
-        console.warn('[SYNC] Failed to check for existing pile, will attempt create:', (e as Error)?.message);
-      }
-
-      // Create if none found
-      if (!actualRemotePileId) {
-        const { data, error } = await supabase
-          .from('piles')
-          .insert({
-            user_id: session.session.user.id,
-            name,
-            description: '',
-            is_private: true,
-            settings: { theme: 'light', sync_enabled: true },
-          })
-          .select('id')
-          .single();
-        if (error) {
-          console.error('[SYNC] Failed to create remote pile:', error);
-          return { linked: false, error: error.message };
-        }
-        actualRemotePileId = data.id;
-        console.log(`[SYNC] Created remote pile ${actualRemotePileId} for ${name}`);
+        actualRemotePileId = await backend.findOrCreatePile(path.basename(pilePath));
+      } catch (error) {
+        console.error('[SYNC] Failed to create remote pile:', error);
+        return { linked: false, error: (error as Error).message };
       }
     }
 
@@ -199,15 +194,16 @@ async function handleUnlinkPile(
 }
 
 /**
- * Run sync operation (pull, push, or both)
+ * Run sync operation (pull, push, or both), or only plan it on a dry run
  */
 async function handleRunSync(
   event: IpcMainInvokeEvent,
   pilePath: string,
-  mode: 'pull' | 'push' | 'both' = 'both'
+  mode: 'pull' | 'push' | 'both' = 'both',
+  options: RunSyncOptions = {}
 ): Promise<RunSyncResult> {
   try {
-    console.log(`Running sync for pile: ${pilePath}, mode: ${mode}`);
+    console.log(`Running sync for pile: ${pilePath}, mode: ${mode}${options.dryRun ? ' (dry run)' : ''}`);
     
     const state = await syncStateManager.loadState(pilePath);
     if (!state.linked) {
@@ -217,14 +213,42 @@ async function handleRunSync(
       };
     }
 
+    if (options.dryRun) {
+      return {
+        started: false,
+        plan: await planSync(pilePath),
+      };
+    }
+
+    if (awaitsApproval(state.checkpoint)) {
+      if (!options.approved) {
+        return {
+          started: false,
+          error: 'Review the sync plan before syncing',
+        };
+      }
+      await syncStateManager.updateCheckpoint(pilePath, {
+        planApprovedAt: new Date().toISOString(),
+        planHeldAt: undefined,
+      });
+    }
+
+    // Full syncs go through the scheduler, which keeps runs of a pile apart
+    if (mode === 'both') {
+      syncScheduler.requestSync(pilePath, options.approved ? 'approved' : 'manual');
+      return {
+        started: true,
+      };
+    }
+
     // Run sync operations asynchronously
-    if (mode === 'pull' || mode === 'both') {
+    if (mode === 'pull') {
       pullPile(pilePath).catch(error => 
         console.error(`Pull failed for ${pilePath}:`, error)
       );
     }
     
-    if (mode === 'push' || mode === 'both') {
+    if (mode === 'push') {
       pushPile(pilePath).catch(error => 
         console.error(`Push failed for ${pilePath}:`, error)
       );
@@ -271,6 +295,9 @@ async function handleGetStatus(
           conflictsCount,
           lastError: state.lastError,
           remotePileId: state.remotePileId,
+          backend: state.checkpoint.backend?.type || 'supabase',
+          retryAt: syncScheduler.getRetry(pilePath)?.nextAttemptAt,
+          awaitingApproval: state.linked && awaitsApproval(state.checkpoint),
         }],
       };
     } else {
@@ -293,6 +320,9 @@ async function handleGetStatus(
             conflictsCount,
             lastError: state.lastError,
             remotePileId: state.remotePileId,
+            backend: state.checkpoint.backend?.type || 'supabase',
+            retryAt: syncScheduler.getRetry(pilePath)?.nextAttemptAt,
+            awaitingApproval: state.linked && awaitsApproval(state.checkpoint),
           };
         })
       );
@@ -347,8 +377,9 @@ async function handleResolveConflict(
   event: IpcMainInvokeEvent,
   pilePath: string,
   postId: string,
-  choice: 'local' | 'remote' | 'merged',
-  mergedContent?: string
+  choice: 'local' | 'remote' | 'merged' | 'hunks',
+  mergedContent?: string,
+  hunks?: HunkResolution[]
 ): Promise<ConflictResolveResult> {
   try {
     console.log(`Resolving conflict for post: ${postId}, choice: ${choice}`);
@@ -358,6 +389,7 @@ async function handleResolveConflict(
       postId,
       choice,
       mergedContent,
+      hunks,
       resolvedAt: new Date().toISOString(),
     });
     
@@ -702,7 +734,7 @@ async function handleGetConflictArtifact(
   event: IpcMainInvokeEvent,
   pilePath: string,
   conflictId: string,
-  version: 'local' | 'remote'
+  version: 'local' | 'remote' | 'base'
 ): Promise<{ content?: string; error?: string }> {
   try {
     console.log(`Getting conflict artifact: ${conflictId}/${version}`);
@@ -724,7 +756,160 @@ async function handleGetConflictArtifact(
 }
 
 // Register all sync-related IPC handlers
+/**
+ * Get the three-way merge of a conflict, with the hunks left to resolve
+ */
+async function handleGetConflictMerge(
+  event: IpcMainInvokeEvent,
+  pilePath: string,
+  conflictId: string
+): Promise<{ hunks?: MergeHunk[]; hasBase?: boolean; error?: string }> {
+  try {
+    const { getConflictMerge, getConflictById } = await import('../sync/conflict');
+    const [merge, conflict] = await Promise.all([
+      getConflictMerge(pilePath, conflictId),
+      getConflictById(pilePath, conflictId),
+    ]);
+
+    if (!merge) {
+      return { error: 'Conflict versions not found' };
+    }
+    return { hunks: merge.hunks, hasBase: Boolean(conflict?.hasBase) };
+  } catch (error) {
+    console.error('Failed to merge conflict:', error);
+    return {
+      error: error instanceof Error ? error.message : 'Unknown error',
+    };
+  }
+}
+
+/**
+ * Backend settings of a pile for the settings form, without secrets
+ */
+async function handleGetBackend(
+  event: IpcMainInvokeEvent,
+  pilePath: string
+): Promise<{ backend?: SyncBackendConfig; error?: string }> {
+  try {
+    return { backend: await getBackendConfig(pilePath) };
+  } catch (error) {
+    console.error('Failed to get sync backend:', error);
+    return {
+      error: error instanceof Error ? error.message : 'Unknown error',
+    };
+  }
+}
+
+export interface EncryptionResult {
+  ok: boolean;
+  status?: PileEncryptionStatus;
+  error?: string;
+}
+
+/**
+ * Push every post and attachment again, after the key they are sealed
+ * with changed
+ */
+async function resealPile(pilePath: string): Promise<void> {
+  await primeQueueForPile(pilePath);
+  await primeAttachmentsForPile(pilePath);
+  fileWatcher.triggerImmediateSync(pilePath);
+}
+
+/**
+ * Run an encryption change and answer with the resulting status
+ */
+async function encryptionAction(
+  pilePath: string,
+  action: () => Promise<unknown>
+): Promise<EncryptionResult> {
+  try {
+    await action();
+    return { ok: true, status: await pileEncryption.getStatus(pilePath) };
+  } catch (error) {
+    console.error('[SYNC] Encryption change failed:', error);
+    return {
+      ok: false,
+      error: error instanceof Error ? error.message : 'Unknown error',
+    };
+  }
+}
+
+async function handleGetEncryptionStatus(
+  event: IpcMainInvokeEvent,
+  pilePath: string
+): Promise<EncryptionResult> {
+  try {
+    return { ok: true, status: await pileEncryption.getStatus(pilePath) };
+  } catch (error) {
+    console.error('[SYNC] Failed to get encryption status:', error);
+    return {
+      ok: false,
+      error: error instanceof Error ? error.message : 'Unknown error',
+    };
+  }
+}
+
+async function handleEnableEncryption(
+  event: IpcMainInvokeEvent,
+  pilePath: string,
+  passphrase: string
+): Promise<EncryptionResult> {
+  return encryptionAction(pilePath, async () => {
+    await pileEncryption.enable(pilePath, passphrase);
+    await resealPile(pilePath);
+  });
+}
+
+async function handleUnlockEncryption(
+  event: IpcMainInvokeEvent,
+  pilePath: string,
+  passphrase: string
+): Promise<EncryptionResult> {
+  return encryptionAction(pilePath, async () => {
+    await pileEncryption.unlock(pilePath, passphrase);
+    fileWatcher.triggerImmediateSync(pilePath);
+  });
+}
+
+async function handleRotateEncryptionKey(
+  event: IpcMainInvokeEvent,
+  pilePath: string,
+  passphrase: string
+): Promise<EncryptionResult> {
+  return encryptionAction(pilePath, async () => {
+    await pileEncryption.rotateKey(pilePath, passphrase);
+    await resealPile(pilePath);
+  });
+}
+
+async function handleImportRecoveryKey(
+  event: IpcMainInvokeEvent,
+  pilePath: string,
+  recoveryKey: string
+): Promise<EncryptionResult> {
+  return encryptionAction(pilePath, async () => {
+    await pileEncryption.importRecoveryKey(pilePath, recoveryKey);
+    fileWatcher.triggerImmediateSync(pilePath);
+  });
+}
+
+async function handleExportRecoveryKey(
+  event: IpcMainInvokeEvent,
+  pilePath: string
+): Promise<{ recoveryKey?: string; error?: string }> {
+  try {
+    return { recoveryKey: await pileEncryption.exportRecoveryKey(pilePath) };
+  } catch (error) {
+    console.error('[SYNC] Recovery key export failed:', error);
+    return {
+      error: error instanceof Error ? error.message : 'Unknown error',
+    };
+  }
+}
+
 ipcMain.handle('sync:link-pile', handleLinkPile);
+ipcMain.handle('sync:get-backend', handleGetBackend);
 ipcMain.handle('sync:unlink-pile', handleUnlinkPile);
 ipcMain.handle('sync:run', handleRunSync);
 ipcMain.handle('sync:status', handleGetStatus);
@@ -732,6 +917,14 @@ ipcMain.handle('sync:list-conflicts', handleListConflicts);
 ipcMain.handle('sync:resolve', handleResolveConflict);
 ipcMain.handle('sync:migrate-cloud-pile', handleMigrateCloudPile);
 
+// Register end-to-end encryption IPC handlers
+ipcMain.handle('sync:encryption-status', handleGetEncryptionStatus);
+ipcMain.handle('sync:enable-encryption', handleEnableEncryption);
+ipcMain.handle('sync:unlock-encryption', handleUnlockEncryption);
+ipcMain.handle('sync:rotate-encryption-key', handleRotateEncryptionKey);
+ipcMain.handle('sync:export-recovery-key', handleExportRecoveryKey);
+ipcMain.handle('sync:import-recovery-key', handleImportRecoveryKey);
+
 // Register attachment-related IPC handlers
 ipcMain.handle('sync:upload-attachment', handleUploadAttachment);
 ipcMain.handle('sync:list-attachments', handleListAttachments);
@@ -741,6 +934,7 @@ ipcMain.handle('sync:download-attachment', handleDownloadAttachment);
 // Register conflict-related IPC handlers  
 ipcMain.handle('sync:get-conflict', handleGetConflict);
 ipcMain.handle('sync:get-conflict-artifact', handleGetConflictArtifact);
+ipcMain.handle('sync:get-conflict-merge', handleGetConflictMerge);
 
 /**
  * Force rescan: restart watcher with initial scan to enqueue existing files
@@ -770,6 +964,46 @@ ipcMain.handle('sync:clear-queue', async (_evt, pilePath: string) => {
   }
 });
 
+/**
+ * Queued operations of a pile for the queue inspector
+ */
+ipcMain.handle('sync:list-queue', async (_evt, pilePath: string) => {
+  try {
+    return { ok: true, operations: await syncQueue.listForPile(pilePath) };
+  } catch (error) {
+    console.error('[SYNC] List queue failed:', error);
+    return { ok: false, error: error instanceof Error ? error.message : 'Unknown error' };
+  }
+});
+
+/**
+ * Retry one queued operation on the next push, right away
+ */
+ipcMain.handle('sync:retry-operation', async (_evt, pilePath: string, operationId: string) => {
+  try {
+    if (!(await syncQueue.retry(pilePath, operationId))) {
+      return { ok: false, error: 'Operation is no longer queued' };
+    }
+    syncScheduler.requestSync(pilePath, 'manual');
+    return { ok: true };
+  } catch (error) {
+    console.error('[SYNC] Retry operation failed:', error);
+    return { ok: false, error: error instanceof Error ? error.message : 'Unknown error' };
+  }
+});
+
+/**
+ * Drop one queued operation without pushing it
+ */
+ipcMain.handle('sync:drop-operation', async (_evt, pilePath: string, operationId: string) => {
+  try {
+    return { ok: await syncQueue.drop(pilePath, operationId) };
+  } catch (error) {
+    console.error('[SYNC] Drop operation failed:', error);
+    return { ok: false, error: error instanceof Error ? error.message : 'Unknown error' };
+  }
+});
+
 /**
  * Trigger immediate sync for a pile (for high-priority operations like AI responses)
  */
@@ -872,6 +1106,9 @@ ipcMain.handle('sync:migrate-to-uuid', async (_evt, pilePath: string) => {
       }
     }
     
+    // Every migrated post moved to a new file
+    await postIdentity.rebuild(pilePath);
+
     console.log(`[SYNC] UUID migration completed: ${migratedCount} files migrated, ${skippedCount} files already had UUIDs`);
     
     return { 
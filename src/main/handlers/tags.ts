@@ -1,5 +1,6 @@
 import { ipcMain } from 'electron';
 import pileTags from '../utils/pileTags';
+import { fileWatcher } from '../sync/fileWatcher';
 
 ipcMain.handle('tags-load', (event, pilePath) => {
   const tags = pileTags.load(pilePath);
@@ -26,3 +27,32 @@ ipcMain.handle('tags-remove', (event, { tag, filePath }) => {
   const updated = pileTags.remove(tag, filePath);
   return Array.from((pileTags.get() || new Map()).entries());
 });
+
+// Renaming, merging and deleting rewrite posts across the pile, those
+// are queued for sync straight away
+const syncRewrittenPosts = async (changed: string[]) => {
+  await fileWatcher.enqueuePostChanges(pileTags.pilePath, changed);
+};
+
+ipcMain.handle('tags-rename', async (event, { tag, newTag }) => {
+  const changed = pileTags.rename(tag, newTag);
+  await syncRewrittenPosts(changed);
+  return Array.from(pileTags.get().entries());
+});
+
+ipcMain.handle('tags-merge', async (event, { tags, into }) => {
+  const changed = pileTags.merge(tags, into);
+  await syncRewrittenPosts(changed);
+  return Array.from(pileTags.get().entries());
+});
+
+ipcMain.handle('tags-delete', async (event, { tag }) => {
+  const changed = pileTags.delete(tag);
+  await syncRewrittenPosts(changed);
+  return Array.from(pileTags.get().entries());
+});
+
+ipcMain.handle('tags-style', (event, { tag, color, icon }) => {
+  const updated = pileTags.style(tag, { color, icon });
+  return Array.from(updated.entries());
+});
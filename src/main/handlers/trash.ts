@@ -0,0 +1,57 @@
+import { ipcMain } from 'electron';
+import pileTrash from '../utils/pileTrash';
+import pileIndex from '../utils/pileIndex';
+import { fileWatcher } from '../sync/fileWatcher';
+
+// Deleting a reply unlinks it from its parent once it is in the trash,
+// the post and its replies leave the index
+ipcMain.handle('trash-post', async (event, pilePath, postPath, parentPath) => {
+  try {
+    const entry = await pileTrash.trash(pilePath, postPath, { parentPath });
+    if (parentPath) {
+      pileIndex.updateFrontmatter(parentPath, (data: any) => ({
+        replies: (data.replies || []).filter((p: string) => p !== postPath),
+      }));
+    }
+    entry.posts.forEach((entryPath: string) => pileIndex.remove(entryPath));
+    return { ok: true, entry };
+  } catch (error) {
+    return { ok: false, error: (error as Error).message };
+  }
+});
+
+ipcMain.handle('trash-list', async (event, pilePath) => {
+  const entries = await pileTrash.list(pilePath);
+  return entries;
+});
+
+// Restored posts are linked back to their parent and indexed again, the
+// sync brings them back on every device
+ipcMain.handle('trash-restore', async (event, pilePath, entryId) => {
+  try {
+    const entry = await pileTrash.restore(pilePath, entryId);
+    const parent = entry.parentPath && pileIndex.get().get(entry.parentPath);
+    if (parent) {
+      pileIndex.updateFrontmatter(entry.parentPath, (data: any) => ({
+        replies: (data.replies || []).includes(entry.postPath)
+          ? data.replies
+          : [...(data.replies || []), entry.postPath],
+      }));
+    }
+    entry.posts.forEach((entryPath: string) => pileIndex.add(entryPath));
+    await fileWatcher.enqueuePostChanges(pilePath, entry.posts, 'restorePost');
+    return { ok: true, entry };
+  } catch (error) {
+    return { ok: false, error: (error as Error).message };
+  }
+});
+
+ipcMain.handle('trash-delete', async (event, pilePath, entryId) => {
+  await pileTrash.remove(pilePath, entryId);
+  return true;
+});
+
+ipcMain.handle('trash-empty', async (event, pilePath) => {
+  await pileTrash.empty(pilePath);
+  return true;
+});
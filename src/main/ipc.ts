@@ -3,9 +3,14 @@ import './handlers/keys';
 import './handlers/file';
 import './handlers/tags';
 import './handlers/highlights';
+import './handlers/history';
 import './handlers/index';
 import './handlers/links';
 import './handlers/store';
 import './handlers/gemini';
 import './handlers/auth';
 import './handlers/sync';
+import './handlers/export';
+import './handlers/trash';
+import './handlers/import';
+import './handlers/backup';
@@ -9,6 +9,8 @@ import {
   nativeTheme,
   session,
   ipcMain,
+  Tray,
+  nativeImage,
 } from 'electron';
 import fs from 'fs';
 import path from 'path';
@@ -16,13 +18,15 @@ import MenuBuilder from './menu';
 import { resolveHtmlPath } from './util';
 import './ipc';
 import AppUpdater from './utils/autoUpdates';
-import { syncStateManager } from './sync/state';
-import { fileWatcher } from './sync/fileWatcher';
-import { pushPile, primeQueueForPile } from './sync/push';
+import { syncScheduler } from './sync/scheduler';
+import { backupScheduler } from './utils/backupScheduler';
+import pileEmbeddings from './utils/pileEmbeddings';
 
 Menu.setApplicationMenu(null);
 
 let mainWindow: BrowserWindow | null = null;
+let tray: Tray | null = null;
+let isQuitting = false;
 
 // Set up custom protocol for deep linking (OAuth callbacks)
 const PROTOCOL_PREFIX = 'pile-auth';
@@ -70,18 +74,63 @@ const setupPilesFolder = () => {
   }
 };
 
+const RESOURCES_PATH = app.isPackaged
+  ? path.join(process.resourcesPath, 'assets')
+  : path.join(__dirname, '../../assets');
+
+const getAssetPath = (...paths: string[]): string => {
+  return path.join(RESOURCES_PATH, ...paths);
+};
+
+const showWindow = () => {
+  if (mainWindow) {
+    mainWindow.show();
+    mainWindow.focus();
+  } else {
+    createWindow();
+  }
+};
+
+/**
+ * Tray icon for while the window is closed and sync keeps running
+ */
+const ensureTray = () => {
+  if (tray) return;
+
+  const icon = nativeImage
+    .createFromPath(getAssetPath('icon.png'))
+    .resize({ width: 16, height: 16 });
+  tray = new Tray(icon);
+  tray.setToolTip('Pile is syncing in the background');
+  tray.setContextMenu(
+    Menu.buildFromTemplate([
+      { label: 'Open Pile', click: showWindow },
+      {
+        label: 'Sync Now',
+        click: () => {
+          syncScheduler.syncAll('manual').catch(console.error);
+        },
+      },
+      { type: 'separator' },
+      {
+        label: 'Quit',
+        click: () => {
+          isQuitting = true;
+          app.quit();
+        },
+      },
+    ]),
+  );
+  tray.on('click', showWindow);
+};
+
 const createWindow = async () => {
   if (isDebug) {
     await installExtensions();
   }
 
-  const RESOURCES_PATH = app.isPackaged
-    ? path.join(process.resourcesPath, 'assets')
-    : path.join(__dirname, '../../assets');
-
-  const getAssetPath = (...paths: string[]): string => {
-    return path.join(RESOURCES_PATH, ...paths);
-  };
+  // Before the renderer reads the settings
+  await pileEmbeddings.migrateModelSetting();
 
   mainWindow = new BrowserWindow({
     show: false,
@@ -131,6 +180,14 @@ const createWindow = async () => {
     }
   });
 
+  // With auto-sync on, closing the window leaves Pile syncing in the tray
+  mainWindow.on('close', (event) => {
+    if (isQuitting || !syncScheduler.runsInBackground()) return;
+    event.preventDefault();
+    mainWindow?.hide();
+    ensureTray();
+  });
+
   mainWindow.on('closed', () => {
     mainWindow = null;
   });
@@ -147,12 +204,13 @@ const createWindow = async () => {
   // setupAutoUpdater(mainWindow);
   new AppUpdater(mainWindow);
 
-  // After window is created, auto-start sync watchers for linked piles
+  // After window is created, start syncing the linked piles
   try {
-    await autoStartSyncWatchers();
+    await syncScheduler.start();
   } catch (e) {
-    console.error('[SYNC] Auto-start watchers failed:', e);
+    console.error('[SYNC] Sync scheduler failed to start:', e);
   }
+  backupScheduler.start();
 };
 
 // OAuth handler for Google authentication
@@ -428,46 +486,6 @@ const handleOAuth = async (authUrl: string): Promise<string> => {
   });
 };
 
-/**
- * Auto-start file watchers and initial push for any previously linked piles.
- */
-async function autoStartSyncWatchers() {
-  try {
-    const userHomeDirectoryPath = app.getPath('home');
-    const pilesConfigPath = path.join(userHomeDirectoryPath, 'Piles', 'piles.json');
-    if (!fs.existsSync(pilesConfigPath)) {
-      console.log('[SYNC] No piles.json found, skipping auto-start');
-      return;
-    }
-    const raw = fs.readFileSync(pilesConfigPath, 'utf8');
-    let piles: Array<{ name: string; path: string }>; 
-    try { piles = JSON.parse(raw); } catch { piles = []; }
-    if (!Array.isArray(piles) || piles.length === 0) {
-      console.log('[SYNC] No piles in config, skipping auto-start');
-      return;
-    }
-
-    for (const pile of piles) {
-      try {
-        const state = await syncStateManager.loadState(pile.path);
-        if (state.linked && state.remotePileId) {
-          console.log(`[SYNC] Auto-start watcher for linked pile: ${pile.path}`);
-          await fileWatcher.startWatching(pile.path);
-          // Prime the queue with existing posts, then push
-          await primeQueueForPile(pile.path);
-          pushPile(pile.path).catch((err) => console.error('[SYNC] Auto-push failed:', err));
-        } else {
-          // Not linked; skip
-        }
-      } catch (e) {
-        console.error('[SYNC] Failed to start watcher for pile:', pile?.path, e);
-      }
-    }
-  } catch (e) {
-    console.error('[SYNC] Auto-start error:', e);
-  }
-}
-
 // IPC handler for OAuth (legacy popup method)
 ipcMain.handle('oauth-google', async (_, authUrl) => {
   try {
@@ -534,6 +552,12 @@ const handleSystemBrowserOAuthCallback = async (url: string) => {
  * Add event listeners...
  */
 
+app.on('before-quit', () => {
+  isQuitting = true;
+  syncScheduler.stop();
+  backupScheduler.stop();
+});
+
 app.on('window-all-closed', () => {
   // Respect the OSX convention of having the application in memory even
   // after all windows have been closed
@@ -611,6 +635,7 @@ app
       // On macOS it's common to re-create a window in the app when the
       // dock icon is clicked and there are no other windows open.
       if (mainWindow === null) createWindow();
+      else mainWindow.show();
     });
   })
   .catch(console.log);
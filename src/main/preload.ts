@@ -197,21 +197,40 @@ const electronHandler = {
 
   // Sync functionality for per-pile Supabase syncing
   sync: {
-    linkPile: (pilePath: string, remotePileId?: string) =>
-      ipcRenderer.invoke('sync:link-pile', pilePath, remotePileId),
+    linkPile: (pilePath: string, remotePileId?: string, backend?: any) =>
+      ipcRenderer.invoke('sync:link-pile', pilePath, remotePileId, backend),
+    getBackend: (pilePath: string) =>
+      ipcRenderer.invoke('sync:get-backend', pilePath),
     unlinkPile: (pilePath: string) =>
       ipcRenderer.invoke('sync:unlink-pile', pilePath),
-    runSync: (pilePath: string, mode?: 'pull' | 'push' | 'both') =>
-      ipcRenderer.invoke('sync:run', pilePath, mode),
+    runSync: (
+      pilePath: string,
+      mode?: 'pull' | 'push' | 'both',
+      options?: { dryRun?: boolean; approved?: boolean },
+    ) => ipcRenderer.invoke('sync:run', pilePath, mode, options),
     getStatus: (pilePath?: string) =>
       ipcRenderer.invoke('sync:status', pilePath),
     listConflicts: (pilePath: string) =>
       ipcRenderer.invoke('sync:list-conflicts', pilePath),
-    resolveConflict: (pilePath: string, postId: string, choice: 'local' | 'remote' | 'merged', mergedContent?: string) =>
-      ipcRenderer.invoke('sync:resolve', pilePath, postId, choice, mergedContent),
+    resolveConflict: (pilePath: string, postId: string, choice: 'local' | 'remote' | 'merged' | 'hunks', mergedContent?: string, hunks?: any[]) =>
+      ipcRenderer.invoke('sync:resolve', pilePath, postId, choice, mergedContent, hunks),
     migrateCloudPile: (remotePileId: string, destFolder: string) =>
       ipcRenderer.invoke('sync:migrate-cloud-pile', remotePileId, destFolder),
     
+    // End-to-end encryption
+    getEncryptionStatus: (pilePath: string) =>
+      ipcRenderer.invoke('sync:encryption-status', pilePath),
+    enableEncryption: (pilePath: string, passphrase: string) =>
+      ipcRenderer.invoke('sync:enable-encryption', pilePath, passphrase),
+    unlockEncryption: (pilePath: string, passphrase: string) =>
+      ipcRenderer.invoke('sync:unlock-encryption', pilePath, passphrase),
+    rotateEncryptionKey: (pilePath: string, passphrase: string) =>
+      ipcRenderer.invoke('sync:rotate-encryption-key', pilePath, passphrase),
+    exportRecoveryKey: (pilePath: string) =>
+      ipcRenderer.invoke('sync:export-recovery-key', pilePath),
+    importRecoveryKey: (pilePath: string, recoveryKey: string) =>
+      ipcRenderer.invoke('sync:import-recovery-key', pilePath, recoveryKey),
+
     // Attachment management
     uploadAttachment: (pilePath: string, postId: string, filePath: string) =>
       ipcRenderer.invoke('sync:upload-attachment', pilePath, postId, filePath),
@@ -225,12 +244,19 @@ const electronHandler = {
     // Conflict management
     getConflict: (pilePath: string, conflictId: string) =>
       ipcRenderer.invoke('sync:get-conflict', pilePath, conflictId),
-    getConflictArtifact: (pilePath: string, conflictId: string, version: 'local' | 'remote') =>
+    getConflictArtifact: (pilePath: string, conflictId: string, version: 'local' | 'remote' | 'base') =>
       ipcRenderer.invoke('sync:get-conflict-artifact', pilePath, conflictId, version),
+    getConflictMerge: (pilePath: string, conflictId: string) =>
+      ipcRenderer.invoke('sync:get-conflict-merge', pilePath, conflictId),
 
     // Maintenance
     rescan: (pilePath: string) => ipcRenderer.invoke('sync:rescan', pilePath),
     clearQueue: (pilePath: string) => ipcRenderer.invoke('sync:clear-queue', pilePath),
+    listQueue: (pilePath: string) => ipcRenderer.invoke('sync:list-queue', pilePath),
+    retryOperation: (pilePath: string, operationId: string) =>
+      ipcRenderer.invoke('sync:retry-operation', pilePath, operationId),
+    dropOperation: (pilePath: string, operationId: string) =>
+      ipcRenderer.invoke('sync:drop-operation', pilePath, operationId),
     immediateSync: (pilePath: string) => ipcRenderer.invoke('sync:immediate-sync', pilePath),
     migrateToUuid: (pilePath: string) => ipcRenderer.invoke('sync:migrate-to-uuid', pilePath),
   },
@@ -1,8 +1,10 @@
 import { promises as fs } from 'fs';
 import path from 'path';
 import crypto from 'crypto';
-import { supabase } from '../lib/supabase';
 import { syncStateManager } from './state';
+import { getBackend, RemoteAttachment, SyncBackend } from './backends';
+import { supabaseBackend } from './backends/supabase';
+import { pileEncryption } from './encryption';
 
 export interface AttachmentInfo {
   id: string;
@@ -19,19 +21,7 @@ export interface AttachmentInfo {
   deletedAt?: string;
 }
 
-export interface AttachmentMetadata {
-  id: string;
-  post_id: string;
-  pile_id: string;
-  filename: string;
-  content_hash: string;
-  size: number;
-  mime_type: string;
-  storage_path: string;
-  created_at: string;
-  updated_at: string;
-  deleted_at?: string;
-}
+export type AttachmentMetadata = RemoteAttachment;
 
 export interface UploadResult {
   success: boolean;
@@ -86,19 +76,6 @@ export function generateLocalPath(pilePath: string, postId: string, hash: string
   return path.join(pilePath, 'attachments', postId, `${hash}-${filename}`);
 }
 
-/**
- * Generate remote storage path
- * Format: user_id/piles/<pile-id>/<post-id>/<hash>-<filename>
- */
-export async function generateRemotePath(pileId: string, postId: string, hash: string, filename: string): Promise<string> {
-  const { data: session } = await supabase.auth.getSession();
-  if (!session.session?.user) {
-    throw new Error('Not authenticated');
-  }
-  const userId = session.session.user.id;
-  return `${userId}/piles/${pileId}/${postId}/${hash}-${filename}`;
-}
-
 /**
  * Parse attachment path to extract components
  */
@@ -120,7 +97,7 @@ export function parseAttachmentPath(attachmentPath: string): { postId: string; h
 }
 
 /**
- * Upload an attachment to Supabase storage with deduplication
+ * Upload an attachment to the pile's backend with deduplication
  */
 export async function uploadAttachment(
   pilePath: string,
@@ -144,73 +121,54 @@ export async function uploadAttachment(
 
     console.log(`[ATTACHMENT] File hash: ${hash}, size: ${stats.size}`);
 
-    // Check if this hash already exists for this post (deduplication)
-    const { data: existingAttachment, error: queryError } = await supabase
-      .from('attachments')
-      .select('*')
-      .eq('post_id', postId)
-      .eq('pile_id', state.remotePileId)
-      .eq('content_hash', hash)
-      .eq('filename', filename)
-      .is('deleted_at', null)
-      .single();
-
-    if (queryError && queryError.code !== 'PGRST116') {
-      throw new Error(`Failed to check existing attachment: ${queryError.message}`);
-    }
+    const backend = await getBackend(pilePath);
+    const remoteNames = await pileEncryption.attachmentNames(pilePath, postId, hash, filename);
 
-    let remotePath: string;
-    let attachmentId: string;
+    // Check if this hash already exists for this post (deduplication)
+    let attachment = await backend.findAttachment(state.remotePileId, {
+      postId,
+      ...remoteNames,
+    });
 
-    if (existingAttachment) {
+    if (attachment) {
       // Attachment already exists, reuse it
-      console.log(`[ATTACHMENT] Found existing attachment: ${existingAttachment.id}`);
-      remotePath = existingAttachment.storage_path;
-      attachmentId = existingAttachment.id;
+      console.log(`[ATTACHMENT] Found existing attachment: ${attachment.id}`);
     } else {
-      // Generate new attachment ID and paths
-      attachmentId = crypto.randomUUID();
-      remotePath = await generateRemotePath(state.remotePileId, postId, hash, filename);
-
-      console.log(`[ATTACHMENT] Uploading to: ${remotePath}`);
-
-      // Upload file to Supabase Storage
-      const fileBuffer = await fs.readFile(localFilePath);
-      const { error: uploadError } = await supabase.storage
-        .from('attachments')
-        .upload(remotePath, fileBuffer, {
-          contentType: mimeType,
-          upsert: true, // Allow overwrite if file exists
-        });
-
-      if (uploadError) {
-        throw new Error(`Failed to upload to storage: ${uploadError.message}`);
-      }
-
-      // Insert attachment metadata into database
-      const attachmentMetadata: Omit<AttachmentMetadata, 'created_at' | 'updated_at'> = {
-        id: attachmentId,
-        post_id: postId,
-        pile_id: state.remotePileId,
-        filename,
-        content_hash: hash,
-        size: stats.size,
-        mime_type: mimeType,
-        storage_path: remotePath,
-      };
-
-      const { error: insertError } = await supabase
-        .from('attachments')
-        .insert(attachmentMetadata);
-
-      if (insertError) {
-        // Clean up uploaded file if metadata insertion fails
-        await supabase.storage.from('attachments').remove([remotePath]);
-        throw new Error(`Failed to insert attachment metadata: ${insertError.message}`);
+      const data = await fs.readFile(localFilePath);
+      const sealed = await pileEncryption.sealAttachment(
+        pilePath,
+        postId,
+        { filename, hash, mimeType },
+        data,
+      );
+
+      attachment = await backend.putAttachment(
+        {
+          id: crypto.randomUUID(),
+          post_id: postId,
+          pile_id: state.remotePileId,
+          filename: remoteNames.filename,
+          content_hash: remoteNames.hash,
+          size: sealed ? sealed.length : stats.size,
+          mime_type: sealed ? 'application/octet-stream' : mimeType,
+        },
+        sealed || data,
+      );
+
+      console.log(`[ATTACHMENT] Successfully uploaded new attachment: ${attachment.id}`);
+
+      // Drop copies stored in plaintext or under an older key
+      for (const names of await pileEncryption.supersededAttachmentNames(pilePath, postId, hash, filename)) {
+        const previous = await backend
+          .findAttachment(state.remotePileId, { postId, ...names })
+          .catch(() => null);
+        if (previous) {
+          await backend.deleteAttachment(previous);
+          console.log(`[ATTACHMENT] Removed superseded attachment: ${previous.id}`);
+        }
       }
-
-      console.log(`[ATTACHMENT] Successfully uploaded new attachment: ${attachmentId}`);
     }
+    const remotePath = attachment.storage_path;
 
     // Create local attachment directory and copy file to attachment path
     const localAttachmentPath = generateLocalPath(pilePath, postId, hash, filename);
@@ -223,15 +181,17 @@ export async function uploadAttachment(
       await fs.copyFile(localFilePath, localAttachmentPath);
     }
 
-    // Generate signed URL for immediate access
-    const { data: signedUrlData } = await supabase.storage
-      .from('attachments')
-      .createSignedUrl(remotePath, 3600); // 1 hour expiry
+    // Generate signed URL for immediate access, useless for encrypted data
+    const signedUrl = (await pileEncryption.isEnabled(pilePath))
+      ? null
+      : await backend
+          .getAttachmentUrl(remotePath, 3600) // 1 hour expiry
+          .catch(() => null);
 
     return {
       success: true,
       remotePath,
-      signedUrl: signedUrlData?.signedUrl,
+      signedUrl: signedUrl || undefined,
     };
 
   } catch (error) {
@@ -244,7 +204,7 @@ export async function uploadAttachment(
 }
 
 /**
- * Download an attachment from Supabase storage
+ * Download an attachment from the pile's backend
  */
 export async function downloadAttachment(
   pilePath: string,
@@ -255,17 +215,22 @@ export async function downloadAttachment(
   console.log(`[ATTACHMENT] Downloading: ${remotePath}`);
   
   try {
-    // Get attachment metadata from database
-    const { data: attachment, error: queryError } = await supabase
-      .from('attachments')
-      .select('*')
-      .eq('post_id', postId)
-      .eq('storage_path', remotePath)
-      .is('deleted_at', null)
-      .single();
-
-    if (queryError || !attachment) {
-      throw new Error(`Attachment not found in database: ${queryError?.message || 'Not found'}`);
+    // Piles being migrated from the cloud aren't linked yet
+    const state = await syncStateManager.loadState(pilePath);
+    const backend = await getBackend(pilePath);
+
+    // Get attachment metadata from the backend
+    const attachment = await backend.findAttachment(state.remotePileId || '', {
+      postId,
+      storagePath: remotePath,
+    });
+
+    if (!attachment) {
+      throw new Error('Attachment not found in backend');
+    }
+
+    if (await pileEncryption.isEnabled(pilePath)) {
+      return await downloadEncryptedAttachment(pilePath, postId, remotePath, attachment, backend);
     }
 
     // Generate local path
@@ -290,17 +255,8 @@ export async function downloadAttachment(
     if (needsDownload) {
       console.log(`[ATTACHMENT] Downloading to: ${localPath}`);
 
-      // Download file from Supabase Storage
-      const { data: fileData, error: downloadError } = await supabase.storage
-        .from('attachments')
-        .download(remotePath);
-
-      if (downloadError || !fileData) {
-        throw new Error(`Failed to download from storage: ${downloadError?.message || 'No data'}`);
-      }
-
-      // Convert Blob to Buffer and write to local file
-      const fileBuffer = Buffer.from(await fileData.arrayBuffer());
+      // Download file from the backend and write to local file
+      const fileBuffer = await backend.readAttachment(remotePath);
       await fs.writeFile(localPath, fileBuffer);
 
       // Verify integrity by checking hash
@@ -328,6 +284,47 @@ export async function downloadAttachment(
   }
 }
 
+/**
+ * Download an attachment of an encrypted pile. Its real name and hash are
+ * only known once the data is decrypted.
+ */
+async function downloadEncryptedAttachment(
+  pilePath: string,
+  postId: string,
+  remotePath: string,
+  attachment: AttachmentMetadata,
+  backend: SyncBackend
+): Promise<DownloadResult> {
+  const blob = await backend.readAttachment(remotePath);
+
+  // Uploaded before the pile was encrypted
+  const opened = (await pileEncryption.openAttachment(pilePath, postId, blob)) || {
+    header: { filename: attachment.filename, hash: attachment.content_hash, mimeType: attachment.mime_type },
+    data: blob,
+  };
+  const { filename, hash } = opened.header;
+
+  const downloadedHash = crypto.createHash('sha256').update(opened.data).digest('hex');
+  if (downloadedHash !== hash) {
+    throw new Error(`Hash mismatch: expected ${hash}, got ${downloadedHash}`);
+  }
+
+  const localPath = generateLocalPath(pilePath, postId, hash, filename);
+  const existingHash = await computeFileHash(localPath).catch(() => null);
+  if (existingHash === hash) {
+    console.log(`[ATTACHMENT] File already exists locally with correct hash: ${localPath}`);
+  } else {
+    await fs.mkdir(path.dirname(localPath), { recursive: true });
+    await fs.writeFile(localPath, opened.data);
+    console.log(`[ATTACHMENT] Successfully downloaded and decrypted: ${filename}`);
+  }
+
+  return {
+    success: true,
+    localPath,
+  };
+}
+
 /**
  * Download attachment by hash and filename (alternative interface)
  */
@@ -344,9 +341,15 @@ export async function downloadAttachmentByHash(
       throw new Error('Pile is not linked to a remote pile');
     }
 
-    // Generate expected remote path
-    const remotePath = await generateRemotePath(state.remotePileId, postId, hash, filename);
-    return await downloadAttachment(pilePath, postId, remotePath, hash);
+    const backend = await getBackend(pilePath);
+    const attachment = await backend.findAttachment(state.remotePileId, {
+      postId,
+      ...(await pileEncryption.attachmentNames(pilePath, postId, hash, filename)),
+    });
+    if (!attachment) {
+      throw new Error('Attachment not found in backend');
+    }
+    return await downloadAttachment(pilePath, postId, attachment.storage_path, hash);
 
   } catch (error) {
     console.error(`[ATTACHMENT] Failed to download by hash: ${error}`);
@@ -369,51 +372,19 @@ export async function getAttachmentSignedUrl(
   console.log(`[ATTACHMENT] Getting signed URL for: ${postId}/${hash}`);
   
   try {
-    // Find attachment in database
-    let attachment: AttachmentMetadata;
-    
-    if (filename) {
-      // Query with filename for better matching
-      const { data, error } = await supabase
-        .from('attachments')
-        .select('*')
-        .eq('post_id', postId)
-        .eq('content_hash', hash)
-        .eq('filename', filename)
-        .is('deleted_at', null)
-        .single();
-      
-      if (error || !data) {
-        throw new Error(`Attachment not found: ${error?.message || 'Not found'}`);
-      }
-      attachment = data;
-    } else {
-      // Query by hash only
-      const { data, error } = await supabase
-        .from('attachments')
-        .select('*')
-        .eq('post_id', postId)
-        .eq('content_hash', hash)
-        .is('deleted_at', null)
-        .single();
-      
-      if (error || !data) {
-        throw new Error(`Attachment not found: ${error?.message || 'Not found'}`);
-      }
-      attachment = data;
+    // Previews of cloud piles, which only live in Supabase
+    const attachment = await supabaseBackend.findAttachment('', { postId, hash, filename });
+    if (!attachment) {
+      throw new Error('Attachment not found');
     }
 
-    // Generate signed URL from Supabase Storage
-    const { data: signedUrlData, error: urlError } = await supabase.storage
-      .from('attachments')
-      .createSignedUrl(attachment.storage_path, expiresIn);
-
-    if (urlError || !signedUrlData) {
-      throw new Error(`Failed to create signed URL: ${urlError?.message || 'No data'}`);
+    const signedUrl = await supabaseBackend.getAttachmentUrl(attachment.storage_path, expiresIn);
+    if (!signedUrl) {
+      throw new Error('Failed to create signed URL');
     }
 
     console.log(`[ATTACHMENT] Generated signed URL for: ${attachment.filename}`);
-    return signedUrlData.signedUrl;
+    return signedUrl;
 
   } catch (error) {
     console.error(`[ATTACHMENT] Failed to get signed URL: ${error}`);
@@ -429,15 +400,7 @@ export async function getAttachmentSignedUrlByPath(
   expiresIn: number = 3600
 ): Promise<string | null> {
   try {
-    const { data: signedUrlData, error } = await supabase.storage
-      .from('attachments')
-      .createSignedUrl(storagePath, expiresIn);
-
-    if (error || !signedUrlData) {
-      throw new Error(`Failed to create signed URL: ${error?.message || 'No data'}`);
-    }
-
-    return signedUrlData.signedUrl;
+    return await supabaseBackend.getAttachmentUrl(storagePath, expiresIn);
   } catch (error) {
     console.error(`[ATTACHMENT] Failed to get signed URL by path: ${error}`);
     return null;
@@ -460,25 +423,20 @@ export async function listPostAttachments(
       // For unlinked piles, scan local attachment directory
       return await listLocalAttachments(pilePath, postId);
     }
-
-    // Query attachments from database
-    const { data: attachments, error } = await supabase
-      .from('attachments')
-      .select('*')
-      .eq('post_id', postId)
-      .eq('pile_id', state.remotePileId)
-      .is('deleted_at', null)
-      .order('created_at', { ascending: true });
-
-    if (error) {
-      throw new Error(`Failed to query attachments: ${error.message}`);
+    if (await pileEncryption.isEnabled(pilePath)) {
+      // The backend only has opaque names, the local copies are the readable ones
+      return await listLocalAttachments(pilePath, postId);
     }
 
-    if (!attachments || attachments.length === 0) {
+    // Query attachments from the backend
+    const backend = await getBackend(pilePath);
+    const attachments = await backend.listAttachments(state.remotePileId, [postId]);
+
+    if (attachments.length === 0) {
       return [];
     }
 
-    // Convert database records to AttachmentInfo
+    // Convert backend records to AttachmentInfo
     const attachmentInfos: AttachmentInfo[] = attachments.map((attachment: AttachmentMetadata) => ({
       id: attachment.id,
       postId: attachment.post_id,
@@ -491,7 +449,7 @@ export async function listPostAttachments(
       mimeType: attachment.mime_type,
       createdAt: attachment.created_at,
       updatedAt: attachment.updated_at,
-      deletedAt: attachment.deleted_at,
+      deletedAt: attachment.deleted_at || undefined,
     }));
 
     console.log(`[ATTACHMENT] Found ${attachmentInfos.length} attachments for post ${postId}`);
@@ -563,7 +521,7 @@ export async function listLocalAttachments(
 }
 
 /**
- * Delete an attachment (soft delete in database, remove from storage)
+ * Delete an attachment (soft delete in the backend, remove its data)
  */
 export async function deleteAttachment(
   pilePath: string,
@@ -580,41 +538,18 @@ export async function deleteAttachment(
     }
 
     // Get attachment metadata
-    const { data: attachment, error: queryError } = await supabase
-      .from('attachments')
-      .select('*')
-      .eq('id', attachmentId)
-      .eq('post_id', postId)
-      .eq('pile_id', state.remotePileId)
-      .is('deleted_at', null)
-      .single();
-
-    if (queryError || !attachment) {
-      throw new Error(`Attachment not found: ${queryError?.message || 'Not found'}`);
+    const backend = await getBackend(pilePath);
+    const attachment = await backend.findAttachment(state.remotePileId, {
+      postId,
+      id: attachmentId,
+    });
+
+    if (!attachment) {
+      throw new Error('Attachment not found');
     }
 
-    // Soft delete in database
-    const { error: updateError } = await supabase
-      .from('attachments')
-      .update({ 
-        deleted_at: new Date().toISOString(),
-        updated_at: new Date().toISOString(),
-      })
-      .eq('id', attachmentId);
-
-    if (updateError) {
-      throw new Error(`Failed to delete attachment: ${updateError.message}`);
-    }
-
-    // Remove from storage (optional, can be done in cleanup job)
-    const { error: storageError } = await supabase.storage
-      .from('attachments')
-      .remove([attachment.storage_path]);
-
-    if (storageError) {
-      console.warn(`[ATTACHMENT] Failed to remove from storage: ${storageError.message}`);
-      // Don't fail the operation if storage removal fails
-    }
+    // Soft delete in the backend and remove its data
+    await backend.deleteAttachment(attachment);
 
     // Remove local file
     const localPath = generateLocalPath(pilePath, postId, attachment.content_hash, attachment.filename);
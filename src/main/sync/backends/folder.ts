@@ -0,0 +1,93 @@
+import { promises as fs, constants } from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { ObjectStore } from './objectStore';
+
+/**
+ * Object store in a shared folder (a NAS mount, a Syncthing directory).
+ * Keys are relative file paths, writes go through a temporary file so
+ * other devices never read half a file.
+ */
+export class FolderStore implements ObjectStore {
+  readonly kind = 'folder' as const;
+
+  constructor(private root: string) {}
+
+  get location(): string {
+    return this.root;
+  }
+
+  private resolve(key: string): string {
+    const filePath = path.resolve(this.root, ...key.split('/'));
+    if (!filePath.startsWith(path.resolve(this.root) + path.sep)) {
+      throw new Error(`Invalid key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async check(): Promise<void> {
+    const stats = await fs.stat(this.root);
+    if (!stats.isDirectory()) {
+      throw new Error('Not a folder');
+    }
+    await fs.access(this.root, constants.W_OK);
+  }
+
+  async get(key: string): Promise<Buffer | null> {
+    try {
+      return await fs.readFile(this.resolve(key));
+    } catch (error) {
+      if ((error as any)?.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async put(key: string, data: Buffer | string): Promise<void> {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+    const tempPath = `${filePath}.${process.pid}-${Date.now()}.tmp`;
+    await fs.writeFile(tempPath, data);
+    await fs.rename(tempPath, filePath);
+  }
+
+  async delete(key: string): Promise<void> {
+    try {
+      await fs.unlink(this.resolve(key));
+    } catch (error) {
+      if ((error as any)?.code !== 'ENOENT') throw error;
+    }
+  }
+
+  async list(
+    prefix: string,
+    options: { startAfter?: string; limit?: number } = {},
+  ): Promise<string[]> {
+    let names: string[];
+    try {
+      const entries = await fs.readdir(this.resolve(prefix), {
+        withFileTypes: true,
+      });
+      names = entries
+        .filter((entry) => entry.isFile() && !entry.name.endsWith('.tmp'))
+        .map((entry) => entry.name);
+    } catch (error) {
+      if ((error as any)?.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const keys = names
+      .map((name) => `${prefix}${name}`)
+      .sort()
+      .filter((key) => !options.startAfter || key > options.startAfter);
+    return options.limit ? keys.slice(0, options.limit) : keys;
+  }
+
+  async url(key: string): Promise<string | null> {
+    const filePath = this.resolve(key);
+    return fs
+      .access(filePath)
+      .then(() => pathToFileURL(filePath).toString())
+      .catch(() => null);
+  }
+}
@@ -0,0 +1,99 @@
+import { syncStateManager } from '../state';
+import { loadSecret, pileSecretName, saveSecret } from '../secrets';
+import { SyncBackend, SyncBackendConfig } from './remote';
+import { supabaseBackend } from './supabase';
+import { ObjectStoreBackend } from './objectStore';
+import { FolderStore } from './folder';
+import { S3Store } from './s3';
+
+export * from './remote';
+
+const DEFAULT_CONFIG: SyncBackendConfig = { type: 'supabase' };
+
+const backends = new Map<string, { key: string; backend: SyncBackend }>();
+
+const secretName = (pilePath: string): string =>
+  pileSecretName('syncBackendSecrets', pilePath);
+
+/**
+ * Backend settings of a pile, secrets left out
+ */
+export async function getBackendConfig(
+  pilePath: string,
+): Promise<SyncBackendConfig> {
+  const state = await syncStateManager.loadState(pilePath);
+  return state.checkpoint.backend || DEFAULT_CONFIG;
+}
+
+/**
+ * Choose the backend of a pile. A secret that isn't given again keeps
+ * the stored one, so settings can be edited without retyping it.
+ */
+export async function setBackendConfig(
+  pilePath: string,
+  config: SyncBackendConfig,
+): Promise<void> {
+  if (config.type === 's3') {
+    const { secretAccessKey, ...publicConfig } = config;
+    if (secretAccessKey) await saveSecret(secretName(pilePath), secretAccessKey);
+    await syncStateManager.updateCheckpoint(pilePath, {
+      backend: publicConfig,
+    });
+  } else {
+    await saveSecret(secretName(pilePath), undefined);
+    await syncStateManager.updateCheckpoint(pilePath, { backend: config });
+  }
+  backends.delete(pilePath);
+}
+
+/**
+ * Build a backend from its settings
+ */
+export function createBackend(config: SyncBackendConfig): SyncBackend {
+  switch (config.type) {
+    case 'supabase':
+      return supabaseBackend;
+    case 'folder':
+      if (!config.path) throw new Error('No sync folder chosen');
+      return new ObjectStoreBackend(new FolderStore(config.path));
+    case 's3':
+      if (
+        !config.endpoint ||
+        !config.bucket ||
+        !config.accessKeyId ||
+        !config.secretAccessKey
+      ) {
+        throw new Error('Incomplete S3 settings');
+      }
+      return new ObjectStoreBackend(
+        new S3Store({
+          endpoint: config.endpoint,
+          region: config.region || 'us-east-1',
+          bucket: config.bucket,
+          accessKeyId: config.accessKeyId,
+          secretAccessKey: config.secretAccessKey,
+          prefix: config.prefix,
+        }),
+      );
+    default:
+      throw new Error(`Unknown sync backend: ${(config as any)?.type}`);
+  }
+}
+
+/**
+ * The backend a pile syncs to
+ */
+export async function getBackend(pilePath: string): Promise<SyncBackend> {
+  const config = await getBackendConfig(pilePath);
+  const key = JSON.stringify(config);
+  const cached = backends.get(pilePath);
+  if (cached && cached.key === key) return cached.backend;
+
+  const backend = createBackend(
+    config.type === 's3'
+      ? { ...config, secretAccessKey: await loadSecret(secretName(pilePath)) }
+      : config,
+  );
+  backends.set(pilePath, { key, backend });
+  return backend;
+}
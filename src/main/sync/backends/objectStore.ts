@@ -0,0 +1,339 @@
+import crypto from 'crypto';
+import {
+  AttachmentQuery,
+  NewAttachment,
+  PostCursor,
+  RemoteAttachment,
+  RemotePost,
+  SyncBackend,
+  UpdateGuard,
+} from './remote';
+
+/**
+ * Plain key/value storage with '/' separated keys, the part of a shared
+ * folder or a bucket the object store backend needs
+ */
+export interface ObjectStore {
+  readonly kind: 'folder' | 's3';
+  // Where the store lives, for logs and errors
+  readonly location: string;
+
+  /**
+   * Throws when the store can't be reached
+   */
+  check(): Promise<void>;
+
+  /**
+   * Contents of a key, null when it doesn't exist
+   */
+  get(key: string): Promise<Buffer | null>;
+  put(key: string, data: Buffer | string, contentType?: string): Promise<void>;
+  delete(key: string): Promise<void>;
+
+  /**
+   * Keys directly under `prefix` in lexicographic order, starting after
+   * `startAfter` when given
+   */
+  list(
+    prefix: string,
+    options?: { startAfter?: string; limit?: number },
+  ): Promise<string[]>;
+
+  /**
+   * A URL to read a key from, null when there is none
+   */
+  url(key: string, expiresIn: number): Promise<string | null>;
+}
+
+// Dates as sortable key parts, fixed width so they order like numbers
+const sortableTime = (date: string): string =>
+  String(Date.parse(date) || 0).padStart(15, '0');
+
+/**
+ * Sync backend on top of any object store. A pile is laid out as
+ *
+ *   piles/<pileId>.json                        name of the pile
+ *   data/<pileId>/posts/<postId>.json          current version of a post
+ *   data/<pileId>/changes/<time>_<postId>.json the same, listed in pull order
+ *   data/<pileId>/attachments/<postId>/<id>.json
+ *   data/<pileId>/blobs/<postId>/<hash>-<filename>
+ *
+ * Every post has exactly one change entry, keyed by its updated_at, so a
+ * pull lists the changes after its cursor instead of reading every post.
+ * updated_at comes from the writing device's clock and a shared folder can
+ * deliver an entry late, so pulls read a window behind their cursor again.
+ */
+export class ObjectStoreBackend implements SyncBackend {
+  constructor(private store: ObjectStore) {}
+
+  get kind() {
+    return this.store.kind;
+  }
+
+  private async readJson<T>(key: string): Promise<T | null> {
+    const data = await this.store.get(key);
+    if (!data) return null;
+    try {
+      return JSON.parse(data.toString('utf8')) as T;
+    } catch (error) {
+      console.warn(
+        `[BACKEND] Ignoring unreadable ${key} in ${this.store.location}`,
+      );
+      return null;
+    }
+  }
+
+  private writeJson(key: string, value: unknown): Promise<void> {
+    return this.store.put(
+      key,
+      JSON.stringify(value, null, 2),
+      'application/json',
+    );
+  }
+
+  private postKey(pileId: string, postId: string): string {
+    return `data/${pileId}/posts/${postId}.json`;
+  }
+
+  private changeKey(
+    pileId: string,
+    post: Pick<RemotePost, 'id' | 'updated_at'>,
+  ): string {
+    return `data/${pileId}/changes/${sortableTime(post.updated_at)}_${post.id}.json`;
+  }
+
+  async checkReady(): Promise<string | null> {
+    try {
+      await this.store.check();
+      return null;
+    } catch (error) {
+      return `Sync storage unavailable (${this.store.location}): ${(error as Error)?.message}`;
+    }
+  }
+
+  async findOrCreatePile(name: string): Promise<string> {
+    for (const key of await this.store.list('piles/')) {
+      const pile = await this.readJson<{ id: string; name: string }>(key);
+      if (pile?.name === name) {
+        console.log(
+          `[BACKEND] Reusing existing remote pile ${pile.id} for ${name}`,
+        );
+        return pile.id;
+      }
+    }
+
+    const id = crypto.randomUUID();
+    await this.ensurePile(id, name);
+    console.log(
+      `[BACKEND] Created remote pile ${id} for ${name} in ${this.store.location}`,
+    );
+    return id;
+  }
+
+  async ensurePile(remotePileId: string, name: string): Promise<void> {
+    const key = `piles/${remotePileId}.json`;
+    if (await this.store.get(key)) return;
+    await this.writeJson(key, {
+      id: remotePileId,
+      name,
+      created_at: new Date().toISOString(),
+    });
+  }
+
+  async listPostsSince(
+    remotePileId: string,
+    cursor: PostCursor | null,
+    limit: number,
+  ): Promise<RemotePost[]> {
+    const keys = await this.store.list(`data/${remotePileId}/changes/`, {
+      startAfter: cursor
+        ? this.changeKey(remotePileId, {
+            id: cursor.id,
+            updated_at: cursor.updatedAt,
+          })
+        : undefined,
+      limit,
+    });
+
+    const posts: RemotePost[] = [];
+    for (const key of keys) {
+      const post = await this.readJson<RemotePost>(key);
+      if (post) posts.push(post);
+    }
+    return posts;
+  }
+
+  async getPostVersion(
+    remotePileId: string,
+    postId: string,
+  ): Promise<Pick<RemotePost, 'updated_at' | 'etag'> | null> {
+    const post = await this.readJson<RemotePost>(
+      this.postKey(remotePileId, postId),
+    );
+    return post ? { updated_at: post.updated_at, etag: post.etag } : null;
+  }
+
+  /**
+   * Store a new version of a post and move its change entry
+   */
+  private async writePost(
+    post: RemotePost,
+    previous: RemotePost | null,
+  ): Promise<void> {
+    await this.writeJson(this.postKey(post.pile_id, post.id), post);
+    await this.writeJson(this.changeKey(post.pile_id, post), post);
+
+    if (previous) {
+      const previousKey = this.changeKey(post.pile_id, previous);
+      if (previousKey !== this.changeKey(post.pile_id, post)) {
+        await this.store.delete(previousKey);
+      }
+    }
+  }
+
+  async insertPost(post: RemotePost): Promise<void> {
+    const previous = await this.readJson<RemotePost>(
+      this.postKey(post.pile_id, post.id),
+    );
+    await this.writePost({ ...post, deleted_at: null }, previous);
+  }
+
+  async updatePost(post: RemotePost, guard?: UpdateGuard): Promise<boolean> {
+    const previous = await this.readJson<RemotePost>(
+      this.postKey(post.pile_id, post.id),
+    );
+
+    // Same check as the database backends, though not atomic
+    if (previous && guard) {
+      const matches =
+        guard.etag && previous.etag
+          ? guard.etag === previous.etag
+          : !guard.updatedAt || guard.updatedAt === previous.updated_at;
+      if (!matches) return false;
+    }
+
+    await this.writePost(
+      { ...post, deleted_at: previous?.deleted_at ?? null },
+      previous,
+    );
+    return true;
+  }
+
+  async tombstonePost(remotePileId: string, postId: string): Promise<void> {
+    const previous = await this.readJson<RemotePost>(
+      this.postKey(remotePileId, postId),
+    );
+    if (!previous) return;
+
+    const now = new Date().toISOString();
+    await this.writePost(
+      { ...previous, deleted_at: now, updated_at: now },
+      previous,
+    );
+  }
+
+  async untombstonePost(remotePileId: string, postId: string): Promise<void> {
+    const previous = await this.readJson<RemotePost>(
+      this.postKey(remotePileId, postId),
+    );
+    if (!previous?.deleted_at) return;
+
+    await this.writePost(
+      { ...previous, deleted_at: null, updated_at: new Date().toISOString() },
+      previous,
+    );
+  }
+
+  private async postAttachments(
+    remotePileId: string,
+    postId: string,
+  ): Promise<RemoteAttachment[]> {
+    const attachments: RemoteAttachment[] = [];
+    for (const key of await this.store.list(
+      `data/${remotePileId}/attachments/${postId}/`,
+    )) {
+      const attachment = await this.readJson<RemoteAttachment>(key);
+      if (attachment && !attachment.deleted_at) attachments.push(attachment);
+    }
+    return attachments;
+  }
+
+  async listAttachments(
+    remotePileId: string,
+    postIds: string[],
+  ): Promise<RemoteAttachment[]> {
+    const attachments: RemoteAttachment[] = [];
+    for (const postId of postIds) {
+      attachments.push(...(await this.postAttachments(remotePileId, postId)));
+    }
+    return attachments.sort((a, b) => a.created_at.localeCompare(b.created_at));
+  }
+
+  async findAttachment(
+    remotePileId: string,
+    query: AttachmentQuery,
+  ): Promise<RemoteAttachment | null> {
+    const attachments = await this.postAttachments(remotePileId, query.postId);
+    return (
+      attachments.find(
+        (attachment) =>
+          (!query.id || attachment.id === query.id) &&
+          (!query.hash || attachment.content_hash === query.hash) &&
+          (!query.filename || attachment.filename === query.filename) &&
+          (!query.storagePath || attachment.storage_path === query.storagePath),
+      ) || null
+    );
+  }
+
+  async putAttachment(
+    attachment: NewAttachment,
+    data: Buffer,
+  ): Promise<RemoteAttachment> {
+    const now = new Date().toISOString();
+    const record: RemoteAttachment = {
+      ...attachment,
+      storage_path: `data/${attachment.pile_id}/blobs/${attachment.post_id}/${attachment.content_hash}-${attachment.filename}`,
+      created_at: now,
+      updated_at: now,
+      deleted_at: null,
+    };
+
+    await this.store.put(record.storage_path, data, record.mime_type);
+    await this.writeJson(
+      `data/${record.pile_id}/attachments/${record.post_id}/${record.id}.json`,
+      record,
+    );
+    return record;
+  }
+
+  async readAttachment(storagePath: string): Promise<Buffer> {
+    const data = await this.store.get(storagePath);
+    if (!data) {
+      throw new Error(`Attachment data missing: ${storagePath}`);
+    }
+    return data;
+  }
+
+  async deleteAttachment(attachment: RemoteAttachment): Promise<void> {
+    const now = new Date().toISOString();
+    await this.writeJson(
+      `data/${attachment.pile_id}/attachments/${attachment.post_id}/${attachment.id}.json`,
+      { ...attachment, deleted_at: now, updated_at: now },
+    );
+
+    try {
+      await this.store.delete(attachment.storage_path);
+    } catch (error) {
+      console.warn(
+        `[BACKEND] Failed to remove attachment data: ${(error as Error)?.message}`,
+      );
+    }
+  }
+
+  async getAttachmentUrl(
+    storagePath: string,
+    expiresIn: number,
+  ): Promise<string | null> {
+    return this.store.url(storagePath, expiresIn);
+  }
+}
@@ -0,0 +1,222 @@
+/**
+ * A post as the sync backends store it. Supabase adapts it to the columns
+ * its table has, the object store backends keep it as JSON.
+ */
+export interface RemotePost {
+  id: string;
+  pile_id: string;
+  title?: string;
+  content?: string;
+  content_md?: string;
+  etag?: string;
+  created_at: string;
+  updated_at: string;
+  deleted_at?: string | null;
+  meta?: any;
+}
+
+/**
+ * Metadata of an attachment, its data lives at `storage_path`
+ */
+export interface RemoteAttachment {
+  id: string;
+  post_id: string;
+  pile_id: string;
+  filename: string;
+  content_hash: string;
+  size: number;
+  mime_type: string;
+  storage_path: string;
+  created_at: string;
+  updated_at: string;
+  deleted_at?: string | null;
+}
+
+export type NewAttachment = Omit<
+  RemoteAttachment,
+  'storage_path' | 'created_at' | 'updated_at' | 'deleted_at'
+>;
+
+/**
+ * Position of a pull, posts are read in (updated_at, id) order
+ */
+export interface PostCursor {
+  updatedAt: string;
+  id: string;
+}
+
+/**
+ * The version a local edit started from. An update only applies while
+ * the remote post still has it, so edits from elsewhere aren't lost.
+ */
+export interface UpdateGuard {
+  etag?: string;
+  updatedAt?: string;
+}
+
+export interface AttachmentQuery {
+  postId: string;
+  hash?: string;
+  filename?: string;
+  storagePath?: string;
+  id?: string;
+}
+
+export type SyncBackendKind = 'supabase' | 'folder' | 's3';
+
+export interface SupabaseBackendConfig {
+  type: 'supabase';
+}
+
+export interface FolderBackendConfig {
+  type: 'folder';
+  // A shared folder, e.g. on a NAS or synced by Syncthing
+  path: string;
+}
+
+export interface S3BackendConfig {
+  type: 's3';
+  endpoint: string;
+  region: string;
+  bucket: string;
+  accessKeyId: string;
+  // Kept out of the pile, see backends/index.ts
+  secretAccessKey?: string;
+  prefix?: string;
+}
+
+export type SyncBackendConfig =
+  SupabaseBackendConfig | FolderBackendConfig | S3BackendConfig;
+
+/**
+ * Where a linked pile syncs to. Push, pull and attachments only talk to
+ * this interface; the queue, checkpoints and conflict handling are the
+ * same for every backend.
+ */
+export interface SyncBackend {
+  readonly kind: SyncBackendKind;
+
+  /**
+   * Why the backend can't be used right now (signed out, folder missing,
+   * bucket unreachable), null when it can
+   */
+  checkReady(): Promise<string | null>;
+
+  /**
+   * Id of the remote pile called `name`, created when there is none
+   */
+  findOrCreatePile(name: string): Promise<string>;
+
+  /**
+   * Recreate a linked pile that disappeared remotely
+   */
+  ensurePile(remotePileId: string, name: string): Promise<void>;
+
+  /**
+   * Posts changed after `cursor`, deleted ones included, in cursor order
+   */
+  listPostsSince(
+    remotePileId: string,
+    cursor: PostCursor | null,
+    limit: number,
+  ): Promise<RemotePost[]>;
+
+  /**
+   * Version of a post, null when the backend doesn't have it
+   */
+  getPostVersion(
+    remotePileId: string,
+    postId: string,
+  ): Promise<Pick<RemotePost, 'updated_at' | 'etag'> | null>;
+
+  insertPost(post: RemotePost): Promise<void>;
+
+  /**
+   * Update a post, false when the guard no longer matches
+   */
+  updatePost(post: RemotePost, guard?: UpdateGuard): Promise<boolean>;
+
+  tombstonePost(remotePileId: string, postId: string): Promise<void>;
+
+  /**
+   * Undo a tombstone, a post that isn't deleted is left as it is
+   */
+  untombstonePost(remotePileId: string, postId: string): Promise<void>;
+
+  /**
+   * Attachments of the given posts that aren't deleted
+   */
+  listAttachments(
+    remotePileId: string,
+    postIds: string[],
+  ): Promise<RemoteAttachment[]>;
+
+  findAttachment(
+    remotePileId: string,
+    query: AttachmentQuery,
+  ): Promise<RemoteAttachment | null>;
+
+  /**
+   * Store the data and metadata of a new attachment
+   */
+  putAttachment(
+    attachment: NewAttachment,
+    data: Buffer,
+  ): Promise<RemoteAttachment>;
+
+  readAttachment(storagePath: string): Promise<Buffer>;
+
+  /**
+   * Mark an attachment deleted and drop its data
+   */
+  deleteAttachment(attachment: RemoteAttachment): Promise<void>;
+
+  /**
+   * A URL the renderer can load the attachment from, null when the
+   * backend can't hand one out
+   */
+  getAttachmentUrl(
+    storagePath: string,
+    expiresIn: number,
+  ): Promise<string | null>;
+}
+
+/**
+ * The remote version of a local post
+ */
+export function buildRemotePost(
+  frontmatter: any,
+  content: string,
+  remotePileId: string,
+  fallbackId: string,
+  etag?: string,
+): RemotePost {
+  const post: RemotePost = {
+    id: frontmatter?.id || fallbackId,
+    pile_id: remotePileId,
+    title: frontmatter?.title || '',
+    content_md: content,
+    created_at: frontmatter?.created_at || new Date().toISOString(),
+    updated_at: new Date().toISOString(),
+  };
+  if (etag) {
+    post.etag = etag;
+  }
+
+  // Summary metadata travels with the post
+  const meta: any = {};
+  if (typeof frontmatter?.isSummarized === 'boolean') {
+    meta.isSummarized = frontmatter.isSummarized;
+  }
+  if (typeof frontmatter?.summaryStale === 'boolean') {
+    meta.summaryStale = frontmatter.summaryStale;
+  }
+  if (frontmatter?.summary && typeof frontmatter.summary === 'object') {
+    meta.summary = frontmatter.summary;
+  }
+  if (Object.keys(meta).length > 0) {
+    post.meta = meta;
+  }
+
+  return post;
+}
@@ -0,0 +1,264 @@
+import crypto from 'crypto';
+import { ObjectStore } from './objectStore';
+
+export interface S3StoreOptions {
+  endpoint: string;
+  region: string;
+  bucket: string;
+  accessKeyId: string;
+  secretAccessKey: string;
+  // Keys of the pile live under this prefix of the bucket
+  prefix?: string;
+}
+
+const EMPTY_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+const sha256 = (data: Buffer | string): string =>
+  crypto.createHash('sha256').update(data).digest('hex');
+
+const hmac = (key: Buffer | string, data: string): Buffer =>
+  crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding as SigV4 expects it
+const encode = (value: string): string =>
+  encodeURIComponent(value).replace(
+    /[!'()*]/g,
+    (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`,
+  );
+
+const decodeXml = (value: string): string =>
+  value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+
+/**
+ * Object store in an S3-compatible bucket (AWS, MinIO, R2, ...). Requests
+ * are signed with AWS Signature V4 and use path-style URLs, which every
+ * S3-compatible server accepts.
+ */
+export class S3Store implements ObjectStore {
+  readonly kind = 's3' as const;
+
+  private endpoint: URL;
+
+  private prefix: string;
+
+  constructor(private options: S3StoreOptions) {
+    this.endpoint = new URL(options.endpoint);
+    this.prefix = (options.prefix || '').replace(/^\/+|\/+$/g, '');
+    if (this.prefix) this.prefix += '/';
+  }
+
+  get location(): string {
+    return `${this.endpoint.origin}/${this.options.bucket}/${this.prefix}`;
+  }
+
+  /**
+   * Path of a key, or of the bucket itself without one
+   */
+  private objectPath(key?: string): string {
+    const basePath = this.endpoint.pathname.replace(/\/+$/, '');
+    const segments = [this.options.bucket];
+    if (key !== undefined) segments.push(...`${this.prefix}${key}`.split('/'));
+    return `${basePath}/${segments.map(encode).join('/')}`;
+  }
+
+  private canonicalQuery(query: Record<string, string>): string {
+    return Object.keys(query)
+      .sort()
+      .map((name) => `${encode(name)}=${encode(query[name])}`)
+      .join('&');
+  }
+
+  private scope(date: string): string {
+    return `${date}/${this.options.region}/s3/aws4_request`;
+  }
+
+  private signature(amzDate: string, canonicalRequest: string): string {
+    const date = amzDate.slice(0, 8);
+    const stringToSign = [
+      'AWS4-HMAC-SHA256',
+      amzDate,
+      this.scope(date),
+      sha256(canonicalRequest),
+    ].join('\n');
+
+    const signingKey = ['s3', 'aws4_request'].reduce(
+      (key, part) => hmac(key, part),
+      hmac(
+        hmac(`AWS4${this.options.secretAccessKey}`, date),
+        this.options.region,
+      ),
+    );
+    return crypto
+      .createHmac('sha256', signingKey)
+      .update(stringToSign)
+      .digest('hex');
+  }
+
+  private now(): string {
+    return new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+  }
+
+  private async request(
+    method: 'GET' | 'PUT' | 'DELETE',
+    key: string | undefined,
+    options: {
+      query?: Record<string, string>;
+      body?: Buffer;
+      contentType?: string;
+    } = {},
+  ): Promise<Response> {
+    const query = options.query || {};
+    const payloadHash = options.body ? sha256(options.body) : EMPTY_HASH;
+    const amzDate = this.now();
+    const objectPath = this.objectPath(key);
+
+    const headers: Record<string, string> = {
+      host: this.endpoint.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate,
+    };
+    if (options.contentType) headers['content-type'] = options.contentType;
+
+    const names = Object.keys(headers).sort();
+    const canonicalRequest = [
+      method,
+      objectPath,
+      this.canonicalQuery(query),
+      names.map((name) => `${name}:${headers[name].trim()}\n`).join(''),
+      names.join(';'),
+      payloadHash,
+    ].join('\n');
+
+    headers.authorization =
+      `AWS4-HMAC-SHA256 Credential=${this.options.accessKeyId}/${this.scope(amzDate.slice(0, 8))}, ` +
+      `SignedHeaders=${names.join(';')}, Signature=${this.signature(amzDate, canonicalRequest)}`;
+    delete headers.host;
+
+    const search = this.canonicalQuery(query);
+    return fetch(
+      `${this.endpoint.origin}${objectPath}${search ? `?${search}` : ''}`,
+      {
+        method,
+        headers,
+        body: options.body ? new Uint8Array(options.body) : undefined,
+      },
+    );
+  }
+
+  private async fail(response: Response, action: string): Promise<never> {
+    const text = await response.text().catch(() => '');
+    const message = /<Message>([^<]*)<\/Message>/.exec(text)?.[1];
+    throw new Error(
+      `S3 ${action} failed (${response.status})${message ? `: ${decodeXml(message)}` : ''}`,
+    );
+  }
+
+  async check(): Promise<void> {
+    const response = await this.request('GET', undefined, {
+      query: { 'list-type': '2', 'max-keys': '1', prefix: this.prefix },
+    });
+    if (!response.ok) await this.fail(response, 'bucket check');
+  }
+
+  async get(key: string): Promise<Buffer | null> {
+    const response = await this.request('GET', key);
+    if (response.status === 404) return null;
+    if (!response.ok) await this.fail(response, `read of ${key}`);
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  async put(
+    key: string,
+    data: Buffer | string,
+    contentType?: string,
+  ): Promise<void> {
+    const response = await this.request('PUT', key, {
+      body: Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8'),
+      contentType: contentType || 'application/octet-stream',
+    });
+    if (!response.ok) await this.fail(response, `write of ${key}`);
+  }
+
+  async delete(key: string): Promise<void> {
+    const response = await this.request('DELETE', key);
+    if (!response.ok && response.status !== 404) {
+      await this.fail(response, `delete of ${key}`);
+    }
+  }
+
+  async list(
+    prefix: string,
+    options: { startAfter?: string; limit?: number } = {},
+  ): Promise<string[]> {
+    const keys: string[] = [];
+    let continuationToken: string | undefined;
+
+    do {
+      const query: Record<string, string> = {
+        'list-type': '2',
+        delimiter: '/',
+        prefix: `${this.prefix}${prefix}`,
+      };
+      if (options.startAfter)
+        query['start-after'] = `${this.prefix}${options.startAfter}`;
+      if (options.limit)
+        query['max-keys'] = String(options.limit - keys.length);
+      if (continuationToken) query['continuation-token'] = continuationToken;
+
+      const response = await this.request('GET', undefined, { query });
+      if (!response.ok) await this.fail(response, `listing of ${prefix}`);
+      const xml = await response.text();
+
+      for (const match of xml.matchAll(
+        /<Contents>[\s\S]*?<Key>([^<]*)<\/Key>/g,
+      )) {
+        keys.push(decodeXml(match[1]).slice(this.prefix.length));
+      }
+
+      continuationToken = /<IsTruncated>true<\/IsTruncated>/.test(xml)
+        ? decodeXml(
+            /<NextContinuationToken>([^<]*)<\/NextContinuationToken>/.exec(
+              xml,
+            )?.[1] || '',
+          )
+        : undefined;
+    } while (
+      continuationToken &&
+      (!options.limit || keys.length < options.limit)
+    );
+
+    return keys;
+  }
+
+  /**
+   * Presigned GET URL
+   */
+  async url(key: string, expiresIn: number): Promise<string | null> {
+    const amzDate = this.now();
+    const objectPath = this.objectPath(key);
+    const query: Record<string, string> = {
+      'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+      'X-Amz-Credential': `${this.options.accessKeyId}/${this.scope(amzDate.slice(0, 8))}`,
+      'X-Amz-Date': amzDate,
+      'X-Amz-Expires': String(Math.min(Math.max(1, expiresIn), 604800)),
+      'X-Amz-SignedHeaders': 'host',
+    };
+
+    const canonicalRequest = [
+      'GET',
+      objectPath,
+      this.canonicalQuery(query),
+      `host:${this.endpoint.host}\n`,
+      'host',
+      'UNSIGNED-PAYLOAD',
+    ].join('\n');
+
+    const signature = this.signature(amzDate, canonicalRequest);
+    return `${this.endpoint.origin}${objectPath}?${this.canonicalQuery(query)}&X-Amz-Signature=${signature}`;
+  }
+}
@@ -0,0 +1,444 @@
+import { supabase } from '../../lib/supabase';
+import {
+  AttachmentQuery,
+  NewAttachment,
+  PostCursor,
+  RemoteAttachment,
+  RemotePost,
+  SyncBackend,
+  UpdateGuard,
+  buildRemotePost,
+} from './remote';
+
+// Cache of posts table column support to avoid repeated probing
+let postsColumnProbe: { probed: boolean; hasContentMd: boolean; hasUserId: boolean; hasEtag: boolean; hasName: boolean; hasMeta: boolean } = {
+  probed: false,
+  hasContentMd: false,
+  hasUserId: false,
+  hasEtag: false,
+  hasName: false,
+  hasMeta: false,
+};
+
+async function probePostsColumns(): Promise<typeof postsColumnProbe> {
+  if (postsColumnProbe.probed) return postsColumnProbe;
+  // Check columns one by one using lightweight selects
+  let hasContentMd = false;
+  let hasUserId = false;
+  let hasEtag = false;
+  let hasName = false;
+  let hasMeta = false;
+  try {
+    const { error } = await supabase.from('posts').select('content_md').limit(0);
+    hasContentMd = !error;
+  } catch {
+    hasContentMd = false;
+  }
+  try {
+    const { error } = await supabase.from('posts').select('user_id').limit(0);
+    hasUserId = !error;
+  } catch {
+    hasUserId = false;
+  }
+  try {
+    const { error } = await supabase.from('posts').select('etag').limit(0);
+    hasEtag = !error;
+  } catch {
+    hasEtag = false;
+  }
+  try {
+    const { error } = await supabase.from('posts').select('name').limit(0);
+    hasName = !error;
+  } catch {
+    hasName = false;
+  }
+  try {
+    const { error } = await supabase.from('posts').select('meta').limit(0);
+    hasMeta = !error;
+  } catch {
+    hasMeta = false;
+  }
+  postsColumnProbe = { probed: true, hasContentMd, hasUserId, hasEtag, hasName, hasMeta };
+  return postsColumnProbe;
+}
+
+/**
+ * Adapt a post to the columns the posts table actually has
+ */
+async function toPostRow(post: RemotePost): Promise<Record<string, any>> {
+  const base: any = {
+    id: post.id,
+    pile_id: post.pile_id,
+    title: post.title || '',
+    created_at: post.created_at,
+    updated_at: post.updated_at,
+  };
+  const content = post.content_md ?? post.content ?? '';
+
+  const probe = await probePostsColumns();
+  if (probe.hasContentMd) {
+    base.content_md = content;
+    base.content = '';
+  } else {
+    base.content = content;
+  }
+  if (probe.hasEtag && post.etag) {
+    base.etag = post.etag;
+  }
+  if (probe.hasName) {
+    // Map to 'name' when the table defines it as NOT NULL; prefer title or fallback id
+    base.name = post.title || post.id;
+  }
+  if (probe.hasUserId) {
+    try {
+      const { data: session } = await supabase.auth.getSession();
+      const userId = session?.session?.user?.id;
+      if (userId) base.user_id = userId;
+    } catch {}
+  }
+  // Include summary metadata when supported by schema
+  if (probe.hasMeta && post.meta) {
+    base.meta = post.meta;
+  }
+  return base;
+}
+
+/**
+ * Build the posts row for a local post
+ */
+export async function buildPostUpsertPayload(frontmatter: any, content: string, remotePileId: string, fallbackId: string, etag?: string): Promise<Record<string, any>> {
+  return toPostRow(buildRemotePost(frontmatter, content, remotePileId, fallbackId, etag));
+}
+
+/**
+ * Generate remote storage path
+ * Format: user_id/piles/<pile-id>/<post-id>/<hash>-<filename>
+ */
+async function generateRemotePath(pileId: string, postId: string, hash: string, filename: string): Promise<string> {
+  const { data: session } = await supabase.auth.getSession();
+  if (!session.session?.user) {
+    throw new Error('Not authenticated');
+  }
+  const userId = session.session.user.id;
+  return `${userId}/piles/${pileId}/${postId}/${hash}-${filename}`;
+}
+
+/**
+ * The hosted backend: posts and attachment metadata in Postgres tables,
+ * attachment data in the `attachments` storage bucket
+ */
+class SupabaseBackend implements SyncBackend {
+  readonly kind = 'supabase' as const;
+
+  async checkReady(): Promise<string | null> {
+    const { data: session } = await supabase.auth.getSession();
+    return session.session ? null : 'Not authenticated with Supabase';
+  }
+
+  private async getUserId(): Promise<string> {
+    const { data: session } = await supabase.auth.getSession();
+    if (!session.session) {
+      throw new Error('Not authenticated with Supabase');
+    }
+    return session.session.user.id;
+  }
+
+  async findOrCreatePile(name: string): Promise<string> {
+    const userId = await this.getUserId();
+
+    // Try to reuse an existing pile with the same name for this user
+    try {
+      const { data: existing, error: findErr } = await supabase
+        .from('piles')
+        .select('id')
+        .eq('user_id', userId)
+        .eq('name', name)
+        .order('created_at', { ascending: true })
+        .limit(1)
+        .maybeSingle();
+
+      if (!findErr && existing?.id) {
+        console.log(`[SUPABASE] Reusing existing remote pile ${existing.id} for ${name}`);
+        return existing.id;
+      }
+    } catch (e) {
+      console.warn('[SUPABASE] Failed to check for existing pile, will attempt create:', (e as Error)?.message);
+    }
+
+    const { data, error } = await supabase
+      .from('piles')
+      .insert({
+        user_id: userId,
+        name,
+        description: '',
+        is_private: true,
+        settings: { theme: 'light', sync_enabled: true },
+      })
+      .select('id')
+      .single();
+    if (error) {
+      throw new Error(error.message);
+    }
+    console.log(`[SUPABASE] Created remote pile ${data.id} for ${name}`);
+    return data.id;
+  }
+
+  async ensurePile(remotePileId: string, name: string): Promise<void> {
+    const { data: pileRow, error: pileFetchErr } = await supabase
+      .from('piles')
+      .select('id')
+      .eq('id', remotePileId)
+      .single();
+    if (!pileFetchErr && pileRow) return;
+
+    console.warn('[SUPABASE] Remote pile not found; attempting to (re)create');
+    const { data: created, error: pileCreateErr } = await supabase
+      .from('piles')
+      .insert({
+        id: remotePileId, // preserve existing ID if policy allows
+        user_id: await this.getUserId(),
+        name,
+        description: '',
+        is_private: true,
+        settings: { theme: 'light', sync_enabled: true },
+      })
+      .select('id')
+      .single();
+    if (pileCreateErr) {
+      console.error('[SUPABASE] Failed to (re)create remote pile:', pileCreateErr);
+    } else {
+      console.log('[SUPABASE] Recreated remote pile:', created?.id);
+    }
+  }
+
+  async listPostsSince(remotePileId: string, cursor: PostCursor | null, limit: number): Promise<RemotePost[]> {
+    let query = supabase
+      .from('posts')
+      .select('*')
+      .eq('pile_id', remotePileId)
+      .order('updated_at', { ascending: true })
+      .order('id', { ascending: true });
+
+    if (cursor) {
+      query = query.or(`updated_at.gt.${cursor.updatedAt},and(updated_at.eq.${cursor.updatedAt},id.gt.${cursor.id})`);
+    }
+
+    const { data, error } = await query.limit(limit);
+    if (error) {
+      throw new Error(`Failed to fetch posts: ${error.message}`);
+    }
+    return (data || []) as RemotePost[];
+  }
+
+  async getPostVersion(remotePileId: string, postId: string): Promise<Pick<RemotePost, 'updated_at' | 'etag'> | null> {
+    const probe = await probePostsColumns();
+    const { data, error } = await supabase
+      .from('posts')
+      .select(probe.hasEtag ? 'id, updated_at, etag' : 'id, updated_at')
+      .eq('id', postId)
+      .eq('pile_id', remotePileId)
+      .limit(1);
+
+    if (error) {
+      throw new Error(`Failed to query existing post: ${error.message}`);
+    }
+    return data && data.length > 0 ? (data[0] as any) : null;
+  }
+
+  async insertPost(post: RemotePost): Promise<void> {
+    const { error } = await supabase.from('posts').insert(await toPostRow(post));
+    if (!error) return;
+
+    if (/violates unique constraint/i.test(error.message)) {
+      // Handle duplicate key errors gracefully
+      console.warn('[SUPABASE] Duplicate post detected, attempting update with force:', post.id);
+      await this.updatePost(post);
+      return;
+    }
+    throw this.postError(error, post.id);
+  }
+
+  async updatePost(post: RemotePost, guard?: UpdateGuard): Promise<boolean> {
+    const probe = await probePostsColumns();
+    let query = supabase
+      .from('posts')
+      .update(await toPostRow(post))
+      .eq('id', post.id)
+      .eq('pile_id', post.pile_id);
+
+    // Optimistic guard by etag or updated_at when available
+    if (probe.hasEtag && guard?.etag) {
+      query = query.eq('etag', guard.etag);
+    } else if (guard?.updatedAt) {
+      query = query.eq('updated_at', guard.updatedAt);
+    }
+
+    const { data, error } = await query.select('id');
+    if (error) {
+      throw this.postError(error, post.id);
+    }
+    return !guard || (!!data && data.length > 0);
+  }
+
+  private postError(error: { message: string }, postId: string): Error {
+    if (/invalid input syntax for type uuid/i.test(error.message)) {
+      // This should now be rare since we pre-validate UUIDs
+      console.error('[SUPABASE] UUID validation error occurred despite pre-validation:', error.message);
+      return new Error(`UUID validation failed for post ID "${postId}": ${error.message}`);
+    }
+    return new Error(`Failed to upsert post: ${error.message}`);
+  }
+
+  async tombstonePost(remotePileId: string, postId: string): Promise<void> {
+    // Soft delete the post by setting deleted_at
+    const { error } = await supabase
+      .from('posts')
+      .update({
+        deleted_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', postId)
+      .eq('pile_id', remotePileId);
+
+    if (error) {
+      throw new Error(`Failed to tombstone post: ${error.message}`);
+    }
+  }
+
+  async untombstonePost(remotePileId: string, postId: string): Promise<void> {
+    const { error } = await supabase
+      .from('posts')
+      .update({
+        deleted_at: null,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', postId)
+      .eq('pile_id', remotePileId)
+      .not('deleted_at', 'is', null);
+
+    if (error) {
+      throw new Error(`Failed to restore post: ${error.message}`);
+    }
+  }
+
+  async listAttachments(remotePileId: string, postIds: string[]): Promise<RemoteAttachment[]> {
+    if (postIds.length === 0) return [];
+
+    const { data, error } = await supabase
+      .from('attachments')
+      .select('*')
+      .in('post_id', postIds)
+      .eq('pile_id', remotePileId)
+      .is('deleted_at', null)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to query attachments: ${error.message}`);
+    }
+    return (data || []) as RemoteAttachment[];
+  }
+
+  async findAttachment(remotePileId: string, query: AttachmentQuery): Promise<RemoteAttachment | null> {
+    let request = supabase
+      .from('attachments')
+      .select('*')
+      .eq('post_id', query.postId)
+      .is('deleted_at', null);
+
+    // Previews of cloud piles look attachments up without a pile
+    if (remotePileId) request = request.eq('pile_id', remotePileId);
+    if (query.id) request = request.eq('id', query.id);
+    if (query.hash) request = request.eq('content_hash', query.hash);
+    if (query.filename) request = request.eq('filename', query.filename);
+    if (query.storagePath) request = request.eq('storage_path', query.storagePath);
+
+    const { data, error } = await request.limit(1);
+    if (error) {
+      throw new Error(`Failed to query attachment: ${error.message}`);
+    }
+    return data && data.length > 0 ? (data[0] as RemoteAttachment) : null;
+  }
+
+  async putAttachment(attachment: NewAttachment, data: Buffer): Promise<RemoteAttachment> {
+    const remotePath = await generateRemotePath(
+      attachment.pile_id,
+      attachment.post_id,
+      attachment.content_hash,
+      attachment.filename,
+    );
+    console.log(`[SUPABASE] Uploading to: ${remotePath}`);
+
+    const { error: uploadError } = await supabase.storage
+      .from('attachments')
+      .upload(remotePath, data, {
+        contentType: attachment.mime_type,
+        upsert: true, // Allow overwrite if file exists
+      });
+
+    if (uploadError) {
+      throw new Error(`Failed to upload to storage: ${uploadError.message}`);
+    }
+
+    const record = { ...attachment, storage_path: remotePath };
+    const { error: insertError } = await supabase.from('attachments').insert(record);
+
+    if (insertError) {
+      // Clean up uploaded file if metadata insertion fails
+      await supabase.storage.from('attachments').remove([remotePath]);
+      throw new Error(`Failed to insert attachment metadata: ${insertError.message}`);
+    }
+
+    const now = new Date().toISOString();
+    return { ...record, created_at: now, updated_at: now };
+  }
+
+  async readAttachment(storagePath: string): Promise<Buffer> {
+    const { data, error } = await supabase.storage
+      .from('attachments')
+      .download(storagePath);
+
+    if (error || !data) {
+      throw new Error(`Failed to download from storage: ${error?.message || 'No data'}`);
+    }
+    return Buffer.from(await data.arrayBuffer());
+  }
+
+  async deleteAttachment(attachment: RemoteAttachment): Promise<void> {
+    // Soft delete in database
+    const { error: updateError } = await supabase
+      .from('attachments')
+      .update({
+        deleted_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', attachment.id);
+
+    if (updateError) {
+      throw new Error(`Failed to delete attachment: ${updateError.message}`);
+    }
+
+    // Remove from storage (optional, can be done in cleanup job)
+    const { error: storageError } = await supabase.storage
+      .from('attachments')
+      .remove([attachment.storage_path]);
+
+    if (storageError) {
+      console.warn(`[SUPABASE] Failed to remove from storage: ${storageError.message}`);
+      // Don't fail the operation if storage removal fails
+    }
+  }
+
+  async getAttachmentUrl(storagePath: string, expiresIn: number): Promise<string | null> {
+    const { data, error } = await supabase.storage
+      .from('attachments')
+      .createSignedUrl(storagePath, expiresIn);
+
+    if (error || !data) {
+      throw new Error(`Failed to create signed URL: ${error?.message || 'No data'}`);
+    }
+    return data.signedUrl;
+  }
+}
+
+// Export singleton instance
+export const supabaseBackend = new SupabaseBackend();
@@ -0,0 +1,59 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * Snapshots of every post as it was last synced, the common ancestor
+ * for three-way merges when both sides changed
+ */
+function getBaseDir(pilePath: string): string {
+  return path.join(pilePath, '.pile', 'base');
+}
+
+function getBasePath(pilePath: string, postId: string): string {
+  return path.join(getBaseDir(pilePath), `${postId}.md`);
+}
+
+/**
+ * Store the last synced version of a post
+ */
+export async function saveBaseVersion(
+  pilePath: string,
+  postId: string,
+  content: string,
+): Promise<void> {
+  try {
+    await fs.mkdir(getBaseDir(pilePath), { recursive: true });
+    await fs.writeFile(getBasePath(pilePath, postId), content, 'utf8');
+  } catch (error) {
+    // Without a base the next conflict falls back to a two-way merge
+    console.error(`[BASE] Failed to save base version of ${postId}:`, error);
+  }
+}
+
+/**
+ * Read the last synced version of a post, null if it was never synced
+ */
+export async function loadBaseVersion(
+  pilePath: string,
+  postId: string,
+): Promise<string | null> {
+  try {
+    return await fs.readFile(getBasePath(pilePath, postId), 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Forget the base of a deleted post
+ */
+export async function removeBaseVersion(
+  pilePath: string,
+  postId: string,
+): Promise<void> {
+  try {
+    await fs.unlink(getBasePath(pilePath, postId));
+  } catch {
+    // Never synced, nothing to remove
+  }
+}
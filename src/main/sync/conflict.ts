@@ -3,6 +3,15 @@ import path from 'path';
 import crypto from 'crypto';
 import matter from 'gray-matter';
 import { syncStateManager } from './state';
+import { saveBaseVersion } from './base';
+import { postIdentity } from './identity';
+import pileHistory from '../utils/pileHistory';
+import {
+  threeWayMerge,
+  applyResolutions,
+  MergeResult,
+  HunkResolution,
+} from './merge';
 
 export interface ConflictInfo {
   id: string; // Unique conflict ID
@@ -16,6 +25,10 @@ export interface ConflictInfo {
   localEtag?: string;
   remoteEtag?: string;
   conflictType: 'content' | 'metadata' | 'both';
+  // Whether the last synced version was known, without it the merge is
+  // two-way and the whole post is one hunk
+  hasBase?: boolean;
+  hunksCount?: number;
   detectedAt: string;
   status: 'active' | 'resolved';
 }
@@ -25,13 +38,16 @@ export interface ConflictArtifacts {
   postId: string;
   localVersion: string;  // Path to local version file
   remoteVersion: string; // Path to remote version file
+  baseVersion?: string; // Path to the last synced version file
   originalLocal?: string; // Path to original local before conflict
 }
 
 export interface ConflictResolution {
   postId: string;
-  choice: 'local' | 'remote' | 'merged';
+  choice: 'local' | 'remote' | 'merged' | 'hunks';
   mergedContent?: string;
+  // One resolution per hunk of the merge, for the 'hunks' choice
+  hunks?: HunkResolution[];
   resolvedAt: string;
 }
 
@@ -101,7 +117,8 @@ async function storeConflictArtifacts(
   conflictId: string,
   postId: string,
   localContent: string,
-  remoteContent: string
+  remoteContent: string,
+  baseContent?: string | null
 ): Promise<ConflictArtifacts> {
   const conflictsDir = getConflictsDir(pilePath);
   await fs.mkdir(conflictsDir, { recursive: true });
@@ -119,6 +136,12 @@ async function storeConflictArtifacts(
   // Store remote version
   await fs.writeFile(artifacts.remoteVersion, remoteContent, 'utf8');
 
+  // Store the version both started from, when known
+  if (typeof baseContent === 'string') {
+    artifacts.baseVersion = path.join(conflictsDir, `${conflictId}-base.md`);
+    await fs.writeFile(artifacts.baseVersion, baseContent, 'utf8');
+  }
+
   return artifacts;
 }
 
@@ -133,7 +156,8 @@ export async function detectConflicts(
   localUpdatedAt: string,
   remoteUpdatedAt: string,
   localEtag?: string,
-  remoteEtag?: string
+  remoteEtag?: string,
+  localPath?: string
 ): Promise<ConflictInfo | null> {
   console.log(`[CONFLICT] Detecting conflicts for post: ${postId}`);
   
@@ -171,60 +195,102 @@ export async function detectConflicts(
 
     console.log(`[CONFLICT] Conflict detected for post: ${postId}`);
 
-    // Check if conflict already exists
-    const conflicts = await loadConflictsRegistry(pilePath);
-    const existingConflict = conflicts.find(c => c.postId === postId && c.status === 'active');
-    
-    if (existingConflict) {
-      // Update existing conflict with latest content
-      existingConflict.localContent = localContent;
-      existingConflict.remoteContent = remoteContent;
-      existingConflict.localUpdatedAt = localUpdatedAt;
-      existingConflict.remoteUpdatedAt = remoteUpdatedAt;
-      existingConflict.localEtag = localEtag;
-      existingConflict.remoteEtag = remoteEtag;
-      
-      await saveConflictsRegistry(pilePath, conflicts);
-      
-      // Update conflict artifacts
-      await storeConflictArtifacts(pilePath, existingConflict.id, postId, localContent, remoteContent);
-      
-      console.log(`[CONFLICT] Updated existing conflict: ${existingConflict.id}`);
-      return existingConflict;
-    }
-
-    // Create new conflict
-    const conflictId = generateConflictId();
-    const conflict: ConflictInfo = {
-      id: conflictId,
-      postId,
-      localPath: path.join(pilePath, 'posts', `${postId}.md`),
-      remotePath: `remote://${postId}`,
-      localUpdatedAt,
-      remoteUpdatedAt,
+    return await recordConflict(pilePath, postId, {
       localContent,
       remoteContent,
+      localUpdatedAt,
+      remoteUpdatedAt,
       localEtag,
       remoteEtag,
-      conflictType: 'content',
-      detectedAt: new Date().toISOString(),
-      status: 'active',
-    };
+      localPath,
+    });
 
-    // Store conflict artifacts
-    await storeConflictArtifacts(pilePath, conflictId, postId, localContent, remoteContent);
+  } catch (error) {
+    console.error(`[CONFLICT] Failed to detect conflicts: ${error}`);
+    return null;
+  }
+}
+
+/**
+ * Register a conflict for a post, or refresh the active one with the
+ * latest versions. `baseContent` is the version both sides started from.
+ */
+export async function recordConflict(
+  pilePath: string,
+  postId: string,
+  details: {
+    localContent: string;
+    remoteContent: string;
+    baseContent?: string | null;
+    localUpdatedAt: string;
+    remoteUpdatedAt: string;
+    localEtag?: string;
+    remoteEtag?: string;
+    localPath?: string;
+  }
+): Promise<ConflictInfo> {
+  const { localContent, remoteContent, baseContent } = details;
+  const { hunks } = threeWayMerge(baseContent ?? '', localContent, remoteContent);
+  const kinds = new Set(hunks.map((hunk) => hunk.kind));
+  const conflictType: ConflictInfo['conflictType'] =
+    kinds.size > 1 ? 'both' : kinds.has('field') ? 'metadata' : 'content';
+
+  const conflicts = await loadConflictsRegistry(pilePath);
+  const existingConflict = conflicts.find(c => c.postId === postId && c.status === 'active');
+
+  if (existingConflict) {
+    // Update existing conflict with latest content
+    Object.assign(existingConflict, {
+      localContent,
+      remoteContent,
+      localUpdatedAt: details.localUpdatedAt,
+      remoteUpdatedAt: details.remoteUpdatedAt,
+      localEtag: details.localEtag,
+      remoteEtag: details.remoteEtag,
+      conflictType,
+      hasBase: typeof baseContent === 'string',
+      hunksCount: hunks.length,
+    });
 
-    // Add to registry
-    conflicts.push(conflict);
     await saveConflictsRegistry(pilePath, conflicts);
 
-    console.log(`[CONFLICT] Created new conflict: ${conflictId} for post: ${postId}`);
-    return conflict;
+    // Update conflict artifacts
+    await storeConflictArtifacts(pilePath, existingConflict.id, postId, localContent, remoteContent, baseContent);
 
-  } catch (error) {
-    console.error(`[CONFLICT] Failed to detect conflicts: ${error}`);
-    return null;
+    console.log(`[CONFLICT] Updated existing conflict: ${existingConflict.id}`);
+    return existingConflict;
   }
+
+  // Create new conflict
+  const conflictId = generateConflictId();
+  const localPath = details.localPath || (await postIdentity.resolvePath(pilePath, postId));
+  const conflict: ConflictInfo = {
+    id: conflictId,
+    postId,
+    localPath,
+    remotePath: `remote://${postId}`,
+    localUpdatedAt: details.localUpdatedAt,
+    remoteUpdatedAt: details.remoteUpdatedAt,
+    localContent,
+    remoteContent,
+    localEtag: details.localEtag,
+    remoteEtag: details.remoteEtag,
+    conflictType,
+    hasBase: typeof baseContent === 'string',
+    hunksCount: hunks.length,
+    detectedAt: new Date().toISOString(),
+    status: 'active',
+  };
+
+  // Store conflict artifacts
+  await storeConflictArtifacts(pilePath, conflictId, postId, localContent, remoteContent, baseContent);
+
+  // Add to registry
+  conflicts.push(conflict);
+  await saveConflictsRegistry(pilePath, conflicts);
+
+  console.log(`[CONFLICT] Created new conflict: ${conflictId} for post: ${postId}`);
+  return conflict;
 }
 
 /**
@@ -283,13 +349,35 @@ export async function resolveConflict(
         resolvedContent = resolution.mergedContent || conflict.localContent || '';
         console.log(`[CONFLICT] Using merged version for post: ${postId}`);
         break;
+      case 'hunks': {
+        const merge = await getConflictMerge(pilePath, conflict.id);
+        if (!merge) throw new Error('Conflict versions are missing');
+        resolvedContent = applyResolutions(merge, resolution.hunks || []);
+        console.log(`[CONFLICT] Using per-hunk resolution for post: ${postId}`);
+        break;
+      }
       default:
         throw new Error(`Invalid resolution choice: ${resolution.choice}`);
     }
 
     // Update the local file with resolved content
-    const localFilePath = path.join(pilePath, 'posts', `${postId}.md`);
+    // The post may have moved since the conflict was detected
+    const localFilePath = (await postIdentity.getPath(pilePath, postId)) || conflict.localPath;
+
+    // Both sides outlive the conflict artifacts in the post's history
+    await pileHistory.snapshot(pilePath, localFilePath, null, 'conflict');
+    for (const content of [conflict.localContent, conflict.remoteContent]) {
+      if (content) await pileHistory.snapshot(pilePath, localFilePath, content, 'conflict');
+    }
+
+    await fs.mkdir(path.dirname(localFilePath), { recursive: true });
     await fs.writeFile(localFilePath, resolvedContent, 'utf8');
+    await pileHistory.snapshot(pilePath, localFilePath, resolvedContent, 'conflict');
+    await postIdentity.set(pilePath, postId, localFilePath);
+
+    // The remote version is what the server holds now, the next merge
+    // starts from there
+    await saveBaseVersion(pilePath, postId, conflict.remoteContent || '');
     
     console.log(`[CONFLICT] Updated local file: ${localFilePath}`);
 
@@ -303,8 +391,8 @@ export async function resolveConflict(
     // Clean up conflict artifacts
     await cleanupConflictArtifacts(pilePath, conflict.id);
 
-    // If using remote or merged content, enqueue push operation to sync the resolution
-    if (resolution.choice === 'remote' || resolution.choice === 'merged') {
+    // Unless the remote version was kept as is, push the resolution
+    if (resolution.choice !== 'remote') {
       const { syncQueue } = await import('./queue');
       await syncQueue.enqueue({
         type: 'upsertPost',
@@ -348,6 +436,12 @@ async function cleanupConflictArtifacts(pilePath: string, conflictId: string): P
       // File might not exist, ignore
     }
 
+    try {
+      await fs.unlink(path.join(conflictsDir, `${conflictId}-base.md`));
+    } catch {
+      // Conflicts without a known base have no base artifact
+    }
+
     console.log(`[CONFLICT] Cleaned up artifacts for conflict: ${conflictId}`);
   } catch (error) {
     console.error(`[CONFLICT] Failed to cleanup artifacts: ${error}`);
@@ -387,7 +481,7 @@ export async function getConflictById(pilePath: string, conflictId: string): Pro
 export async function getConflictArtifact(
   pilePath: string, 
   conflictId: string, 
-  version: 'local' | 'remote'
+  version: 'local' | 'remote' | 'base'
 ): Promise<string | null> {
   try {
     const conflictsDir = getConflictsDir(pilePath);
@@ -398,4 +492,30 @@ export async function getConflictArtifact(
     console.error(`[CONFLICT] Failed to read conflict artifact: ${error}`);
     return null;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Three-way merge of a conflict's versions, the hunks the user has to
+ * resolve. Conflicts without a known base are merged two-way.
+ */
+export async function getConflictMerge(
+  pilePath: string,
+  conflictId: string
+): Promise<MergeResult | null> {
+  const [local, remote, base] = await Promise.all([
+    getConflictArtifact(pilePath, conflictId, 'local'),
+    getConflictArtifact(pilePath, conflictId, 'remote'),
+    readBaseArtifact(pilePath, conflictId),
+  ]);
+  if (local === null || remote === null) return null;
+
+  return threeWayMerge(base ?? '', local, remote);
+}
+
+async function readBaseArtifact(pilePath: string, conflictId: string): Promise<string | null> {
+  try {
+    return await fs.readFile(path.join(getConflictsDir(pilePath), `${conflictId}-base.md`), 'utf8');
+  } catch {
+    return null;
+  }
+}
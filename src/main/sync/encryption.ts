@@ -0,0 +1,545 @@
+import crypto from 'crypto';
+import { syncStateManager } from './state';
+import { loadSecret, pileSecretName, saveSecret } from './secrets';
+import type { RemotePost } from './backends/remote';
+
+/**
+ * Key a pile is encrypted with. Only the version and id are kept in the
+ * pile, the key itself stays in the app settings.
+ */
+export interface PileEncryptionInfo {
+  version: number;
+  keyId: string;
+}
+
+export interface PileEncryptionStatus {
+  enabled: boolean;
+  // Enabled, but this device doesn't have the current key
+  locked: boolean;
+  // A pulled post that failed to decrypt, the pull stops before it
+  tamperedPostId?: string;
+  version?: number;
+  keyId?: string;
+}
+
+export interface AttachmentHeader {
+  filename: string;
+  hash: string;
+  mimeType: string;
+}
+
+export const LOCKED_ERROR = 'Pile is encrypted, unlock it with the passphrase';
+export const UNSEALED_ERROR = "Post isn't encrypted, but the pile is";
+export const TAMPERED_ERROR =
+  'A post failed its integrity check, it was changed on the sync storage or sealed with another key';
+
+// pile-e2e:1:<key version>:<key id>:<base64 iv|tag|ciphertext>
+const POST_PREFIX = 'pile-e2e:1:';
+// PILEE2E1 <key id> <iv> <tag> <ciphertext>
+const BLOB_MAGIC = Buffer.from('PILEE2E1');
+const RECOVERY_PREFIX = 'pile-recovery-1';
+const KEY_ID_LENGTH = 16;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// About 32 MB and a fraction of a second per derivation
+const SCRYPT_OPTIONS = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+function deriveKey(
+  passphrase: string,
+  remotePileId: string,
+  version: number,
+): Promise<Buffer> {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(
+      passphrase.normalize('NFKC'),
+      `pile-e2e:${remotePileId}:${version}`,
+      32,
+      SCRYPT_OPTIONS,
+      (error, key) => (error ? reject(error) : resolve(key)),
+    );
+  });
+}
+
+function keyIdOf(key: Buffer): string {
+  return crypto
+    .createHash('sha256')
+    .update(key)
+    .digest('hex')
+    .slice(0, KEY_ID_LENGTH);
+}
+
+function encrypt(key: Buffer, plaintext: Buffer, aad: string): Buffer {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+}
+
+function decrypt(key: Buffer, sealed: Buffer, aad: string): Buffer {
+  const iv = sealed.subarray(0, IV_LENGTH);
+  const tag = sealed.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(tag);
+  return Buffer.concat([
+    decipher.update(sealed.subarray(IV_LENGTH + TAG_LENGTH)),
+    decipher.final(),
+  ]);
+}
+
+function isKeyVersion(version: number): boolean {
+  return Number.isInteger(version) && version > 0;
+}
+
+function mac(key: Buffer, label: string): string {
+  return crypto.createHmac('sha256', key).update(label).digest('hex');
+}
+
+/**
+ * Opt-in end-to-end encryption of a synced pile. Post titles, bodies,
+ * summaries and attachment bytes are sealed with AES-256-GCM before they
+ * reach the backend, which only sees opaque ids, timestamps and sizes.
+ *
+ * The key is derived from a passphrase with scrypt and kept per device,
+ * wrapped with safeStorage. Every device of a pile unlocks it with the
+ * same passphrase or a recovery key. Rotating derives a new key version
+ * and pushes everything again; older keys are kept to read what is
+ * still sealed with them.
+ */
+class PileEncryption {
+  // Keys of each pile by key id
+  private keyrings = new Map<string, Map<string, Buffer>>();
+
+  private keyringName(pilePath: string): string {
+    return pileSecretName('syncEncryptionKeys', pilePath);
+  }
+
+  private async keyring(pilePath: string): Promise<Map<string, Buffer>> {
+    const cached = this.keyrings.get(pilePath);
+    if (cached) return cached;
+
+    const ring = new Map<string, Buffer>();
+    const stored = await loadSecret(this.keyringName(pilePath));
+    if (stored) {
+      try {
+        for (const [keyId, key] of Object.entries(JSON.parse(stored))) {
+          ring.set(keyId, Buffer.from(key as string, 'base64'));
+        }
+      } catch (error) {
+        console.error('[E2E] Ignoring unreadable keyring:', error);
+      }
+    }
+    this.keyrings.set(pilePath, ring);
+    return ring;
+  }
+
+  private async addKey(pilePath: string, key: Buffer): Promise<string> {
+    const ring = await this.keyring(pilePath);
+    const keyId = keyIdOf(key);
+
+    const stored: Record<string, string> = {};
+    ring.forEach((value, id) => {
+      stored[id] = value.toString('base64');
+    });
+    stored[keyId] = key.toString('base64');
+    // A key that can't be stored isn't used either
+    await saveSecret(this.keyringName(pilePath), JSON.stringify(stored));
+    ring.set(keyId, key);
+    return keyId;
+  }
+
+  private async getInfo(pilePath: string): Promise<PileEncryptionInfo | null> {
+    const state = await syncStateManager.loadState(pilePath);
+    return state.checkpoint.encryption || null;
+  }
+
+  private async setInfo(
+    pilePath: string,
+    encryption: PileEncryptionInfo,
+  ): Promise<void> {
+    await syncStateManager.updateCheckpoint(pilePath, {
+      encryption,
+      pendingEncryption: undefined,
+    });
+  }
+
+  /**
+   * The key this device should have: the pile's, or a newer one pulled
+   * posts are sealed with
+   */
+  private async expectedInfo(
+    pilePath: string,
+  ): Promise<PileEncryptionInfo | null> {
+    const { encryption, pendingEncryption } = (
+      await syncStateManager.loadState(pilePath)
+    ).checkpoint;
+    if (
+      pendingEncryption &&
+      (!encryption || pendingEncryption.version > encryption.version)
+    ) {
+      return pendingEncryption;
+    }
+    return encryption || null;
+  }
+
+  private async remotePileId(pilePath: string): Promise<string> {
+    const state = await syncStateManager.loadState(pilePath);
+    if (!state.linked || !state.remotePileId) {
+      throw new Error('Pile is not linked to a remote pile');
+    }
+    return state.remotePileId;
+  }
+
+  /**
+   * Current key of an encrypted pile, null when the pile isn't encrypted.
+   * Throws when this device doesn't have the key.
+   */
+  private async currentKey(
+    pilePath: string,
+  ): Promise<{ info: PileEncryptionInfo; key: Buffer } | null> {
+    const info = await this.getInfo(pilePath);
+    if (!info) return null;
+    const key = (await this.keyring(pilePath)).get(info.keyId);
+    if (!key) throw new Error(LOCKED_ERROR);
+    return { info, key };
+  }
+
+  /**
+   * Envelopes carry the key they were sealed with, a newer one than the
+   * pile knows means another device enabled encryption or rotated. The
+   * server could write anything there, so the key only becomes the pile's
+   * once the passphrase or a recovery key derives it.
+   */
+  private async noteKey(
+    pilePath: string,
+    version: number,
+    keyId: string,
+  ): Promise<void> {
+    const expected = await this.expectedInfo(pilePath);
+    if (!expected || version > expected.version) {
+      console.log(`[E2E] Pulled posts use key ${keyId} (version ${version})`);
+      await syncStateManager.updateCheckpoint(pilePath, {
+        pendingEncryption: { version, keyId },
+      });
+    }
+  }
+
+  async getStatus(pilePath: string): Promise<PileEncryptionStatus> {
+    const info = await this.expectedInfo(pilePath);
+    if (!info) return { enabled: false, locked: false };
+    const ring = await this.keyring(pilePath);
+    const { tamperedPostId } = (await syncStateManager.loadState(pilePath))
+      .checkpoint;
+    return {
+      enabled: true,
+      locked: !ring.has(info.keyId),
+      ...info,
+      ...(tamperedPostId ? { tamperedPostId } : {}),
+    };
+  }
+
+  async isEnabled(pilePath: string): Promise<boolean> {
+    return Boolean(await this.getInfo(pilePath));
+  }
+
+  async isLocked(pilePath: string): Promise<boolean> {
+    return (await this.getStatus(pilePath)).locked;
+  }
+
+  /**
+   * Turn on encryption for a linked pile. The caller pushes everything
+   * again so the plaintext on the server is replaced.
+   */
+  async enable(
+    pilePath: string,
+    passphrase: string,
+  ): Promise<PileEncryptionInfo> {
+    if (!passphrase) throw new Error('A passphrase is required');
+    if (await this.isEnabled(pilePath)) {
+      throw new Error('Pile is already encrypted');
+    }
+
+    const key = await deriveKey(
+      passphrase,
+      await this.remotePileId(pilePath),
+      1,
+    );
+    const info = { version: 1, keyId: await this.addKey(pilePath, key) };
+    await this.setInfo(pilePath, info);
+    console.log(`[E2E] Enabled encryption for ${pilePath}`);
+    return info;
+  }
+
+  /**
+   * Unlock a pile encrypted on another device
+   */
+  async unlock(pilePath: string, passphrase: string): Promise<void> {
+    const info = await this.expectedInfo(pilePath);
+    if (!info) throw new Error('Pile is not encrypted');
+
+    const key = await deriveKey(
+      passphrase,
+      await this.remotePileId(pilePath),
+      info.version,
+    );
+    if (keyIdOf(key) !== info.keyId) {
+      throw new Error('Wrong passphrase');
+    }
+    await this.addKey(pilePath, key);
+    await this.setInfo(pilePath, info);
+  }
+
+  /**
+   * The current key as text to keep somewhere safe. It unlocks the pile
+   * without the passphrase.
+   */
+  async exportRecoveryKey(pilePath: string): Promise<string> {
+    const current = await this.currentKey(pilePath);
+    if (!current) throw new Error('Pile is not encrypted');
+    return `${RECOVERY_PREFIX}:${current.info.version}:${current.key.toString('base64url')}`;
+  }
+
+  async importRecoveryKey(
+    pilePath: string,
+    recoveryKey: string,
+  ): Promise<void> {
+    const [prefix, version, encoded] = recoveryKey.trim().split(':');
+    const key = encoded ? Buffer.from(encoded, 'base64url') : Buffer.alloc(0);
+    if (
+      prefix !== RECOVERY_PREFIX ||
+      !isKeyVersion(Number(version)) ||
+      key.length !== 32
+    ) {
+      throw new Error('Not a recovery key');
+    }
+
+    const info = await this.expectedInfo(pilePath);
+    if (info && keyIdOf(key) !== info.keyId) {
+      throw new Error("Recovery key doesn't match the pile's current key");
+    }
+    const keyId = await this.addKey(pilePath, key);
+    await this.setInfo(pilePath, info || { version: Number(version), keyId });
+  }
+
+  /**
+   * Switch to a key from a new passphrase. The caller pushes everything
+   * again so it is sealed with the new key.
+   */
+  async rotateKey(
+    pilePath: string,
+    passphrase: string,
+  ): Promise<PileEncryptionInfo> {
+    if (!passphrase) throw new Error('A passphrase is required');
+    const current = await this.currentKey(pilePath);
+    if (!current) throw new Error('Pile is not encrypted');
+
+    const version = current.info.version + 1;
+    const key = await deriveKey(
+      passphrase,
+      await this.remotePileId(pilePath),
+      version,
+    );
+    const info = { version, keyId: await this.addKey(pilePath, key) };
+    await this.setInfo(pilePath, info);
+    console.log(`[E2E] Rotated key of ${pilePath} to version ${version}`);
+    return info;
+  }
+
+  /**
+   * The version of a post the backend stores, as is for unencrypted piles
+   */
+  async sealPost(pilePath: string, post: RemotePost): Promise<RemotePost> {
+    const current = await this.currentKey(pilePath);
+    if (!current) return post;
+    const { info, key } = current;
+
+    const plaintext = JSON.stringify({
+      title: post.title || '',
+      content_md: post.content_md ?? post.content ?? '',
+      meta: post.meta,
+    });
+    const sealed = encrypt(
+      key,
+      Buffer.from(plaintext),
+      `${post.pile_id}/${post.id}`,
+    );
+
+    const opaque: RemotePost = {
+      id: post.id,
+      pile_id: post.pile_id,
+      title: '',
+      content_md: `${POST_PREFIX}${info.version}:${info.keyId}:${sealed.toString('base64')}`,
+      created_at: post.created_at,
+      updated_at: post.updated_at,
+    };
+    if (post.etag) {
+      opaque.etag = mac(key, `etag:${post.etag}`);
+    }
+    if (post.deleted_at !== undefined) {
+      opaque.deleted_at = post.deleted_at;
+    }
+    return opaque;
+  }
+
+  /**
+   * The readable version of a pulled post, null when it is sealed with a
+   * key this device doesn't have. A read-only open, for sync plans, leaves
+   * the pile's key as it is.
+   */
+  async openPost(
+    pilePath: string,
+    post: RemotePost,
+    { readOnly = false }: { readOnly?: boolean } = {},
+  ): Promise<RemotePost | null> {
+    const envelope = post.content_md;
+    if (!envelope || !envelope.startsWith(POST_PREFIX)) {
+      // Every device of an encrypted pile seals what it pushes
+      if (await this.isEnabled(pilePath)) throw new Error(UNSEALED_ERROR);
+      return post;
+    }
+
+    const [versionText, keyId, sealed] = envelope
+      .slice(POST_PREFIX.length)
+      .split(':');
+    const version = Number(versionText);
+    if (!isKeyVersion(version) || !keyId || !sealed) {
+      throw new Error(`Post ${post.id} has a malformed envelope`);
+    }
+
+    const key = (await this.keyring(pilePath)).get(keyId);
+    if (!key) {
+      if (!readOnly) await this.noteKey(pilePath, version, keyId);
+      return null;
+    }
+
+    let sealedPost: { title?: string; content_md?: string; meta?: any };
+    try {
+      const plaintext = decrypt(
+        key,
+        Buffer.from(sealed, 'base64'),
+        `${post.pile_id}/${post.id}`,
+      );
+      sealedPost = JSON.parse(plaintext.toString('utf8'));
+    } catch {
+      // The key id matched, so the tag check failing means the envelope
+      // was altered or sealed with another key under the same id
+      throw new Error(TAMPERED_ERROR);
+    }
+    const { title, content_md, meta } = sealedPost;
+    const opened: RemotePost = { ...post, title, content_md };
+    delete opened.content;
+    if (meta) opened.meta = meta;
+    return opened;
+  }
+
+  /**
+   * Hash and filename an attachment is stored under, opaque for
+   * encrypted piles so the server can't tell files apart
+   */
+  async attachmentNames(
+    pilePath: string,
+    postId: string,
+    hash: string,
+    filename: string,
+  ): Promise<{ hash: string; filename: string }> {
+    const current = await this.currentKey(pilePath);
+    return current
+      ? this.opaqueNames(current.key, postId, hash, filename)
+      : { hash, filename };
+  }
+
+  private opaqueNames(
+    key: Buffer,
+    postId: string,
+    hash: string,
+    filename: string,
+  ): { hash: string; filename: string } {
+    return {
+      hash: mac(key, `hash:${postId}/${hash}`),
+      filename: `${mac(key, `name:${postId}/${hash}/${filename}`).slice(0, 32)}.bin`,
+    };
+  }
+
+  /**
+   * Names the same attachment may still have on the server, in plaintext
+   * from before encryption or under an older key
+   */
+  async supersededAttachmentNames(
+    pilePath: string,
+    postId: string,
+    hash: string,
+    filename: string,
+  ): Promise<Array<{ hash: string; filename: string }>> {
+    const current = await this.currentKey(pilePath);
+    if (!current) return [];
+
+    const names = [{ hash, filename }];
+    (await this.keyring(pilePath)).forEach((key, keyId) => {
+      if (keyId !== current.info.keyId) {
+        names.push(this.opaqueNames(key, postId, hash, filename));
+      }
+    });
+    return names;
+  }
+
+  /**
+   * Attachment bytes as the backend stores them, null for unencrypted piles
+   */
+  async sealAttachment(
+    pilePath: string,
+    postId: string,
+    header: AttachmentHeader,
+    data: Buffer,
+  ): Promise<Buffer | null> {
+    const current = await this.currentKey(pilePath);
+    if (!current) return null;
+
+    const headerJson = Buffer.from(JSON.stringify(header));
+    const headerLength = Buffer.alloc(4);
+    headerLength.writeUInt32BE(headerJson.length);
+
+    return Buffer.concat([
+      BLOB_MAGIC,
+      Buffer.from(current.info.keyId),
+      encrypt(
+        current.key,
+        Buffer.concat([headerLength, headerJson, data]),
+        postId,
+      ),
+    ]);
+  }
+
+  /**
+   * Contents and real name of a downloaded attachment, null when it
+   * wasn't encrypted
+   */
+  async openAttachment(
+    pilePath: string,
+    postId: string,
+    blob: Buffer,
+  ): Promise<{ header: AttachmentHeader; data: Buffer } | null> {
+    if (!blob.subarray(0, BLOB_MAGIC.length).equals(BLOB_MAGIC)) return null;
+
+    const keyStart = BLOB_MAGIC.length;
+    const keyId = blob.subarray(keyStart, keyStart + KEY_ID_LENGTH).toString();
+    const key = (await this.keyring(pilePath)).get(keyId);
+    if (!key) throw new Error(LOCKED_ERROR);
+
+    const plaintext = decrypt(
+      key,
+      blob.subarray(keyStart + KEY_ID_LENGTH),
+      postId,
+    );
+    const headerLength = plaintext.readUInt32BE(0);
+    return {
+      header: JSON.parse(
+        plaintext.subarray(4, 4 + headerLength).toString('utf8'),
+      ),
+      data: plaintext.subarray(4 + headerLength),
+    };
+  }
+}
+
+export const pileEncryption = new PileEncryption();
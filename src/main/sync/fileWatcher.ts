@@ -3,6 +3,7 @@ import path from 'path';
 import { promises as fs } from 'fs';
 import { syncQueue, SyncOperationType } from './queue';
 import { syncStateManager } from './state';
+import { postIdentity } from './identity';
 
 interface WatchedPile {
   pilePath: string;
@@ -17,6 +18,8 @@ class FileWatcher {
   private pushTimers = new Map<string, NodeJS.Timeout>();
   // Concurrency guard for initial scan
   private initialScanInProgress = new Set<string>();
+  // Etags of posts the app enqueued itself, so the watcher skips them
+  private enqueuedEtags = new Map<string, string>();
 
   /**
    * Start watching a pile for file changes
@@ -172,9 +175,11 @@ class FileWatcher {
     filePath: string,
     pilePath: string
   ): Promise<void> {
-    // Compute relative path and post id from the filename
+    // Compute relative path, the post id comes from the identity map and
+    // falls back to the filename for posts without a UUID yet
     const relativePath = path.relative(pilePath, filePath).replace(/\\/g, '/');
-    const postId = this.extractPostIdFromPath(filePath);
+    const postId =
+      (await postIdentity.getId(pilePath, filePath)) || this.extractPostIdFromPath(filePath);
     
     if (event === 'unlink') {
       // Enqueue tombstone operation
@@ -190,6 +195,12 @@ class FileWatcher {
         const content = await fs.readFile(filePath, 'utf8');
         const etag = this.computeEtag(content);
 
+        // Already enqueued by enqueuePostChanges
+        if (this.enqueuedEtags.get(filePath) === etag) {
+          this.enqueuedEtags.delete(filePath);
+          return;
+        }
+
         await syncQueue.enqueue({
           type: 'upsertPost',
           pilePath,
@@ -207,6 +218,80 @@ class FileWatcher {
     this.schedulePush(pilePath);
   }
 
+  /**
+   * Enqueue posts the app rewrote itself (e.g. renaming a tag across the
+   * pile) without waiting on the watcher. Does nothing for unlinked piles.
+   * Posts back from the trash are queued as restores.
+   */
+  async enqueuePostChanges(
+    pilePath: string,
+    relativePaths: string[],
+    type: 'upsertPost' | 'restorePost' = 'upsertPost',
+  ): Promise<void> {
+    if (relativePaths.length === 0) return;
+    const state = await syncStateManager.loadState(pilePath);
+    if (!state.linked) return;
+
+    const watchedPile = this.watchedPiles.get(pilePath);
+    for (const relativePath of relativePaths) {
+      const filePath = path.join(pilePath, relativePath);
+      const timer = watchedPile?.debounceTimers.get(filePath);
+      if (timer) {
+        clearTimeout(timer);
+        watchedPile?.debounceTimers.delete(filePath);
+      }
+
+      try {
+        const content = await fs.readFile(filePath, 'utf8');
+        const etag = this.computeEtag(content);
+        if (watchedPile) this.enqueuedEtags.set(filePath, etag);
+
+        await syncQueue.enqueue({
+          type,
+          pilePath,
+          postId:
+            (await postIdentity.getId(pilePath, filePath)) || this.extractPostIdFromPath(filePath),
+          filePath: relativePath.replace(/\\/g, '/'),
+          data: { content },
+          etag,
+        });
+      } catch (error) {
+        console.error(`Failed to enqueue post ${relativePath}: ${error}`);
+      }
+    }
+
+    this.schedulePush(pilePath);
+  }
+
+  /**
+   * Enqueue posts the app removed itself (e.g. restoring a backup of the
+   * pile) as deletions, so they are removed on every device too. Does
+   * nothing for unlinked piles.
+   */
+  async enqueuePostRemovals(pilePath: string, relativePaths: string[]): Promise<void> {
+    if (relativePaths.length === 0) return;
+    const state = await syncStateManager.loadState(pilePath);
+    if (!state.linked) return;
+
+    for (const relativePath of relativePaths) {
+      // Gone from disk, the identity map still knows the id
+      const filePath = path.join(pilePath, relativePath);
+      try {
+        await syncQueue.enqueue({
+          type: 'tombstonePost',
+          pilePath,
+          postId:
+            (await postIdentity.getId(pilePath, filePath)) || this.extractPostIdFromPath(filePath),
+          filePath: relativePath.replace(/\\/g, '/'),
+        });
+      } catch (error) {
+        console.error(`Failed to enqueue removal of ${relativePath}: ${error}`);
+      }
+    }
+
+    this.schedulePush(pilePath);
+  }
+
   /**
    * Handle changes to attachment files
    */
@@ -219,6 +304,7 @@ class FileWatcher {
     const relativePath = path.relative(pilePath, filePath).replace(/\\/g, '/');
     const attachmentInfo = this.parseAttachmentPath(relativePath);
     if (!attachmentInfo) return;
+    attachmentInfo.postId = await postIdentity.canonicalId(pilePath, attachmentInfo.postId);
 
     if (event === 'unlink') {
       await syncQueue.enqueue({
@@ -300,9 +386,10 @@ class FileWatcher {
     const delay = immediate ? 50 : 500; // Much faster for immediate pushes
     const timer = setTimeout(async () => {
       try {
-        const { pushPile } = await import('./push');
+        // The scheduler keeps runs of a pile apart and backs off failures
+        const { syncScheduler } = await import('./scheduler');
         console.log(`[WATCH] ${immediate ? 'Immediate' : 'Auto'}-push scheduled for ${pilePath}`);
-        await pushPile(pilePath);
+        syncScheduler.requestSync(pilePath, immediate ? 'manual' : 'change');
       } catch (err) {
         console.error(`[WATCH] ${immediate ? 'Immediate' : 'Auto'}-push failed for ${pilePath}:`, err);
       } finally {
@@ -346,7 +433,8 @@ class FileWatcher {
           const relativePath = path.relative(pilePath, absPath).replace(/\\/g, '/');
           const content = await fs.readFile(absPath, 'utf8');
           const etag = this.computeEtag(content);
-          const postId = this.extractPostIdFromPath(absPath);
+          const postId =
+            (await postIdentity.getId(pilePath, absPath)) || this.extractPostIdFromPath(absPath);
           
           // Log the type of ID we're enqueueing for debugging
           const isUuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(postId);
@@ -0,0 +1,291 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import matter from 'gray-matter';
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+const IGNORED_DIRS = ['.pile', 'attachments', 'node_modules', '.git'];
+
+export const isUuid = (value?: string | null): boolean =>
+  !!value && UUID_PATTERN.test(value);
+
+/**
+ * Read-only lookups scan for moved posts without recording what they
+ * find, for dry runs that mustn't write to the pile
+ */
+export interface LookupOptions {
+  readOnly?: boolean;
+}
+
+const toRelative = (pilePath: string, filePath: string): string =>
+  path.relative(pilePath, path.resolve(pilePath, filePath)).replace(/\\/g, '/');
+
+/**
+ * Links the stable UUID of every post (its frontmatter `id`) to the file
+ * it lives in, so push, pull and conflict resolution find a post wherever
+ * the app or the user put it. Stored in .pile/identity.json as
+ * { [postId]: relativePath } and rebuilt from the frontmatter whenever a
+ * post can't be found where the map says.
+ */
+class PostIdentityMap {
+  private maps = new Map<string, Map<string, string>>();
+  // Piles in a pull, push or plan, and whether they were scanned since it
+  // started
+  private runs = new Map<string, { depth: number; scanned: boolean }>();
+
+  private getMapPath(pilePath: string): string {
+    return path.join(pilePath, '.pile', 'identity.json');
+  }
+
+  /**
+   * Load the map of a pile, building it on first use
+   */
+  async load(
+    pilePath: string,
+    { readOnly = false }: LookupOptions = {},
+  ): Promise<Map<string, string>> {
+    const cached = this.maps.get(pilePath);
+    if (cached) return cached;
+
+    try {
+      const data = await fs.readFile(this.getMapPath(pilePath), 'utf8');
+      const map = new Map<string, string>(Object.entries(JSON.parse(data)));
+      this.maps.set(pilePath, map);
+      return map;
+    } catch (error) {
+      return readOnly ? this.scan(pilePath) : this.rebuild(pilePath);
+    }
+  }
+
+  /**
+   * Run a pull, push or plan of a pile. Within it the pile is scanned for
+   * moved posts at most once, an id the scan didn't find stays missing
+   * until the run is over.
+   */
+  async withinRun<T>(pilePath: string, run: () => Promise<T>): Promise<T> {
+    const current = this.runs.get(pilePath) || { depth: 0, scanned: false };
+    current.depth++;
+    this.runs.set(pilePath, current);
+    try {
+      return await run();
+    } finally {
+      if (--current.depth === 0) this.runs.delete(pilePath);
+    }
+  }
+
+  private async save(pilePath: string): Promise<void> {
+    const map = this.maps.get(pilePath);
+    if (!map) return;
+    try {
+      await fs.mkdir(path.join(pilePath, '.pile'), { recursive: true });
+      await fs.writeFile(
+        this.getMapPath(pilePath),
+        JSON.stringify(Object.fromEntries(map), null, 2),
+        'utf8',
+      );
+    } catch (error) {
+      console.error(`[IDENTITY] Failed to save identity map: ${error}`);
+    }
+  }
+
+  /**
+   * Scan every post of the pile for its id
+   */
+  async rebuild(pilePath: string): Promise<Map<string, string>> {
+    const map = await this.scan(pilePath);
+    await this.save(pilePath);
+    return map;
+  }
+
+  /**
+   * Rebuild the map in memory only
+   */
+  private async scan(pilePath: string): Promise<Map<string, string>> {
+    const map = new Map<string, string>();
+    for (const filePath of await this.listPosts(pilePath)) {
+      const postId = await this.readId(filePath);
+      if (postId) map.set(postId, toRelative(pilePath, filePath));
+    }
+
+    this.maps.set(pilePath, map);
+    const run = this.runs.get(pilePath);
+    if (run) run.scanned = true;
+    console.log(`[IDENTITY] Mapped ${map.size} posts in ${pilePath}`);
+    return map;
+  }
+
+  /**
+   * Absolute path of a post, null when no file carries this id
+   */
+  async getPath(
+    pilePath: string,
+    postId: string,
+    options: LookupOptions = {},
+  ): Promise<string | null> {
+    const find = async (map: Map<string, string>) => {
+      const relativePath = map.get(postId);
+      if (!relativePath) return null;
+      const filePath = path.join(pilePath, relativePath);
+      return (await this.readId(filePath)) === postId ? filePath : null;
+    };
+
+    const found = await find(await this.load(pilePath, options));
+    if (found) return found;
+    // Posts written during the run are in the map already
+    if (this.runs.get(pilePath)?.scanned) return null;
+
+    // Moved or renamed behind our back
+    return find(
+      await (options.readOnly ? this.scan(pilePath) : this.rebuild(pilePath)),
+    );
+  }
+
+  /**
+   * Id of the post at `filePath`. Files that are gone are looked up in
+   * the map, existing ones by their frontmatter, which is recorded.
+   */
+  async getId(
+    pilePath: string,
+    filePath: string,
+    options: LookupOptions = {},
+  ): Promise<string | null> {
+    const relativePath = toRelative(pilePath, filePath);
+    const postId = await this.readId(path.join(pilePath, relativePath));
+
+    if (postId) {
+      if (!options.readOnly) await this.set(pilePath, postId, relativePath);
+      return postId;
+    }
+
+    const map = await this.load(pilePath, options);
+    for (const [id, mappedPath] of map) {
+      if (mappedPath === relativePath) return id;
+    }
+    return null;
+  }
+
+  /**
+   * Resolve ids from before posts had UUIDs, which were their file
+   * names (attachment folders still use them)
+   */
+  async canonicalId(pilePath: string, postId: string): Promise<string> {
+    if (isUuid(postId)) return postId;
+    const map = await this.load(pilePath);
+    for (const [id, relativePath] of map) {
+      if (path.basename(relativePath, '.md') === postId) return id;
+    }
+    return postId;
+  }
+
+  async set(pilePath: string, postId: string, filePath: string): Promise<void> {
+    if (!isUuid(postId)) return;
+    const map = await this.load(pilePath);
+    const relativePath = toRelative(pilePath, filePath);
+    if (map.get(postId) === relativePath) return;
+
+    map.set(postId, relativePath);
+    await this.save(pilePath);
+  }
+
+  async remove(pilePath: string, postId: string): Promise<void> {
+    const map = await this.load(pilePath);
+    if (!map.delete(postId)) return;
+    await this.save(pilePath);
+  }
+
+  /**
+   * Where a post that only exists remotely goes, following the app's
+   * YEAR/Mon/yyMMdd-HHmmssSSS.md layout
+   */
+  newPostPath(pilePath: string, createdAt?: string): string {
+    const parsed = createdAt ? new Date(createdAt) : new Date();
+    const date = Number.isNaN(parsed.getTime()) ? new Date() : parsed;
+    const pad = (value: number, length = 2) =>
+      String(value).padStart(length, '0');
+
+    const fileName = [
+      String(date.getFullYear()).slice(-2),
+      pad(date.getMonth() + 1),
+      pad(date.getDate()),
+      '-',
+      pad(date.getHours()),
+      pad(date.getMinutes()),
+      pad(date.getSeconds()),
+      pad(date.getMilliseconds(), 3),
+      '.md',
+    ].join('');
+
+    return path.join(
+      pilePath,
+      date.getFullYear().toString(),
+      date.toLocaleString('default', { month: 'short' }),
+      fileName,
+    );
+  }
+
+  /**
+   * Path of a post, or where to create it when it isn't on disk yet
+   */
+  async resolvePath(
+    pilePath: string,
+    postId: string,
+    createdAt?: string,
+    options: LookupOptions = {},
+  ): Promise<string> {
+    const existing = await this.getPath(pilePath, postId, options);
+    if (existing) return existing;
+
+    let filePath = this.newPostPath(pilePath, createdAt);
+    // Two posts created within the same millisecond
+    while (await this.exists(filePath)) {
+      filePath = filePath.replace(
+        /(\d+)\.md$/,
+        (_, n) => `${Number(n) + 1}.md`,
+      );
+    }
+    return filePath;
+  }
+
+  private async exists(filePath: string): Promise<boolean> {
+    return fs
+      .access(filePath)
+      .then(() => true)
+      .catch(() => false);
+  }
+
+  private async readId(filePath: string): Promise<string | null> {
+    try {
+      const { data } = matter(await fs.readFile(filePath, 'utf8'));
+      return isUuid(data?.id) ? data.id : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Every post file under a directory, skipping the pile's own folders
+   */
+  async listPosts(dir: string): Promise<string[]> {
+    const out: string[] = [];
+    try {
+      const entries = await fs.readdir(dir, { withFileTypes: true });
+      for (const entry of entries) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          if (!IGNORED_DIRS.includes(entry.name)) {
+            out.push(...(await this.listPosts(full)));
+          }
+        } else if (entry.isFile() && full.endsWith('.md')) {
+          out.push(full);
+        }
+      }
+    } catch (error) {
+      console.error(`[IDENTITY] Failed to list ${dir}:`, error);
+    }
+    return out;
+  }
+}
+
+// Export singleton instance
+export const postIdentity = new PostIdentityMap();
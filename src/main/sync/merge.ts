@@ -0,0 +1,292 @@
+import matter from 'gray-matter';
+
+// `diff` ships without type declarations
+const { diffArrays } = require('diff');
+
+/**
+ * A part of a post both sides changed differently. Body hunks hold lines,
+ * field hunks hold the JSON of a frontmatter value.
+ */
+export interface MergeHunk {
+  id: number;
+  kind: 'body' | 'field';
+  field?: string;
+  base: string;
+  local: string;
+  remote: string;
+}
+
+export type HunkResolution =
+  { choice: 'local' | 'remote' } | { choice: 'edit'; content: string };
+
+type Segment =
+  { type: 'stable'; lines: string[] } | { type: 'conflict'; hunk: number };
+
+export interface MergeResult {
+  clean: boolean;
+  // The merged file, only when nothing conflicts
+  merged: string | null;
+  hunks: MergeHunk[];
+  // Merged frontmatter, conflicting fields hold the local value
+  data: Record<string, any>;
+  segments: Segment[];
+}
+
+// Bookkeeping of the remote row, the server's value always wins
+const SYNC_FIELDS = ['id', 'pile_id', 'created_at', 'updated_at', 'etag'];
+
+interface DiffPart {
+  value: string[];
+  added?: boolean;
+  removed?: boolean;
+}
+
+interface Change {
+  side: 'local' | 'remote';
+  start: number;
+  end: number;
+  lines: string[];
+}
+
+const same = (a: any, b: any): boolean =>
+  JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Writers differ in the blank lines around the body, those are ignored
+const splitLines = (text: string): string[] =>
+  text.replace(/^\n+|\n+$/g, '').split('\n');
+
+/**
+ * The edits turning `base` into `other`, as replaced ranges of base lines
+ */
+function changesBetween(
+  base: string[],
+  other: string[],
+  side: Change['side'],
+): Change[] {
+  const changes: Change[] = [];
+  let index = 0;
+  let current: Change | null = null;
+
+  for (const part of diffArrays(base, other) as DiffPart[]) {
+    if (part.added || part.removed) {
+      if (!current) current = { side, start: index, end: index, lines: [] };
+      if (part.removed) {
+        index += part.value.length;
+        current.end = index;
+      } else {
+        current.lines.push(...part.value);
+      }
+    } else {
+      if (current) changes.push(current);
+      current = null;
+      index += part.value.length;
+    }
+  }
+  if (current) changes.push(current);
+
+  return changes;
+}
+
+/**
+ * Line based three-way merge. Edits from one side are applied as they
+ * are, edits from both sides touching the same base lines become a
+ * conflict unless they agree.
+ */
+function mergeLines(
+  base: string[],
+  local: string[],
+  remote: string[],
+  addHunk: (hunk: Omit<MergeHunk, 'id'>) => number,
+): Segment[] {
+  const changes = [
+    ...changesBetween(base, local, 'local'),
+    ...changesBetween(base, remote, 'remote'),
+  ].sort((a, b) => a.start - b.start || a.end - b.end);
+
+  const segments: Segment[] = [];
+  const stable = (lines: string[]) => {
+    if (lines.length === 0) return;
+    const last = segments[segments.length - 1];
+    if (last?.type === 'stable') last.lines.push(...lines);
+    else segments.push({ type: 'stable', lines: [...lines] });
+  };
+
+  let position = 0;
+  let i = 0;
+  while (i < changes.length) {
+    // Changes touching each other are merged as one group
+    const group = [changes[i]];
+    let end = changes[i].end;
+    i += 1;
+    while (i < changes.length && changes[i].start <= end) {
+      end = Math.max(end, changes[i].end);
+      group.push(changes[i]);
+      i += 1;
+    }
+
+    const start = group[0].start;
+    const apply = (side: Change['side']) => {
+      const lines: string[] = [];
+      let index = start;
+      group
+        .filter((change) => change.side === side)
+        .forEach((change) => {
+          lines.push(...base.slice(index, change.start), ...change.lines);
+          index = change.end;
+        });
+      lines.push(...base.slice(index, end));
+      return lines;
+    };
+
+    stable(base.slice(position, start));
+    const localLines = apply('local');
+    const remoteLines = apply('remote');
+    const sides = new Set(group.map((change) => change.side));
+
+    if (sides.size === 1 || same(localLines, remoteLines)) {
+      stable(sides.has('local') ? localLines : remoteLines);
+    } else {
+      segments.push({
+        type: 'conflict',
+        hunk: addHunk({
+          kind: 'body',
+          base: base.slice(start, end).join('\n'),
+          local: localLines.join('\n'),
+          remote: remoteLines.join('\n'),
+        }),
+      });
+    }
+    position = end;
+  }
+  stable(base.slice(position));
+
+  return segments;
+}
+
+/**
+ * Lists merged by membership: items added on either side are kept,
+ * items removed on either side are dropped
+ */
+function mergeList(base: any[], local: any[], remote: any[]): any[] {
+  const has = (list: any[], item: any) => list.some((i) => same(i, item));
+  const kept = local.filter((item) => !has(base, item) || has(remote, item));
+  const added = remote.filter((item) => !has(base, item) && !has(kept, item));
+  return [...kept, ...added];
+}
+
+/**
+ * Field by field merge of the frontmatter. Fields the remote doesn't
+ * carry are local only and keep their local value.
+ */
+function mergeData(
+  base: Record<string, any>,
+  local: Record<string, any>,
+  remote: Record<string, any>,
+  addHunk: (hunk: Omit<MergeHunk, 'id'>) => number,
+): Record<string, any> {
+  const data: Record<string, any> = { ...local };
+
+  Object.keys(remote).forEach((field) => {
+    const [b, l, r] = [base[field], local[field], remote[field]];
+
+    if (SYNC_FIELDS.includes(field) || same(l, r) || same(l, b)) {
+      data[field] = r;
+    } else if (same(r, b)) {
+      // Removed locally, YAML can't hold undefined
+      if (l === undefined) delete data[field];
+      else data[field] = l;
+    } else if (Array.isArray(l) && Array.isArray(r)) {
+      data[field] = mergeList(Array.isArray(b) ? b : [], l, r);
+    } else {
+      addHunk({
+        kind: 'field',
+        field,
+        base: JSON.stringify(b ?? null),
+        local: JSON.stringify(l ?? null),
+        remote: JSON.stringify(r ?? null),
+      });
+    }
+  });
+
+  return data;
+}
+
+function buildFile(result: MergeResult, resolve: (hunk: MergeHunk) => string) {
+  const data = { ...result.data };
+  result.hunks
+    .filter((hunk) => hunk.kind === 'field')
+    .forEach((hunk) => {
+      const value = resolve(hunk);
+      try {
+        data[hunk.field!] = JSON.parse(value);
+      } catch {
+        data[hunk.field!] = value;
+      }
+    });
+
+  const body = result.segments
+    .flatMap((segment) => {
+      if (segment.type === 'stable') return segment.lines;
+      // A side that deleted the lines resolves to nothing
+      const content = resolve(result.hunks[segment.hunk]);
+      return content === '' ? [] : content.split('\n');
+    })
+    .join('\n');
+
+  return matter.stringify(body, data);
+}
+
+/**
+ * Three-way merge of two versions of a post file against the version
+ * both started from. Body and frontmatter are merged separately, only
+ * overlapping edits end up as hunks to resolve.
+ */
+export function threeWayMerge(
+  baseFile: string,
+  localFile: string,
+  remoteFile: string,
+): MergeResult {
+  const base = matter(baseFile);
+  const local = matter(localFile);
+  const remote = matter(remoteFile);
+
+  const hunks: MergeHunk[] = [];
+  const addHunk = (hunk: Omit<MergeHunk, 'id'>) => {
+    hunks.push({ id: hunks.length, ...hunk });
+    return hunks.length - 1;
+  };
+
+  const data = mergeData(base.data, local.data, remote.data, addHunk);
+  const segments = mergeLines(
+    splitLines(base.content),
+    splitLines(local.content),
+    splitLines(remote.content),
+    addHunk,
+  );
+
+  const result: MergeResult = {
+    clean: hunks.length === 0,
+    merged: null,
+    hunks,
+    data,
+    segments,
+  };
+  if (result.clean) result.merged = buildFile(result, () => '');
+
+  return result;
+}
+
+/**
+ * Builds the file from a merge once every hunk has a resolution
+ */
+export function applyResolutions(
+  result: MergeResult,
+  resolutions: HunkResolution[],
+): string {
+  return buildFile(result, (hunk) => {
+    const resolution = resolutions[hunk.id];
+    if (!resolution) throw new Error(`Hunk ${hunk.id + 1} is unresolved`);
+    if (resolution.choice === 'edit') return resolution.content;
+    return resolution.choice === 'local' ? hunk.local : hunk.remote;
+  });
+}
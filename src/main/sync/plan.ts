@@ -0,0 +1,328 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import matter from 'gray-matter';
+import { syncStateManager, SyncCheckpoint } from './state';
+import { syncQueue } from './queue';
+import { loadBaseVersion } from './base';
+import { threeWayMerge } from './merge';
+import { postIdentity } from './identity';
+import { pileEncryption, UNSEALED_ERROR } from './encryption';
+import { getBackend, RemotePost, SyncBackend } from './backends';
+import { buildRemoteFile, pullStart } from './pull';
+
+const PAGE_SIZE = 100;
+
+// A plan deleting or overwriting more posts than this waits for approval
+export const PLAN_APPROVAL_THRESHOLD = 10;
+
+export interface PlannedPost {
+  postId: string;
+  // Relative to the pile, unset for posts not on this device yet
+  path?: string;
+  title?: string;
+}
+
+export interface PlannedDownload extends PlannedPost {
+  // Overwrite replaces local edits the remote never saw
+  change: 'create' | 'update' | 'merge' | 'overwrite';
+}
+
+export interface PlannedAttachment {
+  postId: string;
+  filename: string;
+  size: number;
+}
+
+/**
+ * What the next sync of a pile would do, without doing any of it
+ */
+export interface SyncPlan {
+  pilePath: string;
+  // Nothing was pulled or pushed yet
+  firstSync: boolean;
+  uploads: PlannedPost[];
+  downloads: PlannedDownload[];
+  deletions: { local: PlannedPost[]; remote: PlannedPost[] };
+  conflicts: PlannedPost[];
+  attachments: {
+    uploads: PlannedAttachment[];
+    downloads: PlannedAttachment[];
+    deletions: PlannedAttachment[];
+    uploadBytes: number;
+    downloadBytes: number;
+  };
+  // The pull stops at posts sealed with a key this device doesn't have
+  locked: boolean;
+  // Posts deleted or overwritten on either side
+  destructiveCount: number;
+  needsApproval: boolean;
+}
+
+/**
+ * Whether a linked pile waits for its plan to be approved before it
+ * syncs: before its first sync, and after a background sync was held
+ * for deleting or overwriting too many posts
+ */
+export function awaitsApproval(checkpoint: SyncCheckpoint): boolean {
+  return isFirstSync(checkpoint) || Boolean(checkpoint.planHeldAt);
+}
+
+function isFirstSync(checkpoint: SyncCheckpoint): boolean {
+  return !checkpoint.lastPulledAt && !checkpoint.lastPushedAt && !checkpoint.planApprovedAt;
+}
+
+// Plans look posts up without recording moved posts or new keys
+const READ_ONLY = { readOnly: true };
+
+/**
+ * Compute the plan of a full sync, the pull from the checkpoint on and
+ * the push of the queue. Nothing is written locally or remotely.
+ */
+export async function planSync(pilePath: string): Promise<SyncPlan> {
+  return postIdentity.withinRun(pilePath, () => computePlan(pilePath));
+}
+
+async function computePlan(pilePath: string): Promise<SyncPlan> {
+  const state = await syncStateManager.loadState(pilePath);
+  if (!state.linked || !state.remotePileId) {
+    throw new Error('Pile is not linked to a remote pile');
+  }
+
+  const backend = await getBackend(pilePath);
+  const notReady = await backend.checkReady();
+  if (notReady) throw new Error(notReady);
+
+  const plan: SyncPlan = {
+    pilePath,
+    firstSync: isFirstSync(state.checkpoint),
+    uploads: [],
+    downloads: [],
+    deletions: { local: [], remote: [] },
+    conflicts: [],
+    attachments: { uploads: [], downloads: [], deletions: [], uploadBytes: 0, downloadBytes: 0 },
+    locked: false,
+    destructiveCount: 0,
+    needsApproval: false,
+  };
+
+  await planPull(plan, state.remotePileId, state.checkpoint, backend);
+  await planPush(plan);
+
+  plan.attachments.uploadBytes = plan.attachments.uploads.reduce((sum, a) => sum + a.size, 0);
+  plan.attachments.downloadBytes = plan.attachments.downloads.reduce((sum, a) => sum + a.size, 0);
+  plan.destructiveCount =
+    plan.deletions.local.length +
+    plan.deletions.remote.length +
+    plan.downloads.filter((download) => download.change === 'overwrite').length;
+  plan.needsApproval = awaitsApproval(state.checkpoint) || plan.destructiveCount > PLAN_APPROVAL_THRESHOLD;
+
+  console.log(
+    `[PLAN] ${pilePath}: ${plan.uploads.length} uploads, ${plan.downloads.length} downloads, ${plan.destructiveCount} destructive, ${plan.conflicts.length} conflicts`
+  );
+  return plan;
+}
+
+/**
+ * Walk the remote pages a pull would fetch and decide each post the way
+ * the pull does
+ */
+async function planPull(
+  plan: SyncPlan,
+  remotePileId: string,
+  checkpoint: SyncCheckpoint,
+  backend: SyncBackend
+): Promise<void> {
+  let cursor = pullStart(
+    checkpoint.lastPulledAt && checkpoint.lastPulledId
+      ? { updatedAt: checkpoint.lastPulledAt, id: checkpoint.lastPulledId }
+      : null
+  );
+
+  while (true) {
+    const posts = await backend.listPostsSince(remotePileId, cursor, PAGE_SIZE);
+    if (!posts || posts.length === 0) break;
+
+    const pulled: string[] = [];
+    for (const post of posts) {
+      if (post.deleted_at) {
+        const localPath = await postIdentity.getPath(plan.pilePath, post.id, READ_ONLY);
+        if (localPath) {
+          plan.deletions.local.push({ postId: post.id, path: path.relative(plan.pilePath, localPath) });
+        }
+        continue;
+      }
+
+      let opened: RemotePost | null;
+      try {
+        opened = await pileEncryption.openPost(plan.pilePath, post, READ_ONLY);
+      } catch (error) {
+        // The pull leaves plaintext posts of an encrypted pile out
+        if ((error as Error)?.message === UNSEALED_ERROR) continue;
+        throw error;
+      }
+      if (!opened) {
+        plan.locked = true;
+        break;
+      }
+      await planRemotePost(plan, opened, checkpoint);
+      pulled.push(post.id);
+    }
+
+    await planAttachmentDownloads(plan, remotePileId, pulled, backend);
+
+    if (plan.locked || posts.length < PAGE_SIZE) break;
+    const last = posts[posts.length - 1];
+    cursor = { updatedAt: last.updated_at, id: last.id };
+  }
+}
+
+/**
+ * Mirrors the pull's handling of a live post: created, updated, merged,
+ * overwritten or left as a conflict
+ */
+async function planRemotePost(plan: SyncPlan, post: RemotePost, checkpoint: SyncCheckpoint): Promise<void> {
+  const postFilePath = await postIdentity.resolvePath(plan.pilePath, post.id, post.created_at, READ_ONLY);
+  const planned: PlannedPost = {
+    postId: post.id,
+    path: path.relative(plan.pilePath, postFilePath),
+    title: post.title || undefined,
+  };
+
+  let localFile: string;
+  try {
+    localFile = await fs.readFile(postFilePath, 'utf8');
+  } catch {
+    plan.downloads.push({ ...planned, change: 'create' });
+    return;
+  }
+
+  const remoteFile = buildRemoteFile(post);
+  const base = await loadBaseVersion(plan.pilePath, post.id);
+  if (localFile === remoteFile || base === remoteFile) return;
+
+  if (base === null) {
+    // Without a base the pull only sees a conflict when both sides changed
+    // since the last pull, otherwise the remote version wins
+    const { data } = matter(localFile);
+    const localUpdatedAt = data.updated_at || data.createdAt;
+    const since = checkpoint.lastPulledAt ? new Date(checkpoint.lastPulledAt) : null;
+    if (since && localUpdatedAt && new Date(localUpdatedAt) > since && new Date(post.updated_at) > since) {
+      plan.conflicts.push(planned);
+    } else {
+      plan.downloads.push({ ...planned, change: 'overwrite' });
+    }
+    return;
+  }
+
+  const result = threeWayMerge(base, localFile, remoteFile);
+  if (!result.clean) {
+    plan.conflicts.push(planned);
+  } else {
+    plan.downloads.push({ ...planned, change: base === localFile ? 'update' : 'merge' });
+  }
+}
+
+/**
+ * Attachments of pulled posts this device doesn't have yet
+ */
+async function planAttachmentDownloads(
+  plan: SyncPlan,
+  remotePileId: string,
+  postIds: string[],
+  backend: SyncBackend
+): Promise<void> {
+  if (postIds.length === 0) return;
+
+  const attachments = await backend.listAttachments(remotePileId, postIds).catch(() => []);
+  for (const attachment of attachments) {
+    if (await hasLocalAttachment(plan.pilePath, attachment.post_id, attachment.content_hash, attachment.filename)) {
+      continue;
+    }
+    plan.attachments.downloads.push({
+      postId: attachment.post_id,
+      filename: attachment.filename,
+      size: attachment.size || 0,
+    });
+  }
+}
+
+/**
+ * Whether a remote attachment is already on disk. Encrypted piles store
+ * attachments under opaque names, local files are matched by theirs.
+ */
+async function hasLocalAttachment(pilePath: string, postId: string, hash: string, filename: string): Promise<boolean> {
+  let files: string[];
+  try {
+    files = await fs.readdir(path.join(pilePath, 'attachments', postId));
+  } catch {
+    return false;
+  }
+
+  for (const file of files) {
+    const dashIndex = file.indexOf('-');
+    if (dashIndex === -1) continue;
+    const names = await pileEncryption.attachmentNames(
+      pilePath,
+      postId,
+      file.substring(0, dashIndex),
+      file.substring(dashIndex + 1)
+    );
+    if (names.hash === hash && names.filename === filename) return true;
+  }
+  return false;
+}
+
+/**
+ * The queued operations a push would send. An empty queue makes the push
+ * send every local post, only the ones that changed since they last
+ * synced are listed.
+ */
+async function planPush(plan: SyncPlan): Promise<void> {
+  const { pilePath } = plan;
+  const operations = (await syncQueue.listForPile(pilePath)).filter((op) => op.status !== 'failed');
+
+  if (!operations.some((op) => op.status === 'pending')) {
+    for (const absPath of await postIdentity.listPosts(pilePath)) {
+      const postId =
+        (await postIdentity.getId(pilePath, absPath, READ_ONLY)) || path.basename(absPath).replace(/\.md$/i, '');
+      const content = await fs.readFile(absPath, 'utf8').catch(() => null);
+      if (content === null || content === (await loadBaseVersion(pilePath, postId))) continue;
+      plan.uploads.push({ postId, path: path.relative(pilePath, absPath) });
+    }
+  }
+
+  for (const operation of operations) {
+    const postId = operation.postId || '';
+    const fullPath = operation.filePath ? path.join(pilePath, operation.filePath) : null;
+
+    switch (operation.type) {
+      case 'upsertPost':
+      case 'restorePost': {
+        const exists = fullPath && (await fs.access(fullPath).then(() => true).catch(() => false));
+        // A post deleted since it was queued is pushed as a deletion
+        (exists ? plan.uploads : plan.deletions.remote).push({ postId, path: operation.filePath });
+        break;
+      }
+      case 'tombstonePost':
+        // Moved posts keep their remote copy
+        if (!(await postIdentity.getPath(pilePath, postId, READ_ONLY))) {
+          plan.deletions.remote.push({ postId, path: operation.filePath });
+        }
+        break;
+      case 'upsertAttachment': {
+        const stat = fullPath ? await fs.stat(fullPath).catch(() => null) : null;
+        if (stat) {
+          plan.attachments.uploads.push({
+            postId,
+            filename: operation.data?.filename || path.basename(fullPath!),
+            size: stat.size,
+          });
+        }
+        break;
+      }
+      case 'deleteAttachment':
+        plan.attachments.deletions.push({ postId, filename: operation.data?.filename || '', size: 0 });
+        break;
+    }
+  }
+}
@@ -0,0 +1,24 @@
+import { BrowserWindow } from 'electron';
+
+export type SyncProgressPhase = 'posts' | 'attachments' | 'done' | 'error';
+
+/**
+ * Where a running pull is, sent to the renderer on `sync-progress`
+ */
+export interface SyncProgress {
+  pilePath: string;
+  phase: SyncProgressPhase;
+  // Pages and posts written so far in this pull
+  pages: number;
+  pulledCount: number;
+  // Attachments of the current page
+  attachmentsDone: number;
+  attachmentsTotal: number;
+  error?: string;
+}
+
+export function emitSyncProgress(progress: SyncProgress): void {
+  BrowserWindow.getAllWindows().forEach((window) => {
+    window.webContents.send('sync-progress', progress);
+  });
+}
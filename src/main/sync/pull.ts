@@ -1,8 +1,23 @@
 import { promises as fs } from 'fs';
 import path from 'path';
-import { supabase } from '../lib/supabase';
 import matter from 'gray-matter';
 import { syncStateManager } from './state';
+import { loadBaseVersion, saveBaseVersion, removeBaseVersion } from './base';
+import { threeWayMerge } from './merge';
+import { postIdentity } from './identity';
+import { pileEncryption, LOCKED_ERROR, TAMPERED_ERROR, UNSEALED_ERROR } from './encryption';
+import { getBackend, PostCursor, RemotePost, SyncBackend } from './backends';
+import { emitSyncProgress, SyncProgress } from './progress';
+import pileHistory from '../utils/pileHistory';
+import pileTrash from '../utils/pileTrash';
+
+// Posts per page, every page is committed to the checkpoint on its own
+const PAGE_SIZE = 100;
+const ATTACHMENT_CONCURRENCY = 3;
+// Changes are ordered by the writing device's clock and a shared folder
+// can deliver one late, so every pull reads this far behind its
+// checkpoint again. Posts it already has are skipped.
+const OVERLAP_MS = 2 * 24 * 60 * 60 * 1000;
 
 export interface PullResult {
   success: boolean;
@@ -11,23 +26,16 @@ export interface PullResult {
   conflictsCount?: number;
 }
 
-interface SupabasePost {
-  id: string;
-  pile_id: string;
-  title?: string;
-  content?: string;
-  content_md?: string;
-  etag?: string;
-  created_at: string;
-  updated_at: string;
-  deleted_at?: string | null;
-  meta?: any;
-}
-
 /**
- * Pull remote changes for a pile and write them to local files
+ * Pull remote changes for a pile and write them to local files, page by
+ * page until the remote has nothing newer. Progress goes out on
+ * `sync-progress`.
  */
 export async function pullPile(pilePath: string): Promise<PullResult> {
+  return postIdentity.withinRun(pilePath, () => runPull(pilePath));
+}
+
+async function runPull(pilePath: string): Promise<PullResult> {
   console.log(`[PULL] Starting pull for pile: ${pilePath}`);
   
   try {
@@ -41,116 +49,149 @@ export async function pullPile(pilePath: string): Promise<PullResult> {
       };
     }
 
-    // Check authentication
-    const { data: session } = await supabase.auth.getSession();
-    if (!session.session) {
+    const backend = await getBackend(pilePath);
+    const notReady = await backend.checkReady();
+    if (notReady) {
       return {
         success: false,
-        error: 'Not authenticated with Supabase',
+        error: notReady,
       };
     }
 
-    console.log(`[PULL] Pulling from remote pile ID: ${state.remotePileId}`);
+    console.log(`[PULL] Pulling from remote pile ID: ${state.remotePileId} (${backend.kind})`);
 
-    // Load checkpoint to determine what to pull
+    // Resume after the last page a previous pull committed
     const checkpoint = state.checkpoint;
-    let query = supabase
-      .from('posts')
-      .select('*')
-      .eq('pile_id', state.remotePileId)
-      .order('updated_at', { ascending: true })
-      .order('id', { ascending: true });
-
-    // If we have a checkpoint, only pull posts updated since then
-    if (checkpoint.lastPulledAt && checkpoint.lastPulledId) {
-      query = query.or(`updated_at.gt.${checkpoint.lastPulledAt},and(updated_at.eq.${checkpoint.lastPulledAt},id.gt.${checkpoint.lastPulledId})`);
-    }
-
-    // Limit to reasonable batch size
-    const batchSize = 100;
-    query = query.limit(batchSize);
+    let committed: PostCursor | null =
+      checkpoint.lastPulledAt && checkpoint.lastPulledId
+        ? { updatedAt: checkpoint.lastPulledAt, id: checkpoint.lastPulledId }
+        : null;
+    let cursor = pullStart(committed);
 
     console.log(`[PULL] Querying posts updated since: ${checkpoint.lastPulledAt || 'beginning'}`);
 
-    const { data: posts, error } = await query;
-
-    if (error) {
-      console.error('[PULL] Supabase query error:', error);
-      return {
-        success: false,
-        error: `Failed to fetch posts: ${error.message}`,
-      };
-    }
-
-    if (!posts || posts.length === 0) {
-      console.log('[PULL] No new posts to pull');
-      return {
-        success: true,
-        pulledCount: 0,
-        conflictsCount: 0,
-      };
-    }
+    const progress: SyncProgress = {
+      pilePath,
+      phase: 'posts',
+      pages: 0,
+      pulledCount: 0,
+      attachmentsDone: 0,
+      attachmentsTotal: 0,
+    };
+    emitSyncProgress(progress);
+    let conflictsCount = 0;
+    let unsealedCount = 0;
 
-    console.log(`[PULL] Found ${posts.length} posts to process`);
+    while (true) {
+      let posts: RemotePost[];
+      try {
+        posts = await backend.listPostsSince(state.remotePileId, cursor, PAGE_SIZE);
+      } catch (error) {
+        console.error('[PULL] Backend query error:', error);
+        return finishPull(progress, {
+          success: false,
+          error: (error as Error).message,
+          pulledCount: progress.pulledCount,
+          conflictsCount,
+        });
+      }
 
-    // Ensure posts directory exists
-    const postsDir = path.join(pilePath, 'posts');
-    await fs.mkdir(postsDir, { recursive: true });
+      if (!posts || posts.length === 0) {
+        console.log('[PULL] No more posts to pull');
+        break;
+      }
 
-    let processedCount = 0;
-    let conflictsCount = 0;
-    let lastProcessedAt = '';
-    let lastProcessedId = '';
+      console.log(`[PULL] Page ${progress.pages + 1}: ${posts.length} posts to process`);
+
+      const page = await pullPage(pilePath, posts, committed);
+      progress.pages++;
+      progress.pulledCount += page.processedCount;
+      conflictsCount += page.conflictsCount;
+      unsealedCount += page.unsealedCount;
+
+      // Attachments are part of the page, a pull interrupted before the
+      // checkpoint moves fetches them again
+      await pullAttachments(pilePath, state.remotePileId, page.pulledPosts, backend, progress);
+
+      if (page.last) {
+        cursor = page.last;
+        // Pages read again never move the checkpoint back
+        if (!committed || isAfter(cursor, committed)) {
+          committed = cursor;
+          await syncStateManager.updateCheckpoint(pilePath, {
+            lastPulledAt: cursor.updatedAt,
+            lastPulledId: cursor.id,
+          });
+        }
+      }
+      emitSyncProgress({ ...progress, phase: 'posts' });
+
+      if (page.locked) {
+        // Surface it so the settings offer to unlock
+        await syncStateManager.saveState(pilePath, { lastError: LOCKED_ERROR } as any);
+        return finishPull(progress, {
+          success: false,
+          error: LOCKED_ERROR,
+          pulledCount: progress.pulledCount,
+          conflictsCount,
+        });
+      }
 
-    // Process each post
-    for (const post of posts as SupabasePost[]) {
-      try {
-        if (post.deleted_at) {
-          // Handle deleted post
-          await handleDeletedPost(pilePath, post);
-        } else {
-          // Handle regular post (create/update)
-          const hasConflict = await handleRegularPost(pilePath, post);
-          if (hasConflict) {
-            conflictsCount++;
-          }
+      if (page.failed) {
+        // The cursor stopped before the post, the next pull tries it again
+        const tampered = page.failed.error === TAMPERED_ERROR;
+        const error = tampered
+          ? TAMPERED_ERROR
+          : `Failed to pull post ${page.failed.postId}: ${page.failed.error}`;
+        if (tampered) {
+          // Surface it next to the encryption settings, like a locked pile
+          console.warn(`[PULL] Post ${page.failed.postId} failed its integrity check`);
+          await syncStateManager.updateCheckpoint(pilePath, { tamperedPostId: page.failed.postId });
         }
-        
-        processedCount++;
-        lastProcessedAt = post.updated_at;
-        lastProcessedId = post.id;
-        
-        console.log(`[PULL] Processed post ${post.id} (${processedCount}/${posts.length})`);
-      } catch (error) {
-        console.error(`[PULL] Failed to process post ${post.id}:`, error);
-        // Continue processing other posts rather than failing entirely
+        await syncStateManager.saveState(pilePath, { lastError: error } as any);
+        return finishPull(progress, {
+          success: false,
+          error,
+          pulledCount: progress.pulledCount,
+          conflictsCount,
+        });
       }
+
+      if (posts.length < PAGE_SIZE) break;
     }
 
-    // Update checkpoint with last processed post
-    if (processedCount > 0) {
-      await syncStateManager.updateCheckpoint(pilePath, {
-        lastPulledAt: lastProcessedAt,
-        lastPulledId: lastProcessedId,
+    if (unsealedCount > 0) {
+      const error = `Ignored ${unsealedCount} posts the server sent unencrypted`;
+      await syncStateManager.saveState(pilePath, { lastError: error } as any);
+      return finishPull(progress, {
+        success: false,
+        error,
+        pulledCount: progress.pulledCount,
+        conflictsCount,
       });
-
-      // Trigger index refresh for changed files
-      await triggerIndexRefresh(pilePath);
     }
 
-    // Pull attachments for posts that were updated
-    await pullAttachments(pilePath, state.remotePileId, posts as SupabasePost[]);
-
-    console.log(`[PULL] Completed pull: processed ${processedCount} posts, ${conflictsCount} conflicts`);
+    if (checkpoint.tamperedPostId) {
+      await syncStateManager.updateCheckpoint(pilePath, { tamperedPostId: undefined });
+    }
 
-    return {
+    return finishPull(progress, {
       success: true,
-      pulledCount: processedCount,
+      pulledCount: progress.pulledCount,
       conflictsCount,
-    };
+    });
 
   } catch (error) {
     console.error(`[PULL] Pull failed for ${pilePath}:`, error);
+    emitSyncProgress({
+      pilePath,
+      phase: 'error',
+      pages: 0,
+      pulledCount: 0,
+      attachmentsDone: 0,
+      attachmentsTotal: 0,
+      error: error instanceof Error ? error.message : 'Unknown error',
+    });
     return {
       success: false,
       error: error instanceof Error ? error.message : 'Unknown error',
@@ -159,25 +200,167 @@ export async function pullPile(pilePath: string): Promise<PullResult> {
 }
 
 /**
- * Handle a deleted post by removing or tombstoning the local file
+ * Where a pull starts reading, a window behind the committed cursor
  */
-async function handleDeletedPost(pilePath: string, post: SupabasePost): Promise<void> {
-  const postFilePath = path.join(pilePath, 'posts', `${post.id}.md`);
-  
+export function pullStart(committed: PostCursor | null): PostCursor | null {
+  if (!committed) return null;
+  return {
+    updatedAt: new Date(Date.parse(committed.updatedAt) - OVERLAP_MS).toISOString(),
+    id: '',
+  };
+}
+
+/**
+ * Whether a post comes after a cursor in pull order
+ */
+function isAfter(post: PostCursor, cursor: PostCursor): boolean {
+  const time = Date.parse(post.updatedAt);
+  const cursorTime = Date.parse(cursor.updatedAt);
+  return time !== cursorTime ? time > cursorTime : post.id > cursor.id;
+}
+
+/**
+ * Whether a post read again behind the checkpoint is what this device
+ * last pulled or pushed, or a deletion it already has
+ */
+async function alreadyPulled(pilePath: string, post: RemotePost): Promise<boolean> {
+  const base = await loadBaseVersion(pilePath, post.id);
+  if (post.deleted_at) {
+    return base === null && !(await postIdentity.getPath(pilePath, post.id));
+  }
+  return base === buildRemoteFile(post);
+}
+
+/**
+ * Write one page of pulled posts. `last` is where the next page starts,
+ * null when nothing could be written. The page stops at a post sealed
+ * with an unknown key or one that fails, so the cursor never moves past
+ * it. Posts up to `committed` were read before and are only written when
+ * they changed since.
+ */
+async function pullPage(
+  pilePath: string,
+  posts: RemotePost[],
+  committed: PostCursor | null
+): Promise<{
+  processedCount: number;
+  conflictsCount: number;
+  last: PostCursor | null;
+  pulledPosts: RemotePost[];
+  locked: boolean;
+  failed: { postId: string; error: string } | null;
+  unsealedCount: number;
+}> {
+  let processedCount = 0;
+  let conflictsCount = 0;
+  let last: PostCursor | null = null;
+  let stoppedAt = -1;
+  let locked = false;
+  let failed: { postId: string; error: string } | null = null;
+  const unsealed = new Set<string>();
+  const skipped = new Set<string>();
+
+  // Process each post
+  for (const post of posts) {
+    const reread =
+      committed !== null && !isAfter({ updatedAt: post.updated_at, id: post.id }, committed);
+    try {
+      const opened = post.deleted_at ? post : await pileEncryption.openPost(pilePath, post);
+      if (!opened) {
+        // Sealed with a key this device doesn't have, resume here once unlocked
+        console.log(`[PULL] Post ${post.id} is encrypted with an unknown key, stopping`);
+        stoppedAt = posts.indexOf(post);
+        locked = true;
+        break;
+      }
+
+      if (reread && (await alreadyPulled(pilePath, opened))) {
+        skipped.add(post.id);
+        last = { updatedAt: post.updated_at, id: post.id };
+        continue;
+      }
+
+      if (post.deleted_at) {
+        // Handle deleted post
+        await handleDeletedPost(pilePath, post);
+      } else {
+        // Handle regular post (create/update)
+        const hasConflict = await handleRegularPost(pilePath, opened);
+        if (hasConflict) {
+          conflictsCount++;
+        }
+      }
+
+      processedCount++;
+      last = { updatedAt: post.updated_at, id: post.id };
+
+      console.log(`[PULL] Processed post ${post.id} (${processedCount}/${posts.length})`);
+    } catch (error) {
+      if ((error as Error)?.message === UNSEALED_ERROR) {
+        // Plaintext in an encrypted pile didn't come from one of its
+        // devices, it stays out of the pile and the pull moves past it
+        console.warn(`[PULL] Ignoring post ${post.id}, it isn't encrypted`);
+        unsealed.add(post.id);
+        last = { updatedAt: post.updated_at, id: post.id };
+        continue;
+      }
+      console.error(`[PULL] Failed to process post ${post.id}:`, error);
+      stoppedAt = posts.indexOf(post);
+      failed = { postId: post.id, error: (error as Error)?.message || 'Unknown error' };
+      break;
+    }
+  }
+
+  return {
+    processedCount,
+    conflictsCount,
+    last,
+    pulledPosts: (stoppedAt === -1 ? posts : posts.slice(0, stoppedAt)).filter(
+      (post) => !unsealed.has(post.id) && !skipped.has(post.id)
+    ),
+    locked,
+    failed,
+    unsealedCount: unsealed.size,
+  };
+}
+
+/**
+ * Refresh the index after pulled changes and report the end of a pull
+ */
+async function finishPull(progress: SyncProgress, result: PullResult): Promise<PullResult> {
+  if (progress.pulledCount > 0) {
+    // Trigger index refresh for changed files
+    await triggerIndexRefresh(progress.pilePath);
+  }
+
+  emitSyncProgress({
+    ...progress,
+    phase: result.success ? 'done' : 'error',
+    error: result.error,
+  });
+  console.log(
+    `[PULL] ${result.success ? 'Completed' : 'Stopped'} pull: processed ${progress.pulledCount} posts in ${progress.pages} pages, ${result.conflictsCount ?? 0} conflicts`
+  );
+  return result;
+}
+
+/**
+ * Handle a deleted post by moving the local file to the pile's trash,
+ * where it can still be restored
+ */
+async function handleDeletedPost(pilePath: string, post: RemotePost): Promise<void> {
   try {
-    // Check if file exists locally
-    const exists = await fs.access(postFilePath).then(() => true).catch(() => false);
-    
-    if (exists) {
-      // Move to trash directory instead of deleting
-      const trashDir = path.join(pilePath, '.pile', 'trash');
-      await fs.mkdir(trashDir, { recursive: true });
-      
-      const trashPath = path.join(trashDir, `${post.id}-${Date.now()}.md`);
-      await fs.rename(postFilePath, trashPath);
-      
+    // Find the post wherever it lives locally
+    const postFilePath = await postIdentity.getPath(pilePath, post.id);
+
+    if (postFilePath) {
+      await pileHistory.snapshot(pilePath, postFilePath, null, 'sync');
+      // Its replies are posts of their own with their own tombstones
+      await pileTrash.trash(pilePath, postFilePath, { withReplies: false, reason: 'sync' });
       console.log(`[PULL] Moved deleted post ${post.id} to trash`);
     }
+    await removeBaseVersion(pilePath, post.id);
+    await postIdentity.remove(pilePath, post.id);
   } catch (error) {
     console.error(`[PULL] Failed to handle deleted post ${post.id}:`, error);
     throw error;
@@ -185,111 +368,104 @@ async function handleDeletedPost(pilePath: string, post: SupabasePost): Promise<
 }
 
 /**
- * Handle a regular post by writing/updating the local markdown file
+ * Build the local file for a remote post
  */
-async function handleRegularPost(pilePath: string, post: SupabasePost): Promise<boolean> {
-  const postFilePath = path.join(pilePath, 'posts', `${post.id}.md`);
-  let hasConflict = false;
-  
+export function buildRemoteFile(post: RemotePost): string {
+  // Convert content to markdown if needed
+  let markdownContent = post.content_md || post.content || '';
+
+  if (!post.content_md && post.content) {
+    // TODO: Add HTML to Markdown conversion here when turndown is available
+    // For now, just use the content as-is
+    markdownContent = post.content;
+    console.log(`[PULL] Warning: Post ${post.id} has HTML content but no markdown version`);
+  }
+
+  // Create frontmatter for the post
+  const frontmatter: any = {
+    id: post.id,
+    pile_id: post.pile_id,
+    title: post.title || '',
+    created_at: post.created_at,
+    updated_at: post.updated_at,
+    etag: post.etag || '',
+  };
+
+  // Merge meta back into frontmatter for local persistence
+  if (post.meta && typeof post.meta === 'object') {
+    if (typeof post.meta.isSummarized === 'boolean') {
+      frontmatter.isSummarized = post.meta.isSummarized;
+    }
+    if (typeof post.meta.summaryStale === 'boolean') {
+      frontmatter.summaryStale = post.meta.summaryStale;
+    }
+    if (post.meta.summary && typeof post.meta.summary === 'object') {
+      frontmatter.summary = post.meta.summary;
+    }
+  }
+
+  // Format the markdown file with frontmatter
+  const frontmatterYaml = Object.entries(frontmatter)
+    .map(([key, value]) => `${key}: ${JSON.stringify(value)}`)
+    .join('\n');
+
+  return `---\n${frontmatterYaml}\n---\n\n${markdownContent}`;
+}
+
+/**
+ * Handle a regular post by writing/updating the local markdown file.
+ * When both sides changed since the last sync the versions are merged
+ * against the last synced base, only overlapping edits become a conflict.
+ */
+async function handleRegularPost(pilePath: string, post: RemotePost): Promise<boolean> {
+  const remoteFile = buildRemoteFile(post);
+
   try {
+    // Update the post where it lives, new posts follow the app's layout
+    const postFilePath = await postIdentity.resolvePath(pilePath, post.id, post.created_at);
+
     // Check if file exists locally and has changes
     const existsLocally = await fs.access(postFilePath).then(() => true).catch(() => false);
-    
-    if (existsLocally) {
-      console.log(`[PULL] Checking for conflicts in existing post ${post.id}`);
-      
-      // Read local file and check for conflicts
-      const localFileContent = await fs.readFile(postFilePath, 'utf8');
-      const { data: localFrontmatter, content: localContent } = matter(localFileContent);
-      const localUpdatedAt = localFrontmatter.updated_at || localFrontmatter.createdAt || new Date().toISOString();
-      
-      // Import conflict detection
-      const { detectConflicts } = await import('./conflict');
-      
-      // Convert remote content to markdown if needed
-      let remoteMarkdownContent = post.content_md || post.content || '';
-      if (!post.content_md && post.content) {
-        remoteMarkdownContent = post.content;
-      }
-      
-      // Detect conflict
-      const conflict = await detectConflicts(
-        pilePath,
-        post.id,
-        localContent,
-        remoteMarkdownContent,
-        localUpdatedAt,
-        post.updated_at,
-        localFrontmatter.etag,
-        post.etag
-      );
-      
-      if (conflict) {
-        console.log(`[PULL] Conflict detected for post ${post.id}, using Last Write Wins strategy`);
-        hasConflict = true;
-        
-        // Use LWW: choose the version with the latest timestamp
-        const localTime = new Date(localUpdatedAt);
-        const remoteTime = new Date(post.updated_at);
-        
-        if (remoteTime <= localTime) {
-          console.log(`[PULL] Local version is newer, keeping local version for post ${post.id}`);
-          return hasConflict; // Keep local version, don't update
-        }
-        
-        console.log(`[PULL] Remote version is newer, updating with remote version for post ${post.id}`);
-        // Continue with remote version update below
-      } else {
-        console.log(`[PULL] No conflict, updating existing post ${post.id}`);
-      }
-    } else {
-      console.log(`[PULL] Creating new post ${post.id}`);
-    }
-
-    // Convert content to markdown if needed
-    let markdownContent = post.content_md || post.content || '';
-    
-    if (!post.content_md && post.content) {
-      // TODO: Add HTML to Markdown conversion here when turndown is available
-      // For now, just use the content as-is
-      markdownContent = post.content;
-      console.log(`[PULL] Warning: Post ${post.id} has HTML content but no markdown version`);
-    }
 
-    // Create frontmatter for the post
-    const frontmatter: any = {
-      id: post.id,
-      pile_id: post.pile_id,
-      title: post.title || '',
-      created_at: post.created_at,
-      updated_at: post.updated_at,
-      etag: post.etag || '',
-    };
+    if (existsLocally) {
+      const localFile = await fs.readFile(postFilePath, 'utf8');
+      const base = await loadBaseVersion(pilePath, post.id);
 
-    // Merge meta back into frontmatter for local persistence
-    if (post.meta && typeof post.meta === 'object') {
-      if (typeof post.meta.isSummarized === 'boolean') {
-        frontmatter.isSummarized = post.meta.isSummarized;
+      if (localFile === remoteFile) {
+        await saveBaseVersion(pilePath, post.id, remoteFile);
+        return false;
       }
-      if (typeof post.meta.summaryStale === 'boolean') {
-        frontmatter.summaryStale = post.meta.summaryStale;
+
+      if (base === remoteFile) {
+        // Nothing new on the remote side, local edits get pushed
+        console.log(`[PULL] Remote unchanged for post ${post.id}, keeping local version`);
+        return false;
       }
-      if (post.meta.summary && typeof post.meta.summary === 'object') {
-        frontmatter.summary = post.meta.summary;
+
+      if (base === null) {
+        // Never synced with a base yet, only timestamps tell who changed
+        const hasConflict = await detectTwoWayConflict(pilePath, post, localFile, remoteFile, postFilePath);
+        if (hasConflict) return true;
       }
-    }
 
-    // Format the markdown file with frontmatter
-    const frontmatterYaml = Object.entries(frontmatter)
-      .map(([key, value]) => `${key}: ${JSON.stringify(value)}`)
-      .join('\n');
-    
-    const fileContent = `---\n${frontmatterYaml}\n---\n\n${markdownContent}`;
+      // Merged even without local changes, so fields the remote doesn't
+      // carry (tags, replies, ...) survive the update
+      return await mergeRegularPost(pilePath, post, {
+        base: base ?? localFile,
+        localFile,
+        remoteFile,
+        postFilePath,
+      });
+    }
 
-    // Write the file
-    await fs.writeFile(postFilePath, fileContent, 'utf8');
+    console.log(`[PULL] Creating new post ${post.id}`);
+    await fs.mkdir(path.dirname(postFilePath), { recursive: true });
+    await fs.writeFile(postFilePath, remoteFile, 'utf8');
+    await pileHistory.snapshot(pilePath, postFilePath, remoteFile, 'sync');
+    await saveBaseVersion(pilePath, post.id, remoteFile);
+    await postIdentity.set(pilePath, post.id, postFilePath);
 
-    return hasConflict;
+    return false;
 
   } catch (error) {
     console.error(`[PULL] Failed to handle regular post ${post.id}:`, error);
@@ -297,6 +473,90 @@ async function handleRegularPost(pilePath: string, post: SupabasePost): Promise<
   }
 }
 
+/**
+ * Fallback for posts without a base: a conflict when both sides changed
+ * since the last pull. The local file is kept until it is resolved.
+ */
+async function detectTwoWayConflict(
+  pilePath: string,
+  post: RemotePost,
+  localFile: string,
+  remoteFile: string,
+  postFilePath: string
+): Promise<boolean> {
+  const { data: localFrontmatter } = matter(localFile);
+  const localUpdatedAt = localFrontmatter.updated_at || localFrontmatter.createdAt || new Date().toISOString();
+
+  const { detectConflicts } = await import('./conflict');
+  const conflict = await detectConflicts(
+    pilePath,
+    post.id,
+    localFile,
+    remoteFile,
+    localUpdatedAt,
+    post.updated_at,
+    localFrontmatter.etag,
+    post.etag,
+    postFilePath
+  );
+
+  if (conflict) {
+    console.log(`[PULL] Conflict detected for post ${post.id} without a base, keeping local version`);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Three-way merge of a post both sides changed. A clean merge is written
+ * and pushed, anything overlapping is left to the user.
+ */
+async function mergeRegularPost(
+  pilePath: string,
+  post: RemotePost,
+  versions: { base: string; localFile: string; remoteFile: string; postFilePath: string }
+): Promise<boolean> {
+  const { base, localFile, remoteFile, postFilePath } = versions;
+  const result = threeWayMerge(base, localFile, remoteFile);
+
+  if (result.clean && result.merged !== null) {
+    if (result.merged !== localFile) {
+      // The local version may never have been saved by the app
+      await pileHistory.snapshot(pilePath, postFilePath, localFile, 'sync');
+      await fs.writeFile(postFilePath, result.merged, 'utf8');
+      await pileHistory.snapshot(pilePath, postFilePath, result.merged, 'sync');
+    }
+    // The server holds the remote version until the merge is pushed
+    await saveBaseVersion(pilePath, post.id, remoteFile);
+
+    if (base !== localFile) {
+      // Local changes were merged in, push them
+      const { fileWatcher } = await import('./fileWatcher');
+      await fileWatcher.enqueuePostChanges(pilePath, [path.relative(pilePath, postFilePath)]);
+      console.log(`[PULL] Merged local and remote changes of post ${post.id}`);
+    } else {
+      console.log(`[PULL] No local changes, updated existing post ${post.id}`);
+    }
+    return false;
+  }
+
+  const { data: localFrontmatter } = matter(localFile);
+  const { recordConflict } = await import('./conflict');
+  await recordConflict(pilePath, post.id, {
+    localContent: localFile,
+    remoteContent: remoteFile,
+    baseContent: base,
+    localUpdatedAt: localFrontmatter.updated_at || localFrontmatter.createdAt || new Date().toISOString(),
+    remoteUpdatedAt: post.updated_at,
+    localEtag: localFrontmatter.etag,
+    remoteEtag: post.etag,
+    localPath: postFilePath,
+  });
+
+  console.log(`[PULL] ${result.hunks.length} overlapping changes in post ${post.id}, keeping local version`);
+  return true;
+}
+
 /**
  * Trigger index refresh for the pile to update search and timeline
  */
@@ -308,6 +568,15 @@ async function triggerIndexRefresh(pilePath: string): Promise<void> {
     // This is more efficient than going through IPC
     const pileIndex = require('../utils/pileIndex');
     
+    // Loading switches the index, search, embeddings and jobs over to the
+    // pile, so a pile pulled in the background only gets its index rebuilt
+    // the next time it's opened
+    if (pileIndex.pilePath !== pilePath) {
+      pileIndex.markStale(pilePath);
+      console.log(`[PULL] Index of ${pilePath} rebuilds when it is opened`);
+      return;
+    }
+
     // Reload the index for this pile to pick up the new/updated files
     await pileIndex.load(pilePath);
     
@@ -320,9 +589,15 @@ async function triggerIndexRefresh(pilePath: string): Promise<void> {
 }
 
 /**
- * Pull attachments for updated posts
+ * Pull attachments for updated posts, a few downloads at a time
  */
-async function pullAttachments(pilePath: string, remotePileId: string, posts: SupabasePost[]): Promise<void> {
+async function pullAttachments(
+  pilePath: string,
+  remotePileId: string,
+  posts: RemotePost[],
+  backend: SyncBackend,
+  progress: SyncProgress
+): Promise<void> {
   if (posts.length === 0) return;
 
   console.log(`[PULL] Pulling attachments for ${posts.length} posts`);
@@ -336,15 +611,10 @@ async function pullAttachments(pilePath: string, remotePileId: string, posts: Su
     if (postIds.length === 0) return;
 
     // Query all attachments for these posts
-    const { data: attachments, error } = await supabase
-      .from('attachments')
-      .select('*')
-      .in('post_id', postIds)
-      .eq('pile_id', remotePileId)
-      .is('deleted_at', null)
-      .order('created_at', { ascending: true });
-
-    if (error) {
+    let attachments;
+    try {
+      attachments = await backend.listAttachments(remotePileId, postIds);
+    } catch (error) {
       console.error(`[PULL] Failed to query attachments:`, error);
       return;
     }
@@ -359,19 +629,22 @@ async function pullAttachments(pilePath: string, remotePileId: string, posts: Su
     // Import attachment functions
     const { downloadAttachment } = await import('./attachments');
 
-    // Download each attachment with limited concurrency
-    const concurrency = 3;
-    const batches = [];
-    
-    for (let i = 0; i < attachments.length; i += concurrency) {
-      batches.push(attachments.slice(i, i + concurrency));
-    }
-
     let downloadedCount = 0;
-    let skippedCount = 0;
+    let failedCount = 0;
+    const report = (attachmentsDone: number) =>
+      emitSyncProgress({
+        ...progress,
+        phase: 'attachments',
+        attachmentsDone,
+        attachmentsTotal: attachments.length,
+      });
+    report(0);
 
-    for (const batch of batches) {
-      const promises = batch.map(async (attachment) => {
+    // Each worker takes the next attachment until none are left
+    let next = 0;
+    const worker = async () => {
+      while (next < attachments.length) {
+        const attachment = attachments[next++];
         try {
           const result = await downloadAttachment(
             pilePath,
@@ -383,17 +656,22 @@ async function pullAttachments(pilePath: string, remotePileId: string, posts: Su
             downloadedCount++;
             console.log(`[PULL] Downloaded attachment: ${attachment.filename}`);
           } else {
+            failedCount++;
             console.error(`[PULL] Failed to download attachment ${attachment.filename}: ${result.error}`);
           }
         } catch (error) {
+          failedCount++;
           console.error(`[PULL] Error downloading attachment ${attachment.filename}:`, error);
         }
-      });
+        report(downloadedCount + failedCount);
+      }
+    };
 
-      await Promise.all(promises);
-    }
+    await Promise.all(
+      Array.from({ length: Math.min(ATTACHMENT_CONCURRENCY, attachments.length) }, worker)
+    );
 
-    console.log(`[PULL] Attachment sync completed: ${downloadedCount} downloaded, ${skippedCount} skipped`);
+    console.log(`[PULL] Attachment sync completed: ${downloadedCount} downloaded, ${failedCount} failed`);
 
   } catch (error) {
     console.error(`[PULL] Failed to pull attachments:`, error);
@@ -1,10 +1,15 @@
 import { promises as fs } from 'fs';
 import path from 'path';
 import matter from 'gray-matter';
-import { supabase } from '../lib/supabase';
 import crypto from 'crypto';
 import { syncQueue, SyncOperation } from './queue';
 import { syncStateManager } from './state';
+import { saveBaseVersion, removeBaseVersion } from './base';
+import { postIdentity } from './identity';
+import { pileEncryption, LOCKED_ERROR } from './encryption';
+import { getBackend, buildRemotePost, SyncBackend } from './backends';
+
+export { buildPostUpsertPayload } from './backends/supabase';
 
 export interface PushResult {
   success: boolean;
@@ -13,73 +18,14 @@ export interface PushResult {
   failedCount?: number;
 }
 
-interface PostData {
-  id: string;
-  pile_id: string;
-  title?: string;
-  content?: string;
-  content_md?: string;
-  etag?: string;
-  created_at?: string;
-  updated_at?: string;
-}
-
-// Cache of posts table column support to avoid repeated probing
-let postsColumnProbe: { probed: boolean; hasContentMd: boolean; hasUserId: boolean; hasEtag: boolean; hasName: boolean; hasMeta: boolean } = {
-  probed: false,
-  hasContentMd: false,
-  hasUserId: false,
-  hasEtag: false,
-  hasName: false,
-  hasMeta: false,
-};
-
-async function probePostsColumns(): Promise<typeof postsColumnProbe> {
-  if (postsColumnProbe.probed) return postsColumnProbe;
-  // Check columns one by one using lightweight selects
-  let hasContentMd = false;
-  let hasUserId = false;
-  let hasEtag = false;
-  let hasName = false;
-  let hasMeta = false;
-  try {
-    const { error } = await supabase.from('posts').select('content_md').limit(0);
-    hasContentMd = !error;
-  } catch {
-    hasContentMd = false;
-  }
-  try {
-    const { error } = await supabase.from('posts').select('user_id').limit(0);
-    hasUserId = !error;
-  } catch {
-    hasUserId = false;
-  }
-  try {
-    const { error } = await supabase.from('posts').select('etag').limit(0);
-    hasEtag = !error;
-  } catch {
-    hasEtag = false;
-  }
-  try {
-    const { error } = await supabase.from('posts').select('name').limit(0);
-    hasName = !error;
-  } catch {
-    hasName = false;
-  }
-  try {
-    const { error } = await supabase.from('posts').select('meta').limit(0);
-    hasMeta = !error;
-  } catch {
-    hasMeta = false;
-  }
-  postsColumnProbe = { probed: true, hasContentMd, hasUserId, hasEtag, hasName, hasMeta };
-  return postsColumnProbe;
-}
-
 /**
- * Process queued operations and push them to Supabase
+ * Process queued operations and push them to the pile's backend
  */
 export async function pushPile(pilePath: string): Promise<PushResult> {
+  return postIdentity.withinRun(pilePath, () => runPush(pilePath));
+}
+
+async function runPush(pilePath: string): Promise<PushResult> {
   console.log(`[PUSH] Starting push for pile: ${pilePath}`);
   
   try {
@@ -92,59 +38,41 @@ export async function pushPile(pilePath: string): Promise<PushResult> {
       };
     }
 
-    // Check authentication
-    const { data: session } = await supabase.auth.getSession();
-    if (!session.session) {
+    const backend = await getBackend(pilePath);
+    const notReady = await backend.checkReady();
+    if (notReady) {
+      return {
+        success: false,
+        error: notReady,
+      };
+    }
+
+    // Nothing leaves the device unencrypted once the pile is encrypted
+    if (await pileEncryption.isLocked(pilePath)) {
       return {
         success: false,
-        error: 'Not authenticated with Supabase',
+        error: LOCKED_ERROR,
       };
     }
 
-    console.log(`[PUSH] Pushing to remote pile ID: ${state.remotePileId}`);
+    console.log(`[PUSH] Pushing to remote pile ID: ${state.remotePileId} (${backend.kind})`);
 
     // Ensure the remote pile exists (some older links may have stale IDs)
     try {
-      const { data: pileRow, error: pileFetchErr } = await supabase
-        .from('piles')
-        .select('id')
-        .eq('id', state.remotePileId)
-        .single();
-      if (pileFetchErr || !pileRow) {
-        console.warn('[PUSH] Remote pile not found; attempting to (re)create');
-        const pileName = path.basename(pilePath);
-        const userId = session.session.user.id;
-        const { data: created, error: pileCreateErr } = await supabase
-          .from('piles')
-          .insert({
-            id: state.remotePileId, // preserve existing ID if policy allows
-            user_id: userId,
-            name: pileName,
-            description: '',
-            is_private: true,
-            settings: { theme: 'light', sync_enabled: true },
-          })
-          .select('id')
-          .single();
-        if (pileCreateErr) {
-          console.error('[PUSH] Failed to (re)create remote pile:', pileCreateErr);
-        } else {
-          console.log('[PUSH] Recreated remote pile:', created?.id);
-        }
-      }
+      await backend.ensurePile(state.remotePileId, path.basename(pilePath));
     } catch (e) {
       console.warn('[PUSH] Remote pile existence check failed:', (e as Error)?.message);
     }
 
     // Take operations from queue for this pile
-    let operations = await syncQueue.take(100);
+    let operations = await syncQueue.take(100, pilePath);
     let pileOperations = operations.filter(op => op.pilePath === pilePath);
     
     if (pileOperations.length === 0) {
       console.log('[PUSH] No operations found; performing initial scan to enqueue existing posts');
       await enqueueExistingPostsForPush(pilePath);
       // Take again after enqueue
-      operations = await syncQueue.take(100);
+      operations = await syncQueue.take(100, pilePath);
       pileOperations = operations.filter(op => op.pilePath === pilePath);
       if (pileOperations.length === 0) {
         console.log('[PUSH] Still no operations after initial scan');
@@ -173,7 +101,7 @@ export async function pushPile(pilePath: string): Promise<PushResult> {
     for (const batch of batches) {
       const promises = batch.map(async (operation) => {
         try {
-          await processOperation(operation, state.remotePileId!);
+          await processOperation(operation, state.remotePileId!, backend);
           await syncQueue.ack(operation.id);
           pushedCount++;
           console.log(`[PUSH] Successfully processed operation ${operation.id} (${operation.type})`);
@@ -225,19 +153,22 @@ export async function pushPile(pilePath: string): Promise<PushResult> {
 /**
  * Process a single sync operation
  */
-async function processOperation(operation: SyncOperation, remotePileId: string): Promise<void> {
+async function processOperation(operation: SyncOperation, remotePileId: string, backend: SyncBackend): Promise<void> {
   switch (operation.type) {
     case 'upsertPost':
-      await processUpsertPost(operation, remotePileId);
+      await processUpsertPost(operation, remotePileId, backend);
       break;
     case 'tombstonePost':
-      await processTombstonePost(operation, remotePileId);
+      await processTombstonePost(operation, remotePileId, backend);
+      break;
+    case 'restorePost':
+      await processRestorePost(operation, remotePileId, backend);
       break;
     case 'upsertAttachment':
       await processUpsertAttachment(operation, remotePileId);
       break;
     case 'deleteAttachment':
-      await processDeleteAttachment(operation, remotePileId);
+      await processDeleteAttachment(operation, remotePileId, backend);
       break;
     default:
       throw new Error(`Unknown operation type: ${(operation as any).type}`);
@@ -247,53 +178,7 @@ async function processOperation(operation: SyncOperation, remotePileId: string):
 /**
  * Process post upsert operation
  */
-export async function buildPostUpsertPayload(frontmatter: any, content: string, remotePileId: string, fallbackId: string, etag?: string): Promise<Record<string, any>> {
-  // Base payload
-  const base: any = {
-    id: (frontmatter as any)?.id || fallbackId,
-    pile_id: remotePileId,
-    title: frontmatter?.title || '',
-    created_at: frontmatter?.created_at || new Date().toISOString(),
-    updated_at: new Date().toISOString(),
-  };
-
-  const probe = await probePostsColumns();
-  if (probe.hasContentMd) {
-    base.content_md = content;
-    base.content = '';
-  } else {
-    base.content = content;
-  }
-  if (probe.hasEtag && etag) {
-    base.etag = etag;
-  }
-  if (probe.hasName) {
-    // Map to 'name' when the table defines it as NOT NULL; prefer title or fallback id
-    base.name = frontmatter?.title || fallbackId;
-  }
-  if (probe.hasUserId) {
-    try {
-      const { data: session } = await supabase.auth.getSession();
-      const userId = session?.session?.user?.id;
-      if (userId) base.user_id = userId;
-    } catch {}
-  }
-  // Include summary metadata when supported by schema
-  if (probe.hasMeta) {
-    try {
-      const meta: any = {};
-      if (typeof frontmatter?.isSummarized === 'boolean') meta.isSummarized = frontmatter.isSummarized;
-      if (typeof frontmatter?.summaryStale === 'boolean') meta.summaryStale = frontmatter.summaryStale;
-      if (frontmatter?.summary && typeof frontmatter.summary === 'object') meta.summary = frontmatter.summary;
-      if (Object.keys(meta).length > 0) {
-        base.meta = meta;
-      }
-    } catch {}
-  }
-  return base;
-}
-
-async function processUpsertPost(operation: SyncOperation, remotePileId: string): Promise<void> {
+async function processUpsertPost(operation: SyncOperation, remotePileId: string, backend: SyncBackend): Promise<void> {
   if (!operation.filePath || !operation.postId) {
     throw new Error('Missing filePath or postId for upsert operation');
   }
@@ -307,7 +192,7 @@ async function processUpsertPost(operation: SyncOperation, remotePileId: string)
   } catch (error) {
     if ((error as any).code === 'ENOENT') {
       // File was deleted since operation was queued - convert to tombstone
-      await processTombstonePost(operation, remotePileId);
+      await processTombstonePost(operation, remotePileId, backend);
       return;
     }
     throw error;
@@ -338,6 +223,7 @@ async function processUpsertPost(operation: SyncOperation, remotePileId: string)
     console.log(`[PUSH] Generated new UUID ${validId} for post (was: ${frontmatter?.id || operation.postId})`);
     frontmatter = { ...frontmatter, id: validId };
     const updatedContent = matter.stringify(content, frontmatter);
+    fileContent = updatedContent;
     try {
       await fs.writeFile(fullPath, updatedContent, 'utf8');
     } catch (writeErr) {
@@ -346,100 +232,46 @@ async function processUpsertPost(operation: SyncOperation, remotePileId: string)
     }
   }
 
-  // Prepare post data for Supabase using adaptive builder
-  const postData: any = await buildPostUpsertPayload(frontmatter, content, remotePileId, validId, operation.etag);
+  await postIdentity.set(operation.pilePath, validId, operation.filePath);
 
-  // Upsert to Supabase posts table
-  // Check if row exists to enable optimistic update
+  const post = await pileEncryption.sealPost(
+    operation.pilePath,
+    buildRemotePost(frontmatter, content, remotePileId, validId, operation.etag)
+  );
   const postId = validId;
-  let { data: existingRows, error: fetchErr } = await supabase
-    .from('posts')
-    .select('id, updated_at, etag')
-    .eq('id', postId)
-    .eq('pile_id', remotePileId)
-    .limit(1);
-
-  if (fetchErr) {
-    throw new Error(`Failed to query existing post: ${fetchErr.message}`);
-  }
 
-  let error: any = null;
-
-  if (existingRows && existingRows.length > 0) {
-    const existing = existingRows[0] as any;
-    const probe = await probePostsColumns();
-    let updateQuery = supabase
-      .from('posts')
-      .update(postData)
-      .eq('id', postId)
-      .eq('pile_id', remotePileId);
-
-    // Optimistic guard by etag or updated_at when available
-    if (probe.hasEtag && frontmatter?.etag) {
-      updateQuery = updateQuery.eq('etag', frontmatter.etag);
-    } else if (frontmatter?.updated_at) {
-      updateQuery = updateQuery.eq('updated_at', frontmatter.updated_at);
-    }
+  // Whether the remote post now holds this version
+  let pushed = true;
+
+  const existing = await backend.getPostVersion(remotePileId, postId);
+  if (existing) {
+    // Optimistic guard by the version the local edit started from
+    const applied = await backend.updatePost(post, {
+      etag: frontmatter?.etag,
+      updatedAt: frontmatter?.updated_at,
+    });
 
-    const { error: updErr, data: updData } = await updateQuery.select('id');
-    if (updErr) {
-      error = updErr;
-    } else if (!updData || updData.length === 0) {
+    if (!applied) {
       // Guard failed; Last-Write-Wins: compare timestamps
-      try {
-        const localTime = frontmatter?.updated_at ? new Date(frontmatter.updated_at) : null;
-        const remoteTime = existing?.updated_at ? new Date(existing.updated_at) : null;
-        if (remoteTime && localTime && remoteTime > localTime) {
-          // Remote newer; skip push
-          console.log(`[PUSH] Skipping update for ${postId} (remote newer)`);
-        } else {
-          // Apply unconditional update
-          const { error: forceErr } = await supabase
-            .from('posts')
-            .update(postData)
-            .eq('id', postId)
-            .eq('pile_id', remotePileId);
-          if (forceErr) error = forceErr;
-        }
-      } catch (e) {
-        error = e;
+      const localTime = frontmatter?.updated_at ? new Date(frontmatter.updated_at) : null;
+      const remoteTime = existing.updated_at ? new Date(existing.updated_at) : null;
+      if (remoteTime && localTime && remoteTime > localTime) {
+        // Remote newer; skip push
+        console.log(`[PUSH] Skipping update for ${postId} (remote newer)`);
+        pushed = false;
+      } else {
+        // Apply unconditional update
+        await backend.updatePost(post);
       }
     }
   } else {
     // Insert new
-    const { error: insErr } = await supabase
-      .from('posts')
-      .insert(postData);
-    if (insErr) error = insErr;
-  }
-
-  // Enhanced error handling with specific UUID error recovery
-  if (error) {
-    if (/invalid input syntax for type uuid/i.test(error.message)) {
-      // This should now be rare since we pre-validate UUIDs, but handle as fallback
-      console.error('[PUSH] UUID validation error occurred despite pre-validation:', error.message);
-      console.error('[PUSH] PostId used:', postId);
-      throw new Error(`UUID validation failed for post ID "${postId}": ${error.message}`);
-    } else if (/violates unique constraint/i.test(error.message)) {
-      // Handle duplicate key errors gracefully
-      console.warn('[PUSH] Duplicate post detected, attempting update with force:', postId);
-      try {
-        const { error: forceUpdateError } = await supabase
-          .from('posts')
-          .update(postData)
-          .eq('id', postId)
-          .eq('pile_id', remotePileId);
-        if (!forceUpdateError) {
-          error = null; // Success
-        }
-      } catch (retryError) {
-        console.error('[PUSH] Force update also failed:', retryError);
-      }
-    }
+    await backend.insertPost(post);
   }
 
-  if (error) {
-    throw new Error(`Failed to upsert post: ${error.message}`);
+  // What both sides agree on now, the base of the next merge
+  if (pushed) {
+    await saveBaseVersion(operation.pilePath, postId, fileContent);
   }
 }
 
@@ -457,7 +289,8 @@ async function enqueueExistingPostsForPush(pilePath: string): Promise<void> {
         const relativePath = path.relative(pilePath, absPath).replace(/\\/g, '/');
         const content = await fs.readFile(absPath, 'utf8');
         const etag = computeEtag(content);
-        const postId = path.basename(absPath).replace(/\.md$/i, '');
+        const postId =
+          (await postIdentity.getId(pilePath, absPath)) || path.basename(absPath).replace(/\.md$/i, '');
         
         // Log the type of ID we're enqueueing for debugging
         const isUuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(postId);
@@ -539,27 +372,84 @@ export async function primeQueueForPile(pilePath: string): Promise<void> {
   await enqueueExistingPostsForPush(pilePath);
 }
 
+/**
+ * Enqueue uploads of every local attachment, e.g. to store them again
+ * after the pile's encryption changed
+ */
+export async function primeAttachmentsForPile(pilePath: string): Promise<void> {
+  const attachmentsDir = path.join(pilePath, 'attachments');
+  let postDirs: string[];
+  try {
+    postDirs = await fs.readdir(attachmentsDir);
+  } catch {
+    return; // No attachments
+  }
+
+  for (const dirName of postDirs) {
+    let files: string[];
+    try {
+      files = await fs.readdir(path.join(attachmentsDir, dirName));
+    } catch {
+      continue;
+    }
+    const postId = await postIdentity.canonicalId(pilePath, dirName);
+
+    for (const file of files) {
+      const dashIndex = file.indexOf('-');
+      if (dashIndex === -1) continue;
+      await syncQueue.enqueue({
+        type: 'upsertAttachment',
+        pilePath,
+        postId,
+        filePath: `attachments/${dirName}/${file}`,
+        data: {
+          hash: file.substring(0, dashIndex),
+          filename: file.substring(dashIndex + 1),
+          path: path.join(attachmentsDir, dirName, file),
+        },
+      });
+    }
+  }
+}
+
 /**
  * Process post tombstone operation (soft delete)
  */
-async function processTombstonePost(operation: SyncOperation, remotePileId: string): Promise<void> {
+async function processTombstonePost(operation: SyncOperation, remotePileId: string, backend: SyncBackend): Promise<void> {
   if (!operation.postId) {
     throw new Error('Missing postId for tombstone operation');
   }
 
-  // Soft delete the post by setting deleted_at
-  const { error } = await supabase
-    .from('posts')
-    .update({
-      deleted_at: new Date().toISOString(),
-      updated_at: new Date().toISOString(),
-    })
-    .eq('id', operation.postId)
-    .eq('pile_id', remotePileId);
-
-  if (error) {
-    throw new Error(`Failed to tombstone post: ${error.message}`);
+  // Queued ids may predate the post's UUID, the map knows which post
+  // lived at this path
+  const postId =
+    (operation.filePath && (await postIdentity.getId(operation.pilePath, operation.filePath))) ||
+    (await postIdentity.canonicalId(operation.pilePath, operation.postId));
+
+  // Moving a post removes it from its old path only
+  const currentPath = await postIdentity.getPath(operation.pilePath, postId);
+  if (currentPath) {
+    console.log(`[PUSH] Post ${postId} moved to ${path.relative(operation.pilePath, currentPath)}, skipping tombstone`);
+    return;
+  }
+
+  await backend.tombstonePost(remotePileId, postId);
+  await removeBaseVersion(operation.pilePath, postId);
+  await postIdentity.remove(operation.pilePath, postId);
+}
+
+/**
+ * Process post restore operation, a post back from the trash is live
+ * again before its content is pushed
+ */
+async function processRestorePost(operation: SyncOperation, remotePileId: string, backend: SyncBackend): Promise<void> {
+  if (!operation.postId) {
+    throw new Error('Missing postId for restore operation');
   }
+
+  const postId = await postIdentity.canonicalId(operation.pilePath, operation.postId);
+  await backend.untombstonePost(remotePileId, postId);
+  await processUpsertPost(operation, remotePileId, backend);
 }
 
 /**
@@ -599,27 +489,27 @@ async function processUpsertAttachment(operation: SyncOperation, remotePileId: s
 /**
  * Process attachment delete operation
  */
-async function processDeleteAttachment(operation: SyncOperation, remotePileId: string): Promise<void> {
+async function processDeleteAttachment(operation: SyncOperation, remotePileId: string, backend: SyncBackend): Promise<void> {
   console.log(`[PUSH] Processing attachment delete: ${operation.id}`);
   
   if (!operation.postId || !operation.data?.hash || !operation.data?.filename) {
     throw new Error('Missing postId, hash, or filename for attachment delete operation');
   }
 
-  const { hash, filename } = operation.data;
+  // Encrypted piles store attachments under opaque names
+  const { hash, filename } = await pileEncryption.attachmentNames(
+    operation.pilePath,
+    operation.postId,
+    operation.data.hash,
+    operation.data.filename
+  );
 
-  // Find attachment in database to get ID
-  const { data: attachment, error: queryError } = await supabase
-    .from('attachments')
-    .select('id')
-    .eq('post_id', operation.postId)
-    .eq('pile_id', remotePileId)
-    .eq('content_hash', hash)
-    .eq('filename', filename)
-    .is('deleted_at', null)
-    .single();
+  // Find attachment in the backend to get ID
+  const attachment = await backend
+    .findAttachment(remotePileId, { postId: operation.postId, hash, filename })
+    .catch(() => null);
 
-  if (queryError || !attachment) {
+  if (!attachment) {
     console.warn(`[PUSH] Attachment not found for deletion: ${hash}/${filename}`);
     return; // Already deleted or never existed
   }
@@ -1,8 +1,8 @@
-import { app } from 'electron';
 import { promises as fs } from 'fs';
 import path from 'path';
 
-export type SyncOperationType = 'upsertPost' | 'tombstonePost' | 'upsertAttachment' | 'deleteAttachment';
+export type SyncOperationType =
+  'upsertPost' | 'tombstonePost' | 'restorePost' | 'upsertAttachment' | 'deleteAttachment';
 
 export interface SyncOperation {
   id: string;
@@ -25,43 +25,174 @@ export interface QueueStats {
   lastProcessedAt?: string;
 }
 
+/**
+ * Operations of the same post or attachment replace each other, only the
+ * latest one matters when the queue is pushed
+ */
+function coalesceKey(operation: Pick<SyncOperation, 'type' | 'postId' | 'filePath' | 'data'>): string | null {
+  switch (operation.type) {
+    case 'upsertPost':
+    case 'tombstonePost':
+    case 'restorePost':
+      return operation.postId ? `post:${operation.postId}` : null;
+    case 'upsertAttachment':
+    case 'deleteAttachment':
+      if (!operation.postId) return null;
+      return operation.data?.hash && operation.data?.filename
+        ? `attachment:${operation.postId}:${operation.data.hash}:${operation.data.filename}`
+        : `attachment:${operation.postId}:${operation.filePath}`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Drop operations a later one of the same post or attachment supersedes,
+ * e.g. fifty edits become one upsert and an upsert followed by a delete
+ * becomes the delete. An upsert after a restore still restores.
+ */
+export function compactOperations(queue: SyncOperation[]): SyncOperation[] {
+  const latest = new Map<string, SyncOperation>();
+  for (const operation of queue) {
+    const key = coalesceKey(operation);
+    if (!key) continue;
+    const restores = latest.get(key)?.type === 'restorePost' && operation.type === 'upsertPost';
+    latest.set(key, restores ? { ...operation, type: 'restorePost' } : operation);
+  }
+  return queue.flatMap((operation) => {
+    const key = coalesceKey(operation);
+    if (!key) return [operation];
+    const kept = latest.get(key)!;
+    return kept.id === operation.id ? [kept] : [];
+  });
+}
+
+export type QueuedOperationStatus = 'pending' | 'waiting' | 'failed';
+
+export interface QueuedOperation extends SyncOperation {
+  // Pending runs on the next push, waiting is backing off after errors,
+  // failed gave up until retried
+  status: QueuedOperationStatus;
+}
+
+/**
+ * Operations waiting to be pushed, kept per pile in .pile/queue.json
+ */
 class SyncQueue {
-  private queuePath: string;
-  private queue: SyncOperation[] = [];
-  private isLoaded = false;
+  private queues = new Map<string, SyncOperation[]>();
+  private loading = new Map<string, Promise<SyncOperation[]>>();
+  private writes = new Map<string, Promise<void>>();
+  private legacyMigration: Promise<void> | null = null;
   private readonly maxRetries = 5;
   private readonly baseRetryDelayMs = 1000;
 
-  constructor() {
-    this.queuePath = path.join(app.getPath('userData'), 'sync-queue.json');
+  private getQueuePath(pilePath: string): string {
+    return path.join(pilePath, '.pile', 'queue.json');
   }
 
-  /**
-   * Load the queue from persistent storage
-   */
-  private async loadQueue(): Promise<void> {
-    if (this.isLoaded) return;
-
+  private async readQueueFile(pilePath: string): Promise<SyncOperation[]> {
     try {
-      const data = await fs.readFile(this.queuePath, 'utf8');
-      this.queue = JSON.parse(data);
-      this.isLoaded = true;
+      const data = await fs.readFile(this.getQueuePath(pilePath), 'utf8');
+      const queue = JSON.parse(data);
+      return Array.isArray(queue) ? queue : [];
     } catch (error) {
       // Queue file doesn't exist or is invalid, start with empty queue
-      this.queue = [];
-      this.isLoaded = true;
+      return [];
     }
   }
 
   /**
-   * Save the queue to persistent storage
+   * Move operations from the single queue older versions kept in userData
+   * to the queues of their piles
    */
-  private async saveQueue(): Promise<void> {
-    try {
-      await fs.writeFile(this.queuePath, JSON.stringify(this.queue, null, 2), 'utf8');
-    } catch (error) {
-      console.error('Failed to save sync queue:', error);
+  private migrateLegacyQueue(): Promise<void> {
+    if (!this.legacyMigration) {
+      this.legacyMigration = (async () => {
+        let legacyPath: string;
+        let legacy: SyncOperation[];
+        try {
+          const { app } = await import('electron');
+          legacyPath = path.join(app.getPath('userData'), 'sync-queue.json');
+          legacy = JSON.parse(await fs.readFile(legacyPath, 'utf8'));
+        } catch {
+          return; // Nothing to migrate
+        }
+
+        const byPile = new Map<string, SyncOperation[]>();
+        for (const operation of Array.isArray(legacy) ? legacy : []) {
+          if (!operation?.pilePath) continue;
+          byPile.set(operation.pilePath, [...(byPile.get(operation.pilePath) || []), operation]);
+        }
+
+        for (const [pilePath, operations] of byPile) {
+          const queue = compactOperations([...(await this.readQueueFile(pilePath)), ...operations]);
+          this.queues.set(pilePath, queue);
+          await this.saveQueue(pilePath);
+        }
+        await fs.unlink(legacyPath).catch(() => {});
+        console.log(`[QUEUE] Moved the shared sync queue into ${byPile.size} piles`);
+      })();
+    }
+    return this.legacyMigration;
+  }
+
+  /**
+   * Load the queue of a pile from persistent storage
+   */
+  private async loadQueue(pilePath: string): Promise<SyncOperation[]> {
+    await this.migrateLegacyQueue();
+
+    const loaded = this.queues.get(pilePath);
+    if (loaded) return loaded;
+
+    let loading = this.loading.get(pilePath);
+    if (!loading) {
+      loading = this.readQueueFile(pilePath).then((queue) => {
+        const compacted = compactOperations(queue);
+        this.queues.set(pilePath, compacted);
+        this.loading.delete(pilePath);
+        return compacted;
+      });
+      this.loading.set(pilePath, loading);
     }
+    return loading;
+  }
+
+  /**
+   * Save the queue of a pile. Writes go to a temporary file first so a
+   * crash never leaves a truncated queue, and one pile's writes never
+   * overlap.
+   */
+  private saveQueue(pilePath: string): Promise<void> {
+    const previous = this.writes.get(pilePath) || Promise.resolve();
+    const write = previous.then(async () => {
+      const queuePath = this.getQueuePath(pilePath);
+      const tmpPath = `${queuePath}.tmp`;
+      try {
+        await fs.mkdir(path.dirname(queuePath), { recursive: true });
+        await fs.writeFile(tmpPath, JSON.stringify(this.queues.get(pilePath) || [], null, 2), 'utf8');
+        await fs.rename(tmpPath, queuePath);
+      } catch (error) {
+        console.error('Failed to save sync queue:', error);
+      }
+    });
+    this.writes.set(pilePath, write);
+    return write;
+  }
+
+  private setQueue(pilePath: string, queue: SyncOperation[]): Promise<void> {
+    this.queues.set(pilePath, queue);
+    return this.saveQueue(pilePath);
+  }
+
+  /**
+   * The loaded pile holding an operation
+   */
+  private findPile(operationId: string): string | null {
+    for (const [pilePath, queue] of this.queues) {
+      if (queue.some((op) => op.id === operationId)) return pilePath;
+    }
+    return null;
   }
 
   /**
@@ -82,11 +213,17 @@ class SyncQueue {
     return nextRetry.toISOString();
   }
 
+  private getStatus(operation: SyncOperation, now: Date): QueuedOperationStatus {
+    if (operation.retryCount >= this.maxRetries) return 'failed';
+    if (operation.nextRetryAt && new Date(operation.nextRetryAt) > now) return 'waiting';
+    return 'pending';
+  }
+
   /**
-   * Enqueue a sync operation
+   * Enqueue a sync operation, replacing queued ones it supersedes
    */
   async enqueue(operation: Omit<SyncOperation, 'id' | 'createdAt' | 'retryCount'>): Promise<void> {
-    await this.loadQueue();
+    const queue = await this.loadQueue(operation.pilePath);
 
     const syncOperation: SyncOperation = {
       ...operation,
@@ -95,53 +232,43 @@ class SyncQueue {
       retryCount: 0,
     };
 
-    this.queue.push(syncOperation);
-    await this.saveQueue();
+    await this.setQueue(operation.pilePath, compactOperations([...queue, syncOperation]));
   }
 
   /**
-   * Take operations ready for processing (up to N operations)
+   * Take operations of a pile ready for processing (up to N operations),
+   * of every loaded pile when none is given
    */
-  async take(maxOperations = 100): Promise<SyncOperation[]> {
-    await this.loadQueue();
+  async take(maxOperations = 100, pilePath?: string): Promise<SyncOperation[]> {
+    if (pilePath) await this.loadQueue(pilePath);
 
     const now = new Date();
-    const readyOperations = this.queue
-      .filter(op => {
-        // Skip if waiting for retry
-        if (op.nextRetryAt && new Date(op.nextRetryAt) > now) {
-          return false;
-        }
-        // Skip if exceeded max retries
-        if (op.retryCount >= this.maxRetries) {
-          return false;
-        }
-        return true;
-      })
+    const queues = pilePath ? [this.queues.get(pilePath) || []] : Array.from(this.queues.values());
+    return queues
+      .flat()
+      .filter((op) => this.getStatus(op, now) === 'pending')
       .slice(0, maxOperations);
-
-    return readyOperations;
   }
 
   /**
    * Acknowledge successful processing of an operation
    */
   async ack(operationId: string): Promise<void> {
-    await this.loadQueue();
+    const pilePath = this.findPile(operationId);
+    if (!pilePath) return; // Superseded while it was pushed
 
-    this.queue = this.queue.filter(op => op.id !== operationId);
-    await this.saveQueue();
+    const queue = this.queues.get(pilePath) || [];
+    await this.setQueue(pilePath, queue.filter(op => op.id !== operationId));
   }
 
   /**
    * Mark an operation as failed and schedule retry
    */
   async nack(operationId: string, error: string): Promise<void> {
-    await this.loadQueue();
-
-    const operation = this.queue.find(op => op.id === operationId);
-    if (!operation) return;
+    const pilePath = this.findPile(operationId);
+    if (!pilePath) return;
 
+    const operation = this.queues.get(pilePath)!.find(op => op.id === operationId)!;
     operation.retryCount += 1;
     operation.lastError = error;
 
@@ -149,27 +276,55 @@ class SyncQueue {
       operation.nextRetryAt = this.calculateNextRetryTime(operation.retryCount);
     }
 
-    await this.saveQueue();
+    await this.saveQueue(pilePath);
+  }
+
+  /**
+   * Queued operations of a pile with their state, for the inspector
+   */
+  async listForPile(pilePath: string): Promise<QueuedOperation[]> {
+    const now = new Date();
+    return (await this.loadQueue(pilePath)).map((op) => ({ ...op, status: this.getStatus(op, now) }));
+  }
+
+  /**
+   * Push an operation again on the next run, failed or not
+   */
+  async retry(pilePath: string, operationId: string): Promise<boolean> {
+    const operation = (await this.loadQueue(pilePath)).find(op => op.id === operationId);
+    if (!operation) return false;
+
+    operation.retryCount = 0;
+    delete operation.nextRetryAt;
+    await this.saveQueue(pilePath);
+    return true;
+  }
+
+  /**
+   * Remove an operation without pushing it
+   */
+  async drop(pilePath: string, operationId: string): Promise<boolean> {
+    const queue = await this.loadQueue(pilePath);
+    if (!queue.some(op => op.id === operationId)) return false;
+
+    await this.setQueue(pilePath, queue.filter(op => op.id !== operationId));
+    return true;
   }
 
   /**
-   * Get queue statistics
+   * Get queue statistics of the loaded piles
    */
   async getStats(): Promise<QueueStats> {
-    await this.loadQueue();
+    await this.migrateLegacyQueue();
 
     const now = new Date();
-    const pending = this.queue.filter(op => {
-      return op.retryCount < this.maxRetries && 
-             (!op.nextRetryAt || new Date(op.nextRetryAt) <= now);
-    }).length;
-
-    const failed = this.queue.filter(op => op.retryCount >= this.maxRetries).length;
+    const queue = Array.from(this.queues.values()).flat();
+    const statuses = queue.map((op) => this.getStatus(op, now));
 
     return {
-      totalOperations: this.queue.length,
-      pendingOperations: pending,
-      failedOperations: failed,
+      totalOperations: queue.length,
+      pendingOperations: statuses.filter((status) => status === 'pending').length,
+      failedOperations: statuses.filter((status) => status === 'failed').length,
     };
   }
 
@@ -177,28 +332,36 @@ class SyncQueue {
    * Get queue length for a specific pile
    */
   async getQueueLengthForPile(pilePath: string): Promise<number> {
-    await this.loadQueue();
-    return this.queue.filter(op => op.pilePath === pilePath).length;
+    return (await this.loadQueue(pilePath)).length;
+  }
+
+  /**
+   * Operations of a pile the next push takes, without the ones backing
+   * off or given up on
+   */
+  async getPendingCountForPile(pilePath: string): Promise<number> {
+    const now = new Date();
+    return (await this.loadQueue(pilePath)).filter((op) => this.getStatus(op, now) === 'pending').length;
   }
 
   /**
-   * Clear failed operations
+   * Clear failed operations of the loaded piles
    */
   async clearFailed(): Promise<void> {
-    await this.loadQueue();
-    this.queue = this.queue.filter(op => op.retryCount < this.maxRetries);
-    await this.saveQueue();
+    await this.migrateLegacyQueue();
+    for (const [pilePath, queue] of this.queues) {
+      await this.setQueue(pilePath, queue.filter(op => op.retryCount < this.maxRetries));
+    }
   }
 
   /**
    * Clear all operations for a pile
    */
   async clearForPile(pilePath: string): Promise<void> {
-    await this.loadQueue();
-    this.queue = this.queue.filter(op => op.pilePath !== pilePath);
-    await this.saveQueue();
+    await this.loadQueue(pilePath);
+    await this.setQueue(pilePath, []);
   }
 }
 
 // Export singleton instance
-export const syncQueue = new SyncQueue();
\ No newline at end of file
+export const syncQueue = new SyncQueue();
@@ -0,0 +1,284 @@
+import { net } from 'electron';
+import settings from 'electron-settings';
+import { syncStateManager } from './state';
+import { fileWatcher } from './fileWatcher';
+import { pullPile } from './pull';
+import { pushPile, primeQueueForPile } from './push';
+import { awaitsApproval, planSync, PLAN_APPROVAL_THRESHOLD } from './plan';
+import { syncQueue } from './queue';
+
+// Same setting as the auto-sync switch in the pile settings
+const AUTO_SYNC_SETTING = 'sync_auto_enabled';
+const INTERVAL_MS = 5 * 60 * 1000;
+const NETWORK_CHECK_MS = 30 * 1000;
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 30 * 60 * 1000;
+
+// `approved` runs follow the user approving the sync plan
+export type SyncReason =
+  | 'startup'
+  | 'change'
+  | 'interval'
+  | 'reconnect'
+  | 'retry'
+  | 'manual'
+  | 'approved';
+
+interface PileSchedule {
+  running: Promise<void> | null;
+  // Another run was asked for while one was going
+  rerun: SyncReason | null;
+  failures: number;
+  nextAttemptAt: number;
+  retryTimer: ReturnType<typeof setTimeout> | null;
+}
+
+/**
+ * Keeps every linked pile in sync from the main process, whether or not a
+ * window is open: on local changes, every few minutes and when the network
+ * comes back. A pile that fails is retried later with exponential backoff,
+ * without holding up the others.
+ */
+class SyncScheduler {
+  private piles = new Map<string, PileSchedule>();
+  private intervalTimer: ReturnType<typeof setInterval> | null = null;
+  private networkTimer: ReturnType<typeof setInterval> | null = null;
+  private online = true;
+
+  /**
+   * Watch every linked pile and start the timers, once per app run
+   */
+  async start(): Promise<void> {
+    if (this.intervalTimer) return;
+
+    this.intervalTimer = setInterval(() => {
+      this.syncAll('interval').catch((error) =>
+        console.error('[SCHEDULER] Interval sync failed:', error),
+      );
+    }, INTERVAL_MS);
+
+    this.online = net.isOnline();
+    this.networkTimer = setInterval(() => {
+      const online = net.isOnline();
+      if (online && !this.online) {
+        console.log('[SCHEDULER] Network is back, syncing');
+        this.syncAll('reconnect').catch((error) =>
+          console.error('[SCHEDULER] Reconnect sync failed:', error),
+        );
+      }
+      this.online = online;
+    }, NETWORK_CHECK_MS);
+
+    for (const state of await syncStateManager.getLinkedPiles()) {
+      try {
+        console.log(`[SCHEDULER] Watching linked pile: ${state.pilePath}`);
+        await fileWatcher.startWatching(state.pilePath);
+        // Catch up on edits made while the app was closed
+        await primeQueueForPile(state.pilePath);
+        this.requestSync(state.pilePath, 'startup');
+      } catch (error) {
+        console.error(
+          '[SCHEDULER] Failed to start pile:',
+          state.pilePath,
+          error,
+        );
+      }
+    }
+  }
+
+  stop(): void {
+    if (this.intervalTimer) clearInterval(this.intervalTimer);
+    if (this.networkTimer) clearInterval(this.networkTimer);
+    this.intervalTimer = null;
+    this.networkTimer = null;
+    this.piles.forEach((pile) => {
+      if (pile.retryTimer) clearTimeout(pile.retryTimer);
+    });
+    this.piles.clear();
+  }
+
+  /**
+   * Whether sync keeps running without a window, the auto-sync switch
+   */
+  async isAutoSyncEnabled(): Promise<boolean> {
+    try {
+      return Boolean(await settings.get(AUTO_SYNC_SETTING));
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Whether closing the window should leave the app syncing in the tray
+   */
+  runsInBackground(): boolean {
+    try {
+      return (
+        Boolean(settings.getSync(AUTO_SYNC_SETTING)) &&
+        fileWatcher.getWatchedPiles().length > 0
+      );
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Sync all linked piles. The timers only do so with auto-sync on.
+   */
+  async syncAll(reason: SyncReason): Promise<void> {
+    if (reason !== 'manual' && !(await this.isAutoSyncEnabled())) return;
+    if (reason !== 'manual' && !net.isOnline()) return;
+
+    for (const state of await syncStateManager.getLinkedPiles()) {
+      this.requestSync(state.pilePath, reason);
+    }
+  }
+
+  /**
+   * Ask for a sync of one pile. Runs of a pile never overlap, and a pile
+   * in backoff waits for its retry unless the user asked.
+   */
+  requestSync(pilePath: string, reason: SyncReason): void {
+    const pile = this.getPile(pilePath);
+
+    if (pile.running) {
+      // An approval isn't lost to a change made in the meantime
+      if (pile.rerun !== 'approved') pile.rerun = reason;
+      return;
+    }
+
+    if (
+      reason !== 'manual' &&
+      reason !== 'approved' &&
+      reason !== 'retry' &&
+      Date.now() < pile.nextAttemptAt
+    ) {
+      console.log(
+        `[SCHEDULER] ${pilePath} is backing off, skipping ${reason} sync`,
+      );
+      return;
+    }
+
+    pile.running = this.runPile(pilePath, reason).finally(() => {
+      pile.running = null;
+      const rerun = pile.rerun;
+      pile.rerun = null;
+      if (rerun) this.requestSync(pilePath, rerun);
+    });
+  }
+
+  /**
+   * When a failing pile is tried again, null when it isn't failing
+   */
+  getRetry(
+    pilePath: string,
+  ): { failures: number; nextAttemptAt: string } | null {
+    const pile = this.piles.get(pilePath);
+    if (!pile || pile.failures === 0) return null;
+    return {
+      failures: pile.failures,
+      nextAttemptAt: new Date(pile.nextAttemptAt).toISOString(),
+    };
+  }
+
+  private getPile(pilePath: string): PileSchedule {
+    let pile = this.piles.get(pilePath);
+    if (!pile) {
+      pile = {
+        running: null,
+        rerun: null,
+        failures: 0,
+        nextAttemptAt: 0,
+        retryTimer: null,
+      };
+      this.piles.set(pilePath, pile);
+    }
+    return pile;
+  }
+
+  private async runPile(pilePath: string, reason: SyncReason): Promise<void> {
+    const pile = this.getPile(pilePath);
+    if (pile.retryTimer) {
+      clearTimeout(pile.retryTimer);
+      pile.retryTimer = null;
+    }
+
+    const state = await syncStateManager.loadState(pilePath);
+    if (!state.linked) {
+      this.piles.delete(pilePath);
+      return;
+    }
+
+    if (awaitsApproval(state.checkpoint)) {
+      // Nothing moves until the user saw what the first sync does
+      console.log(
+        `[SCHEDULER] ${pilePath} waits for its sync plan to be approved`,
+      );
+      return;
+    }
+
+    console.log(`[SCHEDULER] Syncing ${pilePath} (${reason})`);
+
+    let error: string | undefined;
+    try {
+      // The renderer plans the first sync and the ones it starts. Here
+      // only a push big enough to need approval is planned, a plan scans
+      // the whole pile.
+      if (
+        reason !== 'approved' &&
+        (await syncQueue.getPendingCountForPile(pilePath)) >
+          PLAN_APPROVAL_THRESHOLD
+      ) {
+        const plan = await planSync(pilePath);
+        if (plan.destructiveCount > PLAN_APPROVAL_THRESHOLD) {
+          console.log(
+            `[SCHEDULER] ${pilePath} would delete or overwrite ${plan.destructiveCount} posts, holding it for approval`,
+          );
+          await syncStateManager.updateCheckpoint(pilePath, {
+            planHeldAt: new Date().toISOString(),
+          });
+          return;
+        }
+      }
+
+      // Local changes only need a push, everything else pulls first
+      if (reason !== 'change') {
+        const pulled = await pullPile(pilePath);
+        if (!pulled.success) error = pulled.error;
+      }
+      // pushPile scans the whole pile when nothing is due, so piles with
+      // nothing to push or only failed operations are left alone. The
+      // queue was primed when the pile started.
+      if ((await syncQueue.getPendingCountForPile(pilePath)) > 0) {
+        const pushed = await pushPile(pilePath);
+        if (!pushed.success) error = error || pushed.error;
+        else if (pushed.failedCount)
+          error = error || `${pushed.failedCount} operations failed`;
+      }
+    } catch (e) {
+      error = (e as Error)?.message || 'Unknown error';
+    }
+
+    if (!error) {
+      pile.failures = 0;
+      pile.nextAttemptAt = 0;
+      return;
+    }
+
+    pile.failures++;
+    const delay = Math.min(
+      BACKOFF_BASE_MS * 2 ** (pile.failures - 1),
+      BACKOFF_MAX_MS,
+    );
+    pile.nextAttemptAt = Date.now() + delay;
+    console.warn(
+      `[SCHEDULER] Sync of ${pilePath} failed (${pile.failures}x): ${error}, retrying in ${Math.round(delay / 1000)}s`,
+    );
+    pile.retryTimer = setTimeout(() => {
+      pile.retryTimer = null;
+      this.requestSync(pilePath, 'retry');
+    }, delay);
+  }
+}
+
+export const syncScheduler = new SyncScheduler();
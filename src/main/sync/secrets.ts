@@ -0,0 +1,51 @@
+import crypto from 'crypto';
+import settings from 'electron-settings';
+import { safeStorage } from 'electron';
+
+export const NO_KEYRING_ERROR =
+  "Secrets can't be stored safely on this system, set up a keyring (like GNOME Keyring or KWallet) and try again";
+
+/**
+ * Name of a per-pile secret in the app settings. Secrets stay there,
+ * encrypted with safeStorage, never in the pile folder.
+ */
+export function pileSecretName(
+  group: string,
+  pilePath: string,
+  ...parts: string[]
+): string {
+  const pileHash = crypto.createHash('sha1').update(pilePath).digest('hex');
+  return [group, pileHash, ...parts].join('.');
+}
+
+export async function loadSecret(name: string): Promise<string | undefined> {
+  try {
+    const encrypted = await settings.get(name);
+    if (!encrypted || typeof encrypted !== 'string') return undefined;
+    return safeStorage.decryptString(Buffer.from(encrypted, 'base64'));
+  } catch (error) {
+    console.error(`[SECRETS] Failed to read ${name}:`, error);
+    return undefined;
+  }
+}
+
+/**
+ * Store a secret, or remove it when there is none. Throws instead of
+ * storing it where safeStorage can't encrypt, or on Linux without a
+ * keyring, where it only obfuscates with a fixed password.
+ */
+export async function saveSecret(name: string, secret?: string): Promise<void> {
+  if (!secret) {
+    await settings.unset(name);
+    return;
+  }
+  if (
+    !safeStorage.isEncryptionAvailable() ||
+    (process.platform === 'linux' &&
+      safeStorage.getSelectedStorageBackend() === 'basic_text')
+  ) {
+    throw new Error(NO_KEYRING_ERROR);
+  }
+  const encrypted = safeStorage.encryptString(secret);
+  await settings.set(name, encrypted.toString('base64'));
+}
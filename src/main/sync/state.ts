@@ -1,5 +1,8 @@
 import { promises as fs } from 'fs';
+import os from 'os';
 import path from 'path';
+import type { SyncBackendConfig } from './backends/remote';
+import type { PileEncryptionInfo } from './encryption';
 
 export interface SyncCheckpoint {
   lastPulledAt?: string;
@@ -7,6 +10,20 @@ export interface SyncCheckpoint {
   lastPushedAt?: string;
   lastPushedEtag?: string;
   remotePileId?: string;
+  // Where the pile syncs to, Supabase when unset
+  backend?: SyncBackendConfig;
+  // Key the pile is end-to-end encrypted with, unset when it isn't
+  encryption?: PileEncryptionInfo;
+  // Newer key pulled posts are sealed with, adopted once this device
+  // unlocks it
+  pendingEncryption?: PileEncryptionInfo;
+  // When the user approved the plan of the pile's first sync
+  planApprovedAt?: string;
+  // When a background sync stopped at a plan deleting or overwriting too
+  // many posts, cleared once the user approves it
+  planHeldAt?: string;
+  // Pulled post that failed to decrypt, cleared once a pull gets past it
+  tamperedPostId?: string;
 }
 
 export interface PileSyncState {
@@ -131,10 +148,12 @@ class SyncStateManager {
    * Unlink a pile from remote sync
    */
   async unlinkPile(pilePath: string): Promise<void> {
+    // The chosen backend outlives the link, the checkpoint doesn't
+    const { backend } = (await this.loadState(pilePath)).checkpoint;
     await this.saveState(pilePath, {
       linked: false,
       remotePileId: undefined,
-      checkpoint: {},
+      checkpoint: backend ? { backend } : {},
     });
     
     // Remove from cache
@@ -142,12 +161,27 @@ class SyncStateManager {
   }
 
   /**
-   * Get all linked piles
+   * Get all linked piles, from the piles the app knows about in piles.json
    */
-  async getLinkedPiles(): Promise<PileSyncState[]> {
-    // For now, return empty array - this would need to be implemented
-    // by scanning for piles with sync state files
-    return [];
+  async getLinkedPiles(
+    pilesConfigPath: string = path.join(os.homedir(), 'Piles', 'piles.json')
+  ): Promise<PileSyncState[]> {
+    let piles: Array<{ path?: string }>;
+    try {
+      piles = JSON.parse(await fs.readFile(pilesConfigPath, 'utf8'));
+    } catch (error) {
+      // No piles yet
+      return [];
+    }
+    if (!Array.isArray(piles)) return [];
+
+    const linked: PileSyncState[] = [];
+    for (const pile of piles) {
+      if (!pile?.path) continue;
+      const state = await this.loadState(pile.path);
+      if (state.linked && state.remotePileId) linked.push(state);
+    }
+    return linked;
   }
 
   /**
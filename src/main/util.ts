@@ -44,7 +44,7 @@ export async function walk(dir: string, root = true) {
           !root &&
           !(
             /^\d{4}$/.test(file) ||
-            /^[Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec]{3}$/.test(file)
+            /^(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)$/.test(file)
           )
         ) {
           return null;
@@ -0,0 +1,152 @@
+import { BrowserWindow } from 'electron';
+import settings from 'electron-settings';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import pileBackup from './pileBackup';
+
+const BACKUP_SETTINGS = 'backup_settings';
+const CHECK_MS = 60 * 60 * 1000;
+// Give the app time to start before the first check
+const STARTUP_DELAY_MS = 2 * 60 * 1000;
+
+export interface BackupSettings {
+  enabled: boolean;
+  directory: string | null;
+  intervalHours: number;
+  keepDaily: number;
+  keepWeekly: number;
+  keepMonthly: number;
+}
+
+const DEFAULT_SETTINGS: BackupSettings = {
+  enabled: false,
+  directory: null,
+  intervalHours: 24,
+  keepDaily: 7,
+  keepWeekly: 4,
+  keepMonthly: 12,
+};
+
+/**
+ * Backs up every pile the app knows about to the backup directory once its
+ * latest archive is older than the interval, then prunes its old archives.
+ * Checks hourly, so a backup missed while the app was closed happens soon
+ * after it starts.
+ */
+class BackupScheduler {
+  private timer: ReturnType<typeof setInterval> | null = null;
+  private startupTimer: ReturnType<typeof setTimeout> | null = null;
+  private running: Promise<void> | null = null;
+
+  async getSettings(): Promise<BackupSettings> {
+    try {
+      const saved = (await settings.get(BACKUP_SETTINGS)) as any;
+      return { ...DEFAULT_SETTINGS, ...(saved || {}) };
+    } catch {
+      return { ...DEFAULT_SETTINGS };
+    }
+  }
+
+  async setSettings(changes: Partial<BackupSettings>): Promise<BackupSettings> {
+    const updated = { ...(await this.getSettings()), ...changes };
+    await settings.set(BACKUP_SETTINGS, updated as any);
+    return updated;
+  }
+
+  start(): void {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.runDue(), CHECK_MS);
+    this.startupTimer = setTimeout(() => this.runDue(), STARTUP_DELAY_MS);
+  }
+
+  stop(): void {
+    if (this.timer) clearInterval(this.timer);
+    if (this.startupTimer) clearTimeout(this.startupTimer);
+    this.timer = null;
+    this.startupTimer = null;
+  }
+
+  /**
+   * Back up the piles that are due, one at a time. Runs never overlap.
+   */
+  runDue(): Promise<void> {
+    if (!this.running) {
+      this.running = this.backupDuePiles()
+        .catch((error) =>
+          console.error('[BACKUP] Scheduled backup failed:', error),
+        )
+        .finally(() => {
+          this.running = null;
+        });
+    }
+    return this.running;
+  }
+
+  /**
+   * Back up one pile now and apply the retention rules
+   */
+  async backupPile(pilePath: string, reason = 'manual') {
+    const config = await this.getSettings();
+    if (!config.directory) throw new Error('Choose a backup folder first');
+
+    const entry = await pileBackup.backup(pilePath, config.directory, {
+      reason,
+    });
+    const pruned = await pileBackup.prune(pilePath, config.directory, config);
+    console.log(
+      `[BACKUP] Backed up ${pilePath} to ${entry.file}, pruned ${pruned.length}`,
+    );
+    BrowserWindow.getAllWindows().forEach((window) =>
+      window.webContents.send('backup-created', { pilePath, entry }),
+    );
+    return entry;
+  }
+
+  private async backupDuePiles(): Promise<void> {
+    const config = await this.getSettings();
+    if (!config.enabled || !config.directory) return;
+
+    const dueBefore = Date.now() - config.intervalHours * 60 * 60 * 1000;
+    for (const pilePath of await this.getPilePaths()) {
+      try {
+        const [latest] = await pileBackup.list(pilePath, config.directory);
+        if (latest && new Date(latest.createdAt).getTime() > dueBefore) {
+          continue;
+        }
+        await this.backupPile(pilePath, 'scheduled');
+      } catch (error) {
+        console.error('[BACKUP] Failed to back up pile:', pilePath, error);
+      }
+    }
+  }
+
+  /**
+   * The piles in piles.json whose folder is still there
+   */
+  private async getPilePaths(
+    pilesConfigPath: string = path.join(os.homedir(), 'Piles', 'piles.json'),
+  ): Promise<string[]> {
+    let piles: Array<{ path?: string }>;
+    try {
+      piles = JSON.parse(await fs.readFile(pilesConfigPath, 'utf8'));
+    } catch (error) {
+      return [];
+    }
+    if (!Array.isArray(piles)) return [];
+
+    const paths: string[] = [];
+    for (const pile of piles) {
+      if (!pile?.path) continue;
+      try {
+        await fs.access(pile.path);
+        paths.push(pile.path);
+      } catch {
+        console.warn('[BACKUP] Pile folder is missing:', pile.path);
+      }
+    }
+    return paths;
+  }
+}
+
+export const backupScheduler = new BackupScheduler();
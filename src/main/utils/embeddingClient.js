@@ -0,0 +1,91 @@
+// Talks to the embedding providers. Nothing in here touches electron so
+// it can run inside the indexing worker as well as the main process;
+// callers resolve the API key and model from settings and pass them in.
+
+const axios = require('axios');
+const { GoogleGenerativeAI, TaskType } = require('@google/generative-ai');
+
+const OLLAMA_EMBED_URL = 'http://127.0.0.1:11434/api/embed';
+const MAX_RETRIES = 5;
+const BASE_RETRY_DELAY_MS = 1000;
+
+const sleep = (ms) =>
+  new Promise((resolve) => {
+    setTimeout(resolve, ms);
+  });
+
+// Whether an error returned by the Gemini API is a rate limit / quota error
+function isRateLimitError(error) {
+  const status = error?.status ?? error?.response?.status;
+  if (status === 429 || status === 503) return true;
+  const message = String(error?.message || '');
+  return /429|rate limit|quota|RESOURCE_EXHAUSTED/i.test(message);
+}
+
+// Retries rate limited requests with exponential backoff and jitter
+async function withBackoff(request) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await request();
+    } catch (error) {
+      if (!isRateLimitError(error) || attempt >= MAX_RETRIES) {
+        throw error;
+      }
+      const delay = BASE_RETRY_DELAY_MS * 2 ** attempt;
+      const jitter = Math.random() * 0.1 * delay;
+      console.warn(
+        `🧮 Embedding rate limited, retrying in ${Math.round(delay)}ms`,
+      );
+      await sleep(delay + jitter);
+    }
+  }
+}
+
+async function embedWithGemini(
+  texts,
+  apiKey,
+  model,
+  taskType = TaskType.RETRIEVAL_DOCUMENT,
+) {
+  if (texts.length === 0) return [];
+  if (!apiKey) {
+    throw new Error('No Gemini API key available');
+  }
+
+  const client = new GoogleGenerativeAI(apiKey);
+  const embeddingClient = client.getGenerativeModel({ model });
+
+  const result = await embeddingClient.batchEmbedContents({
+    requests: texts.map((text) => ({
+      content: { role: 'user', parts: [{ text }] },
+      taskType,
+    })),
+  });
+
+  return result.embeddings.map((embedding) => embedding.values);
+}
+
+async function embedWithOllama(texts, model) {
+  if (texts.length === 0) return [];
+  const response = await axios.post(OLLAMA_EMBED_URL, { model, input: texts });
+  return response.data.embeddings;
+}
+
+// Embeds a batch of documents with the configured provider.
+// `settings` is { isOllama, model, apiKey }.
+async function embedDocuments(
+  documents,
+  settings,
+  taskType = TaskType.RETRIEVAL_DOCUMENT,
+) {
+  const { isOllama, model, apiKey } = settings;
+  if (isOllama) return embedWithOllama(documents, model);
+  return withBackoff(() => embedWithGemini(documents, apiKey, model, taskType));
+}
+
+module.exports = {
+  embedDocuments,
+  embedWithGemini,
+  isRateLimitError,
+  withBackoff,
+};
@@ -0,0 +1,127 @@
+// Turns entries into embedded passages in a vector store. Shared by the
+// main process (single entries as they are saved) and the indexing
+// worker (whole piles), so it must not depend on electron.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const matter = require('gray-matter');
+const { entryPlainText, chunkText } = require('./textChunker');
+
+const EMBEDDING_BATCH_SIZE = 50;
+
+const hashText = (text) => crypto.createHash('sha1').update(text).digest('hex');
+
+function readEntry(pilePath, entryPath) {
+  const fullPath = path.join(pilePath, entryPath);
+  const fileContent = fs.readFileSync(fullPath, 'utf8');
+  const { content, data } = matter(fileContent);
+  return { text: entryPlainText(content), data };
+}
+
+// Splits an entry into passages. Offsets index into the entry's plain
+// text, the embedded content also carries the date for context.
+function getEntryChunks(pilePath, entryPath, threadPath) {
+  const { text, data } = readEntry(pilePath, entryPath);
+  return chunkText(text).map(({ start, end }, i) => {
+    const content = `Entry on ${data.createdAt}\n\n${text.slice(start, end)}`;
+    return {
+      id: `${entryPath}#${i}`,
+      content,
+      info: {
+        thread: threadPath,
+        entry: entryPath,
+        start,
+        end,
+        hash: hashText(content),
+      },
+    };
+  });
+}
+
+function getThreadChunks(pilePath, threadPath, entryPaths) {
+  const chunks = [];
+  for (const entryPath of entryPaths) {
+    try {
+      chunks.push(...getEntryChunks(pilePath, entryPath, threadPath));
+    } catch (error) {
+      console.warn('Failed to read entry for embedding:', entryPath);
+    }
+  }
+  return chunks;
+}
+
+// Every thread in the index with the entries (parent and replies) in it
+function getIndexThreads(index) {
+  const threads = [];
+  for (const [threadPath, metadata] of index) {
+    if (metadata.isReply) continue;
+    threads.push({
+      threadPath,
+      entryPaths: [threadPath, ...(metadata.replies || [])],
+    });
+  }
+  return threads;
+}
+
+// Chunks that are missing from the store or whose text changed
+function pendingChunks(store, chunks) {
+  return chunks.filter((chunk) => {
+    const stored = store.getInfo(chunk.id);
+    return (
+      stored?.hash !== chunk.info.hash || stored?.thread !== chunk.info.thread
+    );
+  });
+}
+
+// Stored chunks of these entries that no longer exist
+function removeStaleChunks(store, chunks, entryPaths) {
+  const current = new Set(chunks.map((chunk) => chunk.id));
+  const entries = new Set(entryPaths);
+  store
+    .findIds((info, id) => entries.has(info.entry) && !current.has(id))
+    .forEach((id) => store.remove(id));
+}
+
+// Embeds the chunks whose text changed since they were stored and drops
+// stored chunks of these entries that no longer exist. `embed` maps a
+// list of texts to vectors. Returns the number of chunks embedded, or
+// stops early when `isCancelled` says so.
+async function embedChunks(
+  store,
+  chunks,
+  entryPaths,
+  embed,
+  { onBatch = () => {}, isCancelled = () => false } = {},
+) {
+  const pending = pendingChunks(store, chunks);
+
+  for (let i = 0; i < pending.length; i += EMBEDDING_BATCH_SIZE) {
+    if (isCancelled()) return i;
+    const batch = pending.slice(i, i + EMBEDDING_BATCH_SIZE);
+    try {
+      const embeddings = await embed(batch.map((chunk) => chunk.content));
+      batch.forEach((chunk, j) => {
+        if (embeddings[j]) {
+          store.upsert(chunk.id, embeddings[j], chunk.info);
+        }
+      });
+    } catch (error) {
+      console.warn('Failed to embed batch, skipping:', error?.message);
+    }
+    onBatch(Math.min(i + batch.length, pending.length), pending.length);
+  }
+
+  removeStaleChunks(store, chunks, entryPaths);
+  return pending.length;
+}
+
+module.exports = {
+  readEntry,
+  getEntryChunks,
+  getThreadChunks,
+  getIndexThreads,
+  pendingChunks,
+  embedChunks,
+  EMBEDDING_BATCH_SIZE,
+};
@@ -0,0 +1,167 @@
+// Inverted file index for approximate nearest neighbour search.
+// Vectors are bucketed under the closest of k centroids (trained with
+// k-means on a sample), and a query only scores the vectors in the
+// few buckets whose centroids are closest to it.
+
+const KMEANS_ITERATIONS = 8;
+const TRAINING_SAMPLES_PER_LIST = 40;
+
+function dot(a, aOffset, b, bOffset, dimension) {
+  let sum = 0;
+  for (let i = 0; i < dimension; i++) {
+    sum += a[aOffset + i] * b[bOffset + i];
+  }
+  return sum;
+}
+
+function normalize(vector, offset, dimension) {
+  let norm = 0;
+  for (let i = 0; i < dimension; i++) norm += vector[offset + i] ** 2;
+  norm = Math.sqrt(norm);
+  if (norm === 0) return;
+  for (let i = 0; i < dimension; i++) vector[offset + i] /= norm;
+}
+
+class IVFIndex {
+  constructor(dimension, centroids = null) {
+    this.dimension = dimension;
+    this.centroids = centroids; // Float32Array of k * dimension, unit length
+    this.k = centroids ? centroids.length / dimension : 0;
+    this.lists = [];
+    this.assignments = new Map(); // id -> list number
+    this.resetLists();
+  }
+
+  resetLists() {
+    this.lists = Array.from({ length: this.k }, () => new Set());
+    this.assignments.clear();
+  }
+
+  get trained() {
+    return this.k > 0;
+  }
+
+  // Trains centroids with spherical k-means on a sample of the store
+  // and assigns every stored vector to its closest centroid.
+  train(store) {
+    const count = store.size;
+    const dimension = this.dimension;
+    this.k = Math.max(1, Math.round(Math.sqrt(count)));
+
+    const sampleSize = Math.min(count, this.k * TRAINING_SAMPLES_PER_LIST);
+    const sample = store.sampleSlots(sampleSize);
+    const centroids = new Float32Array(this.k * dimension);
+
+    // seed centroids with distinct sampled vectors
+    for (let c = 0; c < this.k; c++) {
+      const slot = sample[c % sample.length];
+      centroids.set(store.getVector(slot), c * dimension);
+      normalize(centroids, c * dimension, dimension);
+    }
+
+    const sums = new Float32Array(this.k * dimension);
+    const counts = new Uint32Array(this.k);
+
+    for (let iteration = 0; iteration < KMEANS_ITERATIONS; iteration++) {
+      sums.fill(0);
+      counts.fill(0);
+
+      for (const slot of sample) {
+        const vector = store.getVector(slot);
+        const c = this.nearestCentroid(vector, centroids);
+        counts[c] += 1;
+        const offset = c * dimension;
+        for (let i = 0; i < dimension; i++) sums[offset + i] += vector[i];
+      }
+
+      for (let c = 0; c < this.k; c++) {
+        // keep the previous centroid for empty clusters
+        if (counts[c] === 0) continue;
+        const offset = c * dimension;
+        centroids.set(sums.subarray(offset, offset + dimension), offset);
+        normalize(centroids, offset, dimension);
+      }
+    }
+
+    this.centroids = centroids;
+    this.resetLists();
+    for (const id of store.ids) {
+      this.add(id, store.getVectorById(id));
+    }
+  }
+
+  nearestCentroid(vector, centroids = this.centroids) {
+    let best = 0;
+    let bestScore = -Infinity;
+    for (let c = 0; c < this.k; c++) {
+      const score = dot(
+        vector,
+        0,
+        centroids,
+        c * this.dimension,
+        this.dimension,
+      );
+      if (score > bestScore) {
+        bestScore = score;
+        best = c;
+      }
+    }
+    return best;
+  }
+
+  add(id, vector) {
+    if (!this.trained) return;
+    this.remove(id);
+    const list = this.nearestCentroid(vector);
+    this.lists[list].add(id);
+    this.assignments.set(id, list);
+  }
+
+  remove(id) {
+    const list = this.assignments.get(id);
+    if (list === undefined) return;
+    this.lists[list].delete(id);
+    this.assignments.delete(id);
+  }
+
+  // Returns the ids stored in the `probes` lists closest to the query
+  candidates(queryVector, probes) {
+    const scores = [];
+    for (let c = 0; c < this.k; c++) {
+      scores.push({
+        list: c,
+        score: dot(
+          queryVector,
+          0,
+          this.centroids,
+          c * this.dimension,
+          this.dimension,
+        ),
+      });
+    }
+    scores.sort((a, b) => b.score - a.score);
+
+    const ids = [];
+    for (const { list } of scores.slice(0, probes)) {
+      ids.push(...this.lists[list]);
+    }
+    return ids;
+  }
+
+  // Assignments are persisted by id so they survive slot reordering
+  toJSON() {
+    return { k: this.k, assignments: Array.from(this.assignments.entries()) };
+  }
+
+  static restore(dimension, centroids, assignments) {
+    const index = new IVFIndex(dimension, centroids);
+    for (const [id, list] of assignments) {
+      if (list >= index.k) continue;
+      index.lists[list].add(id);
+      index.assignments.set(id, list);
+    }
+    return index;
+  }
+}
+
+module.exports = { IVFIndex };
@@ -0,0 +1,355 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const matter = require('gray-matter');
+const { writeZip, readZip } = require('./zip');
+const pileTrash = require('./pileTrash');
+
+const MANIFEST = 'backup.json';
+const CATALOG = 'backups.json';
+// The index, search index, vectors and jobs are rebuilt from the posts,
+// the sync queue and state belong to this device's link. The rest of
+// .pile, like the version history and the trash, is backed up.
+const IGNORED_FOLDERS = ['.git', 'node_modules'];
+const IGNORED_FILES = [
+  'index.json',
+  'search_index.json',
+  'vectors.bin',
+  'vectors.json',
+  'vectors.ivf',
+  '.DS_Store',
+];
+const IGNORED_PATHS = [
+  '.pile/jobs.json',
+  '.pile/queue.json',
+  '.pile/sync.json',
+];
+const POST_PATH = /^\d{4}\/[A-Z][a-z]{2}\/[^/]+\.md$/;
+
+const DEFAULT_RETENTION = { keepDaily: 7, keepWeekly: 4, keepMonthly: 12 };
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+// Streams the file, archives can be too big to read at once
+const hashFile = (filePath) =>
+  new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const dayKey = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// The monday a date's week starts on
+const weekKey = (date) => {
+  const monday = new Date(date);
+  monday.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+  return dayKey(monday);
+};
+
+const monthKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}`;
+
+async function listFiles(root, dir = root, files = []) {
+  for (const dirent of await fs.promises.readdir(dir, {
+    withFileTypes: true,
+  })) {
+    const filePath = path.join(dir, dirent.name);
+    if (dirent.isDirectory()) {
+      if (!IGNORED_FOLDERS.includes(dirent.name)) {
+        await listFiles(root, filePath, files);
+      }
+    } else if (dirent.isFile() && !IGNORED_FILES.includes(dirent.name)) {
+      const relativePath = path.relative(root, filePath).replace(/\\/g, '/');
+      if (!IGNORED_PATHS.includes(relativePath)) files.push(relativePath);
+    }
+  }
+  return files;
+}
+
+// Versioned zip archives of a pile in a backup directory, one folder per
+// pile. Each archive has a manifest with the checksum of every file and the
+// posts it holds, and backups.json lists the archives with their own
+// checksum, so a damaged or altered archive is found before restoring it.
+class PileBackup {
+  // Piles with the same name in different places get their own folder
+  pileFolder(backupDir, pilePath) {
+    const id = sha256(path.resolve(pilePath)).slice(0, 8);
+    return path.join(backupDir, `${path.basename(pilePath)}-${id}`);
+  }
+
+  async readCatalog(folder) {
+    try {
+      return JSON.parse(
+        await fs.promises.readFile(path.join(folder, CATALOG), 'utf8'),
+      );
+    } catch (error) {
+      return [];
+    }
+  }
+
+  async writeCatalog(folder, catalog) {
+    const catalogPath = path.join(folder, CATALOG);
+    await fs.promises.writeFile(
+      `${catalogPath}.tmp`,
+      JSON.stringify(catalog, null, 2),
+    );
+    await fs.promises.rename(`${catalogPath}.tmp`, catalogPath);
+  }
+
+  // Archive the pile. `reason` is scheduled, manual or pre-restore.
+  async backup(pilePath, backupDir, { reason = 'manual' } = {}) {
+    const folder = this.pileFolder(backupDir, pilePath);
+    await fs.promises.mkdir(folder, { recursive: true });
+
+    const createdAt = new Date();
+    const stamp = `${dayKey(createdAt)}-${pad(createdAt.getHours())}${pad(createdAt.getMinutes())}${pad(createdAt.getSeconds())}`;
+    let file = `${path.basename(pilePath)} ${stamp}.zip`;
+    for (let i = 2; fs.existsSync(path.join(folder, file)); i++) {
+      file = `${path.basename(pilePath)} ${stamp} ${i}.zip`;
+    }
+
+    const files = await listFiles(pilePath);
+    const manifest = {
+      version: 1,
+      pile: path.basename(pilePath),
+      createdAt: createdAt.toISOString(),
+      reason,
+      files: {},
+      posts: [],
+    };
+    for (const relativePath of files) {
+      const data = await fs.promises.readFile(
+        path.join(pilePath, relativePath),
+      );
+      manifest.files[relativePath] = sha256(data);
+      if (POST_PATH.test(relativePath)) {
+        try {
+          const { data: post } = matter(data.toString('utf8'));
+          manifest.posts.push({
+            path: relativePath,
+            title: post.title || '',
+            createdAt: post.createdAt || null,
+            isReply: Boolean(post.isReply),
+            replies: post.replies || [],
+            attachments: post.attachments || [],
+          });
+        } catch (error) {
+          console.warn('Backing up unreadable post', relativePath);
+        }
+      }
+    }
+
+    const archivePath = path.join(folder, file);
+    const partialPath = `${archivePath}.partial`;
+    try {
+      await writeZip(
+        partialPath,
+        [
+          ...files.map((relativePath) => ({
+            name: relativePath,
+            path: path.join(pilePath, relativePath),
+          })),
+          { name: MANIFEST, data: JSON.stringify(manifest) },
+        ],
+        createdAt,
+      );
+      await fs.promises.rename(partialPath, archivePath);
+    } catch (error) {
+      await fs.promises.rm(partialPath, { force: true });
+      throw error;
+    }
+
+    const entry = {
+      file,
+      createdAt: manifest.createdAt,
+      reason,
+      size: (await fs.promises.stat(archivePath)).size,
+      sha256: await hashFile(archivePath),
+      files: files.length,
+      posts: manifest.posts.length,
+    };
+    const catalog = await this.readCatalog(folder);
+    await this.writeCatalog(folder, [entry, ...catalog]);
+    return entry;
+  }
+
+  // Archives of a pile, newest first
+  async list(pilePath, backupDir) {
+    const folder = this.pileFolder(backupDir, pilePath);
+    const catalog = await this.readCatalog(folder);
+    return catalog
+      .filter((entry) => fs.existsSync(path.join(folder, entry.file)))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  archivePath(pilePath, backupDir, file) {
+    if (path.basename(file) !== file) throw new Error('Invalid backup');
+    return path.join(this.pileFolder(backupDir, pilePath), file);
+  }
+
+  // Opens an archive after checking it against its checksum, and every file
+  // in it against the manifest as it's read
+  async open(pilePath, backupDir, file) {
+    const entry = (await this.list(pilePath, backupDir)).find(
+      (backup) => backup.file === file,
+    );
+    if (!entry) throw new Error(`${file} is not a backup of this pile`);
+
+    const archivePath = this.archivePath(pilePath, backupDir, file);
+    if ((await hashFile(archivePath)) !== entry.sha256) {
+      throw new Error(`${file} doesn't match its checksum`);
+    }
+    const zip = await readZip(archivePath);
+    try {
+      const manifest = JSON.parse((await zip.read(MANIFEST)).toString('utf8'));
+      const read = async (relativePath) => {
+        const data = await zip.read(relativePath);
+        if (sha256(data) !== manifest.files[relativePath]) {
+          throw new Error(`${relativePath} is damaged in ${file}`);
+        }
+        return data;
+      };
+      return { entry, manifest, read, close: zip.close };
+    } catch (error) {
+      await zip.close();
+      throw error;
+    }
+  }
+
+  // Reads every file of an archive, { ok, errors }
+  async verify(pilePath, backupDir, file) {
+    const errors = [];
+    let archive;
+    try {
+      archive = await this.open(pilePath, backupDir, file);
+    } catch (error) {
+      return { ok: false, errors: [error.message] };
+    }
+    try {
+      for (const relativePath of Object.keys(archive.manifest.files)) {
+        try {
+          await archive.read(relativePath);
+        } catch (error) {
+          errors.push(error.message);
+        }
+      }
+    } finally {
+      await archive.close();
+    }
+    return { ok: errors.length === 0, errors };
+  }
+
+  // The threads in an archive, to pick the ones to restore
+  async listPosts(pilePath, backupDir, file) {
+    const archive = await this.open(pilePath, backupDir, file);
+    await archive.close();
+    return archive.manifest.posts
+      .filter((post) => !post.isReply)
+      .map((post) => ({
+        path: post.path,
+        title: post.title,
+        createdAt: post.createdAt,
+        replies: post.replies.length,
+        exists: fs.existsSync(path.join(pilePath, post.path)),
+      }))
+      .sort((a, b) => b.path.localeCompare(a.path));
+  }
+
+  // Restores the given posts with their replies and attachments, or the
+  // whole pile when no posts are given. A whole restore first backs up the
+  // pile as it is and moves the posts that aren't in the archive to the
+  // trash. Returns the restored and removed post paths.
+  async restore(pilePath, backupDir, file, { posts = null } = {}) {
+    const archive = await this.open(pilePath, backupDir, file);
+    try {
+      const { manifest } = archive;
+      let files = Object.keys(manifest.files);
+      const removed = [];
+
+      if (posts) {
+        const byPath = new Map(manifest.posts.map((post) => [post.path, post]));
+        const wanted = new Set();
+        const addPost = (postPath) => {
+          const post = byPath.get(postPath);
+          if (!post || wanted.has(postPath)) return;
+          wanted.add(postPath);
+          post.attachments.forEach((attachment) => wanted.add(attachment));
+          post.replies.forEach(addPost);
+        };
+        posts.forEach(addPost);
+        files = files.filter((relativePath) => wanted.has(relativePath));
+      } else {
+        await this.backup(pilePath, backupDir, { reason: 'pre-restore' });
+        for (const relativePath of await listFiles(pilePath)) {
+          if (POST_PATH.test(relativePath) && !manifest.files[relativePath]) {
+            // Replies in the archive stay, the others are removed on their own
+            await pileTrash.trash(pilePath, relativePath, {
+              withReplies: false,
+              reason: 'restore',
+            });
+            removed.push(relativePath);
+          }
+        }
+      }
+
+      for (const relativePath of files) {
+        const target = path.join(pilePath, relativePath);
+        if (path.relative(pilePath, target).startsWith('..')) continue;
+        const data = await archive.read(relativePath);
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+        await fs.promises.writeFile(target, data);
+      }
+
+      return {
+        restored: files.filter((relativePath) => POST_PATH.test(relativePath)),
+        removed,
+      };
+    } finally {
+      await archive.close();
+    }
+  }
+
+  // Keeps the newest archive of each of the last `keepDaily` days,
+  // `keepWeekly` weeks and `keepMonthly` months, removes the others
+  async prune(pilePath, backupDir, retention = {}) {
+    const { keepDaily, keepWeekly, keepMonthly } = {
+      ...DEFAULT_RETENTION,
+      ...retention,
+    };
+    const folder = this.pileFolder(backupDir, pilePath);
+    const backups = await this.list(pilePath, backupDir);
+    const keep = new Set(backups.slice(0, 1).map((backup) => backup.file));
+
+    [
+      [dayKey, keepDaily],
+      [weekKey, keepWeekly],
+      [monthKey, keepMonthly],
+    ].forEach(([key, count]) => {
+      const seen = new Set();
+      for (const backup of backups) {
+        const bucket = key(new Date(backup.createdAt));
+        if (seen.has(bucket)) continue;
+        if (seen.size >= count) break;
+        seen.add(bucket);
+        keep.add(backup.file);
+      }
+    });
+
+    const removed = backups.filter((backup) => !keep.has(backup.file));
+    for (const backup of removed) {
+      await fs.promises.rm(path.join(folder, backup.file), { force: true });
+    }
+    await this.writeCatalog(
+      folder,
+      backups.filter((backup) => keep.has(backup.file)),
+    );
+    return removed.map((backup) => backup.file);
+  }
+}
+
+module.exports = new PileBackup();
@@ -0,0 +1,246 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const pileSiteExport = require('./pileSiteExport');
+
+// Bumped when a column is renamed or changes meaning, see
+// docs/data-export.md
+const SCHEMA_VERSION = 1;
+const MANIFEST = 'export.json';
+const JSONL = 'posts.jsonl';
+const CSV = 'posts.csv';
+
+// The columns of both files, in order. Lists are JSON arrays in the JSON
+// Lines file and joined with "; " in the CSV.
+const COLUMNS = [
+  'path',
+  'threadPath',
+  'isReply',
+  'isAI',
+  'title',
+  'createdAt',
+  'updatedAt',
+  'tags',
+  'highlight',
+  'highlightColor',
+  'replies',
+  'replyCount',
+  'attachments',
+  'summary',
+  'summaryTitle',
+  'summaryMood',
+  'summaryStale',
+  'text',
+  'wordCount',
+  'deleted',
+  'exportedAt',
+];
+
+// yyyy-mm-dd from a date input, as the start or end of that local day
+const parseDay = (day, endOfDay) => {
+  if (!day) return null;
+  const [year, month, date] = day.split('-').map(Number);
+  return endOfDay
+    ? new Date(year, month - 1, date, 23, 59, 59, 999)
+    : new Date(year, month - 1, date);
+};
+
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  '#39': "'",
+  nbsp: ' ',
+};
+
+// Paragraphs and list items on lines of their own, no markup
+const toPlainText = (html) =>
+  String(html ?? '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|li|h[1-6]|blockquote|pre|div)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (match, name) => ENTITIES[name])
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+const toIso = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+};
+
+// Spreadsheets run text starting with these as a formula, a leading
+// quote keeps it text
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  if (value == null) return '';
+  let text = Array.isArray(value) ? value.join('; ') : String(value);
+  if (typeof value !== 'number' && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Tells piles apart without writing their path into the export
+const pileId = (pilePath) =>
+  crypto
+    .createHash('sha256')
+    .update(path.resolve(pilePath))
+    .digest('hex')
+    .slice(0, 16);
+
+const csvLine = (values) => `${values.map(csvCell).join(',')}\r\n`;
+
+// Flat rows of every post for analysis, written as JSON Lines and CSV in a
+// folder of their own. Rerunning into the same folder can append only the
+// posts that changed since the last run, export.json remembers what was
+// written.
+class PileDataExport {
+  // One row per post, threads and replies alike, oldest first
+  async collect(pilePath, { from, to } = {}) {
+    const entries = await pileSiteExport.readEntries(pilePath);
+    const start = parseDay(from, false);
+    const end = parseDay(to, true);
+
+    const threadOf = new Map();
+    for (const entry of entries.values()) {
+      (entry.data.replies || []).forEach((replyPath) =>
+        threadOf.set(replyPath.replace(/\\/g, '/'), entry.path),
+      );
+    }
+
+    const rows = [];
+    for (const entry of entries.values()) {
+      const { data } = entry;
+      const createdAt = new Date(data.createdAt || 0);
+      if (start && createdAt < start) continue;
+      if (end && createdAt > end) continue;
+
+      const text = toPlainText(entry.content);
+      const summary = data.summary || null;
+      rows.push({
+        path: entry.path,
+        threadPath: threadOf.get(entry.path) || entry.path,
+        isReply: Boolean(data.isReply),
+        isAI: Boolean(data.isAI),
+        title: data.title || '',
+        createdAt: toIso(data.createdAt),
+        updatedAt: toIso(data.updatedAt),
+        tags: data.tags || [],
+        highlight: data.highlight || null,
+        highlightColor: data.highlightColor || null,
+        replies: data.replies || [],
+        replyCount: (data.replies || []).length,
+        attachments: data.attachments || [],
+        summary: summary?.summary || null,
+        summaryTitle: summary?.title || null,
+        summaryMood: summary?.mood || null,
+        summaryStale: summary ? Boolean(data.summaryStale) : null,
+        text,
+        wordCount: text ? text.split(/\s+/).length : 0,
+        deleted: false,
+      });
+    }
+    return rows.sort((a, b) =>
+      (a.createdAt || '').localeCompare(b.createdAt || ''),
+    );
+  }
+
+  async readManifest(outputDir) {
+    try {
+      return JSON.parse(
+        await fs.promises.readFile(path.join(outputDir, MANIFEST), 'utf8'),
+      );
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Writes the rows to outputDir. With `incremental` and an earlier export
+  // there, only new and changed posts are appended, and posts deleted from
+  // the pile since get a row with `deleted` set. An export with an older
+  // schema, or of another pile, is written again in full. Returns
+  // { written, deleted, total, incremental }.
+  async export(pilePath, outputDir, { from, to, incremental = false } = {}) {
+    const rows = await this.collect(pilePath, { from, to });
+    const previous = incremental ? await this.readManifest(outputDir) : null;
+    const appending =
+      previous?.schemaVersion === SCHEMA_VERSION &&
+      previous.pileId === pileId(pilePath);
+    const exportedAt = new Date().toISOString();
+
+    const hashes = {};
+    rows.forEach((row) => {
+      hashes[row.path] = crypto
+        .createHash('sha1')
+        .update(JSON.stringify(row))
+        .digest('hex');
+    });
+
+    const written = rows
+      .filter(
+        (row) => !appending || previous.posts[row.path] !== hashes[row.path],
+      )
+      .map((row) => ({ ...row, exportedAt }));
+    const deleted = appending
+      ? Object.keys(previous.posts)
+          .filter(
+            (postPath) =>
+              !hashes[postPath] &&
+              !fs.existsSync(path.join(pilePath, postPath)),
+          )
+          .map((postPath) => ({
+            ...Object.fromEntries(COLUMNS.map((column) => [column, null])),
+            path: postPath,
+            deleted: true,
+            exportedAt,
+          }))
+      : [];
+    const changed = [...written, ...deleted];
+
+    // Posts outside this run's dates are still remembered for the next one
+    const posts = { ...(appending ? previous.posts : {}), ...hashes };
+    deleted.forEach((row) => delete posts[row.path]);
+
+    await fs.promises.mkdir(outputDir, { recursive: true });
+    const jsonl = changed.map((row) => `${JSON.stringify(row)}\n`).join('');
+    const csv = changed
+      .map((row) => csvLine(COLUMNS.map((column) => row[column])))
+      .join('');
+    if (appending) {
+      await fs.promises.appendFile(path.join(outputDir, JSONL), jsonl);
+      await fs.promises.appendFile(path.join(outputDir, CSV), csv);
+    } else {
+      await fs.promises.writeFile(path.join(outputDir, JSONL), jsonl);
+      await fs.promises.writeFile(
+        path.join(outputDir, CSV),
+        csvLine(COLUMNS) + csv,
+      );
+    }
+
+    await fs.promises.writeFile(
+      path.join(outputDir, MANIFEST),
+      JSON.stringify(
+        {
+          schemaVersion: SCHEMA_VERSION,
+          pile: path.basename(pilePath),
+          pileId: pileId(pilePath),
+          exportedAt,
+          from: from || null,
+          to: to || null,
+          posts,
+        },
+        null,
+        2,
+      ),
+    );
+
+    return {
+      written: written.length,
+      deleted: deleted.length,
+      total: rows.length,
+      incremental: appending,
+    };
+  }
+}
+
+module.exports = new PileDataExport();
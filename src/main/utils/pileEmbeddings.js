@@ -1,49 +1,39 @@
-const fs = require('fs');
-const axios = require('axios');
-const path = require('path');
-const matter = require('gray-matter');
 const settings = require('electron-settings');
-const { walk } = require('../util');
+const { TaskType } = require('@google/generative-ai');
 const { getKey } = require('./store');
+const pileVectorStore = require('./pileVectorStore');
+const pileJobs = require('./pileJobs');
+const { embedDocuments } = require('./embeddingClient');
+const {
+  readEntry,
+  getThreadChunks,
+  embedChunks,
+} = require('./embeddingPipeline');
+const { DEFAULT_EMBEDDING_MODEL } = require('../ai/gemini');
 
-// Todo: Cache the norms alongside embeddings at some point
-// to avoid recomputing them for every query
-function cosineSimilarity(embedding, queryEmbedding) {
-  if (embedding?.length !== queryEmbedding?.length) {
-    return 0;
-  }
-
-  let dotProduct = 0;
-  let normA = 0;
-  let normB = 0;
-
-  for (let i = 0; i < embedding.length; i++) {
-    dotProduct += embedding[i] * queryEmbedding[i];
-    normA += embedding[i] ** 2;
-    normB += queryEmbedding[i] ** 2;
-  }
-
-  normA = Math.sqrt(normA);
-  normB = Math.sqrt(normB);
-
-  if (normA === 0 || normB === 0) {
-    throw new Error('One of the vectors is zero, cannot compute similarity');
-  }
-
-  return dotProduct / (normA * normB);
-}
+const DEFAULT_OLLAMA_EMBEDDING_MODEL = 'mxbai-embed-large';
+// Each provider has models of its own
+const MODEL_SETTINGS = {
+  gemini: 'geminiEmbeddingModel',
+  ollama: 'ollamaEmbeddingModel',
+};
+// passages fetched per thread wanted, threads usually match on several
+const PASSAGES_PER_THREAD = 4;
 
 class PileEmbeddings {
   constructor() {
     this.pilePath = null;
-    this.fileName = `embeddings.json`;
     this.apiKey = null;
-    this.embeddings = new Map();
+    // entries changed while the worker embeds the pile, keyed by path
+    this.pending = new Map();
+    this.runningJobs = 0;
   }
 
   async initialize(pilePath, index) {
     try {
       this.pilePath = pilePath;
+      this.pending = new Map();
+      this.runningJobs = 0;
       await this.initializeAPIKey();
 
       if (!this.apiKey) {
@@ -52,14 +42,24 @@ class PileEmbeddings {
         );
         return;
       }
-      const embeddingsFilePath = path.join(pilePath, this.fileName);
-      if (fs.existsSync(embeddingsFilePath)) {
-        const data = fs.readFileSync(embeddingsFilePath, 'utf8');
-        this.embeddings = new Map(JSON.parse(data));
-      } else {
+
+      const { model } = await this.getEmbeddingSettings();
+      const loaded = pileVectorStore.load(pilePath);
+
+      if (pileJobs.unfinished('embeddings')) {
+        console.log('🧮 Resuming embeddings for index:', index.size);
+        this.runEmbeddingsJob();
+      } else if (!loaded || !pileVectorStore.matchesModel(model)) {
         // Embeddings need to be generated based on the index
-        await this.walkAndGenerateEmbeddings(pilePath, index);
-        this.saveEmbeddings();
+        if (loaded) {
+          console.log(
+            `🧮 Embedding model changed from ${pileVectorStore.model} to ${model}, regenerating`,
+          );
+        }
+        console.log('🧮 Generating embeddings for index:', index.size);
+        this.runEmbeddingsJob();
+      } else {
+        this.trainANNIndex();
       }
     } catch (error) {
       console.error('Failed to load embeddings:', error);
@@ -75,55 +75,134 @@ class PileEmbeddings {
     this.apiKey = apiKey;
   }
 
-  async walkAndGenerateEmbeddings(pilePath, index) {
-    console.log('🧮 Generating embeddings for index:', index.size);
-    this.embeddings = new Map();
-    for (const [entryPath, metadata] of index) {
-      this.addDocument(entryPath, metadata);
-    }
+  // Embeds the whole pile in the indexing worker without blocking the
+  // main process
+  async runEmbeddingsJob(options = {}) {
+    await this.runWorkerJob(async () => {
+      const embeddingSettings = await this.getEmbeddingSettings();
+      const result = await pileJobs.run('embeddings', options, {
+        settings: embeddingSettings,
+      });
+      if (result) {
+        console.log(
+          `✅ Embedded ${result.embedded} passages in the background`,
+        );
+      }
+    });
   }
 
-  saveEmbeddings() {
+  // Large stores are searched through an ANN index that takes too long
+  // to train here, until the worker has trained it every vector is
+  // scanned
+  trainANNIndex() {
+    if (this.runningJobs > 0 || !pileVectorStore.needsIVF()) return;
+    this.runWorkerJob(() => pileJobs.run('ann'));
+  }
+
+  // The worker owns the store on disk until its job finishes, so changes
+  // made meanwhile are held back and replayed afterwards
+  async runWorkerJob(run) {
+    const { pilePath } = this;
+    this.runningJobs += 1;
     try {
-      const embeddingsFilePath = path.join(this.pilePath, this.fileName);
-      const entries = this.embeddings.entries();
-      if (!entries) return;
-      const strMap = JSON.stringify(Array.from(entries));
-      fs.writeFileSync(embeddingsFilePath, strMap, 'utf8');
+      await run();
     } catch (error) {
-      console.error('Failed to save embeddings:', error);
+      console.error('Failed to update embeddings:', error);
+    } finally {
+      if (pilePath === this.pilePath) {
+        this.runningJobs -= 1;
+        if (this.runningJobs === 0) {
+          pileVectorStore.load(pilePath);
+          await this.replayPending();
+        }
+      }
+    }
+  }
+
+  async replayPending() {
+    const changes = Array.from(this.pending.values());
+    this.pending.clear();
+    for (const change of changes) {
+      if (change.removed) {
+        this.removeDocument(change.entryPath);
+      } else {
+        await this.addDocument(
+          change.entryPath,
+          change.metadata,
+          change.threadPath,
+        );
+      }
+    }
+  }
+
+  saveEmbeddings() {
+    pileVectorStore.save();
+    this.trainANNIndex();
+  }
+
+  // Vectors from a previous model can't be compared with new ones
+  ensureModel(model) {
+    if (pileVectorStore.matchesModel(model)) return;
+    console.warn(
+      `🧮 Embedding model changed to ${model}, regenerate embeddings to search older entries`,
+    );
+    pileVectorStore.reset(model);
+  }
+
+  removeDocument(entryPath) {
+    if (this.runningJobs > 0) {
+      this.pending.set(entryPath, { entryPath, removed: true });
+      return;
     }
+
+    const ids = pileVectorStore.findIds(
+      (info) => info.entry === entryPath || info.thread === entryPath,
+    );
+    if (ids.length === 0) return;
+    ids.forEach((id) => pileVectorStore.remove(id));
+    this.saveEmbeddings();
   }
 
-  async addDocument(entryPath, metadata) {
+  // Re-embeds the passages of a changed entry. Replies are stored with
+  // the thread they belong to, and a reply saved before its parent
+  // listed it is picked up when the parent is saved.
+  async addDocument(entryPath, metadata, threadPath = null) {
+    if (this.runningJobs > 0) {
+      this.pending.set(entryPath, { entryPath, metadata, threadPath });
+      return;
+    }
+
     try {
-      // we only index parent documents
-      // the replies are concatenated to the contents
-      if (metadata.isReply) return;
-
-      const fullPath = path.join(this.pilePath, entryPath);
-      const fileContent = fs.readFileSync(fullPath, 'utf8');
-      let { content } = matter(fileContent);
-      content = `Entry on ${metadata.createdAt}\n\n${content}\n\nReplies:\n`;
-
-      // concat the contents of replies
-      for (const replyPath of metadata.replies) {
-        const replyFullPath = path.join(this.pilePath, replyPath);
-        const replyFileContent = fs.readFileSync(replyFullPath, 'utf8');
-        const { content: replyContent } = matter(replyFileContent);
-        content += `\n${replyContent}`;
+      const thread = metadata.isReply ? threadPath : entryPath;
+      if (!thread) return;
+
+      const entryPaths = [entryPath];
+      if (!metadata.isReply) {
+        for (const replyPath of metadata.replies || []) {
+          if (!pileVectorStore.has(`${replyPath}#0`)) {
+            entryPaths.push(replyPath);
+          }
+        }
       }
 
       try {
-        const embedding = await this.generateEmbedding(content);
-        this.embeddings.set(entryPath, embedding);
-        console.log('🧮 Embeddings created for thread: ', entryPath);
+        const { model } = await this.getEmbeddingSettings();
+        this.ensureModel(model);
+        const chunks = getThreadChunks(this.pilePath, thread, entryPaths);
+        const embedded = await embedChunks(
+          pileVectorStore,
+          chunks,
+          entryPaths,
+          (texts) => this.generateEmbeddings(texts),
+        );
+        if (embedded > 0) {
+          console.log(`🧮 Embedded ${embedded} passages for thread: `, thread);
+        }
       } catch (embeddingError) {
         console.warn(
-          `Failed to generate embedding for thread: ${entryPath}`,
+          `Failed to generate embedding for thread: ${thread}`,
           embeddingError,
         );
-        // Skip this document and continue with the next one
         return;
       }
 
@@ -133,62 +212,133 @@ class PileEmbeddings {
     }
   }
 
-  // todo: based on which ai is configured this should use ollama or Gemini
-  async generateEmbedding(document) {
-    const pileAIProvider = await settings.get('pileAIProvider');
-    const embeddingModel = await settings.get('embeddingModel');
+  // The embeddingModel setting used to serve both providers, it moves to
+  // the provider its model belongs to
+  async migrateModelSetting() {
+    try {
+      if (!(await settings.has('embeddingModel'))) return;
+      const model = await settings.get('embeddingModel');
+      const setting = /^(text-embedding|gemini-embedding|embedding-)/.test(
+        model,
+      )
+        ? MODEL_SETTINGS.gemini
+        : MODEL_SETTINGS.ollama;
+      if (model && !(await settings.has(setting))) {
+        await settings.set(setting, model);
+      }
+      await settings.unset('embeddingModel');
+    } catch (error) {
+      console.warn('Failed to migrate the embedding model setting', error);
+    }
+  }
+
+  async getEmbeddingSettings() {
+    const pileAIProvider = (await settings.get('pileAIProvider')) || 'gemini';
     const isOllama = pileAIProvider === 'ollama';
+    const embeddingModel = await settings.get(
+      isOllama ? MODEL_SETTINGS.ollama : MODEL_SETTINGS.gemini,
+    );
+    const defaultModel = isOllama
+      ? DEFAULT_OLLAMA_EMBEDDING_MODEL
+      : DEFAULT_EMBEDDING_MODEL;
 
-    if (isOllama) {
-      const url = 'http://127.0.0.1:11434/api/embed';
-      const data = {
-        model: 'mxbai-embed-large',
-        input: document,
-      };
-      try {
-        const response = await axios.post(url, data);
-        const { embeddings } = response.data;
-        return response.data.embeddings[0];
-      } catch (error) {
-        console.error('Error generating embedding with Ollama:', error);
-        return null;
-      }
-    } else {
-      // Gemini embeddings not yet implemented here; fallback disabled for OpenAI
-      console.warn(
-        'Gemini embeddings not implemented in PileEmbeddings; returning null',
-      );
+    // the indexing worker can't read the key store, so it is passed along
+    const apiKey = isOllama
+      ? null
+      : (await getKey()) || process.env.GEMINI_API_KEY;
+
+    return { isOllama, model: embeddingModel || defaultModel, apiKey };
+  }
+
+  async generateEmbedding(document, taskType = TaskType.RETRIEVAL_DOCUMENT) {
+    try {
+      const [embedding] = await this.generateEmbeddings([document], taskType);
+      return embedding ?? null;
+    } catch (error) {
+      console.error('Error generating embedding:', error);
       return null;
     }
   }
 
-  async regenerateEmbeddings(index) {
-    console.log('🧮 Regenerating embeddings for index:', index.size);
-    this.embeddings.clear();
-    for (const [entryPath, metadata] of index) {
-      await this.addDocument(entryPath, metadata);
-    }
-    this.saveEmbeddings();
-    console.log('✅ Embeddings regeneration complete');
+  // Embeds a batch of documents with whichever provider is configured.
+  // Rate limited requests are retried with exponential backoff.
+  async generateEmbeddings(documents, taskType = TaskType.RETRIEVAL_DOCUMENT) {
+    const embeddingSettings = await this.getEmbeddingSettings();
+    return embedDocuments(documents, embeddingSettings, taskType);
   }
 
-  async search(query, topN = 50) {
-    const queryEmbedding = await this.generateEmbedding(query);
+  regenerateEmbeddings() {
+    console.log('🧮 Regenerating embeddings');
+    return this.runEmbeddingsJob({ fresh: true });
+  }
+
+  // Nearest passages to the query, with their stored offsets
+  async searchChunks(query, count) {
+    // nothing to compare against, skip the embedding request
+    if (pileVectorStore.size === 0) return [];
+
+    const queryEmbedding = await this.generateEmbedding(
+      query,
+      TaskType.RETRIEVAL_QUERY,
+    );
 
     if (!queryEmbedding) {
       console.error('Failed to generate query embedding.');
       return [];
     }
 
-    const scores = [];
-    this.embeddings.forEach((embedding, entryPath) => {
-      const score = cosineSimilarity(embedding, queryEmbedding);
-      scores.push({ entryPath, score });
-    });
+    const { model } = await this.getEmbeddingSettings();
+    if (!pileVectorStore.matchesModel(model)) {
+      console.warn('Stored embeddings were made with a different model.');
+      return [];
+    }
+
+    return pileVectorStore
+      .search(queryEmbedding, count)
+      .map(({ id, score }) => ({ id, score, ...pileVectorStore.getInfo(id) }))
+      .filter((passage) => passage.thread);
+  }
+
+  // Threads ranked by their best matching passage
+  async search(query, topN = 50) {
+    const passages = await this.searchChunks(query, topN * PASSAGES_PER_THREAD);
+
+    const threads = [];
+    for (const passage of passages) {
+      if (!threads.includes(passage.thread)) threads.push(passage.thread);
+      if (threads.length >= topN) break;
+    }
+    return threads;
+  }
+
+  // The best matching passages along with their text, used to ground
+  // chat answers in specific entries
+  async searchPassages(query, topN = 10) {
+    const passages = await this.searchChunks(query, topN);
+    const entries = new Map();
 
-    scores.sort((a, b) => b.score - a.score);
-    const topNEntries = scores.slice(0, topN).map((s) => s.entryPath);
-    return topNEntries;
+    return passages
+      .map((passage) => {
+        try {
+          if (!entries.has(passage.entry)) {
+            entries.set(passage.entry, readEntry(this.pilePath, passage.entry));
+          }
+          const { text, data } = entries.get(passage.entry);
+          return {
+            id: passage.id,
+            thread: passage.thread,
+            entry: passage.entry,
+            start: passage.start,
+            end: passage.end,
+            score: passage.score,
+            createdAt: data.createdAt,
+            text: text.slice(passage.start, passage.end),
+          };
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean);
   }
 }
 
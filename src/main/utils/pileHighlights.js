@@ -2,6 +2,7 @@ const fs = require('fs');
 const path = require('path');
 const glob = require('glob');
 const matter = require('gray-matter');
+const pileIndex = require('./pileIndex');
 
 const defaultHighlights = new Map([
   ['Highlight', { color: '#FF703A', posts: [] }],
@@ -16,14 +17,6 @@ class PileHighlights {
     this.highlights = new Map();
   }
 
-  sortMap(map) {
-    const sortedMap = new Map(
-      [...map.entries()].sort((a, b) => a[1].posts.length - b[1].posts.length),
-    );
-
-    return sortedMap;
-  }
-
   load(pilePath) {
     if (!pilePath) return;
     this.pilePath = pilePath;
@@ -31,15 +24,18 @@ class PileHighlights {
 
     if (fs.existsSync(highlightsFilePath)) {
       const data = fs.readFileSync(highlightsFilePath);
-      const loadedHighlights = new Map(JSON.parse(data));
-      const sortedHighlights = this.sortMap(loadedHighlights);
-
-      this.highlights = sortedHighlights;
+      // the order is the one the user picked, see `reorder`
+      this.highlights = new Map(JSON.parse(data));
 
       return this.highlights;
     }
     // save to initialize an empty index
-    this.highlights = defaultHighlights;
+    this.highlights = new Map(
+      Array.from(defaultHighlights, ([name, highlight]) => [
+        name,
+        { ...highlight, posts: [] },
+      ]),
+    );
     this.save();
     return this.highlights;
   }
@@ -60,32 +56,100 @@ class PileHighlights {
     });
   }
 
-  create(highlight, filePath) {
-    if (this.highlights.has(highlight)) {
-      return;
+  create(highlight, { color = null } = {}) {
+    const name = `${highlight ?? ''}`.trim();
+    if (!name || this.highlights.has(name)) {
+      return this.highlights;
     }
 
     // create a new highlight
-    const newHighlight = { color: null, icon: null, posts: [] };
-    this.highlights.set(tag, newHighlight);
+    const newHighlight = { color, icon: null, posts: [] };
+    this.highlights.set(name, newHighlight);
 
     this.save();
 
     return this.highlights;
   }
 
-  delete(highlight) {
-    if (this.highlights.has(highlight)) {
-      const updatedHighlight = this.highlights.get(highlight);
-      this.highlights.set(highlight, updatedHighlight);
+  // Points every entry using `highlight` at `replacement`, or clears it
+  // when `replacement` is null. Returns the relative paths of the
+  // rewritten entries.
+  rewriteHighlight(highlight, replacement) {
+    const changed = [];
+    for (const [filePath, metadata] of pileIndex.get()) {
+      if (metadata.highlight !== highlight) continue;
+      try {
+        pileIndex.updateFrontmatter(filePath, { highlight: replacement });
+        changed.push(filePath);
+      } catch (error) {
+        console.warn('Failed to update the highlight of post:', filePath);
+      }
+    }
+    return changed;
+  }
+
+  // Renames a highlight in place, keeping its position and color
+  rename(highlight, newName) {
+    const name = `${newName ?? ''}`.trim();
+    if (!this.highlights.has(highlight) || !name || name === highlight) {
+      return [];
+    }
+    if (this.highlights.has(name)) {
+      throw new Error(`A highlight named "${name}" already exists`);
+    }
+
+    const changed = this.rewriteHighlight(highlight, name);
+    this.highlights = new Map(
+      Array.from(this.highlights, ([key, value]) =>
+        key === highlight ? [name, value] : [key, value],
+      ),
+    );
+    this.save();
 
-      // Todo: delete this tag from all the posts before
-      // deleting it
+    return changed;
+  }
 
-      this.save();
+  recolor(highlight, color) {
+    if (!this.highlights.has(highlight)) return this.highlights;
+    this.highlights.set(highlight, {
+      ...this.highlights.get(highlight),
+      color,
+    });
+    this.save();
+    return this.highlights;
+  }
+
+  // Puts the highlights in the given order, any left out keep their
+  // relative order at the end
+  reorder(names) {
+    const ordered = names.filter((name) => this.highlights.has(name));
+    const rest = Array.from(this.highlights.keys()).filter(
+      (name) => !ordered.includes(name),
+    );
+    this.highlights = new Map(
+      [...ordered, ...rest].map((name) => [name, this.highlights.get(name)]),
+    );
+    this.save();
+    return this.highlights;
+  }
+
+  // Deletes a highlight, moving the entries using it over to
+  // `reassignTo` or clearing their highlight. Returns the relative paths
+  // of the rewritten entries.
+  delete(highlight, reassignTo = null) {
+    if (!this.highlights.has(highlight)) return [];
+    if (reassignTo && !this.highlights.has(reassignTo)) {
+      throw new Error(`There is no highlight named "${reassignTo}"`);
     }
 
-    return this.index;
+    const changed = this.rewriteHighlight(
+      highlight,
+      reassignTo === highlight ? null : reassignTo,
+    );
+    this.highlights.delete(highlight);
+    this.save();
+
+    return changed;
   }
 
   save() {
@@ -95,9 +159,6 @@ class PileHighlights {
     }
 
     const highlightsFilePath = path.join(this.pilePath, this.fileName);
-    const sortedHighlights = this.sortMap(this.highlights);
-
-    this.highlights = sortedHighlights;
     const entries = this.highlights.entries();
 
     if (!entries) return;
@@ -0,0 +1,325 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const matter = require('gray-matter');
+
+const DEFAULT_RETENTION = { maxVersions: 50, maxAgeDays: 90 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Pruned contents are removed this long after, once for every post pruned
+// in between
+const COLLECT_DELAY_MS = 60 * 1000;
+
+const hashContent = (content) =>
+  crypto.createHash('sha256').update(content).digest('hex');
+
+const toRelative = (pilePath, filePath) =>
+  path.relative(pilePath, path.resolve(pilePath, filePath)).replace(/\\/g, '/');
+
+const readId = (content) => {
+  if (content == null) return null;
+  try {
+    const { id } = matter(content).data;
+    return typeof id === 'string' && id ? id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Earlier versions of every post, kept in .pile/history. Each post has a
+// list of versions in posts/<hash of its id>.json, or of its path for posts
+// without an id, so the history follows a post that is moved or renamed.
+// Their contents live once per distinct content in objects/<content hash>.
+// Snapshots are taken when the app saves a post and whenever sync writes
+// one, a snapshot equal to the latest version is skipped.
+class PileHistory {
+  constructor() {
+    // The last snapshot of each manifest, the next one waits for it
+    this.locks = new Map();
+    // Content hashes of the snapshots being taken, per pile, and of those
+    // taken while objects are collected
+    this.inFlight = new Map();
+    this.guards = new Map();
+    this.collectTimers = new Map();
+  }
+
+  historyDir(pilePath) {
+    return path.join(pilePath, '.pile', 'history');
+  }
+
+  manifestPath(pilePath, key) {
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(this.historyDir(pilePath), 'posts', `${hash}.json`);
+  }
+
+  // The manifest of a post with the given content, by its id when it has
+  // one and one was written, by its path otherwise
+  findManifest(pilePath, postPath, content) {
+    const byPath = this.manifestPath(pilePath, postPath);
+    const id = readId(content);
+    if (!id) return byPath;
+    const byId = this.manifestPath(pilePath, `id:${id}`);
+    return fs.existsSync(byId) || !fs.existsSync(byPath) ? byId : byPath;
+  }
+
+  async withLock(key, task) {
+    const previous = this.locks.get(key) || Promise.resolve();
+    const current = previous.then(task);
+    const settled = current.catch(() => {});
+    this.locks.set(key, settled);
+    try {
+      return await current;
+    } finally {
+      if (this.locks.get(key) === settled) this.locks.delete(key);
+    }
+  }
+
+  // Keeps collectObjects from removing the content of a snapshot before
+  // its manifest refers to it, returns the release
+  protect(pilePath, hash) {
+    const hashes = this.inFlight.get(pilePath) || [];
+    this.inFlight.set(pilePath, hashes);
+    hashes.push(hash);
+    this.guards.get(pilePath)?.forEach((guard) => guard.add(hash));
+    return () => hashes.splice(hashes.indexOf(hash), 1);
+  }
+
+  objectPath(pilePath, hash) {
+    return path.join(this.historyDir(pilePath), 'objects', hash);
+  }
+
+  async readJson(filePath, fallback) {
+    try {
+      return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+      return fallback;
+    }
+  }
+
+  async writeJson(filePath, value) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(value, null, 2));
+    await fs.promises.rename(tmpPath, filePath);
+  }
+
+  async getRetention(pilePath) {
+    const config = await this.readJson(
+      path.join(this.historyDir(pilePath), 'config.json'),
+      {},
+    );
+    return { ...DEFAULT_RETENTION, ...config };
+  }
+
+  // maxVersions and maxAgeDays per post, 0 keeps versions forever
+  async setRetention(pilePath, retention = {}) {
+    const current = await this.getRetention(pilePath);
+    const next = {
+      maxVersions: Math.max(
+        0,
+        Number(retention.maxVersions ?? current.maxVersions) || 0,
+      ),
+      maxAgeDays: Math.max(
+        0,
+        Number(retention.maxAgeDays ?? current.maxAgeDays) || 0,
+      ),
+    };
+    await this.writeJson(
+      path.join(this.historyDir(pilePath), 'config.json'),
+      next,
+    );
+    await this.pruneAll(pilePath);
+    return next;
+  }
+
+  // Record the content of a post, read from disk unless given. `reason`
+  // tells where it came from: save, sync, conflict or restore.
+  async snapshot(pilePath, filePath, content, reason = 'save') {
+    if (!pilePath || !filePath) return null;
+    const postPath = toRelative(pilePath, filePath);
+    if (postPath.startsWith('..') || postPath.startsWith('.pile/')) return null;
+
+    if (content == null) {
+      try {
+        content = await fs.promises.readFile(
+          path.join(pilePath, postPath),
+          'utf8',
+        );
+      } catch (error) {
+        return null; // Nothing to keep yet
+      }
+    }
+
+    const id = readId(content);
+    const byPath = this.manifestPath(pilePath, postPath);
+    const manifestPath = id ? this.manifestPath(pilePath, `id:${id}`) : byPath;
+    const hash = hashContent(content);
+    const release = this.protect(pilePath, hash);
+
+    try {
+      return await this.withLock(manifestPath, async () => {
+        // History from before posts were kept by their id moves over
+        const manifest = (await this.readJson(manifestPath, null)) ||
+          (id && (await this.readJson(byPath, null))) || { versions: [] };
+        manifest.path = postPath;
+        const latest = manifest.versions[manifest.versions.length - 1];
+        if (latest && latest.hash === hash) return null;
+
+        const objectPath = this.objectPath(pilePath, hash);
+        if (!fs.existsSync(objectPath)) {
+          await fs.promises.mkdir(path.dirname(objectPath), {
+            recursive: true,
+          });
+          await fs.promises.writeFile(objectPath, content);
+        }
+
+        const createdAt = new Date().toISOString();
+        const version = {
+          id: `${Date.now()}-${hash.slice(0, 8)}`,
+          hash,
+          createdAt,
+          reason,
+          size: Buffer.byteLength(content),
+        };
+        manifest.versions.push(version);
+        const pruned = this.applyRetention(
+          manifest,
+          await this.getRetention(pilePath),
+        );
+        await this.writeJson(manifestPath, manifest);
+        if (manifestPath !== byPath) {
+          await fs.promises.rm(byPath, { force: true });
+        }
+        if (pruned) this.scheduleCollect(pilePath);
+
+        return version;
+      });
+    } finally {
+      release();
+    }
+  }
+
+  // Versions of a post, newest first
+  async list(pilePath, filePath) {
+    const postPath = toRelative(pilePath, filePath);
+    const content = await fs.promises
+      .readFile(path.join(pilePath, postPath), 'utf8')
+      .catch(() => null);
+    const manifestPath = this.findManifest(pilePath, postPath, content);
+    const manifest = await this.readJson(manifestPath, { versions: [] });
+    return [...manifest.versions].reverse();
+  }
+
+  async read(pilePath, filePath, versionId) {
+    const versions = await this.list(pilePath, filePath);
+    const version = versions.find((v) => v.id === versionId);
+    if (!version) return null;
+    try {
+      return await fs.promises.readFile(
+        this.objectPath(pilePath, version.hash),
+        'utf8',
+      );
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Write a version back to the post, the content it replaces stays in
+  // the history
+  async restore(pilePath, filePath, versionId) {
+    const content = await this.read(pilePath, filePath, versionId);
+    if (content === null) throw new Error('Version not found');
+
+    const postPath = toRelative(pilePath, filePath);
+    const fullPath = path.join(pilePath, postPath);
+    await this.snapshot(pilePath, postPath, null, 'save');
+    await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+    await fs.promises.writeFile(fullPath, content);
+    await this.snapshot(pilePath, postPath, content, 'restore');
+
+    return content;
+  }
+
+  // Drop versions past the retention, the latest one always stays.
+  // Returns whether anything was dropped.
+  applyRetention(manifest, { maxVersions, maxAgeDays }) {
+    const before = manifest.versions.length;
+    const latest = manifest.versions[before - 1];
+    let versions = manifest.versions;
+
+    if (maxAgeDays > 0) {
+      const cutoff = Date.now() - maxAgeDays * DAY_MS;
+      versions = versions.filter(
+        (v) => v === latest || new Date(v.createdAt).getTime() >= cutoff,
+      );
+    }
+    if (maxVersions > 0 && versions.length > maxVersions) {
+      versions = versions.slice(versions.length - maxVersions);
+    }
+
+    manifest.versions = versions;
+    return versions.length !== before;
+  }
+
+  async pruneAll(pilePath) {
+    const retention = await this.getRetention(pilePath);
+    const postsDir = path.join(this.historyDir(pilePath), 'posts');
+    let pruned = false;
+
+    for (const name of await fs.promises.readdir(postsDir).catch(() => [])) {
+      if (!name.endsWith('.json')) continue;
+      const manifestPath = path.join(postsDir, name);
+      const manifest = await this.readJson(manifestPath, null);
+      if (!manifest || !this.applyRetention(manifest, retention)) continue;
+      await this.writeJson(manifestPath, manifest);
+      pruned = true;
+    }
+
+    if (pruned) await this.collectObjects(pilePath);
+  }
+
+  // Collecting reads every manifest of the pile, so snapshots that prune
+  // leave it to a timer instead of doing it on every save
+  scheduleCollect(pilePath) {
+    if (this.collectTimers.has(pilePath)) return;
+    const timer = setTimeout(() => {
+      this.collectTimers.delete(pilePath);
+      this.collectObjects(pilePath).catch((error) =>
+        console.error('Failed to collect history objects', error),
+      );
+    }, COLLECT_DELAY_MS);
+    timer.unref?.();
+    this.collectTimers.set(pilePath, timer);
+  }
+
+  // Remove contents no version of any post refers to anymore
+  async collectObjects(pilePath) {
+    const historyDir = this.historyDir(pilePath);
+    const referenced = new Set();
+    const postsDir = path.join(historyDir, 'posts');
+    const guard = new Set(this.inFlight.get(pilePath));
+    const guards = this.guards.get(pilePath) || new Set();
+    this.guards.set(pilePath, guards);
+    guards.add(guard);
+
+    try {
+      for (const name of await fs.promises.readdir(postsDir).catch(() => [])) {
+        if (!name.endsWith('.json')) continue;
+        const manifest = await this.readJson(path.join(postsDir, name), null);
+        manifest?.versions?.forEach((v) => referenced.add(v.hash));
+      }
+
+      const objectsDir = path.join(historyDir, 'objects');
+      for (const hash of await fs.promises
+        .readdir(objectsDir)
+        .catch(() => [])) {
+        if (!referenced.has(hash) && !guard.has(hash)) {
+          await fs.promises.unlink(path.join(objectsDir, hash)).catch(() => {});
+        }
+      }
+    } finally {
+      guards.delete(guard);
+    }
+  }
+}
+
+module.exports = new PileHistory();
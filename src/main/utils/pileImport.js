@@ -0,0 +1,479 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const matter = require('gray-matter');
+
+// Month folders have to be the English names walk() looks for
+const MONTHS = [
+  'Jan',
+  'Feb',
+  'Mar',
+  'Apr',
+  'May',
+  'Jun',
+  'Jul',
+  'Aug',
+  'Sep',
+  'Oct',
+  'Nov',
+  'Dec',
+];
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown'];
+const IGNORED_FOLDERS = [
+  '.obsidian',
+  '.trash',
+  '.git',
+  '.pile',
+  'node_modules',
+];
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+const exists = (filePath) =>
+  fs.promises
+    .access(filePath)
+    .then(() => true)
+    .catch(() => false);
+
+const escapeHtml = (text) =>
+  text.replace(
+    /[&<>"]/g,
+    (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c],
+  );
+
+const inlineMarkdown = (text) =>
+  escapeHtml(text)
+    .replace(/`([^`]+)`/g, '<code>$1</code>')
+    .replace(/\*\*([^*]+)\*\*|__([^_]+)__/g, '<strong>$1$2</strong>')
+    .replace(/(^|[^*])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>')
+    .replace(/(^|[^\w])_([^_\s][^_]*)_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/~~([^~]+)~~/g, '<s>$1</s>')
+    .replace(
+      /\[([^\]]+)\]\(([^)\s]+)(?:\s+&quot;[^)]*&quot;)?\)/g,
+      '<a href="$2">$1</a>',
+    );
+
+// Posts are stored as the editor's HTML. This covers the markdown journals
+// are written in: headings, lists, quotes, code, rules and inline marks.
+function markdownToHtml(markdown) {
+  const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let paragraph = [];
+  let list = null;
+
+  const closeParagraph = () => {
+    if (paragraph.length) {
+      blocks.push(`<p>${paragraph.map(inlineMarkdown).join('<br>')}</p>`);
+    }
+    paragraph = [];
+  };
+  const closeList = () => {
+    if (list) {
+      blocks.push(
+        `<${list.tag}>${list.items.map((item) => `<li><p>${inlineMarkdown(item)}</p></li>`).join('')}</${list.tag}>`,
+      );
+    }
+    list = null;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const fence = line.match(/^\s*```/);
+    if (fence) {
+      closeParagraph();
+      closeList();
+      const code = [];
+      for (i++; i < lines.length && !/^\s*```/.test(lines[i]); i++) {
+        code.push(lines[i]);
+      }
+      blocks.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    const item = line.match(/^\s*([-*+]|\d+[.)])\s+(.*)$/);
+    if (!line.trim()) {
+      closeParagraph();
+      closeList();
+    } else if (heading) {
+      closeParagraph();
+      closeList();
+      const level = heading[1].length;
+      blocks.push(`<h${level}>${inlineMarkdown(heading[2])}</h${level}>`);
+    } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      closeParagraph();
+      closeList();
+      blocks.push('<hr>');
+    } else if (/^\s*>/.test(line)) {
+      closeParagraph();
+      closeList();
+      blocks.push(
+        `<blockquote><p>${inlineMarkdown(line.replace(/^\s*>\s?/, ''))}</p></blockquote>`,
+      );
+    } else if (item) {
+      closeParagraph();
+      const tag = /\d/.test(item[1]) ? 'ol' : 'ul';
+      if (list && list.tag !== tag) closeList();
+      if (!list) list = { tag, items: [] };
+      list.items.push(item[2]);
+    } else {
+      closeList();
+      paragraph.push(line.trim());
+    }
+  }
+  closeParagraph();
+  closeList();
+
+  // Quotes split over several lines become one
+  return blocks.join('').replace(/<\/blockquote><blockquote>/g, '');
+}
+
+const toDate = (value) => {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const toTags = (value) => {
+  const tags = Array.isArray(value) ? value : `${value ?? ''}`.split(/[,\s]+/);
+  return tags.map((tag) => `${tag}`.trim().replace(/^#/, '')).filter(Boolean);
+};
+
+// A leading H1 becomes the post title
+const splitHeading = (markdown) => {
+  const heading = markdown.match(/^\s*#\s+(.+)(\n|$)/);
+  if (!heading) return { title: '', markdown };
+  return {
+    title: heading[1].trim(),
+    markdown: markdown.slice(heading[0].length),
+  };
+};
+
+async function listFiles(dir, files = []) {
+  for (const dirent of await fs.promises.readdir(dir, {
+    withFileTypes: true,
+  })) {
+    if (IGNORED_FOLDERS.includes(dirent.name)) continue;
+    const filePath = path.join(dir, dirent.name);
+    if (dirent.isDirectory()) await listFiles(filePath, files);
+    else if (dirent.isFile()) files.push(filePath);
+  }
+  return files;
+}
+
+// Brings entries written elsewhere into a pile as posts in its YEAR/Mon
+// folders. Every imported entry is remembered in .pile/imports.json by its
+// source id, so importing the same export again only brings in what is new
+// or changed.
+class PileImport {
+  ledgerPath(pilePath) {
+    return path.join(pilePath, '.pile', 'imports.json');
+  }
+
+  async readLedger(pilePath) {
+    try {
+      return JSON.parse(
+        await fs.promises.readFile(this.ledgerPath(pilePath), 'utf8'),
+      );
+    } catch (error) {
+      return {};
+    }
+  }
+
+  async writeLedger(pilePath, ledger) {
+    const ledgerPath = this.ledgerPath(pilePath);
+    await fs.promises.mkdir(path.dirname(ledgerPath), { recursive: true });
+    await fs.promises.writeFile(`${ledgerPath}.tmp`, JSON.stringify(ledger));
+    await fs.promises.rename(`${ledgerPath}.tmp`, ledgerPath);
+  }
+
+  // Entries of a source as { sourceId, createdAt, updatedAt, title,
+  // markdown, tags, images }, images being absolute paths
+  async read(kind, source) {
+    switch (kind) {
+      case 'dayone':
+        return this.readDayOne(source);
+      case 'obsidian':
+        return this.readMarkdownTree(source, { obsidian: true });
+      case 'markdown':
+        return this.readMarkdownTree(source, { obsidian: false });
+      default:
+        throw new Error(`Unknown import source: ${kind}`);
+    }
+  }
+
+  // The JSON of a Day One export, or the unzipped export folder with one
+  // JSON file per journal. Photos are in photos/ next to it, by md5.
+  async readDayOne(source) {
+    const stat = await fs.promises.stat(source);
+    const folder = stat.isDirectory() ? source : path.dirname(source);
+    const journals = stat.isDirectory()
+      ? (await fs.promises.readdir(source))
+          .filter((name) => name.toLowerCase().endsWith('.json'))
+          .map((name) => path.join(source, name))
+      : [source];
+
+    const entries = [];
+    for (const journal of journals) {
+      const { entries: journalEntries = [] } = JSON.parse(
+        await fs.promises.readFile(journal, 'utf8'),
+      );
+      for (const entry of journalEntries) {
+        const photos = new Map();
+        for (const photo of entry.photos || []) {
+          const photoPath = path.join(
+            folder,
+            'photos',
+            `${photo.md5}.${photo.type || 'jpeg'}`,
+          );
+          if (await exists(photoPath)) photos.set(photo.identifier, photoPath);
+        }
+
+        const { title, markdown } = splitHeading(
+          (entry.text || '')
+            .replace(/!\[[^\]]*\]\(dayone-moment:\/+[^)]*\)/g, '')
+            // Day One escapes markdown characters it didn't mean as markup
+            .replace(/\\([\\`*_{}[\]()#+\-.!>])/g, '$1'),
+        );
+
+        entries.push({
+          sourceId: entry.uuid,
+          createdAt: toDate(entry.creationDate) || new Date(),
+          updatedAt: toDate(entry.modifiedDate),
+          title,
+          markdown,
+          tags: toTags(entry.tags || []),
+          images: [...photos.values()],
+        });
+      }
+    }
+    return entries;
+  }
+
+  // Obsidian vaults and any other folder of markdown files. Dates come from
+  // the front-matter, a date in the file name or the file itself.
+  async readMarkdownTree(source, { obsidian }) {
+    const files = await listFiles(source);
+    const byName = new Map(files.map((file) => [path.basename(file), file]));
+    const entries = [];
+
+    for (const file of files) {
+      if (!MARKDOWN_EXTENSIONS.includes(path.extname(file).toLowerCase())) {
+        continue;
+      }
+      const relativePath = path.relative(source, file).replace(/\\/g, '/');
+      let parsed;
+      try {
+        parsed = matter(await fs.promises.readFile(file, 'utf8'));
+      } catch (error) {
+        console.warn('Skipping unreadable file', relativePath);
+        continue;
+      }
+      const { data } = parsed;
+      let markdown = parsed.content;
+
+      const images = [];
+      const addImage = (imagePath) => {
+        if (imagePath && !images.includes(imagePath)) images.push(imagePath);
+      };
+      markdown = markdown.replace(
+        /!\[[^\]]*\]\(<?([^)>\s]+)>?[^)]*\)/g,
+        (match, src) => {
+          if (/^[a-z]+:/i.test(src)) return match;
+          const imagePath = path.resolve(path.dirname(file), decodeURI(src));
+          if (!fs.existsSync(imagePath)) return match;
+          addImage(imagePath);
+          return '';
+        },
+      );
+
+      let title = `${data.title ?? ''}`;
+      const tags = toTags(data.tags ?? data.tag ?? []);
+      if (obsidian) {
+        markdown = markdown
+          .replace(/!\[\[([^\]|#]+)(?:[|#][^\]]*)?\]\]/g, (match, name) => {
+            const imagePath = byName.get(path.basename(name.trim()));
+            if (!imagePath) return match;
+            addImage(imagePath);
+            return '';
+          })
+          .replace(/\[\[([^\]|]+)\|([^\]]+)\]\]/g, '$2')
+          .replace(/\[\[([^\]]+)\]\]/g, '$1');
+        markdown.replace(
+          /(^|\s)#([\w/-]*[a-zA-Z][\w/-]*)/g,
+          (match, space, tag) => {
+            if (!tags.includes(tag)) tags.push(tag);
+            return match;
+          },
+        );
+        if (!title) title = path.basename(file, path.extname(file));
+      } else if (!title) {
+        ({ title, markdown } = splitHeading(markdown));
+      }
+
+      const stat = await fs.promises.stat(file);
+      const named = path.basename(file).match(/(\d{4})-(\d{2})-(\d{2})/);
+      const createdAt =
+        toDate(data.created ?? data.date ?? data.createdAt) ||
+        (named && new Date(+named[1], +named[2] - 1, +named[3], 12)) ||
+        toDate(stat.birthtimeMs ? stat.birthtime : stat.mtime);
+
+      entries.push({
+        sourceId: `${path.basename(source)}/${relativePath}`,
+        createdAt,
+        updatedAt: toDate(data.updated ?? data.modified) || stat.mtime,
+        title,
+        markdown: markdown.trim(),
+        tags,
+        images,
+      });
+    }
+    return entries;
+  }
+
+  // How many entries a source has and how many were imported before
+  async scan(pilePath, kind, source) {
+    const entries = await this.read(kind, source);
+    const ledger = await this.readLedger(pilePath);
+    return {
+      total: entries.length,
+      imported: entries.filter((entry) => ledger[`${kind}:${entry.sourceId}`])
+        .length,
+    };
+  }
+
+  // A yyMMdd-HHmmssSSS.md path for the date no other post has
+  async freePath(pilePath, date, claimed) {
+    const time = new Date(date);
+    for (;;) {
+      const relativePath = [
+        String(time.getFullYear()),
+        MONTHS[time.getMonth()],
+        `${pad(time.getFullYear() % 100)}${pad(time.getMonth() + 1)}${pad(time.getDate())}-${pad(time.getHours())}${pad(time.getMinutes())}${pad(time.getSeconds())}${pad(time.getMilliseconds(), 3)}.md`,
+      ].join('/');
+      if (
+        !claimed.has(relativePath) &&
+        !(await exists(path.join(pilePath, relativePath)))
+      ) {
+        claimed.add(relativePath);
+        return relativePath;
+      }
+      time.setMilliseconds(time.getMilliseconds() + 1);
+    }
+  }
+
+  // Import a source into a pile. Entries imported before are skipped when
+  // unchanged, their posts updated when the source changed and left alone
+  // when the post was deleted since. `options.onProgress` gets { done, total }.
+  async import(pilePath, kind, source, options = {}) {
+    const entries = await this.read(kind, source);
+    const ledger = await this.readLedger(pilePath);
+    const claimed = new Set();
+    const result = { created: [], updated: [], skipped: 0 };
+
+    for (const [i, entry] of entries.entries()) {
+      const key = `${kind}:${entry.sourceId}`;
+      const hash = crypto
+        .createHash('sha1')
+        .update(
+          JSON.stringify([
+            entry.title,
+            entry.markdown,
+            entry.tags,
+            entry.createdAt,
+            entry.images.map((image) => path.basename(image)),
+          ]),
+        )
+        .digest('hex');
+      const known = ledger[key];
+
+      if (known && known.hash === hash) {
+        result.skipped++;
+      } else if (known) {
+        if (await this.updatePost(pilePath, known.path, entry)) {
+          result.updated.push(known.path);
+          ledger[key] = {
+            ...known,
+            hash,
+            importedAt: new Date().toISOString(),
+          };
+        } else {
+          result.skipped++;
+        }
+      } else {
+        const postPath = await this.createPost(pilePath, entry, claimed);
+        result.created.push(postPath);
+        ledger[key] = {
+          path: postPath,
+          hash,
+          importedAt: new Date().toISOString(),
+        };
+      }
+
+      options.onProgress?.({ done: i + 1, total: entries.length });
+    }
+
+    await this.writeLedger(pilePath, ledger);
+    return { ...result, total: entries.length };
+  }
+
+  async createPost(pilePath, entry, claimed) {
+    const postPath = await this.freePath(pilePath, entry.createdAt, claimed);
+    const [year, month, fileName] = postPath.split('/');
+    const stamp = path.basename(fileName, '.md');
+
+    const attachments = [];
+    for (const [i, image] of entry.images.entries()) {
+      const attachment = `${year}/${month}/media/${stamp}-${i}${path.extname(image).toLowerCase()}`;
+      await fs.promises.mkdir(path.join(pilePath, year, month, 'media'), {
+        recursive: true,
+      });
+      await fs.promises.copyFile(image, path.join(pilePath, attachment));
+      attachments.push(attachment);
+    }
+
+    const data = {
+      title: entry.title,
+      createdAt: entry.createdAt.toISOString(),
+      updatedAt: (entry.updatedAt || entry.createdAt).toISOString(),
+      highlight: null,
+      highlightColor: null,
+      tags: entry.tags,
+      replies: [],
+      attachments,
+      isReply: false,
+      isAI: false,
+    };
+    await fs.promises.writeFile(
+      path.join(pilePath, postPath),
+      matter.stringify(markdownToHtml(entry.markdown), data),
+    );
+    return postPath;
+  }
+
+  // The text, title and tags of the post follow the source, everything
+  // added in Pile (replies, highlights, attachments) stays
+  async updatePost(pilePath, postPath, entry) {
+    const filePath = path.join(pilePath, postPath);
+    let post;
+    try {
+      post = matter(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+      return false;
+    }
+    const data = {
+      ...post.data,
+      title: entry.title,
+      tags: Array.from(new Set([...(post.data.tags || []), ...entry.tags])),
+      updatedAt: new Date().toISOString(),
+    };
+    await fs.promises.writeFile(
+      filePath,
+      matter.stringify(markdownToHtml(entry.markdown), data),
+    );
+    return true;
+  }
+}
+
+module.exports = new PileImport();
+module.exports.markdownToHtml = markdownToHtml;
@@ -3,10 +3,17 @@ const path = require('path');
 const glob = require('glob');
 const matter = require('gray-matter');
 const pileSearchIndex = require('./pileSearchIndex');
+const { reciprocalRankFusion } = require('./rankFusion');
+const { parseQuery, matchesQuery } = require('./searchQuery');
 const pileEmbeddings = require('./pileEmbeddings');
+const pileJobs = require('./pileJobs');
+const pileTrash = require('./pileTrash');
 const { walk } = require('../util');
 const { convertHTMLToPlainText } = require('../util');
 
+// how many extra semantic candidates to fetch when filters will drop some
+const FILTERED_CANDIDATES_FACTOR = 4;
+
 class PileIndex {
   constructor() {
     this.fileName = 'index.json';
@@ -37,13 +44,35 @@ class PileIndex {
     }
 
     this.pilePath = pilePath;
+    pileJobs.load(pilePath);
+    // expired trash goes whether or not the trash is ever opened
+    pileTrash
+      .purgeExpired(pilePath)
+      .catch((error) => console.error('Failed to purge the trash:', error));
     const indexFilePath = path.join(this.pilePath, this.fileName);
+    const hasIndex = fs.existsSync(indexFilePath);
+
+    // walking the pile and building the search index happen in the
+    // indexing worker, the main process only loads what it produced.
+    // A pile with an index.json only needs it when a walk was cut short.
+    let entries = null;
+    if (!hasIndex || pileJobs.unfinished('index')) {
+      try {
+        const result = await pileJobs.run('index');
+        entries = result?.entries ?? null;
+      } catch (error) {
+        console.error('Indexing worker failed, indexing in place:', error);
+      }
+    }
 
-    if (fs.existsSync(indexFilePath)) {
+    if (hasIndex) {
       const data = fs.readFileSync(indexFilePath);
       const loadedIndex = new Map(JSON.parse(data));
       const sortedIndex = this.sortMap(loadedIndex);
       this.index = sortedIndex;
+    } else if (entries) {
+      this.index = this.sortMap(new Map(entries));
+      this.save();
     } else {
       // init empty index
       this.save();
@@ -55,12 +84,23 @@ class PileIndex {
 
     pileSearchIndex.initialize(this.pilePath, this.index);
     console.log('📍 SEARCH INDEX LOADED');
+    // embedding a whole pile runs on in the background
     await pileEmbeddings.initialize(this.pilePath, this.index);
     console.log('📍 VECTOR INDEX LOADED');
 
     return this.index;
   }
 
+  // For a pile that isn't loaded: without its index.json the indexing
+  // worker rebuilds the entries from the files when the pile is next loaded
+  markStale(pilePath) {
+    try {
+      fs.rmSync(path.join(pilePath, this.fileName), { force: true });
+    } catch (error) {
+      console.log('Failed to mark the index stale', pilePath);
+    }
+  }
+
   walkAndGenerateIndex = (pilePath) => {
     return walk(pilePath).then((files) => {
       files.forEach((filePath) => {
@@ -75,15 +115,25 @@ class PileIndex {
     });
   };
 
+  // Applies the structured part of a parsed query to one thread
+  matchesFilters(ref, parsed) {
+    return matchesQuery(ref, parsed, this.index, (threadPath) =>
+      pileSearchIndex.getText(threadPath),
+    );
+  }
+
   search(query) {
     let results = [];
     try {
       console.time('search-time');
-      const entries = pileSearchIndex.search(query);
-      results = entries.map((entry) => {
-        const res = { ref: entry.ref, ...this.index.get(entry.ref) };
-        return res;
-      });
+      const parsed = parseQuery(query);
+      const entries = pileSearchIndex.search(parsed.keywords);
+      results = entries
+        .filter((entry) => this.matchesFilters(entry.ref, parsed))
+        .map((entry) => {
+          const res = { ref: entry.ref, ...this.index.get(entry.ref) };
+          return res;
+        });
       console.timeEnd('search-time');
     } catch (error) {
       console.log('failed to search', error);
@@ -95,12 +145,24 @@ class PileIndex {
   async vectorSearch(query, topN = 50) {
     let results = [];
     try {
+      const parsed = parseQuery(query);
+      // a query made only of filters has nothing to embed
+      if (!parsed.text) return this.search(query);
+
       console.time('vector-search-time');
-      const entries = await pileEmbeddings.search(query, topN);
-      results = entries.map((entry) => {
-        const res = { ref: entry, ...this.index.get(entry) };
-        return res;
-      });
+      // filters drop candidates, so ask for more of them up front
+      const candidates = parsed.hasFilters
+        ? topN * FILTERED_CANDIDATES_FACTOR
+        : topN;
+      const entries = await pileEmbeddings.search(parsed.text, candidates);
+      results = entries
+        .filter((entry) => this.index.has(entry))
+        .filter((entry) => this.matchesFilters(entry, parsed))
+        .slice(0, topN)
+        .map((entry) => {
+          const res = { ref: entry, ...this.index.get(entry) };
+          return res;
+        });
       console.timeEnd('vector-search-time');
     } catch (error) {
       console.log('failed to vector search', error);
@@ -108,6 +170,49 @@ class PileIndex {
     return results;
   }
 
+  // Runs keyword and semantic search side by side and fuses the two
+  // rankings. Either side failing (a lunr syntax error, no embeddings or
+  // no API key) simply leaves the other ranking to stand on its own.
+  async hybridSearch(query, topN = 50) {
+    let results = [];
+    try {
+      console.time('hybrid-search-time');
+      const parsed = parseQuery(query);
+      const candidates = parsed.hasFilters
+        ? topN * FILTERED_CANDIDATES_FACTOR
+        : topN;
+
+      const keywordSearch = Promise.resolve()
+        .then(() =>
+          pileSearchIndex.search(parsed.keywords).map((entry) => entry.ref),
+        )
+        .catch(() => []);
+      const semanticSearch = parsed.text
+        ? pileEmbeddings.search(parsed.text, candidates).catch(() => [])
+        : [];
+      const [keyword, semantic] = await Promise.all([
+        keywordSearch,
+        semanticSearch,
+      ]);
+
+      results = reciprocalRankFusion({ keyword, semantic })
+        .filter((hit) => this.index.has(hit.id))
+        .filter((hit) => this.matchesFilters(hit.id, parsed))
+        .slice(0, topN)
+        .map((hit) => ({
+          ref: hit.id,
+          score: hit.score,
+          matchedBy: Object.keys(hit.ranks),
+          snippet: pileSearchIndex.getSnippet(hit.id, parsed.text),
+          ...this.index.get(hit.id),
+        }));
+      console.timeEnd('hybrid-search-time');
+    } catch (error) {
+      console.log('failed to hybrid search', error);
+    }
+    return results;
+  }
+
   get() {
     return this.index;
   }
@@ -118,8 +223,27 @@ class PileIndex {
     const { data, content } = matter(fileContent);
     this.index.set(relativeFilePath, data);
     // add to search and vector index
+    pileSearchIndex.updateThread(relativeFilePath, this.index);
+    this.updateEmbeddings(relativeFilePath, data);
+    this.save();
+    return this.index;
+  }
+
+  // Adds many new entries at once, e.g. after an import, with a single
+  // save and search index update instead of one per entry
+  addMany(relativeFilePaths) {
+    for (const relativeFilePath of relativeFilePaths) {
+      try {
+        const filePath = path.join(this.pilePath, relativeFilePath);
+        const { data } = matter(fs.readFileSync(filePath, 'utf8'));
+        this.index.set(relativeFilePath, data);
+      } catch (error) {
+        console.log('Failed to index', relativeFilePath);
+      }
+    }
+    this.index = this.sortMap(this.index);
     pileSearchIndex.initialize(this.pilePath, this.index);
-    pileEmbeddings.addDocument(relativeFilePath, data);
+    if (pileEmbeddings.apiKey) pileEmbeddings.runEmbeddingsJob();
     this.save();
     return this.index;
   }
@@ -155,41 +279,71 @@ class PileIndex {
   }
 
   // reply's parent needs to be found by checking every non isReply entry and
-  // see if it's included in the replies array of the parent
+  // see if it's included in the replies array of the parent. The reply is
+  // unlinked from the parent's file as well as the index.
   updateParentOfReply(replyPath) {
-    const reply = this.index.get(replyPath);
-    if (reply.isReply) {
-      for (const [filePath, metadata] of this.index) {
-        if (!metadata.isReply) {
-          if (metadata.replies.includes(replyPath)) {
-            // this is the parent
-            metadata.replies = metadata.replies.filter((p) => {
-              return p !== replyPath;
-            });
-            metadata.replies.push(filePath);
-            this.index.set(filePath, metadata);
-            this.save();
-          }
-        }
-      }
+    for (const [filePath, metadata] of this.index) {
+      if (metadata.isReply) continue;
+      if (!(metadata.replies || []).includes(replyPath)) continue;
+
+      const replies = metadata.replies.filter((p) => p !== replyPath);
+      this.updateFrontmatter(filePath, { replies });
     }
   }
 
+  // Rewrites an entry's frontmatter and keeps the index in step with it.
+  // `changes` can also be a function of the current frontmatter.
+  updateFrontmatter(relativeFilePath, changes) {
+    const filePath = path.join(this.pilePath, relativeFilePath);
+    const fileContent = fs.readFileSync(filePath, 'utf8');
+    const { data, content } = matter(fileContent);
+    const updated = {
+      ...data,
+      ...(typeof changes === 'function' ? changes(data) : changes),
+    };
+    fs.writeFileSync(filePath, matter.stringify(content, updated));
+    return this.update(relativeFilePath, updated);
+  }
+
+  // Passages are embedded per entry, replies are tagged with their thread
+  updateEmbeddings(relativeFilePath, data) {
+    const threadPath = pileSearchIndex.findThreadPath(
+      relativeFilePath,
+      this.index,
+    );
+    pileEmbeddings.addDocument(relativeFilePath, data, threadPath);
+  }
+
+  async searchPassages(query, topN = 10) {
+    let results = [];
+    try {
+      console.time('passage-search-time');
+      results = await pileEmbeddings.searchPassages(query, topN);
+      console.timeEnd('passage-search-time');
+    } catch (error) {
+      console.log('failed to search passages', error);
+    }
+    return results;
+  }
+
+  // The worker embeds what's on disk, so the index is saved first
   regenerateEmbeddings() {
-    pileEmbeddings.regenerateEmbeddings(this.index);
     this.save();
+    pileEmbeddings.regenerateEmbeddings();
   }
 
   update(relativeFilePath, data) {
     this.index.set(relativeFilePath, data);
-    pileSearchIndex.initialize(this.pilePath, this.index);
-    pileEmbeddings.addDocument(relativeFilePath, data);
+    pileSearchIndex.updateThread(relativeFilePath, this.index);
+    this.updateEmbeddings(relativeFilePath, data);
     this.save();
     return this.index;
   }
 
   remove(relativeFilePath) {
     this.index.delete(relativeFilePath);
+    pileSearchIndex.removeThread(relativeFilePath, this.index);
+    pileEmbeddings.removeDocument(relativeFilePath);
     this.save();
 
     return this.index;
@@ -0,0 +1,281 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Worker } = require('worker_threads');
+const { BrowserWindow } = require('electron');
+
+// finished jobs kept around for the job list
+const MAX_FINISHED_JOBS = 20;
+// how long a worker gets to stop on its own before it is terminated
+const CANCEL_TIMEOUT_MS = 5000;
+// progress is written to disk at most this often
+const PERSIST_INTERVAL_MS = 2000;
+
+const ACTIVE = ['queued', 'running'];
+
+// Runs long indexing work (building the index, embedding a pile) in a
+// worker thread, one job at a time. Jobs are recorded in
+// .pile/jobs.json so the ones cut short by a restart can be resumed,
+// and every change is broadcast to the renderer on 'index-job'.
+class PileJobs {
+  constructor() {
+    this.pilePath = null;
+    this.fileName = 'jobs.json';
+    this.jobs = [];
+    this.queue = [];
+    this.current = null;
+    this.lastPersist = 0;
+  }
+
+  load(pilePath) {
+    if (pilePath === this.pilePath) return;
+
+    // jobs of the previous pile stay marked as running so they resume
+    // the next time it is opened
+    this.suspend();
+    this.pilePath = pilePath;
+    this.jobs = [];
+
+    try {
+      const filePath = this.filePath();
+      if (fs.existsSync(filePath)) {
+        this.jobs = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      }
+    } catch (error) {
+      console.error('Failed to load index jobs:', error);
+    }
+  }
+
+  filePath() {
+    return path.join(this.pilePath, '.pile', this.fileName);
+  }
+
+  workerPath() {
+    const fileName =
+      process.env.NODE_ENV === 'development'
+        ? 'indexWorker.bundle.dev.js'
+        : 'indexWorker.js';
+    return path.join(__dirname, fileName);
+  }
+
+  list() {
+    return this.jobs;
+  }
+
+  // An unfinished job of this type left over from a previous run
+  unfinished(type) {
+    return this.jobs.find(
+      (job) => job.type === type && ACTIVE.includes(job.status),
+    );
+  }
+
+  // Queues a job and resolves with its result once it completes, or with
+  // null if it gets cancelled. `params` are handed to the worker but not
+  // saved, so secrets like API keys never end up on disk. An unfinished
+  // record of the same type is reused so resumed jobs keep their id.
+  run(type, options = {}, params = {}, { onEvent = () => {} } = {}) {
+    let job = this.unfinished(type);
+    if (job && this.isScheduled(job.id)) {
+      this.cancel(job.id);
+      job = null;
+    }
+
+    if (job) {
+      job.status = 'queued';
+      job.options = { ...job.options, ...options };
+    } else {
+      job = {
+        id: crypto.randomUUID(),
+        type,
+        status: 'queued',
+        progress: null,
+        options,
+        createdAt: new Date().toISOString(),
+      };
+      this.jobs.unshift(job);
+    }
+    this.update(job, {});
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({
+        job,
+        params,
+        pilePath: this.pilePath,
+        onEvent,
+        resolve,
+        reject,
+      });
+      this.next();
+    });
+  }
+
+  isScheduled(id) {
+    return (
+      this.current?.job.id === id ||
+      this.queue.some((task) => task.job.id === id)
+    );
+  }
+
+  next() {
+    if (this.current || this.queue.length === 0) return;
+
+    const task = this.queue.shift();
+    this.current = task;
+    this.update(task.job, { status: 'running', startedAt: new Date() });
+
+    let worker;
+    try {
+      worker = new Worker(this.workerPath());
+    } catch (error) {
+      this.finish(task, 'failed', { error: error.message });
+      return;
+    }
+    task.worker = worker;
+
+    worker.on('message', (message) => this.handleMessage(task, message));
+    worker.on('error', (error) => {
+      this.finish(task, 'failed', { error: error.message });
+    });
+    worker.on('exit', () => {
+      if (this.current === task) {
+        this.finish(task, task.suspended ? 'running' : 'failed', {
+          error: task.suspended ? null : 'Worker stopped unexpectedly',
+        });
+      }
+    });
+
+    worker.postMessage({
+      command: 'start',
+      job: {
+        ...task.params,
+        type: task.job.type,
+        options: task.job.options,
+        pilePath: task.pilePath,
+      },
+    });
+  }
+
+  handleMessage(task, message) {
+    task.onEvent(message);
+
+    switch (message.event) {
+      case 'progress':
+        this.update(task.job, { progress: message.progress });
+        break;
+      case 'reset':
+        // a fresh job has started over, resuming it shouldn't again
+        this.update(task.job, {
+          options: { ...task.job.options, fresh: false },
+        });
+        break;
+      case 'done':
+        this.finish(task, 'done', {}, message.result);
+        break;
+      case 'cancelled':
+        this.finish(task, 'cancelled');
+        break;
+      case 'failed':
+        this.finish(task, 'failed', { error: message.error });
+        break;
+      default:
+        break;
+    }
+  }
+
+  finish(task, status, changes = {}, result = null) {
+    if (this.current !== task) return;
+    this.current = null;
+    if (task.cancelTimeout) clearTimeout(task.cancelTimeout);
+    if (task.worker) task.worker.terminate();
+
+    this.update(
+      task.job,
+      { status, ...changes, finishedAt: new Date() },
+      { persist: task.pilePath === this.pilePath },
+    );
+
+    if (status === 'failed') {
+      console.error(`❌ Index job ${task.job.type} failed:`, changes.error);
+      task.reject(new Error(changes.error));
+    } else {
+      task.resolve(status === 'done' ? result : null);
+    }
+
+    this.next();
+  }
+
+  cancel(id) {
+    const queued = this.queue.find((task) => task.job.id === id);
+    if (queued) {
+      this.queue = this.queue.filter((task) => task !== queued);
+      this.update(queued.job, { status: 'cancelled' });
+      queued.resolve(null);
+      return true;
+    }
+
+    const task = this.current;
+    if (task?.job.id !== id) return false;
+
+    task.worker?.postMessage({ command: 'cancel' });
+    // a worker stuck waiting on a request is stopped outright
+    task.cancelTimeout = setTimeout(() => {
+      this.finish(task, 'cancelled');
+    }, CANCEL_TIMEOUT_MS);
+    return true;
+  }
+
+  // Stops all work without marking it cancelled, used when the pile
+  // changes. Callers waiting on these jobs get null back.
+  suspend() {
+    this.queue.forEach((task) => task.resolve(null));
+    this.queue = [];
+
+    const task = this.current;
+    if (!task) return;
+    task.suspended = true;
+    this.current = null;
+    if (task.cancelTimeout) clearTimeout(task.cancelTimeout);
+    task.worker?.terminate();
+    task.resolve(null);
+  }
+
+  update(job, changes, { persist = true } = {}) {
+    Object.assign(job, changes);
+
+    const force = changes.status !== undefined || changes.options;
+    if (persist) this.persist(force);
+    this.broadcast(job);
+  }
+
+  persist(force = false) {
+    if (!this.pilePath) return;
+    const now = Date.now();
+    if (!force && now - this.lastPersist < PERSIST_INTERVAL_MS) return;
+    this.lastPersist = now;
+
+    const active = this.jobs.filter((job) => ACTIVE.includes(job.status));
+    const finished = this.jobs
+      .filter((job) => !ACTIVE.includes(job.status))
+      .slice(0, MAX_FINISHED_JOBS);
+    this.jobs = [...active, ...finished];
+
+    try {
+      const filePath = this.filePath();
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tmpPath = `${filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(this.jobs, null, 2));
+      fs.renameSync(tmpPath, filePath);
+    } catch (error) {
+      console.error('Failed to save index jobs:', error);
+    }
+  }
+
+  broadcast(job) {
+    const payload = { ...job, pilePath: this.pilePath };
+    BrowserWindow.getAllWindows().forEach((window) => {
+      window.webContents.send('index-job', payload);
+    });
+  }
+}
+
+module.exports = new PileJobs();
@@ -0,0 +1,360 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const pileSiteExport = require('./pileSiteExport');
+const { createZip } = require('./zip');
+
+const IMAGE_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp',
+};
+
+const XML_ENTITIES = ['amp', 'lt', 'gt', 'quot', 'apos'];
+
+const escapeXml = (text) =>
+  String(text ?? '').replace(
+    /[&<>"']/g,
+    (c) =>
+      ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[
+        c
+      ],
+  );
+
+// The editor's HTML made well-formed enough for XHTML: void elements are
+// closed and named entities XML doesn't know are spelled out
+const toXhtml = (html) =>
+  html
+    .replace(/<script[\s\S]*?<\/script>/gi, '')
+    .replace(/<(br|hr|img|input|col|wbr)\b([^>]*?)\/?>/gi, '<$1$2/>')
+    .replace(/&nbsp;/g, '&#160;')
+    .replace(/&([a-z][a-z0-9]*);/gi, (match, name) =>
+      XML_ENTITIES.includes(name) ? match : `&amp;${name};`,
+    );
+
+const formatDate = (date) =>
+  date.toLocaleDateString('en-US', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+  });
+
+const formatTime = (date) =>
+  date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+
+const monthKey = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+// yyyy-mm-dd from a date input, as the start or end of that local day
+const parseDay = (day, endOfDay) => {
+  if (!day) return null;
+  const [year, month, date] = day.split('-').map(Number);
+  return endOfDay
+    ? new Date(year, month - 1, date, 23, 59, 59, 999)
+    : new Date(year, month - 1, date);
+};
+
+const STYLE = `
+@page { size: A5; margin: 18mm 16mm; }
+body { font: 11pt/1.55 Georgia, 'Times New Roman', serif; color: #111; }
+.cover { text-align: center; padding-top: 30%; page-break-after: always; }
+.cover h1 { font-size: 28pt; margin-bottom: 8pt; }
+.toc { page-break-after: always; }
+.toc ol { list-style: none; padding: 0; }
+.toc li { display: flex; justify-content: space-between; padding: 3pt 0; border-bottom: 0.5pt dotted #999; }
+.toc a { color: inherit; text-decoration: none; }
+.month { page-break-before: always; }
+.month > h2 { font-size: 18pt; border-bottom: 1pt solid #111; padding-bottom: 4pt; }
+.thread { margin: 14pt 0 20pt; }
+.date { font-size: 9pt; text-transform: uppercase; letter-spacing: 0.06em; color: #666; }
+.title { font-size: 13pt; margin: 2pt 0 6pt; }
+.meta { font-size: 9pt; color: #666; }
+.reply { margin: 8pt 0 0 12pt; padding-left: 10pt; border-left: 1pt solid #ccc; page-break-inside: avoid; }
+.ai { font-family: -apple-system, 'Helvetica Neue', Arial, sans-serif; font-size: 10pt; color: #334; border-left-color: #7a9cff; background: #f3f6ff; padding: 4pt 8pt; }
+img { max-width: 100%; max-height: 120mm; display: block; margin: 6pt auto; page-break-inside: avoid; }
+p { margin: 0 0 6pt; }
+`;
+
+// A printable journal of a date range: a cover, a table of contents by
+// month and every thread with its replies, as HTML printed to PDF by the
+// main process or as an EPUB
+class PileJournalExport {
+  async collect(pilePath, { from, to, tags = [], highlights = [] } = {}) {
+    const entries = await pileSiteExport.readEntries(pilePath);
+    const start = parseDay(from, false);
+    const end = parseDay(to, true);
+
+    const threads = pileSiteExport
+      .collectThreads(entries)
+      .reverse()
+      .filter((thread) => {
+        if (start && thread.createdAt < start) return false;
+        if (end && thread.createdAt > end) return false;
+        if (
+          tags.length &&
+          ![thread, ...thread.replies].some((entry) =>
+            (entry.data.tags || []).some((tag) => tags.includes(tag)),
+          )
+        ) {
+          return false;
+        }
+        if (highlights.length && !highlights.includes(thread.data.highlight)) {
+          return false;
+        }
+        return true;
+      });
+
+    const months = [];
+    for (const thread of threads) {
+      const key = monthKey(thread.createdAt);
+      if (months[months.length - 1]?.key !== key) {
+        months.push({
+          key,
+          label: thread.createdAt.toLocaleDateString('en-US', {
+            year: 'numeric',
+            month: 'long',
+          }),
+          threads: [],
+        });
+      }
+      months[months.length - 1].threads.push(thread);
+    }
+    return { threads, months };
+  }
+
+  // Image attachments of an entry that are still on disk
+  async readImages(pilePath, entry) {
+    const images = [];
+    for (const attachment of entry.data.attachments || []) {
+      const type = IMAGE_TYPES[path.extname(attachment).toLowerCase()];
+      if (!type) continue;
+      try {
+        const data = await fs.promises.readFile(
+          path.join(pilePath, attachment),
+        );
+        images.push({ path: attachment, type, data });
+      } catch (error) {
+        console.warn('Missing attachment', attachment);
+      }
+    }
+    return images;
+  }
+
+  // `imageSrc` turns an image into the src it's embedded with. The markup
+  // is XHTML, which prints as HTML just as well.
+  async renderThread(pilePath, thread, imageSrc) {
+    const renderEntry = async (entry, className) => {
+      const createdAt = new Date(entry.data.createdAt || 0);
+      const images = await this.readImages(pilePath, entry);
+      const tags = entry.data.tags || [];
+      return `<div class="${className}${entry.data.isAI ? ' ai' : ''}">
+<div class="date">${entry.data.isAI ? 'AI · ' : ''}${escapeXml(formatDate(createdAt))} · ${escapeXml(formatTime(createdAt))}</div>
+${entry.data.title ? `<div class="title">${escapeXml(entry.data.title)}</div>` : ''}
+${toXhtml(entry.content || '')}
+${images.map((image) => `<img src="${imageSrc(image)}" alt=""/>`).join('\n')}
+${
+  tags.length || entry.data.highlight
+    ? `<div class="meta">${[
+        entry.data.highlight,
+        ...tags.map((tag) => `#${tag}`),
+      ]
+        .filter(Boolean)
+        .map(escapeXml)
+        .join(' · ')}</div>`
+    : ''
+}
+</div>`;
+    };
+
+    const parts = [await renderEntry(thread, 'thread-post')];
+    for (const reply of thread.replies) {
+      parts.push(await renderEntry(reply, 'reply'));
+    }
+    return `<div class="thread">\n${parts.join('\n')}\n</div>`;
+  }
+
+  subtitle({ from, to } = {}) {
+    const day = (value) =>
+      parseDay(value, false).toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+      });
+    if (from && to) return `${day(from)} – ${day(to)}`;
+    if (from) return `Since ${day(from)}`;
+    if (to) return `Until ${day(to)}`;
+    return '';
+  }
+
+  // The journal as one HTML page with images inlined, ready to print
+  async renderHtml(pilePath, options = {}) {
+    const { threads, months } = await this.collect(pilePath, options);
+    const title = options.title || path.basename(pilePath);
+    const imageSrc = (image) =>
+      `data:${image.type};base64,${image.data.toString('base64')}`;
+
+    const sections = [];
+    for (const month of months) {
+      const rendered = [];
+      for (const thread of month.threads) {
+        rendered.push(await this.renderThread(pilePath, thread, imageSrc));
+      }
+      sections.push(
+        `<section class="month" id="m-${month.key}">
+<h2>${escapeXml(month.label)}</h2>
+${rendered.join('\n')}
+</section>`,
+      );
+    }
+
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeXml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<div class="cover">
+<h1>${escapeXml(title)}</h1>
+<div>${escapeXml(this.subtitle(options))}</div>
+</div>
+<nav class="toc">
+<h2>Contents</h2>
+<ol>
+${months
+  .map(
+    (month) =>
+      `<li><a href="#m-${month.key}">${escapeXml(month.label)}</a><span>${month.threads.length}</span></li>`,
+  )
+  .join('\n')}
+</ol>
+</nav>
+${sections.join('\n')}
+</body>
+</html>
+`;
+    return { html, threads: threads.length, months: months.length };
+  }
+
+  async exportEpub(pilePath, outputPath, options = {}) {
+    const { threads, months } = await this.collect(pilePath, options);
+    const title = options.title || path.basename(pilePath);
+    const id = `urn:uuid:${crypto.randomUUID()}`;
+
+    const images = new Map();
+    const imageSrc = (image) => {
+      if (!images.has(image.path)) {
+        const name = `images/${images.size + 1}${path.extname(image.path).toLowerCase()}`;
+        images.set(image.path, { ...image, name });
+      }
+      return images.get(image.path).name;
+    };
+
+    const page = (pageTitle, body) => `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="en">
+<head>
+<meta charset="utf-8"/>
+<title>${escapeXml(pageTitle)}</title>
+<link rel="stylesheet" href="style.css"/>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+
+    const files = [
+      { name: 'mimetype', data: 'application/epub+zip', store: true },
+      {
+        name: 'META-INF/container.xml',
+        data: `<?xml version="1.0" encoding="utf-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles>
+<rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+</rootfiles>
+</container>
+`,
+      },
+      { name: 'OEBPS/style.css', data: STYLE.replace(/@page[^}]*}/, '') },
+    ];
+
+    const chapters = [];
+    for (const month of months) {
+      const rendered = [];
+      for (const thread of month.threads) {
+        rendered.push(await this.renderThread(pilePath, thread, imageSrc));
+      }
+      const name = `month-${month.key}.xhtml`;
+      chapters.push({ ...month, name });
+      files.push({
+        name: `OEBPS/${name}`,
+        data: page(
+          month.label,
+          `<section class="month"><h2>${escapeXml(month.label)}</h2>\n${rendered.join('\n')}</section>`,
+        ),
+      });
+    }
+
+    files.push({
+      name: 'OEBPS/nav.xhtml',
+      data: page(
+        'Contents',
+        `<nav epub:type="toc" class="toc"><h2>Contents</h2><ol>${chapters
+          .map(
+            (chapter) =>
+              `<li><a href="${chapter.name}">${escapeXml(chapter.label)}</a></li>`,
+          )
+          .join('')}</ol></nav>`,
+      ),
+    });
+    for (const image of images.values()) {
+      files.push({ name: `OEBPS/${image.name}`, data: image.data });
+    }
+
+    const manifest = [
+      '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+      '<item id="style" href="style.css" media-type="text/css"/>',
+      ...chapters.map(
+        (chapter) =>
+          `<item id="m-${chapter.key}" href="${chapter.name}" media-type="application/xhtml+xml"/>`,
+      ),
+      ...[...images.values()].map(
+        (image, i) =>
+          `<item id="img-${i + 1}" href="${image.name}" media-type="${image.type}"/>`,
+      ),
+    ];
+    files.push({
+      name: 'OEBPS/content.opf',
+      data: `<?xml version="1.0" encoding="utf-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="book-id">${id}</dc:identifier>
+<dc:title>${escapeXml(title)}</dc:title>
+<dc:language>en</dc:language>
+<dc:description>${escapeXml(this.subtitle(options))}</dc:description>
+<meta property="dcterms:modified">${new Date().toISOString().replace(/\.\d+Z$/, 'Z')}</meta>
+</metadata>
+<manifest>
+${manifest.join('\n')}
+</manifest>
+<spine>
+<itemref idref="nav"/>
+${chapters.map((chapter) => `<itemref idref="m-${chapter.key}"/>`).join('\n')}
+</spine>
+</package>
+`,
+    });
+
+    await fs.promises.mkdir(path.dirname(outputPath), { recursive: true });
+    await fs.promises.writeFile(outputPath, createZip(files));
+    return { threads: threads.length, months: months.length };
+  }
+}
+
+module.exports = new PileJournalExport();
@@ -0,0 +1,332 @@
+const fs = require('fs');
+const path = require('path');
+const matter = require('gray-matter');
+const { walk } = require('../util');
+const pileIndex = require('./pileIndex');
+const pileTags = require('./pileTags');
+const pileHighlights = require('./pileHighlights');
+
+// index fields that have to agree with the entry's frontmatter
+const CHECKED_FIELDS = ['createdAt', 'isReply', 'highlight', 'tags', 'replies'];
+const LIST_FIELDS = ['tags', 'replies'];
+
+const normalize = (field, value) => {
+  if (LIST_FIELDS.includes(field)) return JSON.stringify(value || []);
+  if (field === 'isReply') return JSON.stringify(Boolean(value));
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  return JSON.stringify(value ?? null);
+};
+
+const unique = (values) => Array.from(new Set(values));
+
+// Cross-checks the markdown files of the loaded pile against index.json,
+// tags.json, highlights.json and the replies listed in each entry.
+// `verify` only reports, `repair` fixes everything it reports.
+class PileRepair {
+  async inspect() {
+    const { pilePath } = pileIndex;
+    if (!pilePath) throw new Error('No pile is loaded');
+    if (pileTags.pilePath !== pilePath) pileTags.load(pilePath);
+    if (pileHighlights.pilePath !== pilePath) pileHighlights.load(pilePath);
+
+    const entries = await this.readEntries(pilePath);
+    const issues = [
+      ...this.checkIndex(entries, pileIndex.get()),
+      ...this.checkReplies(entries),
+      ...this.checkTags(pilePath, entries),
+      ...this.checkHighlights(entries),
+    ];
+
+    return { pilePath, entries, issues };
+  }
+
+  // The dry run: what is wrong and what `repair` would do about it
+  async verify() {
+    const { pilePath, entries, issues } = await this.inspect();
+    const summary = {};
+    issues.forEach((issue) => {
+      summary[issue.type] = (summary[issue.type] || 0) + 1;
+    });
+
+    return {
+      pilePath,
+      checkedAt: new Date().toISOString(),
+      entries: entries.size,
+      issues,
+      summary,
+    };
+  }
+
+  async readEntries(pilePath) {
+    const entries = new Map();
+    const files = await walk(pilePath);
+    for (const filePath of files) {
+      try {
+        const { data } = matter(fs.readFileSync(filePath, 'utf8'));
+        entries.set(path.relative(pilePath, filePath), data);
+      } catch (error) {
+        console.warn('Failed to read entry while verifying:', filePath);
+      }
+    }
+    return entries;
+  }
+
+  checkIndex(entries, index) {
+    const issues = [];
+
+    for (const filePath of index.keys()) {
+      if (entries.has(filePath)) continue;
+      issues.push({
+        type: 'missing-file',
+        path: filePath,
+        message: 'Indexed entry has no file',
+        fix: 'Remove it from the index',
+      });
+    }
+
+    for (const [filePath, data] of entries) {
+      const metadata = index.get(filePath);
+      if (!metadata) {
+        issues.push({
+          type: 'unindexed-file',
+          path: filePath,
+          message: 'Entry is missing from the index',
+          fix: 'Add it to the index',
+        });
+        continue;
+      }
+
+      const fields = CHECKED_FIELDS.filter(
+        (field) =>
+          normalize(field, metadata[field]) !== normalize(field, data[field]),
+      );
+      if (fields.length > 0) {
+        issues.push({
+          type: 'stale-index',
+          path: filePath,
+          fields,
+          message: `Index is out of date (${fields.join(', ')})`,
+          fix: 'Refresh the index from the file',
+        });
+      }
+    }
+
+    return issues;
+  }
+
+  checkReplies(entries) {
+    const issues = [];
+    // reply path -> the entries listing it
+    const parents = new Map();
+
+    for (const [filePath, data] of entries) {
+      const seen = new Set();
+      for (const replyPath of data.replies || []) {
+        if (seen.has(replyPath)) {
+          issues.push({
+            type: 'repeated-reply',
+            path: filePath,
+            reply: replyPath,
+            message: `Lists the reply ${replyPath} more than once`,
+            fix: 'Keep a single link',
+          });
+          continue;
+        }
+        seen.add(replyPath);
+
+        if (!entries.has(replyPath)) {
+          issues.push({
+            type: 'dangling-reply',
+            path: filePath,
+            reply: replyPath,
+            message: `Links to the missing reply ${replyPath}`,
+            fix: 'Remove the link',
+          });
+          continue;
+        }
+        parents.set(replyPath, [...(parents.get(replyPath) || []), filePath]);
+      }
+    }
+
+    for (const [filePath, data] of entries) {
+      const linkedFrom = parents.get(filePath) || [];
+
+      if (linkedFrom.length > 1) {
+        const keep = this.pickParent(data, linkedFrom, entries);
+        linkedFrom
+          .filter((parentPath) => parentPath !== keep)
+          .forEach((parentPath) => {
+            issues.push({
+              type: 'shared-reply',
+              path: parentPath,
+              reply: filePath,
+              message: `Lists ${filePath}, which is already a reply to ${keep}`,
+              fix: 'Remove the link',
+            });
+          });
+      }
+
+      if (linkedFrom.length > 0 && !data.isReply) {
+        issues.push({
+          type: 'unmarked-reply',
+          path: filePath,
+          message: 'Entry is listed as a reply but not marked as one',
+          fix: 'Mark it as a reply',
+        });
+      } else if (linkedFrom.length === 0 && data.isReply) {
+        issues.push({
+          type: 'orphaned-reply',
+          path: filePath,
+          message: 'Reply is not linked from any entry',
+          fix: 'Make it a standalone entry',
+        });
+      }
+    }
+
+    return issues;
+  }
+
+  // A reply listed by several entries stays with the latest one written
+  // before it, which is the entry it was most likely a reply to
+  pickParent(reply, parentPaths, entries) {
+    const createdAt = (data) => new Date(data?.createdAt).getTime() || 0;
+    const before = parentPaths
+      .filter((p) => createdAt(entries.get(p)) <= createdAt(reply))
+      .sort((a, b) => createdAt(entries.get(b)) - createdAt(entries.get(a)));
+    return before[0] ?? parentPaths[0];
+  }
+
+  // Tag posts have been stored both as absolute and relative paths
+  relativePath(pilePath, post) {
+    return path.relative(pilePath, path.resolve(pilePath, post));
+  }
+
+  checkTags(pilePath, entries) {
+    const issues = [];
+    // tag -> entries it lists that really carry it
+    const tracked = new Map();
+
+    for (const [tag, { posts = [] }] of pileTags.get()) {
+      const valid = new Set();
+      for (const post of posts) {
+        const filePath = this.relativePath(pilePath, post);
+        const entry = entries.get(filePath);
+        if (entry && (entry.tags || []).includes(tag)) {
+          valid.add(filePath);
+          continue;
+        }
+        issues.push({
+          type: 'dangling-tag',
+          path: filePath,
+          tag,
+          post,
+          message: entry
+            ? `Tag "${tag}" lists an entry without the tag`
+            : `Tag "${tag}" lists a missing entry`,
+          fix: 'Remove the entry from the tag',
+        });
+      }
+      tracked.set(tag, valid);
+    }
+
+    for (const [filePath, data] of entries) {
+      for (const tag of unique(data.tags || [])) {
+        if (tracked.get(tag)?.has(filePath)) continue;
+        issues.push({
+          type: 'untracked-tag',
+          path: filePath,
+          tag,
+          message: `Tag "${tag}" doesn't list this entry`,
+          fix: 'Add the entry to the tag',
+        });
+      }
+    }
+
+    return issues;
+  }
+
+  checkHighlights(entries) {
+    const issues = [];
+    const highlights = pileHighlights.get();
+
+    for (const [filePath, data] of entries) {
+      if (!data.highlight || highlights.has(data.highlight)) continue;
+      issues.push({
+        type: 'dangling-highlight',
+        path: filePath,
+        highlight: data.highlight,
+        message: `Uses the highlight "${data.highlight}", which doesn't exist`,
+        fix: 'Create the highlight',
+      });
+    }
+
+    return issues;
+  }
+
+  // Fixes every issue `verify` reports. Reply links are fixed in the
+  // frontmatter first, the index, tags and highlights are then brought
+  // in line with the files. Returns a fresh report afterwards.
+  async repair() {
+    const { pilePath, entries, issues } = await this.inspect();
+    const byType = (type) => issues.filter((issue) => issue.type === type);
+
+    // frontmatter changes, per entry
+    const patches = new Map();
+    const patch = (filePath, changes) =>
+      patches.set(filePath, { ...patches.get(filePath), ...changes });
+
+    const unlinked = new Map();
+    [...byType('dangling-reply'), ...byType('shared-reply')].forEach(
+      (issue) => {
+        const links = unlinked.get(issue.path) || new Set();
+        links.add(issue.reply);
+        unlinked.set(issue.path, links);
+      },
+    );
+    const relinked = new Set([
+      ...unlinked.keys(),
+      ...byType('repeated-reply').map((issue) => issue.path),
+    ]);
+    relinked.forEach((filePath) => {
+      const links = unlinked.get(filePath) || new Set();
+      const replies = unique(entries.get(filePath).replies || []);
+      patch(filePath, {
+        replies: replies.filter((replyPath) => !links.has(replyPath)),
+      });
+    });
+
+    byType('unmarked-reply').forEach((issue) => {
+      patch(issue.path, { isReply: true });
+    });
+    byType('orphaned-reply').forEach((issue) => {
+      patch(issue.path, { isReply: false });
+    });
+
+    for (const [filePath, changes] of patches) {
+      pileIndex.updateFrontmatter(filePath, changes);
+    }
+
+    byType('missing-file').forEach((issue) => pileIndex.remove(issue.path));
+    [...byType('unindexed-file'), ...byType('stale-index')]
+      .filter((issue) => !patches.has(issue.path))
+      .forEach((issue) =>
+        pileIndex.update(issue.path, entries.get(issue.path)),
+      );
+
+    byType('dangling-tag').forEach((issue) => {
+      pileTags.remove(issue.tag, issue.post);
+    });
+    byType('untracked-tag').forEach((issue) => {
+      pileTags.add(issue.tag, path.join(pilePath, issue.path));
+    });
+
+    unique(
+      byType('dangling-highlight').map((issue) => issue.highlight),
+    ).forEach((highlight) => pileHighlights.create(highlight));
+
+    console.log(`🩺 Repaired ${issues.length} issues in pile:`, pilePath);
+    return { repaired: issues.length, report: await this.verify() };
+  }
+}
+
+module.exports = new PileRepair();
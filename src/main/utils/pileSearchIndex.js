@@ -2,84 +2,358 @@ const fs = require('fs');
 const path = require('path');
 const lunr = require('lunr');
 const matter = require('gray-matter');
-const { BrowserWindow } = require('electron');
 const { convertHTMLToPlainText } = require('../util');
 
+// Bump this when the shape of the indexed documents changes so
+// stale persisted indexes get rebuilt instead of loaded
+const SEARCH_INDEX_VERSION = 1;
+const SAVE_DELAY_MS = 2000;
+const SNIPPET_LENGTH = 200;
+const SNIPPET_CONTEXT = 60;
+// Changed threads are searched in a small side index until there are
+// this many, then the main index is rebuilt with them on the next search
+const MAX_CHANGED_THREADS = 200;
+
+const escapeRegExp = (string) => string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
 class PileSearchIndex {
   constructor() {
     this.pilePath = null;
     this.indexFileName = 'search_index.json';
     this.index = null;
+    // thread path -> flattened document that was fed to lunr
+    this.documents = new Map();
+    // threads added, edited or removed since `index` was built, searched
+    // through `changedIndex` instead
+    this.changed = new Set();
+    this.changedIndex = null;
+    this.saveTimeout = null;
   }
 
+  // Loads the persisted index for the pile and only re-reads the
+  // threads that changed since it was saved. Falls back to a full
+  // build when there is nothing usable on disk.
   initialize(pilePath, index) {
+    if (this.pilePath && this.pilePath !== pilePath) {
+      this.flush();
+    }
+
     this.pilePath = pilePath;
-    this.index = this.loadIndex(pilePath, index);
+    this.index = null;
+    this.documents = new Map();
+    this.changed = new Set();
+    this.changedIndex = null;
+
+    const loaded = this.loadIndex();
+    let changed = !loaded;
+
+    // drop threads that no longer exist in the pile
+    for (const filePath of this.documents.keys()) {
+      const metadata = index.get(filePath);
+      if (!metadata || metadata.isReply) {
+        this.documents.delete(filePath);
+        changed = true;
+      }
+    }
+
+    // (re)build documents for new or modified threads
+    for (const [filePath, metadata] of index) {
+      if (metadata.isReply) continue;
+      const stamp = this.getThreadStamp(metadata, index);
+      const existing = this.documents.get(filePath);
+      if (existing && existing.stamp === stamp) continue;
+
+      const doc = this.buildDocument(filePath, metadata, stamp);
+      if (doc) {
+        this.documents.set(filePath, doc);
+      } else {
+        this.documents.delete(filePath);
+      }
+      changed = true;
+    }
+
+    if (changed) {
+      this.rebuild();
+      this.saveIndex();
+    }
+
     return this.index;
   }
 
-  loadIndex(pilePath, index) {
+  // A cheap fingerprint of a thread taken from the index alone, so
+  // we can tell whether a persisted document is stale without reading
+  // the markdown files from disk.
+  getThreadStamp(metadata, index) {
+    const replies = (metadata.replies || []).map(
+      (replyPath) => `${replyPath}@${index.get(replyPath)?.updatedAt ?? ''}`,
+    );
+    return [metadata.updatedAt ?? '', ...replies].join('|');
+  }
+
+  buildDocument(filePath, metadata, stamp) {
     try {
-      this.index = lunr((builder) => {
-        builder.ref('id');
-        builder.field('title');
-        builder.field('content');
-        builder.field('attachments');
-        builder.field('highlight');
-        builder.field('createdAt');
-        builder.field('updatedAt');
-        builder.field('isReply');
-        builder.field('isAI');
-
-        for (const [filePath, metadata] of index) {
-          try {
-            //  we only index parent documents
-            // the replies are concatenated to the contents
-            if (metadata.isReply) continue;
-            const fullPath = path.join(this.pilePath, filePath);
-            const fileContent = fs.readFileSync(fullPath, 'utf8');
-            let { content } = matter(fileContent);
-
-            // concat the contents of replies
-            for (const replyPath of metadata.replies) {
-              const replyFullPath = path.join(this.pilePath, replyPath);
-              const replyFileContent = fs.readFileSync(replyFullPath, 'utf8');
-              const { content: replyContent } = matter(replyFileContent);
-              content += `\n${replyContent}`;
-            }
-
-            const doc = {
-              id: filePath,
-              title: metadata.title,
-              attachments: metadata.attachments.join(' '),
-              content: convertHTMLToPlainText(content),
-              isReply: metadata.isReply,
-              isAI: metadata.isAI,
-              highlight: metadata.highlight,
-              createdAt: metadata.createdAt,
-              updatedAt: metadata.updatedAt,
-            };
-
-            builder.add(doc);
-          } catch (error) {
-            console.error('Failed to add entry to search index: ', filePath);
-          }
+      const fullPath = path.join(this.pilePath, filePath);
+      const fileContent = fs.readFileSync(fullPath, 'utf8');
+      let { content } = matter(fileContent);
+
+      // concat the contents of replies
+      for (const replyPath of metadata.replies || []) {
+        try {
+          const replyFullPath = path.join(this.pilePath, replyPath);
+          const replyFileContent = fs.readFileSync(replyFullPath, 'utf8');
+          const { content: replyContent } = matter(replyFileContent);
+          content += `\n${replyContent}`;
+        } catch (error) {
+          continue;
         }
-      });
+      }
+
+      return {
+        id: filePath,
+        stamp,
+        title: metadata.title,
+        attachments: (metadata.attachments || []).join(' '),
+        content: convertHTMLToPlainText(content),
+        isReply: metadata.isReply,
+        isAI: metadata.isAI,
+        highlight: metadata.highlight,
+        createdAt: metadata.createdAt,
+        updatedAt: metadata.updatedAt,
+      };
+    } catch (error) {
+      console.error('Failed to add entry to search index: ', filePath);
+      return null;
+    }
+  }
+
+  // Replies are indexed as part of their parent thread, so updating a
+  // reply means re-reading the parent it belongs to.
+  findThreadPath(filePath, index) {
+    const metadata = index.get(filePath);
+    if (metadata && !metadata.isReply) return filePath;
+
+    for (const [parentPath, parentMetadata] of index) {
+      if (parentMetadata.isReply) continue;
+      if ((parentMetadata.replies || []).includes(filePath)) {
+        return parentPath;
+      }
+    }
+
+    return null;
+  }
+
+  updateThread(filePath, index) {
+    if (!this.pilePath) return;
+    const threadPath = this.findThreadPath(filePath, index);
+    if (!threadPath) return;
+
+    const metadata = index.get(threadPath);
+    const stamp = this.getThreadStamp(metadata, index);
+    const doc = this.buildDocument(threadPath, metadata, stamp);
+
+    if (doc) {
+      this.documents.set(threadPath, doc);
+    } else {
+      this.documents.delete(threadPath);
+    }
+
+    this.markChanged(threadPath);
+  }
+
+  removeThread(filePath, index) {
+    if (!this.pilePath) return;
+
+    if (this.documents.has(filePath)) {
+      this.documents.delete(filePath);
+      this.markChanged(filePath);
+      return;
+    }
+
+    // a removed reply changes the text of its parent thread
+    const threadPath = this.findThreadPath(filePath, index);
+    if (threadPath) {
+      this.updateThread(threadPath, index);
+    }
+  }
+
+  // lunr indexes are immutable, so an edit doesn't rebuild the main
+  // index. The changed thread is hidden from it and indexed on its own
+  // next to it until enough changes pile up.
+  markChanged(threadPath) {
+    this.changed.add(threadPath);
+    this.changedIndex = null;
+    this.scheduleSave();
+  }
+
+  buildIndex(documents) {
+    return lunr((builder) => {
+      builder.ref('id');
+      builder.field('title');
+      builder.field('content');
+      builder.field('attachments');
+      builder.field('highlight');
+      builder.field('createdAt');
+      builder.field('updatedAt');
+      builder.field('isReply');
+      builder.field('isAI');
+
+      for (const doc of documents) {
+        builder.add(doc);
+      }
+    });
+  }
+
+  rebuild() {
+    try {
+      this.index = this.buildIndex(this.documents.values());
+      this.changed = new Set();
+      this.changedIndex = null;
+    } catch (error) {
+      console.error('Error building the search index:', error);
+    }
+
+    return this.index;
+  }
+
+  loadIndex() {
+    try {
+      const indexPath = path.join(this.pilePath, this.indexFileName);
+      if (!fs.existsSync(indexPath)) return false;
 
-      return this.index;
+      const data = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+      if (data?.version !== SEARCH_INDEX_VERSION) return false;
+
+      this.documents = new Map(data.documents);
+      this.index = lunr.Index.load(data.index);
+      this.changed = new Set(data.changed || []);
+      return true;
     } catch (error) {
-      console.error('Error loading the index:', error);
+      console.error('Failed to load persisted search index:', error);
+      this.documents = new Map();
+      this.index = null;
+      return false;
     }
   }
 
-  async saveIndex() {
-    const indexPath = path.join(this.pilePath, this.indexFileName);
-    fs.writeFileSync(indexPath, JSON.stringify(this.index));
+  scheduleSave() {
+    if (this.saveTimeout) clearTimeout(this.saveTimeout);
+    this.saveTimeout = setTimeout(() => {
+      this.saveTimeout = null;
+      this.saveIndex();
+    }, SAVE_DELAY_MS);
+  }
+
+  // Write out any pending changes right away, used when switching piles
+  flush() {
+    if (!this.saveTimeout) return;
+    clearTimeout(this.saveTimeout);
+    this.saveTimeout = null;
+    this.saveIndex();
+  }
+
+  // Writes the main index as it was last built, the changed threads are
+  // listed so they stay hidden from it after a reload
+  saveIndex() {
+    if (!this.pilePath) return;
+    try {
+      if (!this.index) this.rebuild();
+      const indexPath = path.join(this.pilePath, this.indexFileName);
+      const data = {
+        version: SEARCH_INDEX_VERSION,
+        documents: Array.from(this.documents.entries()),
+        index: this.index.toJSON(),
+        changed: Array.from(this.changed),
+      };
+      fs.writeFileSync(indexPath, JSON.stringify(data));
+    } catch (error) {
+      console.error('Failed to save search index:', error);
+    }
   }
 
   search(searchTerm) {
-    return this.index.search(searchTerm);
+    if (!this.index || this.changed.size > MAX_CHANGED_THREADS) {
+      this.rebuild();
+    }
+    if (this.changed.size === 0) return this.index.search(searchTerm);
+
+    if (!this.changedIndex) {
+      this.changedIndex = this.buildIndex(
+        [...this.changed]
+          .map((threadPath) => this.documents.get(threadPath))
+          .filter(Boolean),
+      );
+    }
+    return [
+      ...this.index
+        .search(searchTerm)
+        .filter((result) => !this.changed.has(result.ref)),
+      ...this.changedIndex.search(searchTerm),
+    ].sort((a, b) => b.score - a.score);
+  }
+
+  // Plain text of an indexed thread, including its replies
+  getText(ref) {
+    const doc = this.documents.get(ref);
+    if (!doc) return null;
+    return `${doc.content || ''}`
+      .replace(/<[^>]+>/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  // Matches any word that shares a stem with one of the query terms, so
+  // "walking" in a query also marks "walked" and "walks" in the text.
+  termsPattern(query) {
+    const stems = (query || '')
+      .toLowerCase()
+      .split(/\s+/)
+      // drop lunr presence, field, boost and fuzziness syntax
+      .map((term) => term.replace(/^[+-]|[~^].*$/g, '').replace(/^.*:/, ''))
+      .map((term) => term.replace(/[^\p{L}\p{N}]/gu, ''))
+      .filter((term) => term.length > 1)
+      .map((term) => lunr.stemmer(new lunr.Token(term)).toString());
+
+    if (stems.length === 0) return null;
+    const alternatives = [...new Set(stems)].map(escapeRegExp).join('|');
+    return new RegExp(
+      `(?<![\\p{L}\\p{N}])(?:${alternatives})[\\p{L}\\p{N}]*`,
+      'giu',
+    );
+  }
+
+  // Returns the passage of a thread around the first query match, with
+  // the offsets of every matched word inside it. Threads that only
+  // matched semantically get their opening lines instead.
+  getSnippet(ref, query) {
+    const text = this.getText(ref);
+    if (!text) return null;
+
+    const pattern = this.termsPattern(query);
+    const firstMatch = pattern ? text.search(pattern) : -1;
+
+    let start = 0;
+    if (firstMatch > SNIPPET_CONTEXT) {
+      start = text.lastIndexOf(' ', firstMatch - SNIPPET_CONTEXT) + 1;
+    }
+    let end = Math.min(text.length, start + SNIPPET_LENGTH);
+    if (end < text.length) {
+      const lastSpace = text.lastIndexOf(' ', end);
+      if (lastSpace > start) end = lastSpace;
+    }
+
+    const body = text.slice(start, end);
+    const prefix = start > 0 ? '… ' : '';
+    const suffix = end < text.length ? ' …' : '';
+
+    const matches = [];
+    if (pattern) {
+      for (const match of body.matchAll(pattern)) {
+        const offset = prefix.length + match.index;
+        matches.push([offset, offset + match[0].length]);
+      }
+    }
+
+    return { text: `${prefix}${body}${suffix}`, matches };
   }
 }
 
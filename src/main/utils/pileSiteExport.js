@@ -0,0 +1,391 @@
+const fs = require('fs');
+const path = require('path');
+const matter = require('gray-matter');
+const { walk, convertHTMLToPlainText } = require('../util');
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.svg', '.webp'];
+const VIDEO_EXTENSIONS = ['.mp4', '.mov', '.webm'];
+
+const escapeHtml = (text) =>
+  String(text ?? '').replace(
+    /[&<>"']/g,
+    (c) =>
+      ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[
+        c
+      ],
+  );
+
+// Post bodies are the editor's HTML, scripts are the only thing dropped
+const cleanBody = (html) =>
+  html
+    .replace(/<script[\s\S]*?<\/script>/gi, '')
+    .replace(/\son\w+="[^"]*"/gi, '');
+
+const toPosix = (filePath) => filePath.replace(/\\/g, '/');
+
+const formatDate = (date) =>
+  date.toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+  });
+
+const formatTime = (date) =>
+  date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+
+const formatMonth = (date) =>
+  date.toLocaleDateString('en-US', { year: 'numeric', month: 'long' });
+
+const STYLE = `
+body { margin: 0; background: #fafafa; color: #222; font: 16px/1.6 -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; }
+header { display: flex; gap: 16px; align-items: center; padding: 16px 24px; border-bottom: 1px solid #e5e5e5; background: #fff; }
+header .name { font-weight: 600; margin-right: auto; }
+header a { color: inherit; text-decoration: none; }
+main { max-width: 720px; margin: 0 auto; padding: 24px; }
+h2 { font-size: 14px; text-transform: uppercase; letter-spacing: 0.05em; opacity: 0.6; margin-top: 32px; }
+a { color: #0a63d6; }
+.list { list-style: none; padding: 0; }
+.list li { padding: 10px 0; border-bottom: 1px solid #eee; }
+.list .meta { font-size: 13px; opacity: 0.6; }
+.entry { padding: 16px 0; }
+.reply { margin-left: 16px; padding-left: 16px; border-left: 2px solid #e5e5e5; }
+.ai { background: #f1f5ff; border-left-color: #7a9cff; border-radius: 0 8px 8px 0; padding-right: 12px; }
+.entry .meta { font-size: 13px; opacity: 0.6; }
+.tags { display: flex; flex-wrap: wrap; gap: 6px; margin: 8px 0; }
+.tag { font-size: 13px; padding: 2px 8px; border-radius: 10px; background: #eee; color: inherit; text-decoration: none; }
+.highlight { display: inline-flex; align-items: center; gap: 6px; font-size: 13px; }
+.highlight i { width: 10px; height: 10px; border-radius: 50%; display: inline-block; }
+.attachments img, .attachments video { max-width: 100%; border-radius: 8px; margin: 8px 0; display: block; }
+input[type=search] { width: 100%; padding: 10px 12px; font-size: 16px; border: 1px solid #ddd; border-radius: 8px; }
+`;
+
+const SEARCH_SCRIPT = `
+(function () {
+  var input = document.getElementById('search');
+  var results = document.getElementById('results');
+  var entries = window.PILE_SEARCH || [];
+
+  function render(query) {
+    var terms = query.toLowerCase().split(/\\s+/).filter(Boolean);
+    results.innerHTML = '';
+    if (!terms.length) return;
+    entries
+      .filter(function (entry) {
+        var haystack = (entry.title + ' ' + entry.tags.join(' ') + ' ' + entry.text).toLowerCase();
+        return terms.every(function (term) { return haystack.indexOf(term) !== -1; });
+      })
+      .forEach(function (entry) {
+        var li = document.createElement('li');
+        var link = document.createElement('a');
+        link.href = entry.url;
+        link.textContent = entry.title || entry.text.slice(0, 80) || entry.date;
+        var meta = document.createElement('div');
+        meta.className = 'meta';
+        meta.textContent = entry.date;
+        li.appendChild(link);
+        li.appendChild(meta);
+        results.appendChild(li);
+      });
+  }
+
+  input.addEventListener('input', function () { render(input.value); });
+  var query = new URLSearchParams(location.search).get('q');
+  if (query) { input.value = query; render(query); }
+})();
+`;
+
+// Renders a pile into a static site: an index of threads by month, a page
+// per thread with its replies, tag pages and a search page. Every link is
+// relative so the folder can be zipped or served from anywhere.
+class PileSiteExport {
+  async readEntries(pilePath) {
+    const entries = new Map();
+    for (const filePath of await walk(pilePath)) {
+      const relativePath = toPosix(path.relative(pilePath, filePath));
+      if (relativePath.startsWith('.pile/')) continue;
+      try {
+        const { data, content } = matter(
+          await fs.promises.readFile(filePath, 'utf8'),
+        );
+        entries.set(relativePath, { path: relativePath, data, content });
+      } catch (error) {
+        console.warn('Skipping unreadable entry', relativePath);
+      }
+    }
+    return entries;
+  }
+
+  async readHighlights(pilePath) {
+    try {
+      const data = await fs.promises.readFile(
+        path.join(pilePath, 'highlights.json'),
+        'utf8',
+      );
+      return new Map(JSON.parse(data));
+    } catch (error) {
+      return new Map();
+    }
+  }
+
+  // Threads are the entries that aren't replies, newest first, with the
+  // replies they list in order
+  collectThreads(entries) {
+    const threads = [];
+    for (const entry of entries.values()) {
+      if (entry.data.isReply) continue;
+      const replies = (entry.data.replies || [])
+        .map((replyPath) => entries.get(toPosix(replyPath)))
+        .filter(Boolean);
+      threads.push({
+        ...entry,
+        replies,
+        createdAt: new Date(entry.data.createdAt || 0),
+        page: `threads/${path.basename(entry.path, '.md')}.html`,
+      });
+    }
+    return threads.sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  tagSlugs(threads) {
+    const slugs = new Map();
+    const used = new Set();
+    const tags = new Set(threads.flatMap((thread) => thread.data.tags || []));
+    for (const tag of [...tags].sort((a, b) => a.localeCompare(b))) {
+      const base =
+        String(tag)
+          .toLowerCase()
+          .replace(/[^a-z0-9]+/g, '-')
+          .replace(/^-|-$/g, '') || 'tag';
+      let slug = base;
+      for (let i = 2; used.has(slug); i++) slug = `${base}-${i}`;
+      used.add(slug);
+      slugs.set(tag, slug);
+    }
+    return slugs;
+  }
+
+  async export(pilePath, outputDir, { title = path.basename(pilePath) } = {}) {
+    const entries = await this.readEntries(pilePath);
+    const highlights = await this.readHighlights(pilePath);
+    const threads = this.collectThreads(entries);
+    const tagSlugs = this.tagSlugs(threads);
+
+    await fs.promises.mkdir(path.join(outputDir, 'threads'), {
+      recursive: true,
+    });
+    await fs.promises.mkdir(path.join(outputDir, 'tags'), { recursive: true });
+    await fs.promises.writeFile(path.join(outputDir, 'style.css'), STYLE);
+    await fs.promises.writeFile(
+      path.join(outputDir, 'search.js'),
+      SEARCH_SCRIPT,
+    );
+
+    const attachments = new Set();
+    const page = (pageTitle, body, depth) => {
+      const root = depth ? '../'.repeat(depth) : '';
+      return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(pageTitle)}</title>
+<link rel="stylesheet" href="${root}style.css">
+</head>
+<body>
+<header>
+<a class="name" href="${root}index.html">${escapeHtml(title)}</a>
+<a href="${root}tags/index.html">Tags</a>
+<a href="${root}search.html">Search</a>
+</header>
+<main>
+${body}
+</main>
+</body>
+</html>
+`;
+    };
+
+    const renderTags = (tags, root) =>
+      tags.length
+        ? `<div class="tags">${tags
+            .map(
+              (tag) =>
+                `<a class="tag" href="${root}tags/${tagSlugs.get(tag)}.html">#${escapeHtml(tag)}</a>`,
+            )
+            .join('')}</div>`
+        : '';
+
+    const renderAttachments = (entry, root) => {
+      const items = (entry.data.attachments || []).map((attachment) => {
+        const relativePath = toPosix(attachment);
+        attachments.add(relativePath);
+        const src = `${root}media/${relativePath
+          .split('/')
+          .map(encodeURIComponent)
+          .join('/')}`;
+        const extension = path.extname(relativePath).toLowerCase();
+        if (IMAGE_EXTENSIONS.includes(extension)) {
+          return `<img src="${src}" alt="" loading="lazy">`;
+        }
+        if (VIDEO_EXTENSIONS.includes(extension)) {
+          return `<video src="${src}" controls></video>`;
+        }
+        return `<a href="${src}">${escapeHtml(path.basename(relativePath))}</a>`;
+      });
+      return items.length
+        ? `<div class="attachments">${items.join('')}</div>`
+        : '';
+    };
+
+    const renderEntry = (entry, root, className) => {
+      const createdAt = new Date(entry.data.createdAt || 0);
+      const highlight = entry.data.highlight;
+      const color =
+        highlights.get(highlight)?.color || entry.data.highlightColor;
+      return `<article class="${className}${entry.data.isAI ? ' ai' : ''}">
+<div class="meta">${entry.data.isAI ? 'AI · ' : ''}${formatDate(createdAt)} ${formatTime(createdAt)}</div>
+${
+  highlight
+    ? `<div class="highlight"><i style="background:${escapeHtml(color || '#ccc')}"></i>${escapeHtml(highlight)}</div>`
+    : ''
+}
+${entry.data.title ? `<h1>${escapeHtml(entry.data.title)}</h1>` : ''}
+${cleanBody(entry.content)}
+${renderAttachments(entry, root)}
+${renderTags(entry.data.tags || [], root)}
+</article>`;
+    };
+
+    const threadLabel = (thread) =>
+      thread.data.title ||
+      convertHTMLToPlainText(thread.content).trim().slice(0, 80) ||
+      formatDate(thread.createdAt);
+
+    const renderList = (list, root) =>
+      `<ul class="list">${list
+        .map(
+          (thread) =>
+            `<li><a href="${root}${thread.page}">${escapeHtml(threadLabel(thread))}</a><div class="meta">${formatDate(thread.createdAt)}${
+              thread.replies.length ? ` · ${thread.replies.length} replies` : ''
+            }</div></li>`,
+        )
+        .join('')}</ul>`;
+
+    // One page per thread
+    for (const thread of threads) {
+      const body = [
+        renderEntry(thread, '../', 'entry'),
+        ...thread.replies.map((reply) =>
+          renderEntry(reply, '../', 'entry reply'),
+        ),
+      ].join('\n');
+      await fs.promises.writeFile(
+        path.join(outputDir, thread.page),
+        page(threadLabel(thread), body, 1),
+      );
+    }
+
+    // Chronological index, grouped by month
+    const months = new Map();
+    for (const thread of threads) {
+      const month = formatMonth(thread.createdAt);
+      if (!months.has(month)) months.set(month, []);
+      months.get(month).push(thread);
+    }
+    await fs.promises.writeFile(
+      path.join(outputDir, 'index.html'),
+      page(
+        title,
+        [...months]
+          .map(
+            ([month, list]) =>
+              `<h2>${escapeHtml(month)}</h2>${renderList(list, '')}`,
+          )
+          .join('\n'),
+        0,
+      ),
+    );
+
+    // A page per tag and a list of them all
+    for (const [tag, slug] of tagSlugs) {
+      const tagged = threads.filter((thread) =>
+        (thread.data.tags || []).includes(tag),
+      );
+      await fs.promises.writeFile(
+        path.join(outputDir, 'tags', `${slug}.html`),
+        page(
+          `#${tag}`,
+          `<h2>#${escapeHtml(tag)}</h2>${renderList(tagged, '../')}`,
+          1,
+        ),
+      );
+    }
+    await fs.promises.writeFile(
+      path.join(outputDir, 'tags', 'index.html'),
+      page(
+        'Tags',
+        `<h2>Tags</h2><div class="tags">${[...tagSlugs]
+          .map(
+            ([tag, slug]) =>
+              `<a class="tag" href="${slug}.html">#${escapeHtml(tag)}</a>`,
+          )
+          .join('')}</div>`,
+        1,
+      ),
+    );
+
+    // The search index is a script so it loads from file:// as well
+    const searchIndex = threads.map((thread) => ({
+      url: thread.page,
+      title: thread.data.title || '',
+      date: formatDate(thread.createdAt),
+      tags: thread.data.tags || [],
+      text: [thread, ...thread.replies]
+        .map((entry) => convertHTMLToPlainText(entry.content).trim())
+        .join('\n'),
+    }));
+    await fs.promises.writeFile(
+      path.join(outputDir, 'search-index.js'),
+      `window.PILE_SEARCH = ${JSON.stringify(searchIndex).replace(/</g, '\\u003c')};\n`,
+    );
+    await fs.promises.writeFile(
+      path.join(outputDir, 'search.html'),
+      page(
+        'Search',
+        `<input id="search" type="search" placeholder="Search ${escapeHtml(title)}" autofocus>
+<ul id="results" class="list"></ul>
+<script src="search-index.js"></script>
+<script src="search.js"></script>`,
+        0,
+      ),
+    );
+
+    let copied = 0;
+    for (const attachment of attachments) {
+      const source = path.resolve(pilePath, attachment);
+      if (!source.startsWith(path.resolve(pilePath) + path.sep)) continue;
+      const target = path.join(outputDir, 'media', attachment);
+      try {
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+        await fs.promises.copyFile(source, target);
+        copied++;
+      } catch (error) {
+        console.warn('Missing attachment', attachment);
+      }
+    }
+
+    const summary = {
+      generatedAt: new Date().toISOString(),
+      threads: threads.length,
+      tags: tagSlugs.size,
+      attachments: copied,
+    };
+    await fs.promises.writeFile(
+      path.join(outputDir, 'site.json'),
+      JSON.stringify(summary, null, 2),
+    );
+    return summary;
+  }
+}
+
+module.exports = new PileSiteExport();
@@ -2,6 +2,9 @@ const fs = require('fs');
 const path = require('path');
 const glob = require('glob');
 const matter = require('gray-matter');
+const pileIndex = require('./pileIndex');
+
+const unique = (values) => Array.from(new Set(values));
 
 class PileTags {
   constructor() {
@@ -53,13 +56,31 @@ class PileTags {
     });
   }
 
+  // Picks up the tags of many posts, e.g. after an import, saving once
+  syncMany(filePaths) {
+    filePaths.forEach((filePath) => {
+      const { data } = matter(fs.readFileSync(filePath, 'utf8'));
+      (data.tags || []).forEach((tag) => {
+        const tagged = this.tags.get(tag) || {
+          color: null,
+          icon: null,
+          posts: [],
+        };
+        if (!tagged.posts.includes(filePath)) tagged.posts.push(filePath);
+        this.tags.set(tag, tagged);
+      });
+    });
+    this.save();
+    return this.tags;
+  }
+
   add(tag, filePath) {
     const fileContent = fs.readFileSync(filePath, 'utf8');
     const { data, content } = matter(fileContent);
 
     if (this.tags.has(tag)) {
       const updatedTag = this.tags.get(tag);
-      if (!updatedTag.posts.includes(tag)) {
+      if (!updatedTag.posts.includes(filePath)) {
         updatedTag.posts.push(filePath);
         this.tags.set(tag, updatedTag);
       }
@@ -81,7 +102,98 @@ class PileTags {
       this.save();
     }
 
-    return this.index;
+    return this.tags;
+  }
+
+  // Entries in the index carrying any of these tags
+  findTagged(tags) {
+    const files = [];
+    for (const [filePath, metadata] of pileIndex.get()) {
+      if ((metadata.tags || []).some((tag) => tags.includes(tag))) {
+        files.push(filePath);
+      }
+    }
+    return files;
+  }
+
+  // Replaces `tags` with `replacement` in the frontmatter of every entry
+  // using them, or drops them when `replacement` is null. Returns the
+  // relative paths of the rewritten entries.
+  rewriteTags(tags, replacement) {
+    const changed = [];
+    for (const filePath of this.findTagged(tags)) {
+      try {
+        pileIndex.updateFrontmatter(filePath, (data) => ({
+          tags: unique(
+            (data.tags || [])
+              .map((tag) => (tags.includes(tag) ? replacement : tag))
+              .filter(Boolean),
+          ),
+        }));
+        changed.push(filePath);
+      } catch (error) {
+        console.warn('Failed to update the tags of post:', filePath);
+      }
+    }
+    return changed;
+  }
+
+  rename(tag, newTag) {
+    const name = `${newTag ?? ''}`.trim();
+    if (!name || name === tag) return [];
+    return this.merge([tag], name);
+  }
+
+  // Folds `tags` into `target` across the pile. The target keeps its own
+  // color and icon, or takes over those of the first tag that had any.
+  merge(tags, target) {
+    const sources = tags.filter((tag) => tag !== target);
+    if (sources.length === 0) return [];
+
+    const changed = this.rewriteTags(sources, target);
+    const existing = this.tags.get(target);
+    const styled = sources
+      .map((tag) => this.tags.get(tag))
+      .filter(Boolean)
+      .find((source) => source.color || source.icon);
+    const posts = unique([
+      ...(existing?.posts || []),
+      ...changed.map((filePath) => path.join(this.pilePath, filePath)),
+    ]);
+
+    sources.forEach((tag) => this.tags.delete(tag));
+    this.tags.set(target, {
+      color: existing?.color ?? styled?.color ?? null,
+      icon: existing?.icon ?? styled?.icon ?? null,
+      posts,
+    });
+    this.save();
+
+    return changed;
+  }
+
+  // Removes the tag from every entry and forgets it
+  delete(tag) {
+    const changed = this.rewriteTags([tag], null);
+    this.tags.delete(tag);
+    this.save();
+    return changed;
+  }
+
+  // Sets the color and/or icon of a tag, null clears them
+  style(tag, { color, icon } = {}) {
+    const current = this.tags.get(tag) || {
+      color: null,
+      icon: null,
+      posts: [],
+    };
+    this.tags.set(tag, {
+      ...current,
+      ...(color !== undefined && { color }),
+      ...(icon !== undefined && { icon }),
+    });
+    this.save();
+    return this.tags;
   }
 
   save() {
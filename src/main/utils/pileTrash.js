@@ -0,0 +1,212 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const matter = require('gray-matter');
+
+const TRASH_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toRelative = (pilePath, filePath) =>
+  path.relative(pilePath, path.resolve(pilePath, filePath)).replace(/\\/g, '/');
+
+const exists = (filePath) =>
+  fs.promises
+    .access(filePath)
+    .then(() => true)
+    .catch(() => false);
+
+const preview = (content) =>
+  content
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 140);
+
+// Deleted posts wait in .pile/trash until they expire or the trash is
+// emptied. Each entry is a folder with the post, its replies and their
+// attachments under files/ at their paths in the pile, and an entry.json
+// saying where they came from.
+class PileTrash {
+  trashDir(pilePath) {
+    return path.join(pilePath, '.pile', 'trash');
+  }
+
+  entryDir(pilePath, entryId) {
+    // Ids are generated here, anything else is not an entry
+    if (!/^[\w-]+$/.test(entryId)) throw new Error('Invalid trash entry');
+    return path.join(this.trashDir(pilePath), entryId);
+  }
+
+  async readEntry(pilePath, entryId) {
+    try {
+      const manifest = await fs.promises.readFile(
+        path.join(this.entryDir(pilePath, entryId), 'entry.json'),
+        'utf8',
+      );
+      return JSON.parse(manifest);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async readPost(pilePath, postPath) {
+    try {
+      return matter(
+        await fs.promises.readFile(path.join(pilePath, postPath), 'utf8'),
+      );
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Move a post into the trash along with its replies and attachments.
+  // Replies are left in place when `withReplies` is off, e.g. for posts
+  // deleted on another device whose replies are deleted on their own.
+  async trash(
+    pilePath,
+    filePath,
+    { parentPath = null, withReplies = true, reason = 'delete' } = {},
+  ) {
+    const postPath = toRelative(pilePath, filePath);
+    const post = await this.readPost(pilePath, postPath);
+    if (!post) throw new Error('Post not found');
+
+    const replies = withReplies ? post.data.replies || [] : [];
+    const posts = [postPath];
+    for (const replyPath of replies) {
+      if (await exists(path.join(pilePath, replyPath))) posts.push(replyPath);
+    }
+
+    const attachments = new Set();
+    for (const entryPath of posts) {
+      const { data } =
+        entryPath === postPath
+          ? post
+          : await this.readPost(pilePath, entryPath);
+      for (const attachment of data?.attachments || []) {
+        attachments.add(toRelative(pilePath, attachment));
+      }
+      // Synced attachments live in a folder named after the post
+      const folder = `attachments/${data?.id || path.basename(entryPath, '.md')}`;
+      if (await exists(path.join(pilePath, folder))) attachments.add(folder);
+    }
+
+    const deletedAt = new Date();
+    const entry = {
+      id: `${deletedAt.getTime()}-${crypto.randomBytes(4).toString('hex')}`,
+      postPath,
+      parentPath: parentPath ? toRelative(pilePath, parentPath) : null,
+      title: post.data.title || '',
+      preview: preview(post.content),
+      reason,
+      deletedAt: deletedAt.toISOString(),
+      expiresAt: new Date(
+        deletedAt.getTime() + TRASH_DAYS * DAY_MS,
+      ).toISOString(),
+      posts,
+      attachments: [],
+    };
+
+    const filesDir = path.join(this.entryDir(pilePath, entry.id), 'files');
+    for (const entryPath of posts) {
+      await this.move(
+        path.join(pilePath, entryPath),
+        path.join(filesDir, entryPath),
+      );
+    }
+    for (const attachment of attachments) {
+      if (attachment.startsWith('..') || attachment.startsWith('.pile/'))
+        continue;
+      if (!(await exists(path.join(pilePath, attachment)))) continue;
+      await this.move(
+        path.join(pilePath, attachment),
+        path.join(filesDir, attachment),
+      );
+      entry.attachments.push(attachment);
+    }
+
+    await fs.promises.writeFile(
+      path.join(this.entryDir(pilePath, entry.id), 'entry.json'),
+      JSON.stringify(entry, null, 2),
+    );
+    return entry;
+  }
+
+  async move(from, to) {
+    await fs.promises.mkdir(path.dirname(to), { recursive: true });
+    await fs.promises.rename(from, to);
+  }
+
+  // Entries still in the trash, most recently deleted first
+  async list(pilePath) {
+    await this.purgeExpired(pilePath);
+
+    const entries = [];
+    const names = await fs.promises
+      .readdir(this.trashDir(pilePath), { withFileTypes: true })
+      .catch(() => []);
+    for (const dirent of names) {
+      if (!dirent.isDirectory()) continue;
+      const entry = await this.readEntry(pilePath, dirent.name);
+      if (entry) entries.push(entry);
+    }
+
+    return entries.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+  }
+
+  // Put the files of an entry back where they were. A post that exists
+  // again at its path is never overwritten.
+  async restore(pilePath, entryId) {
+    const entry = await this.readEntry(pilePath, entryId);
+    if (!entry) throw new Error('Trash entry not found');
+
+    for (const postPath of entry.posts) {
+      if (await exists(path.join(pilePath, postPath))) {
+        throw new Error(`A post already exists at ${postPath}`);
+      }
+    }
+
+    const filesDir = path.join(this.entryDir(pilePath, entryId), 'files');
+    for (const filePath of [...entry.posts, ...entry.attachments]) {
+      const target = path.join(pilePath, filePath);
+      if (await exists(target)) continue;
+      await this.move(path.join(filesDir, filePath), target);
+    }
+
+    await this.remove(pilePath, entryId);
+    return entry;
+  }
+
+  // Delete an entry for good
+  async remove(pilePath, entryId) {
+    await fs.promises.rm(this.entryDir(pilePath, entryId), {
+      recursive: true,
+      force: true,
+    });
+  }
+
+  // Delete everything in the trash for good, posts removed by older
+  // versions of sync included
+  async empty(pilePath) {
+    await fs.promises.rm(this.trashDir(pilePath), {
+      recursive: true,
+      force: true,
+    });
+  }
+
+  async purgeExpired(pilePath) {
+    const now = Date.now();
+    const names = await fs.promises
+      .readdir(this.trashDir(pilePath), { withFileTypes: true })
+      .catch(() => []);
+    for (const dirent of names) {
+      if (!dirent.isDirectory()) continue;
+      const entry = await this.readEntry(pilePath, dirent.name);
+      if (entry && new Date(entry.expiresAt).getTime() <= now) {
+        await this.remove(pilePath, entry.id);
+      }
+    }
+  }
+}
+
+module.exports = new PileTrash();
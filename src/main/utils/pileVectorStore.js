@@ -0,0 +1,361 @@
+const fs = require('fs');
+const path = require('path');
+const { IVFIndex } = require('./ivfIndex');
+
+// Bump when the on-disk layout changes, older stores are discarded
+const VECTOR_STORE_VERSION = 2;
+const VECTORS_MAGIC = 'PVS1';
+const IVF_MAGIC = 'PIV1';
+const HEADER_BYTES = 12; // magic + dimension + count
+
+// Below this many vectors a brute force scan is fast enough and exact
+const ANN_MIN_SIZE = 2000;
+const ANN_PROBE_RATIO = 0.1;
+const ANN_MIN_PROBES = 4;
+
+function writeFileAtomic(filePath, data) {
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, data);
+  fs.renameSync(tmpPath, filePath);
+}
+
+function vectorNorm(vector) {
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) norm += vector[i] ** 2;
+  return Math.sqrt(norm);
+}
+
+class PileVectorStore {
+  constructor() {
+    this.pilePath = null;
+    this.fileName = 'vectors.bin';
+    this.metaFileName = 'vectors.json';
+    this.ivfFileName = 'vectors.ivf';
+    this.resetState(null, null);
+  }
+
+  resetState(model, dimension) {
+    this.model = model;
+    this.dimension = dimension;
+    this.ids = [];
+    this.slots = new Map(); // id -> slot
+    this.info = new Map(); // id -> caller supplied details, e.g. offsets
+    this.vectors = new Float32Array(0);
+    this.norms = new Float32Array(0);
+    this.ivf = null;
+    this.ivfTrainedSize = 0;
+  }
+
+  get size() {
+    return this.ids.length;
+  }
+
+  filePath(fileName) {
+    return path.join(this.pilePath, fileName);
+  }
+
+  // Loads the store for a pile. Returns false when there is no usable
+  // store on disk, in which case the store starts out empty.
+  load(pilePath) {
+    this.pilePath = pilePath;
+    this.resetState(null, null);
+
+    try {
+      const metaPath = this.filePath(this.metaFileName);
+      const binPath = this.filePath(this.fileName);
+      if (!fs.existsSync(metaPath) || !fs.existsSync(binPath)) return false;
+
+      const meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+      if (meta.version !== VECTOR_STORE_VERSION) return false;
+
+      const buffer = fs.readFileSync(binPath);
+      if (buffer.toString('latin1', 0, 4) !== VECTORS_MAGIC) {
+        throw new Error('Unrecognised vector file');
+      }
+      const dimension = buffer.readUInt32LE(4);
+      const count = buffer.readUInt32LE(8);
+      // an empty store has no dimension yet, its file says 0
+      if (
+        count !== meta.ids.length ||
+        (count > 0 && dimension !== meta.dimension)
+      ) {
+        throw new Error('Vector file does not match its metadata');
+      }
+
+      // copy into an aligned buffer, records are [norm, ...vector]
+      const records = new Float32Array(count * (dimension + 1));
+      new Uint8Array(records.buffer).set(
+        buffer.subarray(HEADER_BYTES, HEADER_BYTES + records.byteLength),
+      );
+
+      this.resetState(meta.model, count > 0 ? dimension : null);
+      this.ensureCapacity(count);
+      const info = new Map(meta.info || []);
+      meta.ids.forEach((id, slot) => {
+        const offset = slot * (dimension + 1);
+        this.norms[slot] = records[offset];
+        this.vectors.set(
+          records.subarray(offset + 1, offset + 1 + dimension),
+          slot * dimension,
+        );
+        this.ids.push(id);
+        this.slots.set(id, slot);
+        if (info.has(id)) this.info.set(id, info.get(id));
+      });
+
+      this.loadIVF(meta.ivf);
+      return true;
+    } catch (error) {
+      console.error('Failed to load vector store:', error);
+      this.resetState(null, null);
+      return false;
+    }
+  }
+
+  loadIVF(ivfMeta) {
+    if (!ivfMeta) return;
+    try {
+      const buffer = fs.readFileSync(this.filePath(this.ivfFileName));
+      if (buffer.toString('latin1', 0, 4) !== IVF_MAGIC) return;
+      const dimension = buffer.readUInt32LE(4);
+      const k = buffer.readUInt32LE(8);
+      if (dimension !== this.dimension || k !== ivfMeta.k) return;
+
+      const centroids = new Float32Array(k * dimension);
+      new Uint8Array(centroids.buffer).set(
+        buffer.subarray(HEADER_BYTES, HEADER_BYTES + centroids.byteLength),
+      );
+      this.ivf = IVFIndex.restore(dimension, centroids, ivfMeta.assignments);
+      this.ivfTrainedSize = ivfMeta.trainedSize || this.size;
+    } catch (error) {
+      // the ANN index is derived data, it will be retrained on demand
+      this.ivf = null;
+    }
+  }
+
+  // Whether vectors in the store were produced by this embedding model
+  matchesModel(model) {
+    return this.model === model;
+  }
+
+  // Drops every vector, used when the embedding model changes
+  reset(model) {
+    this.resetState(model, null);
+  }
+
+  has(id) {
+    return this.slots.has(id);
+  }
+
+  ensureCapacity(count) {
+    const capacity = this.norms.length;
+    if (count <= capacity) return;
+    const newCapacity = Math.max(count, capacity * 2, 64);
+
+    const vectors = new Float32Array(newCapacity * this.dimension);
+    vectors.set(this.vectors);
+    this.vectors = vectors;
+
+    const norms = new Float32Array(newCapacity);
+    norms.set(this.norms);
+    this.norms = norms;
+  }
+
+  getVector(slot) {
+    const offset = slot * this.dimension;
+    return this.vectors.subarray(offset, offset + this.dimension);
+  }
+
+  getInfo(id) {
+    return this.info.get(id) ?? null;
+  }
+
+  // Ids whose stored details match a predicate
+  findIds(predicate) {
+    return this.ids.filter((id) => predicate(this.info.get(id) ?? {}, id));
+  }
+
+  getVectorById(id) {
+    const slot = this.slots.get(id);
+    return slot === undefined ? null : this.getVector(slot);
+  }
+
+  sampleSlots(count) {
+    const slots = Array.from({ length: this.size }, (_, i) => i);
+    for (let i = slots.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [slots[i], slots[j]] = [slots[j], slots[i]];
+    }
+    return slots.slice(0, count);
+  }
+
+  upsert(id, vector, info = null) {
+    if (!vector || vector.length === 0) return;
+
+    if (this.dimension === null) {
+      this.dimension = vector.length;
+    } else if (vector.length !== this.dimension) {
+      throw new Error(
+        `Embedding has ${vector.length} dimensions, store expects ${this.dimension}`,
+      );
+    }
+
+    let slot = this.slots.get(id);
+    if (slot === undefined) {
+      slot = this.size;
+      this.ensureCapacity(slot + 1);
+      this.ids.push(id);
+      this.slots.set(id, slot);
+    }
+
+    this.vectors.set(vector, slot * this.dimension);
+    this.norms[slot] = vectorNorm(vector);
+    if (info) this.info.set(id, info);
+    else this.info.delete(id);
+    if (this.ivf) this.ivf.add(id, this.getVector(slot));
+  }
+
+  remove(id) {
+    const slot = this.slots.get(id);
+    if (slot === undefined) return;
+
+    // move the last record into the freed slot to keep storage dense
+    const lastSlot = this.size - 1;
+    if (slot !== lastSlot) {
+      const lastId = this.ids[lastSlot];
+      this.vectors.copyWithin(
+        slot * this.dimension,
+        lastSlot * this.dimension,
+        (lastSlot + 1) * this.dimension,
+      );
+      this.norms[slot] = this.norms[lastSlot];
+      this.ids[slot] = lastId;
+      this.slots.set(lastId, slot);
+    }
+
+    this.ids.pop();
+    this.slots.delete(id);
+    this.info.delete(id);
+    if (this.ivf) this.ivf.remove(id);
+  }
+
+  // Whether the store is large enough for the ANN index and it is
+  // missing, or the store has doubled since it was trained
+  needsIVF() {
+    return (
+      this.size >= ANN_MIN_SIZE &&
+      (!this.ivf || this.size > this.ivfTrainedSize * 2)
+    );
+  }
+
+  // Training takes seconds on a large store, it runs in the indexing
+  // worker and the main process loads the result, see pileEmbeddings
+  trainIVF() {
+    console.time('vector-ann-train');
+    const ivf = new IVFIndex(this.dimension);
+    ivf.train(this);
+    this.ivf = ivf;
+    this.ivfTrainedSize = this.size;
+    console.timeEnd('vector-ann-train');
+  }
+
+  scoreSlot(slot, queryVector, queryNorm) {
+    const norm = this.norms[slot];
+    if (norm === 0 || queryNorm === 0) return 0;
+    const offset = slot * this.dimension;
+    let dotProduct = 0;
+    for (let i = 0; i < this.dimension; i++) {
+      dotProduct += this.vectors[offset + i] * queryVector[i];
+    }
+    return dotProduct / (norm * queryNorm);
+  }
+
+  // Cosine similarity search. Uses the ANN index for large stores once
+  // it is trained, unless `exact` is set, falling back to a full scan
+  // when the probed lists do not hold enough candidates.
+  search(queryVector, topN = 50, { exact = false } = {}) {
+    if (!queryVector || queryVector.length !== this.dimension) return [];
+
+    const query = Float32Array.from(queryVector);
+    const queryNorm = vectorNorm(query);
+    let candidateSlots = null;
+
+    // without a trained index every vector is scanned
+    const ivf = exact || this.size < ANN_MIN_SIZE ? null : this.ivf;
+    if (ivf) {
+      const probes = Math.max(
+        ANN_MIN_PROBES,
+        Math.ceil(ivf.k * ANN_PROBE_RATIO),
+      );
+      const ids = ivf.candidates(query, probes);
+      if (ids.length >= topN) {
+        candidateSlots = ids.map((id) => this.slots.get(id));
+      }
+    }
+
+    if (!candidateSlots) {
+      candidateSlots = Array.from({ length: this.size }, (_, i) => i);
+    }
+
+    const scores = candidateSlots
+      .filter((slot) => slot !== undefined)
+      .map((slot) => ({
+        id: this.ids[slot],
+        score: this.scoreSlot(slot, query, queryNorm),
+      }));
+
+    scores.sort((a, b) => b.score - a.score);
+    return scores.slice(0, topN);
+  }
+
+  save() {
+    if (!this.pilePath) return;
+    try {
+      const dimension = this.dimension || 0;
+      const count = this.size;
+      const records = new Float32Array(count * (dimension + 1));
+      for (let slot = 0; slot < count; slot++) {
+        const offset = slot * (dimension + 1);
+        records[offset] = this.norms[slot];
+        records.set(this.getVector(slot), offset + 1);
+      }
+
+      const header = Buffer.alloc(HEADER_BYTES);
+      header.write(VECTORS_MAGIC, 0, 'latin1');
+      header.writeUInt32LE(dimension, 4);
+      header.writeUInt32LE(count, 8);
+      writeFileAtomic(
+        this.filePath(this.fileName),
+        Buffer.concat([header, Buffer.from(records.buffer)]),
+      );
+
+      let ivfMeta = null;
+      if (this.ivf) {
+        const ivfHeader = Buffer.alloc(HEADER_BYTES);
+        ivfHeader.write(IVF_MAGIC, 0, 'latin1');
+        ivfHeader.writeUInt32LE(dimension, 4);
+        ivfHeader.writeUInt32LE(this.ivf.k, 8);
+        writeFileAtomic(
+          this.filePath(this.ivfFileName),
+          Buffer.concat([ivfHeader, Buffer.from(this.ivf.centroids.buffer)]),
+        );
+        ivfMeta = { ...this.ivf.toJSON(), trainedSize: this.ivfTrainedSize };
+      }
+
+      const meta = {
+        version: VECTOR_STORE_VERSION,
+        model: this.model,
+        dimension: this.dimension,
+        ids: this.ids,
+        info: Array.from(this.info.entries()),
+        ivf: ivfMeta,
+        updatedAt: new Date().toISOString(),
+      };
+      writeFileAtomic(this.filePath(this.metaFileName), JSON.stringify(meta));
+    } catch (error) {
+      console.error('Failed to save vector store:', error);
+    }
+  }
+}
+
+module.exports = new PileVectorStore();
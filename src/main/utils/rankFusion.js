@@ -0,0 +1,39 @@
+// Reciprocal-rank fusion merges ranked lists produced by searches whose
+// scores are not comparable (lunr BM25 vs cosine similarity). Each list
+// contributes 1 / (k + rank) for every id it contains, so an id ranked
+// well by several searches beats one ranked first by a single search.
+
+const RRF_K = 60;
+
+// `rankings` maps a source name to an ordered array of ids, best first.
+// Returns [{ id, score, ranks }] sorted by fused score, where `score`
+// is scaled so an id ranked first by every source scores 1.
+function reciprocalRankFusion(rankings, k = RRF_K) {
+  const sources = Object.keys(rankings);
+  const maxScore = sources.length / (k + 1);
+  const fused = new Map();
+
+  for (const source of sources) {
+    rankings[source].forEach((id, i) => {
+      const rank = i + 1;
+      let entry = fused.get(id);
+      if (!entry) {
+        entry = { id, score: 0, ranks: {} };
+        fused.set(id, entry);
+      }
+      // ignore duplicates within a list, the best rank wins
+      if (entry.ranks[source]) return;
+      entry.ranks[source] = rank;
+      entry.score += 1 / (k + rank);
+    });
+  }
+
+  return Array.from(fused.values())
+    .map((entry) => ({
+      ...entry,
+      score: maxScore > 0 ? entry.score / maxScore : 0,
+    }))
+    .sort((a, b) => b.score - a.score);
+}
+
+module.exports = { reciprocalRankFusion, RRF_K };
@@ -0,0 +1,175 @@
+// Parses the search box syntax into free text and structured filters:
+//
+//   tag:work  highlight:"Do later"  before:2025-01-01  after:2024-12
+//   is:ai  is:todo  is:done  has:attachment  "exact phrase"
+//
+// Free text is handed to lunr and the embedding model, the filters are
+// checked against the index afterwards. Unknown operators are treated
+// as plain words so a stray colon never turns into a lunr field query.
+
+// mirrors renderer/utils/todoTags
+const TODO_TAG = 'todo';
+const DONE_TAG = 'done';
+
+const TOKEN_PATTERN = /(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+
+function emptyFilters() {
+  return {
+    tags: [],
+    highlights: [],
+    before: null,
+    after: null,
+    isAI: false,
+    isTodo: false,
+    isDone: false,
+    hasAttachment: false,
+  };
+}
+
+// Accepts YYYY, YYYY-MM and YYYY-MM-DD, interpreted as local midnight
+// at the start of that period
+function parseDate(value) {
+  const match = /^(\d{4})(?:[-/](\d{1,2}))?(?:[-/](\d{1,2}))?$/.exec(value);
+  if (!match) return null;
+  const [, year, month = '1', day = '1'] = match;
+  const date = new Date(Number(year), Number(month) - 1, Number(day));
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function applyOperator(filters, operator, value) {
+  const lowered = value.toLowerCase();
+  switch (operator) {
+    case 'tag':
+      if (value) filters.tags.push(lowered);
+      return true;
+    case 'highlight':
+      if (value) filters.highlights.push(lowered);
+      return true;
+    case 'before':
+    case 'after': {
+      const date = parseDate(value);
+      if (!date) return false;
+      filters[operator] = date;
+      return true;
+    }
+    case 'is':
+      if (lowered === 'ai') filters.isAI = true;
+      else if (lowered === 'todo') filters.isTodo = true;
+      else if (lowered === 'done') filters.isDone = true;
+      else return false;
+      return true;
+    case 'has':
+      if (!['attachment', 'attachments'].includes(lowered)) return false;
+      filters.hasAttachment = true;
+      return true;
+    default:
+      return false;
+  }
+}
+
+function parseQuery(query = '') {
+  const filters = emptyFilters();
+  const terms = [];
+  const phrases = [];
+  let hasFilters = false;
+
+  for (const match of `${query ?? ''}`.matchAll(TOKEN_PATTERN)) {
+    const [token, operator, quoted, bare] = match;
+    const value = (quoted ?? bare ?? '').trim();
+
+    if (operator) {
+      if (applyOperator(filters, operator.toLowerCase(), value)) {
+        hasFilters = true;
+        continue;
+      }
+      // not an operator we know, keep both halves as words
+      terms.push(...`${operator} ${value}`.split(/\s+/).filter(Boolean));
+      continue;
+    }
+
+    if (quoted !== undefined) {
+      if (value) phrases.push(value);
+    } else if (token) {
+      terms.push(token.replace(/:/g, ' ').trim());
+    }
+  }
+
+  const words = terms.filter(Boolean);
+  const phraseWords = phrases.flatMap((phrase) => phrase.split(/\s+/));
+
+  return {
+    // what the user is looking for, without operators
+    text: [...words, ...phrases].join(' '),
+    // lunr query: phrase words are optional here and enforced afterwards
+    keywords: [...words, ...phraseWords].join(' '),
+    terms: words,
+    phrases,
+    filters,
+    hasFilters: hasFilters || phrases.length > 0,
+  };
+}
+
+const lower = (values) => (values || []).map((v) => `${v}`.toLowerCase());
+
+// Checks a thread against the parsed filters. Tags, attachments and AI
+// replies count anywhere in the thread, dates and highlights belong to
+// the parent entry. `getThreadText` is only called for phrase queries.
+function matchesQuery(threadPath, parsed, index, getThreadText) {
+  if (!parsed.hasFilters) return true;
+
+  const metadata = index.get(threadPath);
+  if (!metadata) return false;
+
+  const { filters } = parsed;
+  const thread = [
+    metadata,
+    ...(metadata.replies || [])
+      .map((reply) => index.get(reply))
+      .filter(Boolean),
+  ];
+
+  if (filters.tags.length > 0) {
+    const tags = new Set(thread.flatMap((entry) => lower(entry.tags)));
+    if (!filters.tags.every((tag) => tags.has(tag))) return false;
+  }
+
+  if (filters.highlights.length > 0) {
+    const highlight = `${metadata.highlight ?? ''}`.toLowerCase();
+    if (!filters.highlights.includes(highlight)) return false;
+  }
+
+  if (filters.before || filters.after) {
+    const createdAt = new Date(metadata.createdAt);
+    if (Number.isNaN(createdAt.getTime())) return false;
+    if (filters.before && createdAt >= filters.before) return false;
+    if (filters.after && createdAt < filters.after) return false;
+  }
+
+  if (filters.isAI && !thread.some((entry) => entry.isAI)) return false;
+
+  const ownTags = lower(metadata.tags);
+  const done = ownTags.includes(DONE_TAG);
+  if (filters.isTodo && !(ownTags.includes(TODO_TAG) && !done)) return false;
+  if (filters.isDone && !done) return false;
+
+  if (
+    filters.hasAttachment &&
+    !thread.some((entry) => (entry.attachments || []).length > 0)
+  ) {
+    return false;
+  }
+
+  if (parsed.phrases.length > 0) {
+    const text = `${getThreadText(threadPath) ?? ''}`
+      .replace(/\s+/g, ' ')
+      .toLowerCase();
+    const found = parsed.phrases.every((phrase) =>
+      text.includes(phrase.replace(/\s+/g, ' ').toLowerCase()),
+    );
+    if (!found) return false;
+  }
+
+  return true;
+}
+
+module.exports = { parseQuery, matchesQuery, parseDate };
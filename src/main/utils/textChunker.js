@@ -0,0 +1,65 @@
+const { convertHTMLToPlainText } = require('../util');
+
+// Passages are kept well under the embedding models' input limits so
+// nothing gets truncated, and overlap so a thought that straddles a
+// boundary is still retrievable from either side.
+const CHUNK_SIZE = 1200;
+const CHUNK_OVERLAP = 200;
+// don't cut a passage shorter than this looking for a nicer boundary
+const MIN_BOUNDARY = 0.6;
+
+// The plain text of an entry body. Chunk offsets index into this string,
+// so it must stay deterministic for a given file.
+function entryPlainText(content = '') {
+  const withBreaks = content
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|li|h[1-6]|blockquote|pre)>/gi, '$&\n');
+  return convertHTMLToPlainText(withBreaks)
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Finds the best place to end a passage at or before `end`, preferring
+// paragraph breaks, then sentence ends, then any whitespace.
+function findBoundary(text, start, end) {
+  const earliest = start + Math.floor((end - start) * MIN_BOUNDARY);
+  const window = text.slice(earliest, end);
+
+  const patterns = [/\n\s*\n/g, /[.!?]["')\]]?\s/g, /\s/g];
+  for (const pattern of patterns) {
+    let last = -1;
+    for (const match of window.matchAll(pattern)) {
+      last = match.index + match[0].length;
+    }
+    if (last > 0) return earliest + last;
+  }
+  return end;
+}
+
+// Splits text into overlapping passages, returned as [{ start, end }]
+// offsets into `text`. Whitespace-only passages are skipped.
+function chunkText(text, { size = CHUNK_SIZE, overlap = CHUNK_OVERLAP } = {}) {
+  const chunks = [];
+  let start = 0;
+
+  while (start < text.length) {
+    let end = Math.min(text.length, start + size);
+    if (end < text.length) end = findBoundary(text, start, end);
+
+    if (text.slice(start, end).trim()) chunks.push({ start, end });
+    if (end >= text.length) break;
+
+    // step back for the overlap, starting the next passage on a word
+    let next = Math.max(start + 1, end - overlap);
+    const space = text.indexOf(' ', next);
+    if (space !== -1 && space < end) next = space + 1;
+    start = next;
+  }
+
+  return chunks;
+}
+
+module.exports = { entryPlainText, chunkText, CHUNK_SIZE, CHUNK_OVERLAP };
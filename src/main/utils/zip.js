@@ -0,0 +1,200 @@
+const fs = require('fs');
+const zlib = require('zlib');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const dosDateTime = (date) => ({
+  time:
+    (date.getHours() << 11) |
+    (date.getMinutes() << 5) |
+    Math.floor(date.getSeconds() / 2),
+  date:
+    ((date.getFullYear() - 1980) << 9) |
+    ((date.getMonth() + 1) << 5) |
+    date.getDate(),
+});
+
+// The local header, data and central directory header of one entry. There
+// is no zip64, so archives stay under 4 GB.
+function zipEntry(file, data, offset, { time, date }) {
+  if (offset > 0xffffffff) throw new Error('Archive is larger than 4 GB');
+  const name = Buffer.from(file.name.replace(/\\/g, '/'));
+  const compressed = file.store ? data : zlib.deflateRawSync(data);
+  const method = file.store ? 0 : 8;
+  const crc = crc32(data);
+
+  const local = Buffer.alloc(30);
+  local.writeUInt32LE(0x04034b50, 0);
+  local.writeUInt16LE(20, 4);
+  local.writeUInt16LE(0x0800, 6); // names are utf-8
+  local.writeUInt16LE(method, 8);
+  local.writeUInt16LE(time, 10);
+  local.writeUInt16LE(date, 12);
+  local.writeUInt32LE(crc, 14);
+  local.writeUInt32LE(compressed.length, 18);
+  local.writeUInt32LE(data.length, 22);
+  local.writeUInt16LE(name.length, 26);
+
+  const header = Buffer.alloc(46);
+  header.writeUInt32LE(0x02014b50, 0);
+  header.writeUInt16LE(20, 4);
+  header.writeUInt16LE(20, 6);
+  header.writeUInt16LE(0x0800, 8);
+  header.writeUInt16LE(method, 10);
+  header.writeUInt16LE(time, 12);
+  header.writeUInt16LE(date, 14);
+  header.writeUInt32LE(crc, 16);
+  header.writeUInt32LE(compressed.length, 20);
+  header.writeUInt32LE(data.length, 24);
+  header.writeUInt16LE(name.length, 28);
+  header.writeUInt32LE(offset, 42);
+
+  return { parts: [local, name, compressed], central: [header, name] };
+}
+
+function endOfCentralDirectory(count, centralSize, offset) {
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(count, 8);
+  end.writeUInt16LE(count, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+  return end;
+}
+
+const toBuffer = (data) =>
+  Buffer.isBuffer(data) ? data : Buffer.from(data ?? '');
+
+// Builds a zip archive in memory from [{ name, data, store }]. Entries are
+// deflated unless `store` is set, which EPUB needs for its mimetype.
+function createZip(files, modifiedAt = new Date()) {
+  const stamp = dosDateTime(modifiedAt);
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const entry = zipEntry(file, toBuffer(file.data), offset, stamp);
+    parts.push(...entry.parts);
+    central.push(...entry.central);
+    offset += entry.parts.reduce((sum, part) => sum + part.length, 0);
+  }
+
+  const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+  const end = endOfCentralDirectory(files.length, centralSize, offset);
+  return Buffer.concat([...parts, ...central, end]);
+}
+
+// Writes a zip archive to disk one entry at a time, for archives too big to
+// hold in memory. Entries have their `data` or the `path` to read it from.
+async function writeZip(outputPath, files, modifiedAt = new Date()) {
+  const stamp = dosDateTime(modifiedAt);
+  const central = [];
+  let offset = 0;
+
+  const handle = await fs.promises.open(outputPath, 'w');
+  try {
+    for (const file of files) {
+      const data = file.path
+        ? await fs.promises.readFile(file.path)
+        : toBuffer(file.data);
+      const entry = zipEntry(file, data, offset, stamp);
+      const buffer = Buffer.concat(entry.parts);
+      await handle.write(buffer);
+      central.push(...entry.central);
+      offset += buffer.length;
+    }
+    const centralBuffer = Buffer.concat(central);
+    await handle.write(centralBuffer);
+    await handle.write(
+      endOfCentralDirectory(files.length, centralBuffer.length, offset),
+    );
+  } finally {
+    await handle.close();
+  }
+}
+
+// Opens a zip archive on disk and lists its entries without reading them.
+// `read(name)` inflates one entry and checks it against its crc.
+async function readZip(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  const readAt = async (position, length) => {
+    const buffer = Buffer.alloc(length);
+    await handle.read(buffer, 0, length, position);
+    return buffer;
+  };
+
+  try {
+    const { size } = await handle.stat();
+    // The end record is last, after a comment of at most 64 KB
+    const tailLength = Math.min(size, 22 + 0xffff);
+    const tail = await readAt(size - tailLength, tailLength);
+    let endAt = -1;
+    for (let i = tail.length - 22; i >= 0; i--) {
+      if (tail.readUInt32LE(i) === 0x06054b50) {
+        endAt = i;
+        break;
+      }
+    }
+    if (endAt === -1) throw new Error('Not a zip archive');
+
+    const count = tail.readUInt16LE(endAt + 10);
+    const directory = await readAt(
+      tail.readUInt32LE(endAt + 16),
+      tail.readUInt32LE(endAt + 12),
+    );
+    const entries = new Map();
+    for (let i = 0, at = 0; i < count; i++) {
+      if (directory.readUInt32LE(at) !== 0x02014b50) {
+        throw new Error('Corrupt zip directory');
+      }
+      const nameLength = directory.readUInt16LE(at + 28);
+      const extraLength = directory.readUInt16LE(at + 30);
+      const commentLength = directory.readUInt16LE(at + 32);
+      const name = directory.toString('utf8', at + 46, at + 46 + nameLength);
+      entries.set(name, {
+        name,
+        method: directory.readUInt16LE(at + 10),
+        crc: directory.readUInt32LE(at + 16),
+        compressedSize: directory.readUInt32LE(at + 20),
+        size: directory.readUInt32LE(at + 24),
+        offset: directory.readUInt32LE(at + 42),
+      });
+      at += 46 + nameLength + extraLength + commentLength;
+    }
+
+    const read = async (name) => {
+      const entry = entries.get(name);
+      if (!entry) throw new Error(`${name} is not in the archive`);
+      const local = await readAt(entry.offset, 30);
+      const dataAt =
+        entry.offset + 30 + local.readUInt16LE(26) + local.readUInt16LE(28);
+      const compressed = await readAt(dataAt, entry.compressedSize);
+      const data =
+        entry.method === 0 ? compressed : zlib.inflateRawSync(compressed);
+      if (crc32(data) !== entry.crc) {
+        throw new Error(`${name} is damaged`);
+      }
+      return data;
+    };
+
+    return { entries, read, close: () => handle.close() };
+  } catch (error) {
+    await handle.close();
+    throw error;
+  }
+}
+
+module.exports = { createZip, writeZip, readZip, crc32 };
@@ -0,0 +1,169 @@
+const { parentPort } = require('worker_threads');
+const fs = require('fs');
+const path = require('path');
+const matter = require('gray-matter');
+const { walk } = require('../util');
+const pileSearchIndex = require('../utils/pileSearchIndex');
+const pileVectorStore = require('../utils/pileVectorStore');
+const { embedDocuments } = require('../utils/embeddingClient');
+const {
+  getIndexThreads,
+  getThreadChunks,
+  embedChunks,
+} = require('../utils/embeddingPipeline');
+
+// write the vector store out every so many passages, so an interrupted
+// job picks up close to where it stopped
+const CHECKPOINT_INTERVAL = 500;
+// don't flood the main process with progress for every file
+const PROGRESS_INTERVAL = 50;
+
+let cancelled = false;
+
+const isCancelled = () => cancelled;
+
+const post = (event, data = {}) => parentPort.postMessage({ event, ...data });
+
+const progress = (phase, done, total) =>
+  post('progress', { progress: { phase, done, total } });
+
+const sortByCreatedAt = (entries) =>
+  entries.sort((a, b) => new Date(b[1].createdAt) - new Date(a[1].createdAt));
+
+function readIndex(pilePath) {
+  const indexPath = path.join(pilePath, 'index.json');
+  if (!fs.existsSync(indexPath)) return null;
+  return new Map(JSON.parse(fs.readFileSync(indexPath, 'utf8')));
+}
+
+// Rebuilds the entries from the markdown files when there is no index,
+// then brings the persisted search index up to date with it
+async function runIndexJob({ pilePath }) {
+  let index = readIndex(pilePath);
+
+  if (!index) {
+    const files = await walk(pilePath);
+    const entries = [];
+    for (let i = 0; i < files.length; i++) {
+      if (isCancelled()) return null;
+      const fileContent = fs.readFileSync(files[i], 'utf8');
+      const { data } = matter(fileContent);
+      entries.push([path.relative(pilePath, files[i]), data]);
+      if (i % PROGRESS_INTERVAL === 0) progress('scan', i, files.length);
+    }
+    progress('scan', files.length, files.length);
+    index = new Map(sortByCreatedAt(entries));
+  }
+
+  if (isCancelled()) return null;
+  progress('search', 0, index.size);
+  pileSearchIndex.initialize(pilePath, index);
+  progress('search', index.size, index.size);
+
+  return { entries: Array.from(index.entries()) };
+}
+
+// Embeds every passage in the pile that isn't stored yet. Passages that
+// were embedded before an interruption are skipped by their hash.
+async function runEmbeddingsJob({ pilePath, options = {}, settings }) {
+  const index = readIndex(pilePath);
+  if (!index) throw new Error('The pile has no index to embed');
+
+  const loaded = pileVectorStore.load(pilePath);
+  if (
+    options.fresh ||
+    !loaded ||
+    !pileVectorStore.matchesModel(settings.model)
+  ) {
+    pileVectorStore.reset(settings.model);
+    pileVectorStore.save();
+    post('reset');
+  }
+
+  const threads = getIndexThreads(index);
+  const chunks = [];
+  const entryPaths = [];
+  for (let i = 0; i < threads.length; i++) {
+    if (isCancelled()) return null;
+    const { threadPath, entryPaths: threadEntries } = threads[i];
+    entryPaths.push(...threadEntries);
+    chunks.push(...getThreadChunks(pilePath, threadPath, threadEntries));
+    if (i % PROGRESS_INTERVAL === 0) progress('read', i, threads.length);
+  }
+
+  // entries deleted while the job wasn't running
+  const entries = new Set(entryPaths);
+  pileVectorStore
+    .findIds((info) => !entries.has(info.entry))
+    .forEach((id) => pileVectorStore.remove(id));
+
+  let checkpoint = 0;
+  const embedded = await embedChunks(
+    pileVectorStore,
+    chunks,
+    entryPaths,
+    (texts) => embedDocuments(texts, settings),
+    {
+      isCancelled,
+      onBatch: (done, total) => {
+        progress('embed', done, total);
+        if (done - checkpoint >= CHECKPOINT_INTERVAL) {
+          checkpoint = done;
+          pileVectorStore.save();
+        }
+      },
+    },
+  );
+
+  if (!isCancelled() && pileVectorStore.needsIVF()) {
+    progress('ann', 0, 1);
+    pileVectorStore.trainIVF();
+  }
+  pileVectorStore.save();
+  if (isCancelled()) return null;
+  return { embedded, size: pileVectorStore.size };
+}
+
+// Trains the ANN index of a store that grew past what the main process
+// can search quickly, without embedding anything
+async function runANNJob({ pilePath }) {
+  if (!pileVectorStore.load(pilePath)) return null;
+  if (!pileVectorStore.needsIVF()) return { size: pileVectorStore.size };
+
+  progress('ann', 0, 1);
+  pileVectorStore.trainIVF();
+  if (isCancelled()) return null;
+  pileVectorStore.save();
+  progress('ann', 1, 1);
+  return { size: pileVectorStore.size };
+}
+
+const jobs = {
+  index: runIndexJob,
+  embeddings: runEmbeddingsJob,
+  ann: runANNJob,
+};
+
+async function start(job) {
+  try {
+    const run = jobs[job.type];
+    if (!run) throw new Error(`Unknown job type: ${job.type}`);
+    const result = await run(job);
+    if (isCancelled()) {
+      post('cancelled');
+    } else {
+      post('done', { result });
+    }
+  } catch (error) {
+    post('failed', { error: error?.message || String(error) });
+  }
+}
+
+parentPort.on('message', (message) => {
+  if (message.command === 'start') {
+    cancelled = false;
+    start(message.job);
+  } else if (message.command === 'cancel') {
+    cancelled = true;
+  }
+});
@@ -0,0 +1,98 @@
+import { useEffect, useRef } from 'react';
+import { useToastsContext } from 'renderer/context/ToastsContext';
+import { useIndexContext } from 'renderer/context/IndexContext';
+import useIPCListener from 'renderer/hooks/useIPCListener';
+import styles from './IndexJobToasts.module.scss';
+
+// quick jobs finish before this and never show a toast
+const SHOW_AFTER_MS = 1500;
+// progress toasts stay up as long as updates keep coming
+const PROGRESS_DISMISS_MS = 60 * 1000;
+
+const PHASES = {
+  scan: 'Indexing entries',
+  search: 'Building search index',
+  read: 'Reading entries to embed',
+  embed: 'Embedding entries',
+  ann: 'Preparing semantic search',
+};
+
+const FINISHED = {
+  index: 'Index is up to date',
+  embeddings: 'Semantic search is up to date',
+  ann: 'Semantic search is up to date',
+};
+
+const describeProgress = (job) => {
+  const { phase, done = 0, total = 0 } = job.progress || {};
+  const label = PHASES[phase] || 'Indexing';
+  if (!total) return `${label}…`;
+  return `${label} ${done}/${total}`;
+};
+
+// Shows the indexing worker's jobs in the toasts, with a way to cancel
+// long running ones. Renders nothing itself.
+export default function IndexJobToasts() {
+  const { addNotification, updateNotification, removeNotification } =
+    useToastsContext();
+  const { cancelIndexJob } = useIndexContext();
+  const job = useIPCListener('index-job', null);
+  const shown = useRef(new Set());
+
+  useEffect(() => {
+    if (!job) return;
+    const id = `index-job-${job.id}`;
+
+    if (job.status === 'running') {
+      const running = Date.now() - new Date(job.startedAt).getTime();
+      if (!shown.current.has(job.id) && running < SHOW_AFTER_MS) return;
+
+      const message = (
+        <span className={styles.progress}>
+          {describeProgress(job)}
+          <button
+            className={styles.cancel}
+            onClick={() => cancelIndexJob(job.id)}
+          >
+            Cancel
+          </button>
+        </span>
+      );
+
+      if (shown.current.has(job.id)) {
+        updateNotification(id, 'waiting', message);
+      } else {
+        shown.current.add(job.id);
+        addNotification({
+          id,
+          type: 'waiting',
+          message,
+          dismissTime: PROGRESS_DISMISS_MS,
+        });
+      }
+      return;
+    }
+
+    if (!shown.current.has(job.id)) return;
+    shown.current.delete(job.id);
+    removeNotification(id);
+
+    if (job.status === 'done') {
+      addNotification({
+        id: `${id}-done`,
+        type: 'success',
+        message: FINISHED[job.type] || 'Indexing complete',
+        dismissTime: 3000,
+      });
+    } else if (job.status === 'failed') {
+      addNotification({
+        id: `${id}-failed`,
+        type: 'failed',
+        message: `Indexing failed: ${job.error || 'unknown error'}`,
+        dismissTime: 5000,
+      });
+    }
+  }, [job]);
+
+  return null;
+}
@@ -57,6 +57,15 @@ export function AIContextProvider({ children }) {
     'gemini',
   );
   const [model, setModel] = useElectronStore('model', 'gemini-2.5-flash');
+  // One embedding model per provider, the main process picks by provider
+  const [embeddingModel, setEmbeddingModel] = useElectronStore(
+    'geminiEmbeddingModel',
+    'text-embedding-004',
+  );
+  const [ollamaEmbeddingModel, setOllamaEmbeddingModel] = useElectronStore(
+    'ollamaEmbeddingModel',
+    'mxbai-embed-large',
+  );
   const [useMockAI, setUseMockAI] = useElectronStore('useMockAI', false);
   // Settings for Think Deeper prompt preset vs custom
   const [useCustomThinkDeeperPrompt, setUseCustomThinkDeeperPrompt] =
@@ -376,6 +385,10 @@ export function AIContextProvider({ children }) {
       updateCurrentPile({ ...currentPile, AIPrompt: newPrompt }),
     model,
     setModel,
+    embeddingModel,
+    setEmbeddingModel,
+    ollamaEmbeddingModel,
+    setOllamaEmbeddingModel,
     generateCompletion,
     prepareCompletionContext,
     pileAIProvider,
@@ -7,11 +7,13 @@ import {
 } from 'react';
 import { useLocation } from 'react-router-dom';
 import { usePilesContext } from './PilesContext';
+import { useIndexContext } from './IndexContext';
 
 export const HighlightsContext = createContext();
 
 export function HighlightsContextProvider({ children }) {
   const { currentPile, getCurrentPilePath } = usePilesContext();
+  const { refreshIndex } = useIndexContext();
   const [open, setOpen] = useState(false);
   const [highlights, setHighlights] = useState(new Map());
 
@@ -43,26 +45,54 @@ export function HighlightsContextProvider({ children }) {
   const refreshHighlights = useCallback(async () => {
     const newHighlights = await window.electron.ipc.invoke('highlights-get');
     const newMap = new Map(newHighlights);
-    setTags(newMap);
+    setHighlights(newMap);
+  }, []);
+
+  const createHighlight = useCallback(async (highlight, color = null) => {
+    const newHighlights = await window.electron.ipc.invoke(
+      'highlights-create',
+      highlight,
+      { color },
+    );
+    setHighlights(new Map(newHighlights));
+  }, []);
+
+  // Renaming and deleting rewrite the posts using the highlight, so the
+  // index is refreshed along with the highlights
+  const renameHighlight = useCallback(async (highlight, newName) => {
+    const newHighlights = await window.electron.ipc.invoke(
+      'highlights-rename',
+      { highlight, newName },
+    );
+    setHighlights(new Map(newHighlights));
+    await refreshIndex();
   }, []);
 
-  const createHighlight = useCallback(async (highlight) => {
-    window.electron.ipc
-      .invoke('highlights-create', highlight)
-      .then((highlights) => {
-        setHighlights(highlights);
-      });
+  const recolorHighlight = useCallback(async (highlight, color) => {
+    const newHighlights = await window.electron.ipc.invoke(
+      'highlights-recolor',
+      { highlight, color },
+    );
+    setHighlights(new Map(newHighlights));
   }, []);
 
-  const deleteHighlight = useCallback(async (highlight) => {
-    window.electron.ipc
-      .invoke('highlights-delete', highlight)
-      .then((highlights) => {
-        setHighlights(highlights);
-      });
+  const reorderHighlights = useCallback(async (names) => {
+    const newHighlights = await window.electron.ipc.invoke(
+      'highlights-reorder',
+      names,
+    );
+    setHighlights(new Map(newHighlights));
   }, []);
 
-  const updateHighlight = (highlight, content) => {};
+  const deleteHighlight = useCallback(async (highlight, reassignTo = null) => {
+    const newHighlights = await window.electron.ipc.invoke(
+      'highlights-delete',
+      highlight,
+      reassignTo,
+    );
+    setHighlights(new Map(newHighlights));
+    await refreshIndex();
+  }, []);
 
   const highlightsContextValue = {
     open,
@@ -71,6 +101,9 @@ export function HighlightsContextProvider({ children }) {
     highlights,
     refreshHighlights,
     createHighlight,
+    renameHighlight,
+    recolorHighlight,
+    reorderHighlights,
     deleteHighlight,
   };
 
@@ -66,6 +66,24 @@ export function IndexContextProvider({ children }) {
     window.electron.ipc.invoke('index-regenerate-embeddings');
   };
 
+  const listIndexJobs = useCallback(async () => {
+    return window.electron.ipc.invoke('index-jobs-list');
+  }, []);
+
+  const cancelIndexJob = useCallback(async (jobId) => {
+    return window.electron.ipc.invoke('index-job-cancel', jobId);
+  }, []);
+
+  const verifyPile = useCallback(async () => {
+    return window.electron.ipc.invoke('index-verify');
+  }, []);
+
+  const repairPile = useCallback(async () => {
+    const result = await window.electron.ipc.invoke('index-repair');
+    await refreshIndex();
+    return result;
+  }, []);
+
   const getThreadsAsText = useCallback(async (filePaths) => {
     return window.electron.ipc.invoke('index-get-threads-as-text', filePaths);
   }, []);
@@ -91,6 +109,14 @@ export function IndexContextProvider({ children }) {
     return window.electron.ipc.invoke('index-vector-search', query, topN);
   }, []);
 
+  const hybridSearch = useCallback(async (query, topN = 50) => {
+    return window.electron.ipc.invoke('index-hybrid-search', query, topN);
+  }, []);
+
+  const searchPassages = useCallback(async (query, topN = 10) => {
+    return window.electron.ipc.invoke('index-search-passages', query, topN);
+  }, []);
+
   const loadLatestThreads = useCallback(async (count = 25) => {
     const items = await search('');
     const latest = items.slice(0, count);
@@ -111,9 +137,15 @@ export function IndexContextProvider({ children }) {
     searchOpen,
     setSearchOpen,
     vectorSearch,
+    hybridSearch,
+    searchPassages,
     getThreadsAsText,
     latestThreads,
     regenerateEmbeddings,
+    listIndexJobs,
+    cancelIndexJob,
+    verifyPile,
+    repairPile,
     prependIndex,
   };
 
@@ -7,11 +7,13 @@ import {
 } from 'react';
 import { useLocation } from 'react-router-dom';
 import { usePilesContext } from './PilesContext';
+import { useIndexContext } from './IndexContext';
 
 export const TagsContext = createContext();
 
 export function TagsContextProvider({ children }) {
   const { currentPile, getCurrentPilePath } = usePilesContext();
+  const { refreshIndex } = useIndexContext();
   const [tags, setTags] = useState(new Map());
 
   useEffect(() => {
@@ -36,13 +38,13 @@ export function TagsContextProvider({ children }) {
 
   const syncTags = useCallback(async (filePath) => {
     window.electron.ipc.invoke('tags-sync', filePath).then((tags) => {
-      setTags(tags);
+      setTags(new Map(tags));
     });
   }, []);
 
   const addTag = useCallback(async (tag, filePath) => {
     window.electron.ipc.invoke('tags-add', { tag, filePath }).then((tags) => {
-      setTags(tags);
+      setTags(new Map(tags));
     });
   }, []);
 
@@ -50,11 +52,55 @@ export function TagsContextProvider({ children }) {
     window.electron.ipc
       .invoke('tags-remove', { tag, filePath })
       .then((tags) => {
-        setTags(tags);
+        setTags(new Map(tags));
       });
   }, []);
 
-  const tagsContextValue = { tags, refreshTags, addTag, removeTag };
+  // Renaming, merging and deleting rewrite the posts using the tag, so
+  // the index is refreshed along with the tags
+  const renameTag = useCallback(async (tag, newTag) => {
+    const newTags = await window.electron.ipc.invoke('tags-rename', {
+      tag,
+      newTag,
+    });
+    setTags(new Map(newTags));
+    await refreshIndex();
+  }, []);
+
+  const mergeTags = useCallback(async (tags, into) => {
+    const newTags = await window.electron.ipc.invoke('tags-merge', {
+      tags,
+      into,
+    });
+    setTags(new Map(newTags));
+    await refreshIndex();
+  }, []);
+
+  const deleteTag = useCallback(async (tag) => {
+    const newTags = await window.electron.ipc.invoke('tags-delete', { tag });
+    setTags(new Map(newTags));
+    await refreshIndex();
+  }, []);
+
+  const styleTag = useCallback(async (tag, { color, icon } = {}) => {
+    const newTags = await window.electron.ipc.invoke('tags-style', {
+      tag,
+      color,
+      icon,
+    });
+    setTags(new Map(newTags));
+  }, []);
+
+  const tagsContextValue = {
+    tags,
+    refreshTags,
+    addTag,
+    removeTag,
+    renameTag,
+    mergeTags,
+    deleteTag,
+    styleTag,
+  };
 
   return (
     <TagsContext.Provider value={tagsContextValue}>
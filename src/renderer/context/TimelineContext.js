@@ -8,6 +8,7 @@ import {
 } from 'react';
 import { useLocation } from 'react-router-dom';
 import debounce from 'renderer/utils/debounce';
+import { useIndexContext } from './IndexContext';
 
 export const TimelineContext = createContext();
 
@@ -15,27 +16,47 @@ export function TimelineContextProvider({ children }) {
   const [visibleIndex, _setVisibleIndex] = useState(0);
   const [closestDate, setClosestDate] = useState(new Date());
   const virtualListRef = useRef(null);
+  const { index } = useIndexContext();
 
   const setVisibleIndex = debounce((index) => {
     _setVisibleIndex(index);
   }, 15);
 
-  const scrollToIndex = useCallback((index = 0) => {
+  const scrollToIndex = useCallback((index = 0, align = 'end') => {
     if (!virtualListRef.current) return;
     if (index == -1) return;
     virtualListRef.current.scrollToIndex({
       index,
-      align: 'end',
+      align,
       behavior: 'auto',
     });
   }, []);
 
+  // The timeline lists parent entries in index order below the NewPost
+  // editor, so a post's position is its rank among parents plus one.
+  const scrollToPost = useCallback(
+    (postPath) => {
+      let position = 0;
+      for (const [key, metadata] of index) {
+        if (metadata.isReply) continue;
+        position += 1;
+        if (key === postPath) {
+          scrollToIndex(position, 'start');
+          return true;
+        }
+      }
+      return false;
+    },
+    [index, scrollToIndex],
+  );
+
   const timelineContextValue = {
     virtualListRef,
     visibleIndex,
     closestDate,
     setClosestDate,
     scrollToIndex,
+    scrollToPost,
     setVisibleIndex,
   };
 
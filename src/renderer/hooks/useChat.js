@@ -2,9 +2,20 @@ import { useState, useCallback, useMemo } from 'react';
 import { useAIContext } from 'renderer/context/AIContext';
 import { useIndexContext } from 'renderer/context/IndexContext';
 
+// Passages retrieved from the journal for every user message
+const CHAT_PASSAGES = 12;
+
+const formatPassages = (citations) =>
+  citations
+    .map(
+      ({ number, createdAt, text }) =>
+        `[${number}] Entry from ${new Date(createdAt).toString()}:\n${text}`,
+    )
+    .join('\n\n');
+
 const useChat = () => {
   const { generateCompletion, prompt } = useAIContext();
-  const { vectorSearch, getThreadsAsText, latestThreads } = useIndexContext();
+  const { searchPassages, latestThreads } = useIndexContext();
 
   const STARTER = useMemo(
     () => [
@@ -34,26 +45,34 @@ const useChat = () => {
 
   const resetMessages = useCallback(() => setMessages(STARTER), [STARTER]);
 
+  // Returns the conversation with the user's message and the journal
+  // passages retrieved for it. Passages are numbered so the answer can
+  // cite them, `citations` maps those numbers back to entries.
   const addMessage = useCallback(
     async (message) => {
-      const lastSystemMessage = messages[messages.length - 1];
-      const augmentedMessages = `${lastSystemMessage.content} \n\n${message}`;
-      const relevantEntries = await vectorSearch(augmentedMessages, 50);
-      const entryFilePaths = relevantEntries.map((entry) => entry.ref);
-      const threadsAsText = await getThreadsAsText(entryFilePaths);
+      const passages = await searchPassages(message, CHAT_PASSAGES);
+      const citations = passages.map((passage, i) => ({
+        ...passage,
+        number: i + 1,
+      }));
+
+      const context =
+        citations.length > 0
+          ? `Here are numbered passages from the user's journal related to the user's message. When your answer draws on a passage, cite it inline with its number in square brackets, like [2]. Only cite passages you actually used.\n\n${formatPassages(
+              citations,
+            )}`
+          : `No entries in the user's journal matched the user's message.`;
 
-      return [
-        ...messages,
-        {
-          role: 'system',
-          content: `Here are some relevant entries from the user's journal related to the user's message:${threadsAsText.join(
-            '\n',
-          )}`,
-        },
-        { role: 'user', content: message },
-      ];
+      return {
+        messages: [
+          ...messages,
+          { role: 'system', content: context },
+          { role: 'user', content: message },
+        ],
+        citations,
+      };
     },
-    [messages, vectorSearch, getThreadsAsText],
+    [messages, searchPassages],
   );
 
   const getAIResponse = useCallback(
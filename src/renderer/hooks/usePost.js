@@ -164,28 +164,25 @@ function usePost(
 
   const deletePost = useCallback(async () => {
     if (!postPath) return null;
-    const fullPostPath = getCurrentPilePath(postPath);
 
-    // if reply, remove from parent
+    // moves the post, its replies and attachments to the trash and takes
+    // them out of the index, a reply is unlinked from its parent
+    const result = await window.electron.ipc.invoke(
+      'trash-post',
+      getCurrentPilePath(),
+      postPath,
+      post.data.isReply ? parentPostPath : null,
+    );
+    if (!result?.ok) {
+      console.error('Failed to move post to trash:', result?.error);
+      return null;
+    }
+
     if (post.data.isReply && parentPostPath) {
-      const fullParentPostPath = getCurrentPilePath(parentPostPath);
-      const parentPost = await getPost(fullParentPostPath);
-      const { content } = parentPost;
-      const newReplies = parentPost.data.replies.filter((p) => {
-        return p !== postPath;
-      });
-      const data = {
-        ...parentPost.data,
-        replies: newReplies,
-      };
-      const fileContents = await fileOperations.generateMarkdown(content, data);
-      await fileOperations.saveFile(fullParentPostPath, fileContents);
       await reloadParentPost();
     }
-
-    // delete file and remove from index
-    await fileOperations.deleteFile(fullPostPath);
-    removeIndex(postPath);
+    await refreshIndex();
+    return result.entry;
   }, [postPath, reloadParentPost, parentPostPath, post]);
 
   const postActions = useMemo(
@@ -0,0 +1,190 @@
+import { useState } from 'react';
+import { DownloadIcon } from 'renderer/icons';
+import * as Dialog from '@radix-ui/react-dialog';
+import useIPCListener from 'renderer/hooks/useIPCListener';
+import styles from './ImportEntries.module.scss';
+
+const SOURCES = [
+  {
+    kind: 'dayone',
+    name: 'Day One',
+    description: 'The JSON file of a Day One export, photos included',
+  },
+  {
+    kind: 'obsidian',
+    name: 'Obsidian',
+    description: 'A vault, with its tags, links and embedded images',
+  },
+  {
+    kind: 'markdown',
+    name: 'Markdown folder',
+    description: 'Any folder of .md files and the images they link',
+  },
+];
+
+// Walks through picking a source, previewing what it holds and importing it
+// into the pile
+export default function ImportEntries({ pile }) {
+  const [open, setOpen] = useState(false);
+  const [kind, setKind] = useState(null);
+  const [source, setSource] = useState(null);
+  const [scan, setScan] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const progress = useIPCListener('import-progress', null);
+
+  const reset = () => {
+    setKind(null);
+    setSource(null);
+    setScan(null);
+    setResult(null);
+    setError(null);
+  };
+
+  const handleOpenChange = (isOpen) => {
+    if (importing) return;
+    setOpen(isOpen);
+    if (!isOpen) reset();
+  };
+
+  const chooseSource = async (sourceKind) => {
+    setError(null);
+    const chosen = await window.electron.ipc.invoke(
+      'import-choose-source',
+      sourceKind,
+    );
+    if (!chosen) return;
+    setKind(sourceKind);
+    setSource(chosen);
+    const scanned = await window.electron.ipc.invoke(
+      'import-scan',
+      pile.path,
+      sourceKind,
+      chosen,
+    );
+    if (scanned.ok) setScan(scanned);
+    else setError(scanned.error);
+  };
+
+  const runImport = async () => {
+    setImporting(true);
+    setError(null);
+    try {
+      const imported = await window.electron.ipc.invoke(
+        'import-run',
+        pile.path,
+        kind,
+        source,
+      );
+      if (imported.ok) setResult(imported);
+      else setError(imported.error);
+    } catch (e) {
+      setError(e?.message || 'Import failed');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const renderStep = () => {
+    if (result) {
+      return (
+        <div className={styles.description}>
+          Imported <b>{result.created}</b> new entries
+          {result.updated > 0 && <>, updated {result.updated}</>}
+          {result.skipped > 0 && (
+            <> and skipped {result.skipped} imported before</>
+          )}
+          .
+        </div>
+      );
+    }
+
+    if (importing) {
+      return (
+        <div className={styles.description}>
+          Importing… {progress ? `${progress.done} of ${progress.total}` : ''}
+        </div>
+      );
+    }
+
+    if (scan) {
+      const name = SOURCES.find((s) => s.kind === kind)?.name;
+      return (
+        <div className={styles.description}>
+          <div className={styles.source}>{source}</div>
+          {scan.total === 0
+            ? `No ${name} entries were found here.`
+            : `${scan.total} ${name} entries found`}
+          {scan.imported > 0 &&
+            `, ${scan.imported} of them were imported before and only come in again if they changed`}
+          .
+        </div>
+      );
+    }
+
+    return (
+      <div className={styles.sources}>
+        {SOURCES.map((option) => (
+          <button
+            key={option.kind}
+            className={styles.sourceButton}
+            onClick={() => chooseSource(option.kind)}
+          >
+            <div className={styles.sourceName}>{option.name}</div>
+            <div className={styles.sourceDescription}>{option.description}</div>
+          </button>
+        ))}
+      </div>
+    );
+  };
+
+  return (
+    <Dialog.Root open={open} onOpenChange={handleOpenChange}>
+      <Dialog.Trigger asChild>
+        <button className={styles.iconButton} title="Import entries">
+          <DownloadIcon className={styles.icon} />
+        </button>
+      </Dialog.Trigger>
+      <Dialog.Portal container={document.getElementById('dialog')}>
+        <Dialog.Overlay className={styles.DialogOverlay} />
+        <Dialog.Content className={styles.DialogContent}>
+          <Dialog.Title className={styles.DialogTitle}>
+            Import into {pile.name}
+          </Dialog.Title>
+          {renderStep()}
+          {error && <div className={styles.error}>{error}</div>}
+          <div className={styles.actions}>
+            {result ? (
+              <Dialog.Close asChild>
+                <button className={styles.confirmButton}>Done</button>
+              </Dialog.Close>
+            ) : (
+              <>
+                {scan && !importing && (
+                  <button className={styles.cancelButton} onClick={reset}>
+                    Back
+                  </button>
+                )}
+                <Dialog.Close asChild>
+                  <button className={styles.cancelButton} disabled={importing}>
+                    Cancel
+                  </button>
+                </Dialog.Close>
+                {scan && scan.total > 0 && (
+                  <button
+                    className={styles.confirmButton}
+                    onClick={runImport}
+                    disabled={importing}
+                  >
+                    Import
+                  </button>
+                )}
+              </>
+            )}
+          </div>
+        </Dialog.Content>
+      </Dialog.Portal>
+    </Dialog.Root>
+  );
+}
@@ -10,6 +10,7 @@ import DeletePile from './DeletePile';
 import { TrashIcon } from 'renderer/icons';
 import Logo from './logo';
 import OpenPileFolder from './OpenPileFolder';
+import ImportEntries from './ImportEntries';
 
 const quotes = [
   'One moment at a time',
@@ -107,6 +108,7 @@ export default function Home() {
                   <DropdownMenu.Portal>
                     <DropdownMenu.Content className={styles.dropdownContent} sideOffset={5}>
                       <OpenPileFolder pile={pile} />
+                      <ImportEntries pile={pile} />
                       <DeletePile pile={pile} />
                       <DropdownMenu.Arrow className={styles.dropdownArrow} />
                     </DropdownMenu.Content>
@@ -4,10 +4,92 @@ import { AIIcon, PersonIcon } from 'renderer/icons';
 import Markdown from 'react-markdown';
 import styles from './Message.module.scss';
 
-function Message({ index, message, scrollToBottom }) {
+// Matches citation markers like [2] or [1, 3] in an answer
+const CITATION_PATTERN = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString(undefined, {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  });
+
+// Splits an answer into text and the citations it refers to, ignoring
+// numbers that don't match a retrieved passage
+const parseCitations = (content, citations) => {
+  const byNumber = new Map(citations.map((c) => [c.number, c]));
+  const parts = [];
+  let cursor = 0;
+
+  for (const match of content.matchAll(CITATION_PATTERN)) {
+    const cited = match[1]
+      .split(',')
+      .map((n) => byNumber.get(Number(n.trim())))
+      .filter(Boolean);
+    if (cited.length === 0) continue;
+
+    parts.push({ text: content.slice(cursor, match.index) });
+    parts.push({ citations: cited });
+    cursor = match.index + match[0].length;
+  }
+  parts.push({ text: content.slice(cursor) });
+
+  return parts;
+};
+
+function Message({ index, message, scrollToBottom, onCitationClick }) {
   const isUser = message.role === 'user';
   const [streamedResponse, setStreamedResponse] = useState('');
 
+  const renderAnswer = (content) => {
+    const citations = message.citations || [];
+    if (citations.length === 0) return content;
+
+    const parts = parseCitations(content, citations);
+    const sources = [];
+    parts.forEach((part) =>
+      (part.citations || []).forEach((citation) => {
+        if (!sources.some((s) => s.thread === citation.thread)) {
+          sources.push(citation);
+        }
+      }),
+    );
+
+    return (
+      <>
+        {parts.map((part, i) =>
+          part.citations ? (
+            part.citations.map((citation) => (
+              <button
+                key={`${i}-${citation.number}`}
+                className={styles.citation}
+                title={citation.text}
+                onClick={() => onCitationClick?.(citation)}
+              >
+                {citation.number}
+              </button>
+            ))
+          ) : (
+            <span key={i}>{part.text}</span>
+          ),
+        )}
+        {sources.length > 0 && (
+          <div className={styles.sources}>
+            {sources.map((citation) => (
+              <button
+                key={citation.thread}
+                className={styles.source}
+                onClick={() => onCitationClick?.(citation)}
+              >
+                {formatDate(citation.createdAt)}
+              </button>
+            ))}
+          </div>
+        )}
+      </>
+    );
+  };
+
   return (
     <div style={{ minHeight: 72 }}>
       <motion.div
@@ -35,7 +117,7 @@ function Message({ index, message, scrollToBottom }) {
               <div className={styles.text}>
                 {message.content == '@@PENDING@@'
                   ? streamedResponse
-                  : message.content}
+                  : renderAnswer(message.content)}
               </div>
             </div>
           </div>
@@ -23,7 +23,7 @@ import Scrollbar from './Scrollbar';
 import Intro from './Intro';
 import Message from './Message';
 
-const VirtualList = memo(({ data }) => {
+const VirtualList = memo(({ data, onCitationClick }) => {
   const virtualListRef = useRef();
 
   useEffect(() => {
@@ -43,9 +43,10 @@ const VirtualList = memo(({ data }) => {
         index={index}
         message={message}
         scrollToBottom={scrollToBottom}
+        onCitationClick={onCitationClick}
       />
     ),
-    [data],
+    [data, onCitationClick],
   );
 
   const getKey = useCallback((index) => `${index}-item`, [data]);
@@ -8,7 +8,7 @@ import {
   FlameIcon,
   ChatIcon,
 } from 'renderer/icons';
-import { useEffect, useState, useMemo } from 'react';
+import { useEffect, useState, useMemo, useCallback } from 'react';
 import * as Dialog from '@radix-ui/react-dialog';
 import { useAIContext } from 'renderer/context/AIContext';
 import {
@@ -16,6 +16,7 @@ import {
   usePilesContext,
 } from 'renderer/context/PilesContext';
 import { useIndexContext } from 'renderer/context/IndexContext';
+import { useTimelineContext } from 'renderer/context/TimelineContext';
 import TextareaAutosize from 'react-textarea-autosize';
 import { AnimatePresence, motion } from 'framer-motion';
 import useChat from 'renderer/hooks/useChat';
@@ -31,6 +32,8 @@ export default function Chat() {
   const { validKey } = useAIContext();
   const { currentTheme, setTheme } = usePilesContext();
   const { getAIResponse, addMessage, resetMessages } = useChat();
+  const { scrollToPost } = useTimelineContext();
+  const [open, setOpen] = useState(false);
   const [container, setContainer] = useState(null);
   const [ready, setReady] = useState(false);
   const [text, setText] = useState('');
@@ -74,7 +77,7 @@ export default function Chat() {
       if (last?.role === 'system') {
         return [
           ...history.slice(0, -1),
-          { role: 'system', content: last?.content + (token ?? '') },
+          { ...last, content: last?.content + (token ?? '') },
         ];
       }
     });
@@ -91,8 +94,11 @@ export default function Chat() {
       const message = `${text}`;
       setText('');
       setHistory((history) => [...history, { role: 'user', content: message }]);
-      const messages = await addMessage(message);
-      setHistory((history) => [...history, { role: 'system', content: '' }]);
+      const { messages, citations } = await addMessage(message);
+      setHistory((history) => [
+        ...history,
+        { role: 'system', content: '', citations },
+      ]);
 
       await getAIResponse(messages, appendToLastSystemMessage);
     } catch (error) {
@@ -115,6 +121,15 @@ export default function Chat() {
     }
   };
 
+  // Close the chat and bring the cited entry into view on the timeline
+  const onCitationClick = useCallback(
+    (citation) => {
+      setOpen(false);
+      scrollToPost(citation.thread);
+    },
+    [scrollToPost],
+  );
+
   const handleKeyPress = (event) => {
     if (event.key === 'Enter') {
       onSubmit();
@@ -134,7 +149,7 @@ export default function Chat() {
 
   return (
     <>
-      <Dialog.Root>
+      <Dialog.Root open={open} onOpenChange={setOpen}>
         <Dialog.Trigger asChild>
           <div
             className={`${styles.iconHolder} ${!aiApiKeyValid ? styles.disabled : ''}`}
@@ -182,7 +197,10 @@ export default function Chat() {
                 </div>
 
                 <div className={styles.answer}>
-                  <VirtualList data={history} />
+                  <VirtualList
+                    data={history}
+                    onCitationClick={onCitationClick}
+                  />
                 </div>
               </AnimatePresence>
 
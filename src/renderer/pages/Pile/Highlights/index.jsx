@@ -1,55 +1,227 @@
-import { SettingsIcon, CrossIcon } from 'renderer/icons';
-import { useEffect, useState } from 'react';
+import { CrossIcon, TrashIcon } from 'renderer/icons';
+import { useMemo, useState } from 'react';
 import * as Dialog from '@radix-ui/react-dialog';
-import { useAIContext } from 'renderer/context/AIContext';
 import { useHighlightsContext } from 'renderer/context/HighlightsContext';
+import { useIndexContext } from 'renderer/context/IndexContext';
 import styles from './Highlights.module.scss';
 
-// UNDER CONSTRUCTION
+const DEFAULT_COLOR = '#FF703A';
+
+function HighlightRow({
+  name,
+  highlight,
+  count,
+  others,
+  isFirst,
+  isLast,
+  onMove,
+  onError,
+}) {
+  const { renameHighlight, recolorHighlight, deleteHighlight } =
+    useHighlightsContext();
+  const [editing, setEditing] = useState(false);
+  const [newName, setNewName] = useState(name);
+  const [deleting, setDeleting] = useState(false);
+  const [reassignTo, setReassignTo] = useState('');
+
+  const submitRename = async (e) => {
+    e.preventDefault();
+    if (!editing) return;
+    setEditing(false);
+    if (!newName.trim() || newName.trim() === name) return;
+    try {
+      await renameHighlight(name, newName.trim());
+    } catch (error) {
+      setNewName(name);
+      onError(error);
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await deleteHighlight(name, reassignTo || null);
+    } catch (error) {
+      onError(error);
+    }
+  };
+
+  return (
+    <li className={styles.highlight}>
+      <div className={styles.row}>
+        <input
+          type="color"
+          className={styles.swatch}
+          value={highlight?.color || DEFAULT_COLOR}
+          onChange={(e) => recolorHighlight(name, e.target.value)}
+          aria-label={`Color of ${name}`}
+        />
+        {editing ? (
+          <form className={styles.name} onSubmit={submitRename}>
+            <input
+              autoFocus
+              className={styles.Input}
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              onBlur={submitRename}
+            />
+          </form>
+        ) : (
+          <button
+            className={styles.name}
+            onClick={() => setEditing(true)}
+            title="Rename"
+          >
+            {name}
+          </button>
+        )}
+        <span className={styles.count}>{count}</span>
+        <button
+          className={styles.move}
+          onClick={() => onMove(name, -1)}
+          disabled={isFirst}
+          aria-label={`Move ${name} up`}
+        >
+          ↑
+        </button>
+        <button
+          className={styles.move}
+          onClick={() => onMove(name, 1)}
+          disabled={isLast}
+          aria-label={`Move ${name} down`}
+        >
+          ↓
+        </button>
+        <button
+          className={styles.delete}
+          onClick={() => setDeleting(!deleting)}
+          title="Delete"
+        >
+          <TrashIcon className={styles.trash} />
+        </button>
+      </div>
+
+      {deleting && (
+        <div className={styles.confirm}>
+          {count > 0 && (
+            <>
+              <span>Move its {count} entries to</span>
+              <select
+                className={styles.Select}
+                value={reassignTo}
+                onChange={(e) => setReassignTo(e.target.value)}
+              >
+                <option value="">No highlight</option>
+                {others.map((other) => (
+                  <option key={other} value={other}>
+                    {other}
+                  </option>
+                ))}
+              </select>
+            </>
+          )}
+          <button className={styles.danger} onClick={handleDelete}>
+            Delete {name}
+          </button>
+        </div>
+      )}
+    </li>
+  );
+}
+
 export default function HighlightsDialog() {
-  const { open, onOpenChange } = useHighlightsContext();
+  const { open, onOpenChange, highlights, createHighlight, reorderHighlights } =
+    useHighlightsContext();
+  const { index } = useIndexContext();
+  const [newName, setNewName] = useState('');
+  const [newColor, setNewColor] = useState(DEFAULT_COLOR);
+  const [error, setError] = useState(null);
+
+  const names = useMemo(() => Array.from(highlights.keys()), [highlights]);
+
+  const counts = useMemo(() => {
+    const result = new Map();
+    for (const metadata of index.values()) {
+      if (!metadata.highlight) continue;
+      result.set(metadata.highlight, (result.get(metadata.highlight) || 0) + 1);
+    }
+    return result;
+  }, [index]);
+
+  const handleMove = (name, offset) => {
+    const from = names.indexOf(name);
+    const to = from + offset;
+    if (to < 0 || to >= names.length) return;
+    const order = [...names];
+    [order[from], order[to]] = [order[to], order[from]];
+    reorderHighlights(order);
+  };
+
+  const handleError = (e) => {
+    console.error('Failed to update highlight', e);
+    setError(e?.message || 'Failed to update highlight');
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const name = newName.trim();
+    if (!name) return;
+    if (highlights.has(name)) {
+      setError(`A highlight named "${name}" already exists`);
+      return;
+    }
+    setError(null);
+    await createHighlight(name, newColor);
+    setNewName('');
+  };
 
   return (
     <Dialog.Root open={open} onOpenChange={onOpenChange}>
-      <Dialog.Portal>
+      <Dialog.Portal container={document.getElementById('dialog')}>
         <Dialog.Overlay className={styles.DialogOverlay} />
         <Dialog.Content className={styles.DialogContent}>
           <Dialog.Title className={styles.DialogTitle}>Highlights</Dialog.Title>
           <Dialog.Description className={styles.DialogDescription}>
-            Manage your hightlights for this Pile
+            Manage the highlights of this pile, changes are written to every
+            entry using them
           </Dialog.Description>
-          <fieldset className={styles.Fieldset}>
-            <label className={styles.Label} htmlFor="name">
-              API key (Gemini / UNMS)
-            </label>
-            {/* <input
+
+          <ul className={styles.list}>
+            {names.map((name, i) => (
+              <HighlightRow
+                key={name}
+                name={name}
+                highlight={highlights.get(name)}
+                count={counts.get(name) || 0}
+                others={names.filter((other) => other !== name)}
+                isFirst={i === 0}
+                isLast={i === names.length - 1}
+                onMove={handleMove}
+                onError={handleError}
+              />
+            ))}
+          </ul>
+
+          <form className={styles.create} onSubmit={handleCreate}>
+            <input
+              type="color"
+              className={styles.swatch}
+              value={newColor}
+              onChange={(e) => setNewColor(e.target.value)}
+              aria-label="Color of the new highlight"
+            />
+            <input
               className={styles.Input}
-              onChange={handleOnChangeKey}
-              value={key}
-              placeholder="Paste a Gemini API key to enable AI reflections"
-            /> */}
-          </fieldset>
-          <fieldset className={styles.Fieldset}>
-            <label className={styles.Label} htmlFor="name">
-              Prompt (locked)
-            </label>
-            <textarea
-              className={styles.Textarea}
-              placeholder="Paste a Gemini API key to enable AI reflections"
-              readOnly
+              value={newName}
+              placeholder="New highlight"
+              onChange={(e) => setNewName(e.target.value)}
             />
-          </fieldset>
-          <div
-            style={{
-              display: 'flex',
-              marginTop: 25,
-              justifyContent: 'flex-end',
-            }}
-          >
-            <Dialog.Close asChild>
-              <button className={styles.Button}>Save changes</button>
-            </Dialog.Close>
-          </div>
+            <button className={styles.Button} type="submit">
+              Create
+            </button>
+          </form>
+
+          {error && <div className={styles.error}>{error}</div>}
+
           <Dialog.Close asChild>
             <button className={styles.IconButton} aria-label="Close">
               <CrossIcon />
@@ -7,8 +7,9 @@ import { usePilesContext } from 'renderer/context/PilesContext';
 import { useTimelineContext } from 'renderer/context/TimelineContext';
 import { AnimatePresence, motion } from 'framer-motion';
 import Settings from './Settings';
+import Tags from './Tags';
 import StatusPill from 'renderer/components/Sync/StatusPill';
-import AutoSyncManager from 'renderer/components/Sync/AutoSyncManager';
+import IndexJobToasts from 'renderer/components/Indexing/IndexJobToasts';
 import HighlightsDialog from './Highlights';
 import Toasts from './Toasts';
 import Search from './Search';
@@ -57,7 +58,7 @@ export default function PileLayout({ children }) {
     <div className={`${styles.frame} ${themeStyles} ${osStyles}`}>
       <div className={styles.bg} />
       <div className={styles.main}>
-        <AutoSyncManager />
+        <IndexJobToasts />
         <div
           className={`${styles.sidebar} ${sidebarCollapsed ? styles.collapsed : ''}`}
         >
@@ -105,11 +106,12 @@ export default function PileLayout({ children }) {
               <InstallUpdate />
               <Chat />
               <Search />
+              <Tags />
               <Settings />
               <Link to="/" className={`${styles.iconHolder}`}>
                 <HomeIcon className={styles.homeIcon} />
               </Link>
-              {/* <HighlightsDialog /> */}
+              <HighlightsDialog />
             </div>
           </div>
           {children}
@@ -61,7 +61,7 @@ function Ball({
             None
           </DropdownMenu.Item>
           {renderHightlights()}
-          {/* <DropdownMenu.Item
+          <DropdownMenu.Item
             className={styles.DropdownMenuItem}
             onSelect={openHighlights}
           >
@@ -71,8 +71,8 @@ function Ball({
             >
               +
             </div>
-            Create new highlight
-          </DropdownMenu.Item> */}
+            Edit highlights
+          </DropdownMenu.Item>
         </DropdownMenu.Content>
       </DropdownMenu.Portal>
     </DropdownMenu.Root>
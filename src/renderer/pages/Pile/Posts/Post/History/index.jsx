@@ -0,0 +1,130 @@
+import { useCallback, useEffect, useState } from 'react';
+import { DateTime } from 'luxon';
+import { usePilesContext } from 'renderer/context/PilesContext';
+import DiffView from 'renderer/pages/Pile/Settings/PileSync/DiffView';
+import styles from './History.module.scss';
+
+const REASONS = {
+  save: 'Saved',
+  sync: 'Synced',
+  conflict: 'Conflict',
+  restore: 'Restored',
+};
+
+// Earlier versions of a post from .pile/history, each compared with what
+// the post holds now
+export default function History({ postPath, onRestored, onClose }) {
+  const { getCurrentPilePath } = usePilesContext();
+  const [versions, setVersions] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [current, setCurrent] = useState('');
+  const [content, setContent] = useState('');
+  const [restoring, setRestoring] = useState(false);
+  const [error, setError] = useState(null);
+
+  const pilePath = getCurrentPilePath();
+
+  const load = useCallback(async () => {
+    const [list, file] = await Promise.all([
+      window.electron.ipc.invoke('history-list', pilePath, postPath),
+      window.electron.ipc.invoke(
+        'get-file',
+        window.electron.joinPath(pilePath, postPath),
+      ),
+    ]);
+    setVersions(list || []);
+    setCurrent(file || '');
+  }, [pilePath, postPath]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  useEffect(() => {
+    if (!selected) return;
+    window.electron.ipc
+      .invoke('history-read', pilePath, postPath, selected.id)
+      .then((text) => setContent(text ?? ''));
+  }, [selected, pilePath, postPath]);
+
+  const restore = async () => {
+    setRestoring(true);
+    setError(null);
+    const res = await window.electron.ipc.invoke(
+      'history-restore',
+      pilePath,
+      postPath,
+      selected.id,
+    );
+    setRestoring(false);
+    if (!res?.ok) {
+      setError(res?.error || 'Failed to restore this version');
+      return;
+    }
+    setSelected(null);
+    await load();
+    onRestored?.();
+  };
+
+  return (
+    <div className={styles.history}>
+      <div className={styles.header}>
+        <span>History</span>
+        <button className={styles.button} onClick={onClose}>
+          Close
+        </button>
+      </div>
+
+      {versions.length === 0 && (
+        <div className={styles.empty}>No earlier versions yet</div>
+      )}
+
+      <div className={styles.versions}>
+        {versions.map((version) => (
+          <button
+            key={version.id}
+            className={`${styles.version} ${
+              selected?.id === version.id ? styles.selected : ''
+            }`}
+            onClick={() => setSelected(version)}
+          >
+            <span>
+              {DateTime.fromISO(version.createdAt).toLocaleString(
+                DateTime.DATETIME_MED,
+              )}
+            </span>
+            <span className={styles.reason}>
+              {REASONS[version.reason] || version.reason}
+            </span>
+          </button>
+        ))}
+      </div>
+
+      {selected && (
+        <>
+          {content === current ? (
+            <div className={styles.empty}>Same as the current version</div>
+          ) : (
+            <DiffView
+              left={content}
+              right={current}
+              leftLabel="This version"
+              rightLabel="Current"
+            />
+          )}
+          <div className={styles.header}>
+            <button
+              className={styles.button}
+              disabled={restoring || content === current}
+              onClick={restore}
+            >
+              {restoring ? 'Restoring…' : 'Restore this version'}
+            </button>
+          </div>
+        </>
+      )}
+
+      {error && <div className={styles.error}>{error}</div>}
+    </div>
+  );
+}
@@ -109,7 +109,7 @@ export default function Reply({
                     title={
                       deleteConfirm
                         ? 'Click again to confirm deletion'
-                        : 'Delete this reply'
+                        : 'Move this reply to the trash'
                     }
                   >
                     <TrashIcon className={styles.deleteIcon} />
@@ -11,6 +11,7 @@ import usePost from 'renderer/hooks/usePost';
 import { AnimatePresence, motion } from 'framer-motion';
 import {
   AIIcon,
+  ClockIcon,
   EditIcon,
   NeedleIcon,
   PaperIcon,
@@ -27,6 +28,7 @@ import Editor from '../../Editor';
 import useThread from 'renderer/hooks/useThread';
 import { generateStructuredResponse } from 'renderer/utils/jsonHelper';
 import OutlineView from './OutlineView';
+import History from './History';
 import styles from './Post.module.scss';
 import StatusBadge from 'renderer/components/StatusBadge';
 import { isOpenTodo, isDone } from 'renderer/utils/todoTags';
@@ -47,6 +49,9 @@ const Post = memo(({ postPath, searchTerm = null, repliesCount = 0 }) => {
   const [showConversation, setShowConversation] = useState(false);
   const [isSummarizing, setIsSummarizing] = useState(false);
   const [summarizeError, setSummarizeError] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  // The editor keeps its own copy of the post, remounted after a restore
+  const [restoredAt, setRestoredAt] = useState(0);
 
   // Check if the AI API key is valid
   useEffect(() => {
@@ -125,7 +130,7 @@ const Post = memo(({ postPath, searchTerm = null, repliesCount = 0 }) => {
   const summary = post?.data?.summary || null;
   const summaryStale = post?.data?.summaryStale || false;
   const highlightColor = post?.data?.highlight
-    ? highlights.get(post.data.highlight).color
+    ? highlights.get(post.data.highlight)?.color
     : 'var(--border)';
   const tags = post?.data?.tags || [];
   const openTodo = isOpenTodo(tags);
@@ -332,6 +337,7 @@ const Post = memo(({ postPath, searchTerm = null, repliesCount = 0 }) => {
             </div>
             <div className={styles.editor}>
               <Editor
+                key={restoredAt}
                 postPath={postPath}
                 editable={editable}
                 setEditable={setEditable}
@@ -409,13 +415,20 @@ const Post = memo(({ postPath, searchTerm = null, repliesCount = 0 }) => {
                   <ReflectIcon className={styles.icon2} />
                   Think Deeper
                 </button>
+                <button
+                  className={styles.openReply}
+                  onClick={() => setShowHistory((v) => !v)}
+                >
+                  <ClockIcon className={styles.icon2} />
+                  History
+                </button>
                 <button
                   className={`${styles.openReply} ${deleteConfirm ? styles.confirmDelete : ''}`}
                   onClick={handleDelete}
                   title={
                     deleteConfirm
                       ? 'Click again to confirm deletion of entire thread'
-                      : 'Delete entire thread (including all replies)'
+                      : 'Move entire thread (including all replies) to the trash'
                   }
                 >
                   <TrashIcon className={styles.icon2} />
@@ -426,6 +439,17 @@ const Post = memo(({ postPath, searchTerm = null, repliesCount = 0 }) => {
         </AnimatePresence>
       </div>
 
+      {showHistory && (
+        <History
+          postPath={postPath}
+          onRestored={() => {
+            refreshPost();
+            setRestoredAt(Date.now());
+          }}
+          onClose={() => setShowHistory(false)}
+        />
+      )}
+
       <AnimatePresence>
         {replying && (!isSummarized || showConversation) && (
           <motion.div
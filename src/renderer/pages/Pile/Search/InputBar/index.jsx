@@ -10,7 +10,7 @@ import {
   SearchIcon,
   Search2Icon,
 } from 'renderer/icons';
-import { useEffect, useState, useMemo } from 'react';
+import { useEffect, useState, useMemo, useRef } from 'react';
 import * as Dialog from '@radix-ui/react-dialog';
 import { useAIContext } from 'renderer/context/AIContext';
 import {
@@ -19,6 +19,8 @@ import {
 } from 'renderer/context/PilesContext';
 import TextareaAutosize from 'react-textarea-autosize';
 import useIPCListener from 'renderer/hooks/useIPCListener';
+import { useTagsContext } from 'renderer/context/TagsContext';
+import { useHighlightsContext } from 'renderer/context/HighlightsContext';
 import styles from './InputBar.module.scss';
 import Waiting from '../../Toasts/Toast/Loaders/Waiting';
 import Thinking from '../../Toasts/Toast/Loaders/Thinking';
@@ -30,6 +32,36 @@ const prompts = [
 
 const randomPrompt = () => prompts[Math.floor(Math.random() * prompts.length)];
 
+// Operators understood by the query parser in main/utils/searchQuery
+const operators = [
+  { value: 'tag:', hint: 'Entries with this tag' },
+  { value: 'highlight:', hint: 'Entries with this highlight' },
+  { value: 'before:', hint: 'Created before a date' },
+  { value: 'after:', hint: 'Created on or after a date' },
+  { value: 'is:ai', hint: 'Threads with AI replies' },
+  { value: 'is:todo', hint: 'Open todos' },
+  { value: 'is:done', hint: 'Completed todos' },
+  { value: 'has:attachment', hint: 'Entries with attachments' },
+];
+
+const MAX_SUGGESTIONS = 8;
+
+const quoteIfNeeded = (value) => (/\s/.test(value) ? `"${value}"` : value);
+
+const formatDate = (date) => {
+  const pad = (n) => `${n}`.padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate(),
+  )}`;
+};
+
+// The operator or word being typed just before the caret. Quoted values
+// may contain spaces, e.g. highlight:"Do la
+const tokenBeforeCaret = (value, caret) => {
+  const match = /([a-z]+:"[^"]*|\S*)$/i.exec(value.slice(0, caret));
+  return match ? match[1] : '';
+};
+
 export default function InputBar({
   value,
   onChange,
@@ -38,6 +70,13 @@ export default function InputBar({
   onSubmit,
 }) {
   const statusFromMain = useIPCListener('vector-index', '');
+  const { tags } = useTagsContext();
+  const { highlights } = useHighlightsContext();
+  const inputRef = useRef(null);
+  const [caret, setCaret] = useState(0);
+  // -1 until the user arrows into the list, so Enter still searches
+  const [selected, setSelected] = useState(-1);
+  const [dismissed, setDismissed] = useState(false);
   const [setupRun, setSetupRun] = useState(false);
   const [status, setStatus] = useState('loading');
   const [message, setMessage] = useState({
@@ -69,7 +108,115 @@ export default function InputBar({
     // 3. If the index is empty and there are more than 1 entires
   };
 
+  const token = tokenBeforeCaret(value, caret);
+
+  const suggestions = useMemo(() => {
+    if (!token) return [];
+    const lowered = token.toLowerCase();
+    const separator = lowered.indexOf(':');
+
+    if (separator === -1) {
+      return operators.filter((op) => op.value.startsWith(lowered));
+    }
+
+    const operator = lowered.slice(0, separator);
+    const partial = lowered.slice(separator + 1).replace(/^"/, '');
+    const names = (map) =>
+      Array.from(map?.keys() ?? []).filter((name) =>
+        name.toLowerCase().startsWith(partial),
+      );
+
+    switch (operator) {
+      case 'tag':
+        return names(tags).map((name) => ({
+          value: `tag:${quoteIfNeeded(name)}`,
+          hint: 'Tag',
+        }));
+      case 'highlight':
+        return names(highlights).map((name) => ({
+          value: `highlight:${quoteIfNeeded(name)}`,
+          hint: 'Highlight',
+        }));
+      case 'before':
+      case 'after': {
+        const today = new Date();
+        const monthStart = new Date(today.getFullYear(), today.getMonth(), 1);
+        return [
+          { value: `${operator}:${formatDate(today)}`, hint: 'Today' },
+          {
+            value: `${operator}:${formatDate(monthStart)}`,
+            hint: 'Start of this month',
+          },
+        ].filter((option) => option.value.startsWith(lowered));
+      }
+      default:
+        return operators.filter(
+          (op) => op.value.startsWith(lowered) && op.value !== lowered,
+        );
+    }
+  }, [token, tags, highlights]);
+
+  const visibleSuggestions = useMemo(
+    () => (dismissed ? [] : suggestions.slice(0, MAX_SUGGESTIONS)),
+    [suggestions, dismissed],
+  );
+
+  useEffect(() => {
+    setSelected(-1);
+    setDismissed(false);
+  }, [token]);
+
+  const applySuggestion = (suggestion) => {
+    const start = caret - token.length;
+    const insert = suggestion.value.endsWith(':')
+      ? suggestion.value
+      : `${suggestion.value} `;
+    const rest = value.slice(caret).replace(/^\S*/, '');
+    const newValue = `${value.slice(0, start)}${insert}${rest}`;
+    const newCaret = start + insert.length;
+
+    // onChange only reads the value, same as a real input event
+    onChange({ target: { value: newValue } });
+    setCaret(newCaret);
+    requestAnimationFrame(() => {
+      inputRef.current?.focus();
+      inputRef.current?.setSelectionRange(newCaret, newCaret);
+    });
+  };
+
   const handleKeyPress = (event) => {
+    if (visibleSuggestions.length > 0) {
+      switch (event.key) {
+        case 'ArrowDown':
+          setSelected((i) => (i + 1) % visibleSuggestions.length);
+          event.preventDefault();
+          return false;
+        case 'ArrowUp':
+          setSelected((i) => (i <= 0 ? visibleSuggestions.length - 1 : i - 1));
+          event.preventDefault();
+          return false;
+        case 'Tab':
+          applySuggestion(
+            visibleSuggestions[selected] ?? visibleSuggestions[0],
+          );
+          event.preventDefault();
+          return false;
+        case 'Enter':
+          if (selected === -1) break;
+          applySuggestion(visibleSuggestions[selected]);
+          event.preventDefault();
+          return false;
+        case 'Escape':
+          // close the suggestions, not the search dialog
+          setDismissed(true);
+          event.preventDefault();
+          event.stopPropagation();
+          return false;
+        default:
+          break;
+      }
+    }
+
     if (event.key === 'Enter') {
       onSubmit();
       event.preventDefault();
@@ -77,6 +224,34 @@ export default function InputBar({
     }
   };
 
+  const renderSuggestions = () => {
+    if (visibleSuggestions.length === 0) return null;
+
+    return (
+      <ul className={styles.suggestions} role="listbox">
+        {visibleSuggestions.map((suggestion, i) => (
+          <li
+            key={suggestion.value}
+            role="option"
+            aria-selected={i === selected}
+            className={`${styles.suggestion} ${
+              i === selected && styles.selected
+            }`}
+            onMouseDown={(e) => {
+              // keep focus in the input
+              e.preventDefault();
+              applySuggestion(suggestion);
+            }}
+            onMouseEnter={() => setSelected(i)}
+          >
+            <span className={styles.value}>{suggestion.value}</span>
+            <span className={styles.hint}>{suggestion.hint}</span>
+          </li>
+        ))}
+      </ul>
+    );
+  };
+
   useEffect(() => {
     if (setupRun) return;
     setup();
@@ -103,12 +278,17 @@ export default function InputBar({
       <div className={styles.wrapper}>
         <div className={styles.bar}>
           <input
+            ref={inputRef}
             value={value}
             onChange={onChange}
+            onSelect={(e) => setCaret(e.target.selectionStart)}
+            onBlur={() => setDismissed(true)}
+            onFocus={() => setDismissed(false)}
             className={styles.textarea}
             onKeyDown={handleKeyPress}
-            placeholder="What are you looking for?"
+            placeholder="What are you looking for? Try tag: or is:todo"
           />
+          {renderSuggestions()}
         </div>
         <div className={styles.buttons}>
           <button
@@ -12,7 +12,6 @@ import {
   HighlightIcon,
   RelevantIcon,
 } from 'renderer/icons';
-import * as Switch from '@radix-ui/react-switch';
 import styles from './OptionsBar.module.scss';
 
 export default function OptionsBar({ options, setOptions, onSubmit }) {
@@ -25,8 +24,29 @@ export default function OptionsBar({ options, setOptions, onSubmit }) {
     setOptions((prev) => ({ ...prev, sortOrder: e.target.name }));
   };
 
-  const toggleSearchMode = () => {
-    setOptions((prev) => ({ ...prev, semanticSearch: !prev.semanticSearch }));
+  const setSearchMode = (e) => {
+    setOptions((prev) => ({ ...prev, searchMode: e.target.name }));
+  };
+
+  const renderSearchModes = () => {
+    const modes = [
+      { name: 'keyword', label: 'Keyword' },
+      { name: 'semantic', label: 'Semantic' },
+      { name: 'hybrid', label: 'Hybrid' },
+    ];
+
+    return modes.map(({ name, label }) => (
+      <button
+        key={name}
+        className={`${styles.button} ${
+          options.searchMode === name && styles.active
+        }`}
+        name={name}
+        onClick={setSearchMode}
+      >
+        {label}
+      </button>
+    ));
   };
 
   return (
@@ -80,21 +100,7 @@ export default function OptionsBar({ options, setOptions, onSubmit }) {
           <PaperclipIcon className={styles.icon} /> Attachments
         </button>
       </div>
-      <div className={styles.right}>
-        <div className={styles.switch}>
-          <label className={styles.Label} htmlFor="semantic-search">
-            Semantic
-          </label>
-          <Switch.Root
-            id="semantic-search"
-            className={styles.SwitchRoot}
-            checked={options.semanticSearch}
-            onCheckedChange={toggleSearchMode}
-          >
-            <Switch.Thumb className={styles.SwitchThumb} />
-          </Switch.Root>
-        </div>
-      </div>
+      <div className={styles.right}>{renderSearchModes()}</div>
     </div>
   );
 }
@@ -0,0 +1,41 @@
+import { useMemo } from 'react';
+import styles from './Snippet.module.scss';
+
+// Renders a search snippet, wrapping the matched ranges returned by the
+// main process so the query terms stand out.
+export default function Snippet({ snippet, score = null }) {
+  const parts = useMemo(() => {
+    const { text, matches = [] } = snippet;
+    const result = [];
+    let cursor = 0;
+
+    matches.forEach(([start, end]) => {
+      if (start < cursor) return;
+      if (start > cursor) result.push({ text: text.slice(cursor, start) });
+      result.push({ text: text.slice(start, end), match: true });
+      cursor = end;
+    });
+    if (cursor < text.length) result.push({ text: text.slice(cursor) });
+
+    return result;
+  }, [snippet]);
+
+  return (
+    <div className={styles.snippet}>
+      <span className={styles.text}>
+        {parts.map((part, i) =>
+          part.match ? (
+            <mark key={i} className={styles.match}>
+              {part.text}
+            </mark>
+          ) : (
+            <span key={i}>{part.text}</span>
+          ),
+        )}
+      </span>
+      {score != null && (
+        <span className={styles.score}>{Math.round(score * 100)}%</span>
+      )}
+    </div>
+  );
+}
@@ -24,6 +24,7 @@ import Thinking from '../Toasts/Toast/Loaders/Thinking';
 import InputBar from './InputBar';
 import styles from './Search.module.scss';
 import OptionsBar from './OptionsBar';
+import Snippet from './Snippet';
 import VirtualList from '../Posts/VirtualList';
 
 const filterResults = (results, options) => {
@@ -51,6 +52,15 @@ const filterResults = (results, options) => {
   return filtered;
 };
 
+// The query operators are applied in the main process, only the free
+// text is highlighted in the matching posts
+const highlightedText = (query) =>
+  query
+    .replace(/\b[a-z]+:("[^"]*"?|\S*)/gi, '')
+    .replace(/"/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
 export default function Search() {
   const { currentTheme, setTheme } = usePilesContext();
   const {
@@ -61,6 +71,7 @@ export default function Search() {
     searchOpen,
     setSearchOpen,
     vectorSearch,
+    hybridSearch,
   } = useIndexContext();
   const [container, setContainer] = useState(null);
   const [ready, setReady] = useState(false);
@@ -68,12 +79,10 @@ export default function Search() {
   const [querying, setQuerying] = useState(false);
   const [response, setResponse] = useState([]);
   const [options, setOptions] = useState({
-    dateRange: '',
     onlyHighlighted: false,
-    notReplies: false,
     hasAttachments: false,
     sortOrder: 'relevance',
-    semanticSearch: false,
+    searchMode: 'hybrid',
   });
 
   const onChangeText = (e) => {
@@ -84,16 +93,14 @@ export default function Search() {
     if (text === '') return;
     setQuerying(true);
 
-    if (options.semanticSearch) {
-      vectorSearch(text).then((res) => {
-        setResponse(res);
-        setQuerying(false);
-      });
-
-      return;
-    }
+    const searchers = {
+      keyword: search,
+      semantic: vectorSearch,
+      hybrid: hybridSearch,
+    };
+    const runSearch = searchers[options.searchMode] ?? search;
 
-    search(text).then((res) => {
+    runSearch(text).then((res) => {
       setResponse(res);
       setQuerying(false);
     });
@@ -101,7 +108,7 @@ export default function Search() {
 
   useEffect(() => {
     onSubmit();
-  }, [options.semanticSearch]);
+  }, [options.searchMode]);
 
   const handleKeyPress = (event) => {
     if (event.key === 'Enter') {
@@ -139,10 +146,13 @@ export default function Search() {
           key={uniqueKey}
           className={styles.post}
         >
+          {source.snippet && (
+            <Snippet snippet={source.snippet} score={source.score} />
+          )}
           <Post
             key={`post-${uniqueKey}`}
             postPath={uniqueKey}
-            searchTerm={text}
+            searchTerm={highlightedText(text)}
           />
         </motion.div>
       );
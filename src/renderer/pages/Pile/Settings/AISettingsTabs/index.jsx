@@ -5,7 +5,7 @@ import {
   usePilesContext,
   availableThemes,
 } from 'renderer/context/PilesContext';
-import { BoxOpenIcon } from 'renderer/icons';
+import { BoxOpenIcon, OllamaIcon } from 'renderer/icons';
 import { useIndexContext } from 'renderer/context/IndexContext';
 import styles from './AISettingTabs.module.scss';
 
@@ -26,6 +26,10 @@ export default function AISettingTabs({ APIkey, setCurrentKey }) {
     deleteKey,
     model,
     setModel,
+    embeddingModel,
+    setEmbeddingModel,
+    ollamaEmbeddingModel,
+    setOllamaEmbeddingModel,
     pileAIProvider,
     setPileAIProvider,
     useMockAI,
@@ -121,6 +125,10 @@ export default function AISettingTabs({ APIkey, setCurrentKey }) {
           Gemini API
           <BoxOpenIcon className={styles.icon} />
         </Tabs.Trigger>
+        <Tabs.Trigger className={`${styles.tabsTrigger}`} value="ollama">
+          Ollama
+          <OllamaIcon className={styles.icon} />
+        </Tabs.Trigger>
       </Tabs.List>
 
       <Tabs.Content className={styles.tabsContent} value="gemini">
@@ -165,6 +173,26 @@ export default function AISettingTabs({ APIkey, setCurrentKey }) {
                 </option>
               </select>
             </fieldset>
+
+            <fieldset className={styles.fieldset}>
+              <label className={styles.label} htmlFor="gemini-embedding-model">
+                Embedding model
+              </label>
+              <select
+                id="gemini-embedding-model"
+                className={styles.input}
+                onChange={handleInputChange(setEmbeddingModel)}
+                value={embeddingModel}
+                disabled={useMockAI}
+              >
+                <option value="text-embedding-004">
+                  text-embedding-004 (Recommended)
+                </option>
+                <option value="gemini-embedding-001">
+                  gemini-embedding-001 (Higher quality, slower)
+                </option>
+              </select>
+            </fieldset>
           </div>
           <fieldset className={styles.fieldset}>
             <label className={styles.label} htmlFor="gemini-api-key">
@@ -247,6 +275,32 @@ export default function AISettingTabs({ APIkey, setCurrentKey }) {
           </div>
         </div>
       </Tabs.Content>
+
+      <Tabs.Content className={styles.tabsContent} value="ollama">
+        <div className={styles.providers}>
+          <div className={styles.pitch}>
+            Ollama runs models on your computer. Pile uses it to embed your
+            entries for semantic search, AI reflections need the Gemini API.
+          </div>
+
+          <fieldset className={styles.fieldset}>
+            <label className={styles.label} htmlFor="ollama-embedding-model">
+              Embedding model
+            </label>
+            <input
+              id="ollama-embedding-model"
+              className={styles.input}
+              onChange={handleInputChange(setOllamaEmbeddingModel)}
+              value={ollamaEmbeddingModel}
+              placeholder="mxbai-embed-large"
+            />
+          </fieldset>
+          <div className={styles.disclaimer}>
+            Pull the model in Ollama first. Changing it re-embeds the whole
+            pile the next time it opens.
+          </div>
+        </div>
+      </Tabs.Content>
     </Tabs.Root>
   );
 }
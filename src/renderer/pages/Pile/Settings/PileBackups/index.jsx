@@ -0,0 +1,315 @@
+import { useCallback, useEffect, useState } from 'react';
+import * as Switch from '@radix-ui/react-switch';
+import { usePilesContext } from 'renderer/context/PilesContext';
+import { useIndexContext } from 'renderer/context/IndexContext';
+import { useTagsContext } from 'renderer/context/TagsContext';
+import { useHighlightsContext } from 'renderer/context/HighlightsContext';
+import useIPCListener from 'renderer/hooks/useIPCListener';
+import styles from './index.module.scss';
+
+const INTERVALS = [
+  { hours: 6, label: 'Every 6 hours' },
+  { hours: 24, label: 'Every day' },
+  { hours: 168, label: 'Every week' },
+];
+
+const REASONS = {
+  scheduled: 'Scheduled',
+  manual: 'Manual',
+  'pre-restore': 'Before a restore',
+};
+
+const formatDate = (iso) => new Date(iso).toLocaleString();
+
+const formatSize = (bytes) =>
+  bytes > 1024 * 1024
+    ? `${(bytes / 1024 / 1024).toFixed(1)} MB`
+    : `${Math.ceil(bytes / 1024)} KB`;
+
+// Archives of the pile in the backup folder. A whole restore puts the pile
+// back as it was, after backing up how it is now; picked posts are restored
+// with their replies and attachments.
+export default function PileBackups() {
+  const { getCurrentPilePath, currentPile } = usePilesContext();
+  const { refreshIndex } = useIndexContext();
+  const { refreshTags } = useTagsContext();
+  const { refreshHighlights } = useHighlightsContext();
+  const created = useIPCListener('backup-created', null);
+  const [config, setConfig] = useState(null);
+  const [backups, setBackups] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+  const [confirmRestore, setConfirmRestore] = useState(null);
+  const [browsing, setBrowsing] = useState(null);
+  const [posts, setPosts] = useState([]);
+  const [selected, setSelected] = useState([]);
+
+  const pilePath = getCurrentPilePath?.();
+
+  const load = useCallback(async () => {
+    if (!pilePath) return;
+    try {
+      setConfig(await window.electron.ipc.invoke('backup-get-settings'));
+      setBackups(await window.electron.ipc.invoke('backup-list', pilePath));
+    } catch (e) {
+      setError('Failed to load the backups');
+    }
+  }, [pilePath]);
+
+  useEffect(() => {
+    load();
+  }, [load, currentPile, created]);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    setMessage(null);
+    try {
+      await action();
+    } catch (e) {
+      setError(e?.message || 'Something went wrong');
+    } finally {
+      setBusy(false);
+      load();
+    }
+  };
+
+  const updateSettings = (changes) =>
+    run(async () => {
+      setConfig(
+        await window.electron.ipc.invoke('backup-set-settings', changes),
+      );
+    });
+
+  const handleChooseDirectory = () =>
+    run(async () => {
+      const updated = await window.electron.ipc.invoke(
+        'backup-choose-directory',
+      );
+      if (updated) setConfig(updated);
+    });
+
+  const handleBackup = () =>
+    run(async () => {
+      const result = await window.electron.ipc.invoke('backup-run', pilePath);
+      if (!result?.ok) throw new Error(result?.error);
+      setMessage(`Backed up ${result.entry.posts} posts`);
+    });
+
+  const handleVerify = (backup) =>
+    run(async () => {
+      const result = await window.electron.ipc.invoke(
+        'backup-verify',
+        pilePath,
+        backup.file,
+      );
+      if (!result.ok) throw new Error(result.errors.join(', '));
+      setMessage(`${backup.file} is intact`);
+    });
+
+  const handleBrowse = (backup) =>
+    run(async () => {
+      if (browsing === backup.file) {
+        setBrowsing(null);
+        return;
+      }
+      const result = await window.electron.ipc.invoke(
+        'backup-posts',
+        pilePath,
+        backup.file,
+      );
+      if (!result?.ok) throw new Error(result?.error);
+      setPosts(result.posts);
+      setSelected([]);
+      setBrowsing(backup.file);
+    });
+
+  const restore = (file, postPaths) =>
+    run(async () => {
+      const result = await window.electron.ipc.invoke(
+        'backup-restore',
+        pilePath,
+        file,
+        postPaths,
+      );
+      if (!result?.ok) throw new Error(result?.error);
+      await Promise.all([refreshIndex(), refreshTags(), refreshHighlights()]);
+      setBrowsing(null);
+      setMessage(
+        `Restored ${result.restored} posts` +
+          (result.removed ? `, removed ${result.removed} newer ones` : ''),
+      );
+    });
+
+  const handleRestorePile = (backup) => {
+    if (confirmRestore !== backup.file) {
+      setConfirmRestore(backup.file);
+      setTimeout(() => setConfirmRestore(null), 3000);
+      return;
+    }
+    setConfirmRestore(null);
+    restore(backup.file, null);
+  };
+
+  const toggle = (postPath) =>
+    setSelected((current) =>
+      current.includes(postPath)
+        ? current.filter((p) => p !== postPath)
+        : [...current, postPath],
+    );
+
+  if (!pilePath || !config) return null;
+
+  return (
+    <div className={styles.container}>
+      <div className={styles.row}>
+        <span className={`${styles.muted} ${styles.directory}`}>
+          {config.directory || 'No backup folder chosen'}
+        </span>
+        <button
+          className={styles.btnSecondary}
+          onClick={handleChooseDirectory}
+          disabled={busy}
+        >
+          Choose folder
+        </button>
+      </div>
+
+      <div className={styles.row}>
+        <label className={styles.muted} htmlFor="auto-backup">
+          Back up automatically
+        </label>
+        <Switch.Root
+          id="auto-backup"
+          className={styles.switch}
+          checked={config.enabled}
+          disabled={!config.directory || busy}
+          onCheckedChange={(enabled) => updateSettings({ enabled })}
+        >
+          <Switch.Thumb className={styles.thumb} />
+        </Switch.Root>
+        <select
+          className={styles.input}
+          value={config.intervalHours}
+          onChange={(e) =>
+            updateSettings({ intervalHours: Number(e.target.value) })
+          }
+          disabled={!config.enabled}
+        >
+          {INTERVALS.map((interval) => (
+            <option key={interval.hours} value={interval.hours}>
+              {interval.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className={styles.row}>
+        <span className={styles.muted}>Keep</span>
+        {[
+          ['keepDaily', 'days'],
+          ['keepWeekly', 'weeks'],
+          ['keepMonthly', 'months'],
+        ].map(([field, unit]) => (
+          <label key={field} className={styles.muted}>
+            <input
+              className={`${styles.input} ${styles.number}`}
+              type="number"
+              min={1}
+              value={config[field]}
+              onChange={(e) =>
+                updateSettings({ [field]: Math.max(1, Number(e.target.value)) })
+              }
+            />{' '}
+            {unit}
+          </label>
+        ))}
+      </div>
+
+      <div className={styles.row}>
+        <button
+          className={styles.btn}
+          onClick={handleBackup}
+          disabled={busy || !config.directory}
+        >
+          Back up now
+        </button>
+        {busy && <span className={styles.muted}>Working…</span>}
+      </div>
+
+      {backups.length > 0 && (
+        <ul className={styles.entries}>
+          {backups.map((backup) => (
+            <li key={backup.file}>
+              <div className={styles.entryRow}>
+                <div className={styles.entry}>
+                  <div className={styles.title}>
+                    {formatDate(backup.createdAt)}
+                  </div>
+                  <div className={styles.muted}>
+                    {REASONS[backup.reason] || backup.reason}, {backup.posts}{' '}
+                    posts, {formatSize(backup.size)}
+                  </div>
+                </div>
+                <button
+                  className={styles.btnSecondary}
+                  onClick={() => handleVerify(backup)}
+                  disabled={busy}
+                >
+                  Verify
+                </button>
+                <button
+                  className={styles.btnSecondary}
+                  onClick={() => handleBrowse(backup)}
+                  disabled={busy}
+                >
+                  Posts
+                </button>
+                <button
+                  className={`${styles.btn} ${confirmRestore === backup.file ? styles.confirm : ''}`}
+                  onClick={() => handleRestorePile(backup)}
+                  disabled={busy}
+                >
+                  {confirmRestore === backup.file
+                    ? 'Click again to restore'
+                    : 'Restore pile'}
+                </button>
+              </div>
+
+              {browsing === backup.file && (
+                <div className={styles.posts}>
+                  {posts.map((post) => (
+                    <label key={post.path} className={styles.post}>
+                      <input
+                        type="checkbox"
+                        checked={selected.includes(post.path)}
+                        onChange={() => toggle(post.path)}
+                      />
+                      <span className={styles.title}>
+                        {post.title || post.path}
+                      </span>
+                      <span className={styles.muted}>
+                        {post.exists ? '' : 'missing'}
+                      </span>
+                    </label>
+                  ))}
+                  <button
+                    className={styles.btn}
+                    onClick={() => restore(backup.file, selected)}
+                    disabled={busy || selected.length === 0}
+                  >
+                    Restore {selected.length || ''} selected
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {message && <div className={styles.muted}>✅ {message}</div>}
+      {error && <div className={styles.warning}>{error}</div>}
+    </div>
+  );
+}
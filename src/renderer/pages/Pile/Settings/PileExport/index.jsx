@@ -0,0 +1,196 @@
+import { useState } from 'react';
+import { usePilesContext } from 'renderer/context/PilesContext';
+import { useTagsContext } from 'renderer/context/TagsContext';
+import { useHighlightsContext } from 'renderer/context/HighlightsContext';
+import styles from './index.module.scss';
+
+// Writes the pile out in formats that don't need Pile to be read
+export default function PileExport() {
+  const { getCurrentPilePath } = usePilesContext();
+  const { tags } = useTagsContext();
+  const { highlights } = useHighlightsContext();
+  const [exporting, setExporting] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [incremental, setIncremental] = useState(true);
+  const [journal, setJournal] = useState({
+    from: '',
+    to: '',
+    tag: '',
+    highlight: '',
+  });
+
+  const pilePath = getCurrentPilePath?.();
+  if (!pilePath) return null;
+
+  const run = async (channel, options, describe) => {
+    setExporting(true);
+    setError(null);
+    setResult(null);
+    try {
+      const exported = await window.electron.ipc.invoke(
+        channel,
+        pilePath,
+        options,
+      );
+      if (exported.error) setError(exported.error);
+      else if (exported.ok) {
+        setResult({
+          message: describe(exported),
+          path: exported.outputDir || exported.filePath,
+        });
+      }
+    } catch (e) {
+      setError(e?.message || 'Export failed');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleExportSite = () =>
+    run(
+      'export-site',
+      undefined,
+      (exported) =>
+        `Exported ${exported.threads} threads, ${exported.tags} tags and ${exported.attachments} attachments.`,
+    );
+
+  const handleExportJournal = (format) =>
+    run(
+      'export-journal',
+      {
+        format,
+        from: journal.from || null,
+        to: journal.to || null,
+        tags: journal.tag ? [journal.tag] : [],
+        highlights: journal.highlight ? [journal.highlight] : [],
+      },
+      (exported) =>
+        `Exported ${exported.threads} threads over ${exported.months} months.`,
+    );
+
+  const handleExportData = () =>
+    run(
+      'export-data',
+      {
+        from: journal.from || null,
+        to: journal.to || null,
+        incremental,
+      },
+      (exported) =>
+        exported.incremental
+          ? `Added ${exported.written} changed and ${exported.deleted} deleted posts.`
+          : `Exported ${exported.written} posts.`,
+    );
+
+  const update = (field) => (e) =>
+    setJournal({ ...journal, [field]: e.target.value });
+
+  return (
+    <div className={styles.container}>
+      <div className={styles.row}>
+        <button
+          className={styles.btn}
+          onClick={handleExportSite}
+          disabled={exporting}
+        >
+          Export as website
+        </button>
+      </div>
+
+      <div className={styles.muted}>Printable journal and data</div>
+      <div className={styles.row}>
+        <input
+          className={styles.input}
+          type="date"
+          value={journal.from}
+          onChange={update('from')}
+          aria-label="From"
+        />
+        <span className={styles.muted}>to</span>
+        <input
+          className={styles.input}
+          type="date"
+          value={journal.to}
+          onChange={update('to')}
+          aria-label="To"
+        />
+      </div>
+      <div className={styles.row}>
+        <select
+          className={styles.input}
+          value={journal.tag}
+          onChange={update('tag')}
+        >
+          <option value="">Any tag</option>
+          {Array.from(tags?.keys() ?? []).map((tag) => (
+            <option key={tag} value={tag}>
+              #{tag}
+            </option>
+          ))}
+        </select>
+        <select
+          className={styles.input}
+          value={journal.highlight}
+          onChange={update('highlight')}
+        >
+          <option value="">Any highlight</option>
+          {Array.from(highlights?.keys() ?? []).map((highlight) => (
+            <option key={highlight} value={highlight}>
+              {highlight}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div className={styles.row}>
+        <button
+          className={styles.btn}
+          onClick={() => handleExportJournal('pdf')}
+          disabled={exporting}
+        >
+          Export PDF
+        </button>
+        <button
+          className={styles.btn}
+          onClick={() => handleExportJournal('epub')}
+          disabled={exporting}
+        >
+          Export EPUB
+        </button>
+      </div>
+
+      <div className={styles.muted}>Data for analysis</div>
+      <div className={styles.row}>
+        <button
+          className={styles.btn}
+          onClick={handleExportData}
+          disabled={exporting}
+        >
+          Export JSON Lines & CSV
+        </button>
+        <label className={styles.muted}>
+          <input
+            type="checkbox"
+            checked={incremental}
+            onChange={(e) => setIncremental(e.target.checked)}
+          />{' '}
+          Only changes since the last export
+        </label>
+      </div>
+
+      {exporting && <div className={styles.muted}>Exporting…</div>}
+      {result && (
+        <div className={styles.muted}>
+          ✅ {result.message}{' '}
+          <button
+            className={styles.link}
+            onClick={() => window.electron.shell.openPath(result.path)}
+          >
+            Open
+          </button>
+        </div>
+      )}
+      {error && <div className={styles.warning}>{error}</div>}
+    </div>
+  );
+}
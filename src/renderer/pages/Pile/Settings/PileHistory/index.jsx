@@ -0,0 +1,82 @@
+import { useEffect, useState } from 'react';
+import { usePilesContext } from 'renderer/context/PilesContext';
+import styles from './index.module.scss';
+
+// How long .pile/history keeps earlier versions of each post
+export default function PileHistory() {
+  const { getCurrentPilePath, currentPile } = usePilesContext();
+  const [retention, setRetention] = useState(null);
+  const [saved, setSaved] = useState(false);
+  const [error, setError] = useState(null);
+
+  const pilePath = getCurrentPilePath?.();
+
+  useEffect(() => {
+    if (!pilePath) return;
+    window.electron.ipc
+      .invoke('history-get-retention', pilePath)
+      .then(setRetention)
+      .catch(() => setError('Failed to load history settings'));
+  }, [pilePath, currentPile]);
+
+  if (!pilePath || !retention) return null;
+
+  const update = (field) => (e) => {
+    setSaved(false);
+    setRetention({ ...retention, [field]: e.target.value });
+  };
+
+  const handleSave = async () => {
+    setError(null);
+    try {
+      setRetention(
+        await window.electron.ipc.invoke(
+          'history-set-retention',
+          pilePath,
+          retention,
+        ),
+      );
+      setSaved(true);
+    } catch (e) {
+      setError(e?.message || 'Failed to save history settings');
+    }
+  };
+
+  return (
+    <div className={styles.container}>
+      <div className={styles.row}>
+        <label className={styles.muted} htmlFor="history-versions">
+          Versions per post
+        </label>
+        <input
+          id="history-versions"
+          className={styles.input}
+          type="number"
+          min="0"
+          value={retention.maxVersions}
+          onChange={update('maxVersions')}
+        />
+        <label className={styles.muted} htmlFor="history-days">
+          Days to keep
+        </label>
+        <input
+          id="history-days"
+          className={styles.input}
+          type="number"
+          min="0"
+          value={retention.maxAgeDays}
+          onChange={update('maxAgeDays')}
+        />
+        <button className={styles.btn} onClick={handleSave}>
+          Save
+        </button>
+      </div>
+      <div className={styles.muted}>
+        {saved
+          ? '✅ Saved, older versions were removed'
+          : '0 keeps versions forever'}
+      </div>
+      {error && <div className={styles.warning}>{error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,118 @@
+import { useCallback, useState } from 'react';
+import { useIndexContext } from 'renderer/context/IndexContext';
+import styles from './index.module.scss';
+
+// only the first few issues are listed, the summary counts them all
+const MAX_LISTED_ISSUES = 50;
+
+const ISSUE_LABELS = {
+  'missing-file': 'Indexed entries without a file',
+  'unindexed-file': 'Entries missing from the index',
+  'stale-index': 'Out of date index entries',
+  'repeated-reply': 'Replies listed twice',
+  'dangling-reply': 'Links to missing replies',
+  'shared-reply': 'Replies listed by several entries',
+  'unmarked-reply': 'Replies not marked as replies',
+  'orphaned-reply': 'Orphaned replies',
+  'dangling-tag': 'Dangling tag references',
+  'untracked-tag': 'Tags missing an entry',
+  'dangling-highlight': 'Unknown highlights',
+};
+
+export default function PileRepair() {
+  const { verifyPile, repairPile } = useIndexContext();
+  const [report, setReport] = useState(null);
+  const [repaired, setRepaired] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const run = useCallback(async (action) => {
+    setLoading(true);
+    setError(null);
+    try {
+      await action();
+    } catch (e) {
+      console.error('Failed to verify pile', e);
+      setError(e?.message || 'Failed to verify pile');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const handleVerify = () =>
+    run(async () => {
+      setRepaired(null);
+      setReport(await verifyPile());
+    });
+
+  const handleRepair = () =>
+    run(async () => {
+      const result = await repairPile();
+      setRepaired(result.repaired);
+      setReport(result.report);
+    });
+
+  const issues = report?.issues ?? [];
+
+  return (
+    <div className={styles.container}>
+      <div className={styles.row}>
+        <button
+          className={styles.btn}
+          onClick={handleVerify}
+          disabled={loading}
+        >
+          {loading ? 'Checking…' : 'Verify pile'}
+        </button>
+        {issues.length > 0 && (
+          <button
+            className={styles.btnSecondary}
+            onClick={handleRepair}
+            disabled={loading}
+          >
+            Repair {issues.length} issues
+          </button>
+        )}
+      </div>
+
+      {repaired !== null && (
+        <div className={styles.muted}>✅ Repaired {repaired} issues</div>
+      )}
+
+      {report && issues.length === 0 && (
+        <div className={styles.muted}>
+          All {report.entries} entries check out
+        </div>
+      )}
+
+      {issues.length > 0 && (
+        <>
+          <ul className={styles.summary}>
+            {Object.entries(report.summary).map(([type, count]) => (
+              <li key={type}>
+                <span className={styles.count}>{count}</span>
+                {ISSUE_LABELS[type] || type}
+              </li>
+            ))}
+          </ul>
+          <ul className={styles.issues}>
+            {issues.slice(0, MAX_LISTED_ISSUES).map((issue, i) => (
+              <li key={`${issue.type}-${issue.path}-${i}`}>
+                <div className={styles.path}>{issue.path}</div>
+                <div>{issue.message}</div>
+                <div className={styles.fix}>→ {issue.fix}</div>
+              </li>
+            ))}
+          </ul>
+          {issues.length > MAX_LISTED_ISSUES && (
+            <div className={styles.muted}>
+              and {issues.length - MAX_LISTED_ISSUES} more
+            </div>
+          )}
+        </>
+      )}
+
+      {error && <div className={styles.warning}>{error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,100 @@
+import { useEffect } from 'react';
+import styles from './index.module.scss';
+
+export const BACKENDS = [
+  { type: 'supabase', label: 'Pile Cloud' },
+  { type: 'folder', label: 'Shared folder' },
+  { type: 's3', label: 'S3-compatible bucket' },
+];
+
+const S3_FIELDS = [
+  { name: 'endpoint', label: 'Endpoint', placeholder: 'http://localhost:9000' },
+  { name: 'region', label: 'Region', placeholder: 'us-east-1' },
+  { name: 'bucket', label: 'Bucket', placeholder: 'pile' },
+  { name: 'prefix', label: 'Prefix', placeholder: 'optional' },
+  { name: 'accessKeyId', label: 'Access key' },
+  { name: 'secretAccessKey', label: 'Secret key', type: 'password' },
+];
+
+export default function BackendPicker({ config, onChange, disabled }) {
+  const type = config?.type || 'supabase';
+
+  useEffect(() => {
+    if (type !== 'folder') return undefined;
+    const unsubscribe = window.electron?.ipc?.on?.(
+      'selected-directory',
+      (path) => onChange({ ...config, path }),
+    );
+    return () => unsubscribe?.();
+  }, [type, config, onChange]);
+
+  const setField = (name) => (e) =>
+    onChange({ ...config, [name]: e.target.value });
+
+  return (
+    <div className={styles.backend}>
+      <div className={styles.row}>
+        <label className={styles.muted} htmlFor="sync-backend">
+          Sync to
+        </label>
+        <select
+          id="sync-backend"
+          className={styles.input}
+          value={type}
+          disabled={disabled}
+          onChange={(e) => onChange({ type: e.target.value })}
+        >
+          {BACKENDS.map((backend) => (
+            <option key={backend.type} value={backend.type}>
+              {backend.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {type === 'folder' && (
+        <div className={styles.row}>
+          <input
+            className={styles.input}
+            value={config.path || ''}
+            placeholder="/Volumes/NAS/Pile"
+            disabled={disabled}
+            onChange={setField('path')}
+          />
+          <button
+            className={styles.btnSecondary}
+            disabled={disabled}
+            onClick={() => window.electron.ipc.sendMessage('open-file-dialog')}
+          >
+            Choose…
+          </button>
+        </div>
+      )}
+
+      {type === 's3' &&
+        S3_FIELDS.map((field) => (
+          <div className={styles.row} key={field.name}>
+            <label
+              className={`${styles.muted} ${styles.label}`}
+              htmlFor={`sync-s3-${field.name}`}
+            >
+              {field.label}
+            </label>
+            <input
+              id={`sync-s3-${field.name}`}
+              className={styles.input}
+              type={field.type || 'text'}
+              value={config[field.name] || ''}
+              placeholder={
+                field.name === 'secretAccessKey' && config.accessKeyId
+                  ? 'unchanged'
+                  : field.placeholder
+              }
+              disabled={disabled}
+              onChange={setField(field.name)}
+            />
+          </div>
+        ))}
+    </div>
+  );
+}
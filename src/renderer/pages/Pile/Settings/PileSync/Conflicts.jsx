@@ -2,7 +2,7 @@ import { useCallback, useEffect, useMemo, useState } from 'react';
 import * as Dialog from '@radix-ui/react-dialog';
 import { usePilesContext } from 'renderer/context/PilesContext';
 import styles from './index.module.scss';
-import DiffView from './DiffView';
+import DiffView, { HunkDiff } from './DiffView';
 
 export default function ConflictsPanel({ onResolved }) {
   const { getCurrentPilePath, currentPile } = usePilesContext();
@@ -31,15 +31,13 @@ export default function ConflictsPanel({ onResolved }) {
   }, [loadConflicts]);
 
   const handleResolve = useCallback(
-    async (postId, choice, mergedContent) => {
+    async (postId, choice, mergedContent, hunks) => {
       if (!pilePath) return;
       try {
-        const res = await window.electron.sync.resolveConflict(
-          pilePath,
-          postId,
-          choice,
-          mergedContent,
-        );
+        const args = [pilePath, postId, choice, mergedContent];
+        // per-hunk resolutions only go along with the 'hunks' choice
+        if (hunks) args.push(hunks);
+        const res = await window.electron.sync.resolveConflict(...args);
         if (!res?.ok) {
           throw new Error(res?.error || 'Resolution failed');
         }
@@ -107,7 +105,9 @@ function ConflictDialog({ conflict, onResolve, onClose }) {
   const pilePath = useMemo(() => getCurrentPilePath?.() ?? null, [getCurrentPilePath, currentPile]);
   const [localContent, setLocalContent] = useState('');
   const [remoteContent, setRemoteContent] = useState('');
-  const [mergedContent, setMergedContent] = useState('');
+  const [hunks, setHunks] = useState([]);
+  const [hasBase, setHasBase] = useState(false);
+  const [resolutions, setResolutions] = useState({});
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -116,16 +116,19 @@ function ConflictDialog({ conflict, onResolve, onClose }) {
     setLoading(true);
     setError(null);
     try {
-      const [l, r] = await Promise.all([
+      const [l, r, m] = await Promise.all([
         window.electron.sync.getConflictArtifact(pilePath, conflict.id, 'local'),
         window.electron.sync.getConflictArtifact(pilePath, conflict.id, 'remote'),
+        window.electron.sync.getConflictMerge(pilePath, conflict.id),
       ]);
-      if (l?.error || r?.error) {
-        throw new Error(l?.error || r?.error || 'Failed to load artifacts');
+      if (l?.error || r?.error || m?.error) {
+        throw new Error(l?.error || r?.error || m?.error || 'Failed to load artifacts');
       }
       setLocalContent(l?.content || '');
       setRemoteContent(r?.content || '');
-      setMergedContent(l?.content || '');
+      setHunks(m?.hunks || []);
+      setHasBase(Boolean(m?.hasBase));
+      setResolutions({});
     } catch (e) {
       setError(e?.message || 'Failed to load artifacts');
     } finally {
@@ -137,6 +140,22 @@ function ConflictDialog({ conflict, onResolve, onClose }) {
     loadArtifacts();
   }, [loadArtifacts]);
 
+  const unresolved = hunks.filter((hunk) => !resolutions[hunk.id]).length;
+
+  const resolveHunk = (id, resolution) => {
+    setResolutions((current) => ({ ...current, [id]: resolution }));
+  };
+
+  const applyHunks = async () => {
+    await onResolve(
+      conflict.postId,
+      'hunks',
+      undefined,
+      hunks.map((hunk) => resolutions[hunk.id]),
+    );
+    onClose?.();
+  };
+
   return (
     <Dialog.Portal>
       <Dialog.Overlay className={styles.DialogOverlay} />
@@ -156,23 +175,23 @@ function ConflictDialog({ conflict, onResolve, onClose }) {
           </>
         )}
 
-        {!loading && !error && (
+        {!loading && !error && hunks.length > 0 && (
           <div style={{ marginTop: 12 }}>
-            <div className={styles.muted}>Or edit a merged version</div>
-            <textarea
-              className={styles.Textarea}
-              style={{ height: 160 }}
-              value={mergedContent}
-              onChange={(e) => setMergedContent(e.target.value)}
-            />
-            <button
-              className={styles.btn}
-              onClick={async () => {
-                await onResolve(conflict.postId, 'merged', mergedContent);
-                onClose?.();
-              }}
-            >
-              Resolve with Merged
+            <div className={styles.muted}>
+              {hasBase
+                ? `Everything else was merged, ${hunks.length} overlapping changes are left`
+                : 'This post was never synced before, so it is compared as a whole'}
+            </div>
+            {hunks.map((hunk) => (
+              <HunkDiff
+                key={hunk.id}
+                hunk={hunk}
+                resolution={resolutions[hunk.id]}
+                onResolve={(resolution) => resolveHunk(hunk.id, resolution)}
+              />
+            ))}
+            <button className={styles.btn} onClick={applyHunks} disabled={unresolved > 0}>
+              {unresolved > 0 ? `${unresolved} changes left to resolve` : 'Resolve with Merged'}
             </button>
           </div>
         )}
@@ -1,4 +1,4 @@
-import { useEffect, useMemo, useRef } from 'react';
+import { useEffect, useMemo, useRef, useState } from 'react';
 import { diffLines, diffWords } from 'diff';
 import styles from './index.module.scss';
 
@@ -79,7 +79,12 @@ function buildSideBySide(leftText, rightText) {
   return { left, right };
 }
 
-export default function DiffView({ left = '', right = '' }) {
+export default function DiffView({
+  left = '',
+  right = '',
+  leftLabel = 'Local',
+  rightLabel = 'Remote',
+}) {
   const { left: leftLines, right: rightLines } = useMemo(
     () => buildSideBySide(left, right),
     [left, right],
@@ -149,7 +154,7 @@ export default function DiffView({ left = '', right = '' }) {
   return (
     <div className={styles.diff}>
       <div className={styles.diffCol} ref={leftRef}>
-        <div className={styles.diffHeader}>Local</div>
+        <div className={styles.diffHeader}>{leftLabel}</div>
         {leftLines.map((e, idx) => (
           <div key={`L${idx}`} className={styles.rowWrap}>
             <div className={styles.gutter}>{idx + 1}</div>
@@ -158,7 +163,7 @@ export default function DiffView({ left = '', right = '' }) {
         ))}
       </div>
       <div className={styles.diffCol} ref={rightRef}>
-        <div className={styles.diffHeader}>Remote</div>
+        <div className={styles.diffHeader}>{rightLabel}</div>
         {rightLines.map((e, idx) => (
           <div key={`R${idx}`} className={styles.rowWrap}>
             <div className={styles.gutter}>{idx + 1}</div>
@@ -170,3 +175,65 @@ export default function DiffView({ left = '', right = '' }) {
   );
 }
 
+const HUNK_CHOICES = [
+  { choice: 'local', label: 'Accept left' },
+  { choice: 'remote', label: 'Accept right' },
+];
+
+/**
+ * One overlapping change of a three-way merge, resolved by taking the
+ * left (local) side, the right (remote) side or an edited version
+ */
+export function HunkDiff({ hunk, resolution, onResolve }) {
+  const [draft, setDraft] = useState(hunk.local);
+  const choice = resolution?.choice;
+
+  const startEditing = () => {
+    // Start from the side picked so far
+    const content = choice === 'remote' ? hunk.remote : hunk.local;
+    setDraft(content);
+    onResolve({ choice: 'edit', content });
+  };
+
+  return (
+    <div className={styles.hunk}>
+      <div className={styles.row}>
+        <strong>
+          {hunk.kind === 'field'
+            ? `Field "${hunk.field}"`
+            : `Change ${hunk.id + 1}`}
+        </strong>
+        {HUNK_CHOICES.map((option) => (
+          <button
+            key={option.choice}
+            className={
+              choice === option.choice ? styles.btn : styles.btnSecondary
+            }
+            onClick={() => onResolve({ choice: option.choice })}
+          >
+            {option.label}
+          </button>
+        ))}
+        <button
+          className={choice === 'edit' ? styles.btn : styles.btnSecondary}
+          onClick={startEditing}
+        >
+          Edit
+        </button>
+      </div>
+
+      <DiffView left={hunk.local} right={hunk.remote} />
+
+      {choice === 'edit' && (
+        <textarea
+          className={styles.Textarea}
+          value={draft}
+          onChange={(e) => {
+            setDraft(e.target.value);
+            onResolve({ choice: 'edit', content: e.target.value });
+          }}
+        />
+      )}
+    </div>
+  );
+}
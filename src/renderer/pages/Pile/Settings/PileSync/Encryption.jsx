@@ -0,0 +1,248 @@
+import { useCallback, useEffect, useState } from 'react';
+import styles from './index.module.scss';
+
+// A pull finding a pile encrypted elsewhere ends in an error, the status
+// is reloaded whenever it changes
+export default function EncryptionPanel({ pilePath, syncError, onChanged }) {
+  const [status, setStatus] = useState(null);
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [recoveryKey, setRecoveryKey] = useState('');
+  const [shownKey, setShownKey] = useState(null);
+  const [rotating, setRotating] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadStatus = useCallback(async () => {
+    if (!pilePath || !window.electron?.sync?.getEncryptionStatus) return;
+    const res = await window.electron.sync.getEncryptionStatus(pilePath);
+    if (res?.ok) setStatus(res.status);
+  }, [pilePath]);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus, syncError]);
+
+  const run = useCallback(
+    async (action) => {
+      setLoading(true);
+      setError(null);
+      try {
+        const res = await action();
+        if (res && res.ok === false) {
+          setError(res.error || 'Encryption change failed');
+          return;
+        }
+        setStatus(res?.status ?? null);
+        setPassphrase('');
+        setConfirmation('');
+        setRecoveryKey('');
+        setRotating(false);
+        onChanged?.();
+      } catch (e) {
+        setError((e && e.message) || 'Encryption change failed');
+      } finally {
+        setLoading(false);
+      }
+    },
+    [onChanged],
+  );
+
+  const mismatch = confirmation && passphrase !== confirmation;
+  const canSetPassphrase =
+    passphrase.length >= 8 && passphrase === confirmation;
+
+  const handleShowKey = useCallback(async () => {
+    setError(null);
+    const res = await window.electron.sync.exportRecoveryKey(pilePath);
+    if (res?.recoveryKey) {
+      setShownKey(res.recoveryKey);
+    } else {
+      setError(res?.error || 'Failed to export the recovery key');
+    }
+  }, [pilePath]);
+
+  if (!status) return null;
+
+  const passphraseFields = (
+    <>
+      <div className={styles.row}>
+        <input
+          className={styles.input}
+          type="password"
+          placeholder="Passphrase, at least 8 characters"
+          value={passphrase}
+          disabled={loading}
+          onChange={(e) => setPassphrase(e.target.value)}
+        />
+      </div>
+      <div className={styles.row}>
+        <input
+          className={styles.input}
+          type="password"
+          placeholder="Repeat passphrase"
+          value={confirmation}
+          disabled={loading}
+          onChange={(e) => setConfirmation(e.target.value)}
+        />
+      </div>
+      {mismatch && (
+        <span className={styles.warning}>Passphrases don't match</span>
+      )}
+    </>
+  );
+
+  if (!status.enabled) {
+    return (
+      <div className={styles.backend}>
+        <span className={styles.muted}>
+          End-to-end encryption keeps posts and attachments unreadable to the
+          sync storage. The passphrase can't be recovered, keep it safe.
+        </span>
+        {passphraseFields}
+        <div className={styles.row}>
+          <button
+            className={styles.btn}
+            disabled={loading || !canSetPassphrase}
+            onClick={() =>
+              run(() =>
+                window.electron.sync.enableEncryption(pilePath, passphrase),
+              )
+            }
+          >
+            Encrypt Pile
+          </button>
+        </div>
+        {error && <div className={styles.warning}>{error}</div>}
+      </div>
+    );
+  }
+
+  if (status.locked) {
+    return (
+      <div className={styles.backend}>
+        <span className={styles.warning}>
+          🔒 This pile is encrypted. Unlock it to sync on this device.
+        </span>
+        <div className={styles.row}>
+          <input
+            className={styles.input}
+            type="password"
+            placeholder="Passphrase"
+            value={passphrase}
+            disabled={loading}
+            onChange={(e) => setPassphrase(e.target.value)}
+          />
+          <button
+            className={styles.btn}
+            disabled={loading || !passphrase}
+            onClick={() =>
+              run(() =>
+                window.electron.sync.unlockEncryption(pilePath, passphrase),
+              )
+            }
+          >
+            Unlock
+          </button>
+        </div>
+        <div className={styles.row}>
+          <input
+            className={`${styles.input} ${styles.code}`}
+            placeholder="Recovery key"
+            value={recoveryKey}
+            disabled={loading}
+            onChange={(e) => setRecoveryKey(e.target.value)}
+          />
+          <button
+            className={styles.btnSecondary}
+            disabled={loading || !recoveryKey}
+            onClick={() =>
+              run(() =>
+                window.electron.sync.importRecoveryKey(pilePath, recoveryKey),
+              )
+            }
+          >
+            Use Recovery Key
+          </button>
+        </div>
+        {error && <div className={styles.warning}>{error}</div>}
+      </div>
+    );
+  }
+
+  return (
+    <div className={styles.backend}>
+      {status.tamperedPostId && (
+        <span className={styles.warning}>
+          ⚠️ Post {status.tamperedPostId} failed its integrity check. It was
+          changed on the sync storage or sealed with another key, syncing stops
+          before it until it can be read.
+        </span>
+      )}
+      <div className={styles.row}>
+        <span className={styles.muted}>
+          🔒 End-to-end encrypted (key v{status.version})
+        </span>
+        <button
+          className={styles.btnSecondary}
+          disabled={loading}
+          onClick={shownKey ? () => setShownKey(null) : handleShowKey}
+        >
+          {shownKey ? 'Hide Recovery Key' : 'Show Recovery Key'}
+        </button>
+        <button
+          className={styles.btnSecondary}
+          disabled={loading}
+          onClick={() => setRotating(!rotating)}
+        >
+          Change Passphrase
+        </button>
+      </div>
+
+      {shownKey && (
+        <div className={styles.row}>
+          <input
+            className={`${styles.input} ${styles.code}`}
+            value={shownKey}
+            readOnly
+            onFocus={(e) => e.target.select()}
+          />
+          <button
+            className={styles.btnSecondary}
+            onClick={() => navigator.clipboard?.writeText(shownKey)}
+          >
+            Copy
+          </button>
+        </div>
+      )}
+
+      {rotating && (
+        <>
+          <span className={styles.muted}>
+            A new passphrase creates a new key and uploads everything again.
+            Other devices need the new passphrase.
+          </span>
+          {passphraseFields}
+          <div className={styles.row}>
+            <button
+              className={styles.btn}
+              disabled={loading || !canSetPassphrase}
+              onClick={() =>
+                run(() =>
+                  window.electron.sync.rotateEncryptionKey(
+                    pilePath,
+                    passphrase,
+                  ),
+                )
+              }
+            >
+              Rotate Key
+            </button>
+          </div>
+        </>
+      )}
+
+      {error && <div className={styles.warning}>{error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,120 @@
+import { useCallback, useEffect, useState } from 'react';
+import styles from './index.module.scss';
+
+const LABELS = {
+  upsertPost: 'Upload post',
+  tombstonePost: 'Delete post',
+  restorePost: 'Restore post',
+  upsertAttachment: 'Upload attachment',
+  deleteAttachment: 'Delete attachment',
+};
+
+const STATUS_LABELS = {
+  pending: 'pending',
+  waiting: 'retrying soon',
+  failed: 'failed',
+};
+
+const describe = (operation) =>
+  operation.data?.filename || operation.filePath || operation.postId || '';
+
+// Lists what the next push will send, reloaded whenever the queue length
+// in the sync status changes
+export default function QueueInspector({ pilePath, queueLen, onChanged }) {
+  const [open, setOpen] = useState(false);
+  const [operations, setOperations] = useState([]);
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadQueue = useCallback(async () => {
+    if (!pilePath || !window.electron?.sync?.listQueue) return;
+    const res = await window.electron.sync.listQueue(pilePath);
+    if (res?.ok) setOperations(res.operations);
+    else setError(res?.error || 'Failed to load the sync queue');
+  }, [pilePath]);
+
+  useEffect(() => {
+    if (open) loadQueue();
+  }, [open, loadQueue, queueLen]);
+
+  const act = useCallback(
+    async (operationId, action) => {
+      setBusy(operationId);
+      setError(null);
+      try {
+        const res = await action(pilePath, operationId);
+        if (res && res.ok === false)
+          setError(res.error || 'Queue change failed');
+        await loadQueue();
+        onChanged?.();
+      } catch (e) {
+        setError((e && e.message) || 'Queue change failed');
+      } finally {
+        setBusy(null);
+      }
+    },
+    [pilePath, loadQueue, onChanged],
+  );
+
+  if (!queueLen && !open) return null;
+
+  return (
+    <div className={styles.backend}>
+      <div className={styles.row}>
+        <button className={styles.btnSecondary} onClick={() => setOpen(!open)}>
+          {open ? 'Hide Queue' : 'Inspect Queue'}
+        </button>
+      </div>
+
+      {open && operations.length === 0 && (
+        <span className={styles.muted}>Nothing waiting to be pushed</span>
+      )}
+
+      {open &&
+        operations.map((operation) => (
+          <div key={operation.id} className={styles.queueItem}>
+            <div className={styles.row}>
+              <span>{LABELS[operation.type] || operation.type}</span>
+              <span className={`${styles.muted} ${styles.code}`}>
+                {describe(operation)}
+              </span>
+              <span
+                className={
+                  operation.status === 'failed' ? styles.warning : styles.muted
+                }
+              >
+                {STATUS_LABELS[operation.status]}
+                {operation.retryCount > 0 &&
+                  ` after ${operation.retryCount} attempts`}
+              </span>
+            </div>
+            {operation.lastError && (
+              <span className={styles.warning}>{operation.lastError}</span>
+            )}
+            <div className={styles.row}>
+              <button
+                className={styles.btnSecondary}
+                disabled={busy === operation.id}
+                onClick={() =>
+                  act(operation.id, window.electron.sync.retryOperation)
+                }
+              >
+                Retry
+              </button>
+              <button
+                className={styles.btnSecondary}
+                disabled={busy === operation.id}
+                onClick={() =>
+                  act(operation.id, window.electron.sync.dropOperation)
+                }
+              >
+                Drop
+              </button>
+            </div>
+          </div>
+        ))}
+
+      {error && <div className={styles.warning}>{error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,123 @@
+import styles from './index.module.scss';
+
+const CHANGES = {
+  create: 'new',
+  update: 'updated',
+  merge: 'merged with local edits',
+};
+
+const formatBytes = (bytes) => {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  const exponent = Math.min(
+    Math.floor(Math.log(bytes) / Math.log(1024)),
+    units.length - 1,
+  );
+  return `${(bytes / 1024 ** exponent).toFixed(exponent ? 1 : 0)} ${units[exponent]}`;
+};
+
+const postLabel = (post) => post.title || post.path || post.postId;
+
+function PlanSection({ title, posts, describe, warn }) {
+  if (!posts.length) return null;
+  return (
+    <details className={styles.planSection}>
+      <summary className={warn ? styles.warning : undefined}>
+        {title} ({posts.length})
+      </summary>
+      <ul className={styles.planList}>
+        {posts.map((post) => (
+          <li key={`${post.postId}-${post.path}`}>
+            <span className={styles.code}>{postLabel(post)}</span>
+            {describe && (
+              <span className={styles.muted}> {describe(post)}</span>
+            )}
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+}
+
+// The outcome of a dry run, shown before the first sync of a pile and
+// before syncs that delete or overwrite many posts
+export default function SyncPlan({ plan, loading, onApprove, onCancel }) {
+  const { attachments } = plan;
+  const nothingToDo =
+    !plan.uploads.length &&
+    !plan.downloads.length &&
+    !plan.deletions.local.length &&
+    !plan.deletions.remote.length &&
+    !plan.conflicts.length &&
+    !attachments.uploads.length &&
+    !attachments.downloads.length &&
+    !attachments.deletions.length;
+
+  return (
+    <div className={styles.backend}>
+      <span>
+        {plan.firstSync
+          ? 'Review what the first sync of this pile will do'
+          : `This sync deletes or overwrites ${plan.destructiveCount} posts`}
+      </span>
+
+      {nothingToDo && (
+        <span className={styles.muted}>Both sides are already in sync</span>
+      )}
+      {plan.locked && (
+        <span className={styles.warning}>
+          Some remote posts are encrypted with a key this device doesn't have
+          yet, they are left out until the pile is unlocked.
+        </span>
+      )}
+
+      <PlanSection title="Upload" posts={plan.uploads} />
+      <PlanSection
+        title="Download"
+        posts={plan.downloads.filter((post) => post.change !== 'overwrite')}
+        describe={(post) => CHANGES[post.change]}
+      />
+      <PlanSection
+        title="Replace local edits"
+        posts={plan.downloads.filter((post) => post.change === 'overwrite')}
+        warn
+      />
+      <PlanSection
+        title="Delete on this device"
+        posts={plan.deletions.local}
+        warn
+      />
+      <PlanSection
+        title="Delete from sync storage"
+        posts={plan.deletions.remote}
+        warn
+      />
+      <PlanSection title="Conflicts to resolve" posts={plan.conflicts} warn />
+
+      {(attachments.uploads.length > 0 ||
+        attachments.downloads.length > 0 ||
+        attachments.deletions.length > 0) && (
+        <span className={styles.muted}>
+          Attachments: {attachments.uploads.length} to upload (
+          {formatBytes(attachments.uploadBytes)}),{' '}
+          {attachments.downloads.length} to download (
+          {formatBytes(attachments.downloadBytes)}),{' '}
+          {attachments.deletions.length} to delete
+        </span>
+      )}
+
+      <div className={styles.row}>
+        <button className={styles.btn} disabled={loading} onClick={onApprove}>
+          {plan.firstSync ? 'Start Syncing' : 'Sync Anyway'}
+        </button>
+        <button
+          className={styles.btnSecondary}
+          disabled={loading}
+          onClick={onCancel}
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
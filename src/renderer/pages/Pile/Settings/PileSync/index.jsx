@@ -1,7 +1,12 @@
 import { useCallback, useEffect, useMemo, useState } from 'react';
 import { usePilesContext } from 'renderer/context/PilesContext';
 import * as Switch from '@radix-ui/react-switch';
+import useIPCListener from 'renderer/hooks/useIPCListener';
 import ConflictsPanel from './Conflicts';
+import BackendPicker, { BACKENDS } from './Backend';
+import EncryptionPanel from './Encryption';
+import QueueInspector from './QueueInspector';
+import SyncPlan from './SyncPlan';
 import styles from './index.module.scss';
 
 export default function PileSync() {
@@ -10,6 +15,9 @@ export default function PileSync() {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [autoEnabled, setAutoEnabled] = useState(false);
+  const [backendConfig, setBackendConfig] = useState({ type: 'supabase' });
+  const [plan, setPlan] = useState(null);
+  const progress = useIPCListener('sync-progress', null);
 
   const pilePath = useMemo(() => getCurrentPilePath?.() ?? null, [getCurrentPilePath, currentPile]);
   const isLocalPile = !!pilePath;
@@ -33,9 +41,30 @@ export default function PileSync() {
 
   useEffect(() => {
     setError(null);
+    setPlan(null);
     fetchStatus();
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [pilePath]);
+  }, [fetchStatus]);
+
+  useEffect(() => {
+    if (!isLocalPile || !window.electron?.sync?.getBackend) return;
+    (async () => {
+      try {
+        const res = await window.electron.sync.getBackend(pilePath);
+        setBackendConfig(res?.backend || { type: 'supabase' });
+      } catch (e) {
+        console.error('Failed to load sync backend', e);
+      }
+    })();
+  }, [isLocalPile, pilePath]);
+
+  const pullProgress = progress?.pilePath === pilePath ? progress : null;
+  const pullPhase = pullProgress?.phase ?? null;
+  const pulling = pullPhase === 'posts' || pullPhase === 'attachments';
+
+  useEffect(() => {
+    // A finished pull changes the checkpoint and maybe the conflicts
+    if (pullPhase && !pulling) fetchStatus();
+  }, [pullPhase, pulling, fetchStatus]);
 
   useEffect(() => {
     // Load autosync setting
@@ -53,22 +82,33 @@ export default function PileSync() {
     try {
       setAutoEnabled(nextVal);
       await window.electron?.store?.set('sync_auto_enabled', nextVal);
-      window.dispatchEvent(new CustomEvent('sync:auto-toggle', { detail: nextVal }));
     } catch (e) {
       setError('Failed to update auto-sync setting');
     }
   }, []);
 
+  // Syncs right away unless the dry run finds a plan to approve first
+  const syncWithPlan = useCallback(async () => {
+    const res = await window.electron.sync.runSync(pilePath, 'both', { dryRun: true });
+    if (res?.error) throw new Error(res.error);
+    if (res?.plan?.needsApproval) {
+      setPlan(res.plan);
+      return;
+    }
+    await window.electron.sync.runSync(pilePath);
+  }, [pilePath]);
+
   const handleLink = useCallback(async () => {
     if (!pilePath) return;
     setLoading(true);
     setError(null);
     try {
-      const res = await window.electron.sync.linkPile(pilePath);
+      const res = await window.electron.sync.linkPile(pilePath, undefined, backendConfig);
       if (res && res.linked === false) {
         setError(res.error || 'Failed to enable sync');
       } else {
         await fetchStatus();
+        await syncWithPlan();
       }
     } catch (e) {
       console.error('Failed to link pile', e);
@@ -77,7 +117,7 @@ export default function PileSync() {
     } finally {
       setLoading(false);
     }
-  }, [pilePath, fetchStatus]);
+  }, [pilePath, fetchStatus, backendConfig, syncWithPlan]);
 
   const handleUnlink = useCallback(async () => {
     if (!pilePath) return;
@@ -99,7 +139,24 @@ export default function PileSync() {
     setLoading(true);
     setError(null);
     try {
-      await window.electron.sync.runSync(pilePath);
+      await syncWithPlan();
+      await fetchStatus();
+    } catch (e) {
+      console.error('Sync failed', e);
+      setError((e && e.message) || 'Sync failed');
+    } finally {
+      setLoading(false);
+    }
+  }, [pilePath, fetchStatus, syncWithPlan]);
+
+  const handleApprovePlan = useCallback(async () => {
+    if (!pilePath) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await window.electron.sync.runSync(pilePath, 'both', { approved: true });
+      if (res?.error) setError(res.error);
+      setPlan(null);
       await fetchStatus();
     } catch (e) {
       console.error('Sync failed', e);
@@ -117,13 +174,20 @@ export default function PileSync() {
   const hasConflicts = (status?.conflictsCount ?? 0) > 0;
   const queueLen = status?.queueLen ?? 0;
   const lastSync = status?.lastPushAt || status?.lastPullAt;
+  const backendType = (linked ? status?.backend : backendConfig.type) || 'supabase';
+  const isCloud = backendType === 'supabase';
+  const backendLabel = BACKENDS.find((b) => b.type === backendType)?.label;
 
   return (
     <div className={styles.container}>
       <div className={styles.row}>
-        <div className={styles.pill} title={linked ? 'Cloud sync enabled' : 'Not linked'}>
+        <div className={styles.pill} title={linked ? `Syncing to ${backendLabel}` : 'Not linked'}>
           <span>{linked ? '✅' : '⚪'}</span>
-          <span>{linked ? 'Cloud Sync Enabled' : 'Cloud Sync Disabled'}</span>
+          <span>
+            {isCloud
+              ? `Cloud Sync ${linked ? 'Enabled' : 'Disabled'}`
+              : `${backendLabel} Sync ${linked ? 'Enabled' : 'Disabled'}`}
+          </span>
         </div>
         {queueLen > 0 && (
           <span className={styles.muted}>⏳ {queueLen} pending</span>
@@ -131,6 +195,16 @@ export default function PileSync() {
         {hasConflicts && (
           <span className={styles.warning}>⚠️ {status.conflictsCount} conflicts</span>
         )}
+        {linked && status?.awaitingApproval && !plan && (
+          <span className={styles.warning}>Waiting for the sync plan to be reviewed</span>
+        )}
+        {pulling && (
+          <span className={styles.muted}>
+            ⬇️ Pulled {pullProgress.pulledCount} posts
+            {pullProgress.phase === 'attachments' &&
+              `, attachments ${pullProgress.attachmentsDone}/${pullProgress.attachmentsTotal}`}
+          </span>
+        )}
         {lastSync && (
           <span className={styles.muted}>
             Last sync: {new Date(lastSync).toLocaleString()}
@@ -138,12 +212,24 @@ export default function PileSync() {
         )}
       </div>
 
+      {!linked && (
+        <BackendPicker
+          config={backendConfig}
+          onChange={setBackendConfig}
+          disabled={loading}
+        />
+      )}
+
       {!linked ? (
         <div className={styles.row}>
-          <button className={styles.btn} onClick={handleLink} disabled={loading || !isAuthenticated}>
-            {loading ? 'Linking…' : 'Enable Cloud Sync'}
+          <button
+            className={styles.btn}
+            onClick={handleLink}
+            disabled={loading || (isCloud && !isAuthenticated)}
+          >
+            {loading ? 'Linking…' : isCloud ? 'Enable Cloud Sync' : 'Enable Sync'}
           </button>
-          {!isAuthenticated && (
+          {isCloud && !isAuthenticated && (
             <span className={styles.muted}>Sign in to enable sync</span>
           )}
         </div>
@@ -163,7 +249,7 @@ export default function PileSync() {
               setError(null);
               try {
                 await window.electron.sync.rescan(pilePath);
-                await window.electron.sync.runSync(pilePath);
+                await syncWithPlan();
                 await fetchStatus();
               } catch (e) {
                 setError(e?.message || 'Rescan failed');
@@ -179,10 +265,19 @@ export default function PileSync() {
         </div>
       )}
 
+      {linked && plan && (
+        <SyncPlan
+          plan={plan}
+          loading={loading}
+          onApprove={handleApprovePlan}
+          onCancel={() => setPlan(null)}
+        />
+      )}
+
       {linked && (
         <div className={styles.row}>
           <label className={styles.muted} htmlFor="auto-sync">
-            Auto-sync every 5 minutes
+            Keep syncing in the background
           </label>
           <Switch.Root
             id="auto-sync"
@@ -213,9 +308,30 @@ export default function PileSync() {
         </div>
       )}
 
+      {linked && (
+        <EncryptionPanel
+          pilePath={pilePath}
+          syncError={status?.lastError}
+          onChanged={fetchStatus}
+        />
+      )}
+
+      {linked && (
+        <QueueInspector
+          pilePath={pilePath}
+          queueLen={queueLen}
+          onChanged={fetchStatus}
+        />
+      )}
+
       {linked && status?.lastError && (
         <div className={styles.row}>
           <span className={styles.warning}>Last error: {status.lastError}</span>
+          {status.retryAt && (
+            <span className={styles.muted}>
+              Retrying at {new Date(status.retryAt).toLocaleTimeString()}
+            </span>
+          )}
           <button className={styles.btnSecondary} onClick={handleSync} disabled={loading}>
             Retry Sync
           </button>
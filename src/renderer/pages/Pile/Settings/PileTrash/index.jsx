@@ -0,0 +1,130 @@
+import { useCallback, useEffect, useState } from 'react';
+import { usePilesContext } from 'renderer/context/PilesContext';
+import { useIndexContext } from 'renderer/context/IndexContext';
+import styles from './index.module.scss';
+
+const formatDate = (iso) => new Date(iso).toLocaleDateString();
+
+const REASONS = {
+  sync: 'Deleted on another device',
+  restore: 'Removed by restoring a backup',
+};
+
+// Deleted posts wait here until they expire. Restoring one brings back its
+// replies and attachments, emptying the trash can't be undone.
+export default function PileTrash() {
+  const { getCurrentPilePath, currentPile } = usePilesContext();
+  const { refreshIndex } = useIndexContext();
+  const [entries, setEntries] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [confirmEmpty, setConfirmEmpty] = useState(false);
+  const [error, setError] = useState(null);
+
+  const pilePath = getCurrentPilePath?.();
+
+  const load = useCallback(async () => {
+    if (!pilePath) return;
+    try {
+      setEntries(await window.electron.ipc.invoke('trash-list', pilePath));
+    } catch (e) {
+      setError('Failed to load the trash');
+    }
+  }, [pilePath]);
+
+  useEffect(() => {
+    load();
+  }, [load, currentPile]);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+    } catch (e) {
+      setError(e?.message || 'Something went wrong');
+    } finally {
+      setBusy(false);
+      load();
+    }
+  };
+
+  const handleRestore = (entry) =>
+    run(async () => {
+      const result = await window.electron.ipc.invoke(
+        'trash-restore',
+        pilePath,
+        entry.id,
+      );
+      if (!result?.ok) throw new Error(result?.error);
+      await refreshIndex();
+    });
+
+  const handleDelete = (entry) =>
+    run(() => window.electron.ipc.invoke('trash-delete', pilePath, entry.id));
+
+  const handleEmpty = () => {
+    if (!confirmEmpty) {
+      setConfirmEmpty(true);
+      setTimeout(() => setConfirmEmpty(false), 3000);
+      return;
+    }
+    setConfirmEmpty(false);
+    run(() => window.electron.ipc.invoke('trash-empty', pilePath));
+  };
+
+  if (!pilePath) return null;
+
+  return (
+    <div className={styles.container}>
+      {entries.length === 0 ? (
+        <div className={styles.muted}>The trash is empty</div>
+      ) : (
+        <ul className={styles.entries}>
+          {entries.map((entry) => (
+            <li key={entry.id}>
+              <div className={styles.entry}>
+                <div className={styles.title}>
+                  {entry.title || entry.preview || entry.postPath}
+                </div>
+                <div className={styles.muted}>
+                  {REASONS[entry.reason] || 'Deleted'}{' '}
+                  {formatDate(entry.deletedAt)}
+                  {entry.posts.length > 1 &&
+                    ` with ${entry.posts.length - 1} replies`}
+                  , removed for good {formatDate(entry.expiresAt)}
+                </div>
+              </div>
+              <button
+                className={styles.btn}
+                onClick={() => handleRestore(entry)}
+                disabled={busy}
+              >
+                Restore
+              </button>
+              <button
+                className={styles.btnSecondary}
+                onClick={() => handleDelete(entry)}
+                disabled={busy}
+                title="Delete permanently"
+              >
+                Delete
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className={styles.row}>
+        <button
+          className={`${styles.btnSecondary} ${confirmEmpty ? styles.confirm : ''}`}
+          onClick={handleEmpty}
+          disabled={busy}
+        >
+          {confirmEmpty ? 'Click again to empty the trash' : 'Empty trash'}
+        </button>
+      </div>
+
+      {error && <div className={styles.warning}>{error}</div>}
+    </div>
+  );
+}
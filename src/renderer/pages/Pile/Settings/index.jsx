@@ -10,6 +10,11 @@ import {
 import { useIndexContext } from 'renderer/context/IndexContext';
 import AISettingTabs from './AISettingsTabs';
 import PileSync from './PileSync';
+import PileRepair from './PileRepair';
+import PileHistory from './PileHistory';
+import PileTrash from './PileTrash';
+import PileExport from './PileExport';
+import PileBackups from './PileBackups';
 import styles from './Settings.module.scss';
 
 export default function Settings() {
@@ -118,6 +123,41 @@ export default function Settings() {
             <PileSync />
           </fieldset>
 
+          <fieldset className={styles.Fieldset}>
+            <label className={styles.Label} htmlFor="history">
+              Post history
+            </label>
+            <PileHistory />
+          </fieldset>
+
+          <fieldset className={styles.Fieldset}>
+            <label className={styles.Label} htmlFor="trash">
+              Trash
+            </label>
+            <PileTrash />
+          </fieldset>
+
+          <fieldset className={styles.Fieldset}>
+            <label className={styles.Label} htmlFor="export">
+              Export
+            </label>
+            <PileExport />
+          </fieldset>
+
+          <fieldset className={styles.Fieldset}>
+            <label className={styles.Label} htmlFor="backups">
+              Backups
+            </label>
+            <PileBackups />
+          </fieldset>
+
+          <fieldset className={styles.Fieldset}>
+            <label className={styles.Label} htmlFor="repair">
+              Verify & repair pile
+            </label>
+            <PileRepair />
+          </fieldset>
+
           <fieldset className={styles.Fieldset}>
             <label className={styles.Label} htmlFor="name">
               AI personality prompt
@@ -0,0 +1,201 @@
+import { useMemo, useState } from 'react';
+import * as Dialog from '@radix-ui/react-dialog';
+import { TagIcon, CrossIcon, TrashIcon } from 'renderer/icons';
+import { useTagsContext } from 'renderer/context/TagsContext';
+import { useIndexContext } from 'renderer/context/IndexContext';
+import styles from './Tags.module.scss';
+
+const TAG_COLORS = [
+  'var(--base-yellow)',
+  'var(--base-green)',
+  'var(--base-red)',
+  'var(--active)',
+];
+
+function TagRow({ name, tag, count, selected, onSelect }) {
+  const { renameTag, deleteTag, styleTag } = useTagsContext();
+  const [editing, setEditing] = useState(false);
+  const [newName, setNewName] = useState(name);
+  const [confirmDelete, setConfirmDelete] = useState(false);
+
+  const submitRename = (e) => {
+    e.preventDefault();
+    if (!editing) return;
+    setEditing(false);
+    if (newName.trim() && newName.trim() !== name) {
+      renameTag(name, newName.trim());
+    }
+  };
+
+  return (
+    <li className={`${styles.tag} ${selected ? styles.selected : ''}`}>
+      <input
+        type="checkbox"
+        className={styles.check}
+        checked={selected}
+        onChange={() => onSelect(name)}
+        aria-label={`Select ${name}`}
+      />
+      <input
+        className={styles.icon}
+        value={tag?.icon ?? ''}
+        placeholder="#"
+        maxLength={2}
+        onChange={(e) => styleTag(name, { icon: e.target.value || null })}
+        aria-label={`Icon for ${name}`}
+      />
+      {editing ? (
+        <form className={styles.name} onSubmit={submitRename}>
+          <input
+            autoFocus
+            className={styles.Input}
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            onBlur={submitRename}
+          />
+        </form>
+      ) : (
+        <button
+          className={styles.name}
+          style={{ color: tag?.color ?? undefined }}
+          onClick={() => setEditing(true)}
+          title="Rename"
+        >
+          {name}
+        </button>
+      )}
+      <span className={styles.count}>{count}</span>
+      <div className={styles.colors}>
+        {TAG_COLORS.map((color) => (
+          <button
+            key={color}
+            className={`${styles.color} ${
+              tag?.color === color ? styles.current : ''
+            }`}
+            style={{ background: color }}
+            onClick={() =>
+              styleTag(name, { color: tag?.color === color ? null : color })
+            }
+            aria-label="Set color"
+          />
+        ))}
+      </div>
+      {confirmDelete ? (
+        <button
+          className={styles.danger}
+          onClick={() => deleteTag(name)}
+          onBlur={() => setConfirmDelete(false)}
+        >
+          Remove from {count}
+        </button>
+      ) : (
+        <button
+          className={styles.iconButton}
+          onClick={() => setConfirmDelete(true)}
+          title="Delete everywhere"
+        >
+          <TrashIcon className={styles.trash} />
+        </button>
+      )}
+    </li>
+  );
+}
+
+export default function Tags() {
+  const { tags, mergeTags } = useTagsContext();
+  const { index } = useIndexContext();
+  const [selected, setSelected] = useState([]);
+  const [target, setTarget] = useState('');
+
+  // tags.json can lag behind the posts, so the index is counted too
+  const counts = useMemo(() => {
+    const result = new Map();
+    for (const name of tags.keys()) result.set(name, 0);
+    for (const metadata of index.values()) {
+      (metadata.tags || []).forEach((name) => {
+        result.set(name, (result.get(name) || 0) + 1);
+      });
+    }
+    return result;
+  }, [tags, index]);
+
+  const names = useMemo(
+    () =>
+      Array.from(counts.keys()).sort((a, b) => counts.get(b) - counts.get(a)),
+    [counts],
+  );
+
+  const toggle = (name) => {
+    setSelected((current) =>
+      current.includes(name)
+        ? current.filter((n) => n !== name)
+        : [...current, name],
+    );
+  };
+
+  const handleMerge = async (e) => {
+    e.preventDefault();
+    const into = target.trim() || selected[0];
+    if (selected.length < 2 && !target.trim()) return;
+    await mergeTags(selected, into);
+    setSelected([]);
+    setTarget('');
+  };
+
+  return (
+    <Dialog.Root>
+      <Dialog.Trigger asChild>
+        <div className={styles.iconHolder} title="Tags">
+          <TagIcon className={styles.tagsIcon} />
+        </div>
+      </Dialog.Trigger>
+      <Dialog.Portal container={document.getElementById('dialog')}>
+        <Dialog.Overlay className={styles.DialogOverlay} />
+        <Dialog.Content className={styles.DialogContent}>
+          <Dialog.Title className={styles.DialogTitle}>Tags</Dialog.Title>
+          <Dialog.Description className={styles.DialogDescription}>
+            Changes are written to every entry using the tag
+          </Dialog.Description>
+
+          {names.length === 0 ? (
+            <div className={styles.empty}>No tags in this pile yet</div>
+          ) : (
+            <ul className={styles.list}>
+              {names.map((name) => (
+                <TagRow
+                  key={name}
+                  name={name}
+                  tag={tags.get(name)}
+                  count={counts.get(name)}
+                  selected={selected.includes(name)}
+                  onSelect={toggle}
+                />
+              ))}
+            </ul>
+          )}
+
+          {selected.length > 0 && (
+            <form className={styles.merge} onSubmit={handleMerge}>
+              <span>Merge {selected.length} into</span>
+              <input
+                className={styles.Input}
+                value={target}
+                placeholder={selected[0]}
+                onChange={(e) => setTarget(e.target.value)}
+              />
+              <button className={styles.Button} type="submit">
+                Merge
+              </button>
+            </form>
+          )}
+
+          <Dialog.Close asChild>
+            <button className={styles.IconButton} aria-label="Close">
+              <CrossIcon />
+            </button>
+          </Dialog.Close>
+        </Dialog.Content>
+      </Dialog.Portal>
+    </Dialog.Root>
+  );
+}
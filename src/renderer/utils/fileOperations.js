@@ -65,8 +65,16 @@ const getFiles = async (dir) => {
   return files;
 };
 
-const saveFile = (path, file) => {
-  return new Promise((resolve, reject) => {
+// Snapshots keep the post's history, before the write in case the file
+// was changed outside the app
+const snapshotFile = (path) =>
+  window.electron.ipc.invoke('history-snapshot', path).catch((error) => {
+    console.error('Failed to snapshot file.', error);
+  });
+
+const saveFile = async (path, file) => {
+  await snapshotFile(path);
+  await new Promise((resolve, reject) => {
     window.electron.writeFile(path, file, (err) => {
       if (err) {
         console.error('Error writing to file.', err);
@@ -76,6 +84,7 @@ const saveFile = (path, file) => {
       }
     });
   });
+  await snapshotFile(path);
 };
 
 const deleteFile = (path) => {